@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * ANALYTICS MODULE — ANALITIK KEHADIRAN & KELENGKAPAN JURNAL
+ * ============================================================================
+ * Reads the journals and answers the questions nobody could answer before:
+ * which class attends worst, which students keep missing lessons (and should
+ * be referred to BK), and which teachers keep their journals complete.
+ * Teachers see their own journals; admins see the whole school.
+ * ============================================================================
+ */
+
+// LocalStorage key for the BK referral threshold
+const BK_THRESHOLD_KEY = 'bkThreshold';
+const DEFAULT_BK_THRESHOLD = 3;
+
+// Logged-in user and the journals they may analyse
+const analyticsUser = JSON.parse(localStorage.getItem('userSession') || 'null');
+const analyticsJournals = (JSON.parse(localStorage.getItem('jurnalData')) || [])
+    .filter(j => !analyticsUser || ['admin', 'supervisor'].includes(analyticsUser.role) ||
+        j.teacherId === (analyticsUser.id || analyticsUser.username));
+
+// Chart instances, kept so they can be destroyed before redrawing
+const analyticsCharts = {};
+
+/**
+ * Read the BK referral threshold (number of absences)
+ * @returns {number} - Absences at which a student gets flagged
+ */
+function getBkThreshold() {
+    return Number(localStorage.getItem(BK_THRESHOLD_KEY)) || DEFAULT_BK_THRESHOLD;
+}
+
+/**
+ * Journals inside the selected academic year / semester
+ * @returns {Array} - Scoped journals
+ */
+function getScopedJournals() {
+    const tahunAjaran = document.getElementById('analyticsTahunAjaran').value;
+    const semester = document.getElementById('analyticsSemester').value;
+    return analyticsJournals.filter(j => {
+        const periode = getJurnalPeriode(j);
+        return (!tahunAjaran || periode.tahunAjaran === tahunAjaran) &&
+            (!semester || periode.semester === semester);
+    });
+}
+
+/**
+ * Attendance rate per class per month
+ * @param {Array} journals - Scoped journals
+ * @returns {{months: Array<string>, classes: Object}} - Sorted months (YYYY-MM) and per-class rate (0-100) per month
+ */
+function computeClassAttendance(journals) {
+    const totals = {};
+    journals.forEach(j => {
+        const month = j.tanggal.substring(0, 7);
+        totals[j.kelas] = totals[j.kelas] || {};
+        totals[j.kelas][month] = totals[j.kelas][month] || { hadir: 0, total: 0 };
+        totals[j.kelas][month].hadir += j.siswaHadir;
+        totals[j.kelas][month].total += j.siswaHadir + j.siswaTidakHadir;
+    });
+
+    const months = [...new Set(journals.map(j => j.tanggal.substring(0, 7)))].sort();
+    const classes = {};
+    Object.keys(totals).sort((a, b) => a.localeCompare(b, 'id', { numeric: true })).forEach(kelas => {
+        classes[kelas] = months.map(m => {
+            const t = totals[kelas][m];
+            return t && t.total > 0 ? Math.round((t.hadir / t.total) * 1000) / 10 : null;
+        });
+    });
+    return { months, classes };
+}
+
+/**
+ * Split a free-text absentee list ("Budi (Sakit), Ani") into names
+ * @param {string} text - Value of namaSiswaTidakHadir
+ * @returns {Array<{nama: string, status: string}>} - Names with status code when one was written
+ */
+function parseAbsentNames(text) {
+    const statusByLabel = {};
+    Object.entries(ATTENDANCE_STATUS).forEach(([code, s]) => { statusByLabel[s.label.toLowerCase()] = code; });
+
+    return (text || '').split(/[,;\n]/)
+        .map(part => part.trim())
+        .filter(part => part && part !== '-')
+        .map(part => {
+            const match = part.match(/^(.*?)\s*\(([^)]+)\)$/);
+            const label = match ? match[2].trim().toLowerCase() : '';
+            // Accept both "(Sakit)" and "(S)"; anything else counts as "tanpa keterangan"
+            const status = statusByLabel[label] || (ATTENDANCE_STATUS[label.toUpperCase()] ? label.toUpperCase() : '?');
+            return { nama: (match ? match[1] : part).trim(), status };
+        });
+}
+
+/**
+ * Rank students by number of absences
+ * Structured roster marks are used when present, otherwise the free-text names
+ * @param {Array} journals - Scoped journals
+ * @returns {Array<{nama: string, kelas: string, total: number, S: number, I: number, A: number, lainnya: number}>} - Most absent first
+ */
+function computeStudentAbsences(journals) {
+    const students = new Map();
+    const count = (key, nama, kelas, status) => {
+        if (!students.has(key)) students.set(key, { nama, kelas, total: 0, S: 0, I: 0, A: 0, lainnya: 0 });
+        const s = students.get(key);
+        s.total++;
+        if (['S', 'I', 'A'].includes(status)) s[status]++;
+        else s.lainnya++;
+    };
+
+    journals.forEach(j => {
+        if (j.kehadiran) {
+            j.kehadiran.filter(k => k.status !== 'H')
+                .forEach(k => count(`id:${k.studentId}`, k.nama, j.kelas, k.status));
+        } else {
+            parseAbsentNames(j.namaSiswaTidakHadir)
+                .forEach(k => count(`nama:${j.kelas}:${k.nama.toLowerCase()}`, k.nama, j.kelas, k.status));
+        }
+    });
+
+    return [...students.values()].sort((a, b) => b.total - a.total || b.A - a.A || a.nama.localeCompare(b.nama));
+}
+
+/**
+ * Journal completion per teacher per month: journals written vs lessons scheduled
+ * Scheduled lessons come from the timetable, minus holidays, up to today
+ * @param {Array} journals - Scoped journals
+ * @returns {{months: Array<string>, teachers: Array<{teacherId: *, nama: string, perMonth: Array<{filled: number, scheduled: number}>}>}} - Completion data
+ */
+function computeTeacherCompletion(journals) {
+    const tahunAjaran = document.getElementById('analyticsTahunAjaran').value;
+    const semester = document.getElementById('analyticsSemester').value;
+    const today = getTodayIso();
+
+    // Date range: the selected period, or the span of the journals when "all" is selected
+    const sortedDates = journals.map(j => j.tanggal).sort();
+    const range = tahunAjaran ? getPeriodeRange(tahunAjaran, semester)
+        : { mulai: sortedDates[0] || today, selesai: sortedDates[sortedDates.length - 1] || today };
+    const end = range.selesai < today ? range.selesai : today;
+
+    const slots = getJadwal().filter(s => !analyticsUser || ['admin', 'supervisor'].includes(analyticsUser.role) ||
+        s.teacherId === (analyticsUser.id || analyticsUser.username));
+    const teachers = new Map();
+    const ensure = (teacherId, nama) => {
+        if (!teachers.has(teacherId)) teachers.set(teacherId, { teacherId, nama, byMonth: {} });
+        return teachers.get(teacherId);
+    };
+    const bump = (teacher, month, field) => {
+        teacher.byMonth[month] = teacher.byMonth[month] || { filled: 0, scheduled: 0, written: 0 };
+        teacher.byMonth[month][field]++;
+    };
+
+    // Walk every school day and check each scheduled lesson
+    if (range.mulai <= end) {
+        eachDate(range.mulai, end).forEach(tanggal => {
+            if (getLiburOn(tanggal)) return;
+            const hari = getHariFromTanggal(tanggal);
+            slots.filter(s => s.hari === hari).forEach(slot => {
+                const teacher = ensure(slot.teacherId, slot.teacherName || String(slot.teacherId));
+                bump(teacher, tanggal.substring(0, 7), 'scheduled');
+                if (journals.some(j => jurnalCoversSlot(j, slot, tanggal))) {
+                    bump(teacher, tanggal.substring(0, 7), 'filled');
+                }
+            });
+        });
+    }
+
+    // Teachers without a timetable still show how many journals they wrote
+    journals.forEach(j => {
+        if (j.teacherId === undefined) return;
+        bump(ensure(j.teacherId, j.teacherName || j.username || String(j.teacherId)), j.tanggal.substring(0, 7), 'written');
+    });
+
+    const months = [...new Set([...teachers.values()].flatMap(t => Object.keys(t.byMonth)))].sort();
+    return {
+        months,
+        teachers: [...teachers.values()]
+            .sort((a, b) => a.nama.localeCompare(b.nama))
+            .map(t => ({
+                teacherId: t.teacherId,
+                nama: t.nama,
+                perMonth: months.map(m => t.byMonth[m] || { filled: 0, scheduled: 0, written: 0 })
+            }))
+    };
+}
+
+/**
+ * Format "2025-11" as "Nov 2025"
+ * @param {string} month - YYYY-MM
+ * @returns {string} - Short Indonesian month label
+ */
+function formatMonth(month) {
+    const [year, m] = month.split('-').map(Number);
+    return new Date(year, m - 1, 1).toLocaleDateString('id-ID', { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Draw (or redraw) a line chart when Chart.js is available
+ * @param {string} canvasId - Canvas element id
+ * @param {Array<string>} labels - X-axis labels
+ * @param {Array<{label: string, data: Array<number>}>} datasets - One line per series
+ */
+function drawLineChart(canvasId, labels, datasets) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || typeof Chart === 'undefined') return;
+    if (analyticsCharts[canvasId]) analyticsCharts[canvasId].destroy();
+    analyticsCharts[canvasId] = new Chart(canvas, {
+        type: 'line',
+        data: { labels, datasets: datasets.map(d => ({ ...d, spanGaps: true, tension: 0.3 })) },
+        options: { scales: { y: { min: 0, max: 100, ticks: { callback: v => `${v}%` } } } }
+    });
+}
+
+/**
+ * Render the per-class attendance chart and table
+ * @param {Array} journals - Scoped journals
+ */
+function renderClassAttendance(journals) {
+    const { months, classes } = computeClassAttendance(journals);
+    drawLineChart('classAttendanceChart', months.map(formatMonth),
+        Object.entries(classes).map(([kelas, data]) => ({ label: kelas, data })));
+
+    document.getElementById('classAttendanceTable').innerHTML = months.length === 0
+        ? '<tr><td class="px-4 py-6 text-center text-gray-500">Belum ada jurnal pada periode ini</td></tr>'
+        : `<tr class="bg-gray-50"><th class="px-4 py-2 text-left text-xs text-gray-500">Kelas</th>${months.map(m => `<th class="px-4 py-2 text-left text-xs text-gray-500">${formatMonth(m)}</th>`).join('')}</tr>` +
+          Object.entries(classes).map(([kelas, data]) => `
+            <tr>
+                <td class="px-4 py-2 text-sm font-medium text-gray-900">${kelas}</td>
+                ${data.map(rate => `<td class="px-4 py-2 text-sm ${rate !== null && rate < 90 ? 'text-red-600 font-semibold' : 'text-gray-900'}">${rate === null ? '-' : `${rate}%`}</td>`).join('')}
+            </tr>
+          `).join('');
+}
+
+/**
+ * Render the student absence ranking with BK referral flags
+ * @param {Array} journals - Scoped journals
+ */
+function renderStudentAbsences(journals) {
+    const threshold = getBkThreshold();
+    const students = computeStudentAbsences(journals);
+    const flagged = students.filter(s => s.total >= threshold).length;
+    document.getElementById('bkFlagCount').textContent = flagged;
+
+    document.getElementById('studentAbsenceBody').innerHTML = students.length === 0
+        ? '<tr><td colspan="8" class="px-4 py-6 text-center text-gray-500">Tidak ada siswa yang tercatat tidak hadir</td></tr>'
+        : students.map((s, index) => `
+            <tr class="${s.total >= threshold ? 'bg-red-50' : ''}">
+                <td class="px-4 py-2 text-sm text-gray-500">${index + 1}</td>
+                <td class="px-4 py-2 text-sm font-medium text-gray-900">${s.nama}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${s.kelas}</td>
+                <td class="px-4 py-2 text-sm font-semibold text-gray-900">${s.total}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${s.S}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${s.I}</td>
+                <td class="px-4 py-2 text-sm text-red-600">${s.A}${s.lainnya ? ` <span class="text-gray-400">(+${s.lainnya} tanpa ket.)</span>` : ''}</td>
+                <td class="px-4 py-2 text-sm">${s.total >= threshold
+                    ? '<span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Rujuk ke BK</span>'
+                    : ''}</td>
+            </tr>
+        `).join('');
+}
+
+/**
+ * Render journal completion per teacher over time
+ * @param {Array} journals - Scoped journals
+ */
+function renderTeacherCompletion(journals) {
+    const { months, teachers } = computeTeacherCompletion(journals);
+    const rate = p => p.scheduled > 0 ? Math.round((p.filled / p.scheduled) * 1000) / 10 : null;
+
+    drawLineChart('teacherCompletionChart', months.map(formatMonth),
+        teachers.map(t => ({ label: t.nama, data: t.perMonth.map(rate) })));
+
+    document.getElementById('teacherCompletionTable').innerHTML = months.length === 0
+        ? '<tr><td class="px-4 py-6 text-center text-gray-500">Belum ada jadwal atau jurnal pada periode ini</td></tr>'
+        : `<tr class="bg-gray-50"><th class="px-4 py-2 text-left text-xs text-gray-500">Guru</th>${months.map(m => `<th class="px-4 py-2 text-left text-xs text-gray-500">${formatMonth(m)}</th>`).join('')}</tr>` +
+          teachers.map(t => `
+            <tr>
+                <td class="px-4 py-2 text-sm font-medium text-gray-900">${t.nama}</td>
+                ${t.perMonth.map(p => `<td class="px-4 py-2 text-sm text-gray-900">${p.scheduled > 0
+                    ? `<span class="${rate(p) < 100 ? 'text-red-600 font-semibold' : 'text-green-600'}">${rate(p)}%</span> <span class="text-xs text-gray-400">(${p.filled}/${p.scheduled})</span>`
+                    : `${p.written} jurnal`}</td>`).join('')}
+            </tr>
+          `).join('');
+}
+
+/**
+ * Recompute and redraw every section for the selected period
+ */
+function renderAnalytics() {
+    const journals = getScopedJournals();
+    document.getElementById('analyticsJournalCount').textContent = journals.length;
+    renderClassAttendance(journals);
+    renderStudentAbsences(journals);
+    renderTeacherCompletion(journals);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Students and parents have their own view; analytics are for teachers and admins
+    if (!analyticsUser) {
+        window.location.href = 'login.html';
+        return;
+    }
+    if (analyticsUser.role === 'student' || analyticsUser.role === 'parent') {
+        window.location.href = 'index.html';
+        return;
+    }
+
+    const tahunAjaranSelect = document.getElementById('analyticsTahunAjaran');
+    const options = getTahunAjaranOptions(analyticsJournals);
+    tahunAjaranSelect.innerHTML = '<option value="">Semua Tahun Ajaran</option>' +
+        options.map(ta => `<option value="${ta}">${ta}</option>`).join('');
+    tahunAjaranSelect.value = getTahunAjaran(getTodayIso());
+
+    const thresholdInput = document.getElementById('bkThreshold');
+    thresholdInput.value = getBkThreshold();
+    thresholdInput.addEventListener('change', () => {
+        const value = parseInt(thresholdInput.value);
+        if (value > 0) localStorage.setItem(BK_THRESHOLD_KEY, String(value));
+        renderAnalytics();
+    });
+
+    tahunAjaranSelect.addEventListener('change', renderAnalytics);
+    document.getElementById('analyticsSemester').addEventListener('change', renderAnalytics);
+    renderAnalytics();
+});
+
+// Expose globally
+window.computeClassAttendance = computeClassAttendance;
+window.computeStudentAbsences = computeStudentAbsences;
+window.computeTeacherCompletion = computeTeacherCompletion;
+window.parseAbsentNames = parseAbsentNames;
@@ -28,6 +28,43 @@ const cancelBtn = document.getElementById('cancelBtn');
 const filterKelas = document.getElementById('filterKelas');
 const filterBulan = document.getElementById('filterBulan');
 const searchMateri = document.getElementById('searchMateri');
+const filterDari = document.getElementById('filterDari');
+const filterSampai = document.getElementById('filterSampai');
+const filterGuru = document.getElementById('filterGuru');
+const filterTahunAjaran = document.getElementById('filterTahunAjaran');
+const filterSemester = document.getElementById('filterSemester');
+const archiveBtn = document.getElementById('archiveBtn');
+const kelasSelect = document.getElementById('kelas');
+const rosterSection = document.getElementById('rosterSection');
+const rosterList = document.getElementById('rosterList');
+const rosterAllPresent = document.getElementById('rosterAllPresent');
+const tableHead = document.getElementById('jurnalTableHead');
+const pageSizeSelect = document.getElementById('pageSize');
+const pagePrev = document.getElementById('pagePrev');
+const pageNext = document.getElementById('pageNext');
+const pageInfo = document.getElementById('pageInfo');
+
+/**
+ * Table view state — the filtered list is cached so paging and re-sorting
+ * don't have to walk every journal again
+ */
+let sortState = { key: 'tanggal', dir: 'desc' };
+let currentPage = 1;
+let filteredCache = [];
+
+// How long the search box waits after the last keystroke before filtering (ms)
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Sortable columns (th[data-sort]) → value used to compare two journals
+const JURNAL_SORT_KEYS = {
+    tanggal: j => `${j.tanggal} ${String(parseInt(j.jamKe, 10) || 0).padStart(2, '0')}`,
+    guru: j => (j.teacherName || j.username || '').toLowerCase(),
+    jamKe: j => parseInt(j.jamKe, 10) || 0,
+    kelas: j => j.kelas || '',
+    siswaHadir: j => Number(j.siswaHadir) || 0,
+    siswaTidakHadir: j => Number(j.siswaTidakHadir) || 0,
+    uraianMateri: j => (j.uraianMateri || '').toLowerCase()
+};
 
 /**
  * Initialize the application when page loads
@@ -37,6 +74,10 @@ const searchMateri = document.getElementById('searchMateri');
  */
 document.addEventListener('DOMContentLoaded', () => {
     loadUserInfo();
+    populateTahunAjaranFilter();
+    // A shared link (?kelas=9B&bulan=10&q=...) opens with the same filters
+    applyFilterState(parseFilterQuery(window.location.search));
+    updateArchiveButton();
     renderTable();
     setupEventListeners();
 });
@@ -57,6 +98,7 @@ function loadUserInfo() {
         const userRole = document.getElementById('userRole');
         const teacherName = document.getElementById('teacherName');
         const formContainer = document.getElementById('formContainer');
+        const jadwalContainer = document.getElementById('jadwalContainer');
         
         // Display user's full name (or username if name not set)
         if (userName) {
@@ -67,8 +109,10 @@ function loadUserInfo() {
         if (userRole) {
             let roleDisplay = 'Pengguna';
             if (currentUser.role === 'admin') roleDisplay = 'Admin';
+            else if (currentUser.role === 'supervisor') roleDisplay = 'Kepala Sekolah / Supervisor';
             else if (currentUser.role === 'teacher') roleDisplay = 'Guru';
             else if (currentUser.role === 'student') roleDisplay = 'Siswa';
+            else if (currentUser.role === 'parent') roleDisplay = 'Orang Tua / Wali';
             userRole.textContent = roleDisplay;
         }
         
@@ -76,20 +120,53 @@ function loadUserInfo() {
         if (teacherName) {
             if (currentUser.role === 'teacher' || currentUser.role === 'admin') {
                 teacherName.textContent = `Guru Mapel ${currentUser.fullName || currentUser.username}`;
+            } else if (currentUser.role === 'supervisor') {
+                teacherName.textContent = `Supervisi Jurnal · ${currentUser.fullName || currentUser.username}`;
             } else if (currentUser.role === 'student') {
                 teacherName.textContent = `Siswa ${currentUser.fullName || currentUser.username}`;
+            } else if (currentUser.role === 'parent') {
+                teacherName.textContent = `Orang Tua / Wali ${currentUser.fullName || currentUser.username}`;
             }
         }
         
-        // Hide the form container for students (they can only view journals)
+        // Admins see every teacher's journals, so give them the "Guru" filter and column
+        const isAdmin = currentUser.role === 'admin';
+        document.querySelectorAll('.admin-only').forEach(el => {
+            el.style.display = isAdmin ? '' : 'none';
+        });
+        // Supervisors read every teacher's journals too, so they get the "Guru" filter and column as well
+        document.querySelectorAll('.all-guru-only').forEach(el => {
+            el.style.display = canViewAllJurnal() ? '' : 'none';
+        });
+        if (canViewAllJurnal()) populateGuruFilter();
+
+        // Hide the form container for students, parents and supervisors (they only read journals)
         // Only admins and teachers can create/edit journals
         if (formContainer) {
-            if (currentUser.role === 'student') {
+            if (!canWriteJurnal()) {
                 formContainer.style.display = 'none';
             } else {
                 formContainer.style.display = 'block';
             }
         }
+
+        // Supervisors don't teach from this account, so they get no timetable
+        if (currentUser.role === 'supervisor' && jadwalContainer) jadwalContainer.style.display = 'none';
+
+        // Students and parents have no teaching timetable, analytics or curriculum tools either.
+        // The journal table and its filters show classmates' names and teachers' notes,
+        // so they get their own view instead (siswa.js, wali.js)
+        if (isPortalRole()) {
+            [
+                jadwalContainer,
+                document.getElementById('analyticsLink'),
+                document.getElementById('kurikulumLink'),
+                document.getElementById('filterContainer'),
+                document.getElementById('jurnalListContainer')
+            ].forEach(el => {
+                if (el) el.style.display = 'none';
+            });
+        }
     }
 }
 
@@ -100,9 +177,270 @@ function loadUserInfo() {
 function setupEventListeners() {
     if (form) form.addEventListener('submit', handleSubmit);
     if (cancelBtn) cancelBtn.addEventListener('click', cancelEdit);
-    if (filterKelas) filterKelas.addEventListener('change', renderTable);
-    if (filterBulan) filterBulan.addEventListener('change', renderTable);
-    if (searchMateri) searchMateri.addEventListener('input', renderTable);
+    if (filterKelas) filterKelas.addEventListener('change', applyFilters);
+    if (filterBulan) filterBulan.addEventListener('change', applyFilters);
+    if (searchMateri) searchMateri.addEventListener('input', debounce(applyFilters, SEARCH_DEBOUNCE_MS));
+    if (filterGuru) filterGuru.addEventListener('change', applyFilters);
+    if (filterTahunAjaran) filterTahunAjaran.addEventListener('change', () => {
+        updateArchiveButton();
+        applyFilters();
+    });
+    if (filterSemester) filterSemester.addEventListener('change', applyFilters);
+    if (filterDari) filterDari.addEventListener('change', applyFilters);
+    if (filterSampai) filterSampai.addEventListener('change', applyFilters);
+    // One delegated listener each for the row buttons and the sortable headers
+    if (tableBody) tableBody.addEventListener('click', handleTableClick);
+    if (tableHead) tableHead.addEventListener('click', e => {
+        const th = e.target.closest('th[data-sort]');
+        if (th) setSort(th.dataset.sort);
+    });
+    if (pageSizeSelect) pageSizeSelect.addEventListener('change', () => {
+        currentPage = 1;
+        renderPage();
+    });
+    if (pagePrev) pagePrev.addEventListener('click', () => goToPage(currentPage - 1));
+    // Journals saved on another device arrive through the Firestore sync
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key !== 'jurnalData') return;
+        jurnalData = JSON.parse(localStorage.getItem('jurnalData')) || [];
+        if (canViewAllJurnal()) populateGuruFilter();
+        populateTahunAjaranFilter();
+        renderTable();
+    });
+    if (pageNext) pageNext.addEventListener('click', () => goToPage(currentPage + 1));
+    if (archiveBtn) archiveBtn.addEventListener('click', toggleArchiveTahunAjaran);
+    if (kelasSelect) kelasSelect.addEventListener('change', () => {
+        loadRosterForForm();
+        renderTpPicker(getFormMapel(), kelasSelect.value);
+    });
+    if (rosterList) rosterList.addEventListener('change', updateAttendanceCounts);
+    if (rosterAllPresent) rosterAllPresent.addEventListener('click', markAllPresent);
+}
+
+/**
+ * Show the attendance roster for the class picked in the form
+ * Falls back to the typed numbers and free-text names when the class has no
+ * registered students (or when editing an old entry that was typed by hand)
+ * @param {Array} [kehadiran] - Saved per-student statuses when editing an entry
+ */
+function loadRosterForForm(kehadiran) {
+    if (!rosterSection || !rosterList) return;
+    const roster = mergeRosterStatus(getClassRoster(kelasSelect.value), kehadiran);
+    setRosterMode(roster.length > 0);
+    renderRoster(rosterList, roster);
+    if (roster.length > 0) updateAttendanceCounts();
+}
+
+/**
+ * Subject of the journal in the form: the original author's when editing, the user's own otherwise
+ * @returns {string} - Subject name (empty if unknown)
+ */
+function getFormMapel() {
+    const existing = editingId ? jurnalData.find(j => j.id === editingId) : null;
+    if (existing && existing.mapel) return existing.mapel;
+    return currentUser ? currentUser.mapelMengajar || '' : '';
+}
+
+/**
+ * Switch the form between roster-based attendance and the manual inputs
+ * In roster mode the numbers are read-only because they are counted from the marks
+ * @param {boolean} useRoster - True to show the roster, false for manual input
+ */
+function setRosterMode(useRoster) {
+    rosterSection.style.display = useRoster ? 'block' : 'none';
+    ['siswaHadir', 'siswaTidakHadir'].forEach(id => {
+        document.getElementById(id).readOnly = useRoster;
+    });
+    const namaField = document.getElementById('namaSiswaTidakHadirField');
+    if (namaField) namaField.style.display = useRoster ? 'none' : 'block';
+    if (!useRoster) rosterList.innerHTML = '';
+}
+
+/**
+ * Recount hadir/tidak hadir from the roster marks and show them in the form
+ */
+function updateAttendanceCounts() {
+    const summary = summarizeAttendance(collectRoster(rosterList));
+    document.getElementById('siswaHadir').value = summary.siswaHadir;
+    document.getElementById('siswaTidakHadir').value = summary.siswaTidakHadir;
+    document.getElementById('namaSiswaTidakHadir').value = summary.namaSiswaTidakHadir;
+}
+
+/**
+ * Mark every student on the roster as Hadir
+ */
+function markAllPresent() {
+    rosterList.querySelectorAll('input[type="radio"][value="H"]').forEach(radio => {
+        radio.checked = true;
+    });
+    updateAttendanceCounts();
+}
+
+/**
+ * Identify the logged-in user as a journal author
+ * Registered users have a numeric id; demo accounts fall back to their username
+ * @returns {string|number|null} - The author id stamped on journal entries
+ */
+function getCurrentAuthorId() {
+    if (!currentUser) return null;
+    return currentUser.id || currentUser.username;
+}
+
+/**
+ * Build the author fields stamped on a new journal entry
+ * @returns {{teacherId: (string|number), username: string, teacherName: string, mapel: string}} - Author details of the current user
+ */
+function getAuthorStamp() {
+    return {
+        teacherId: getCurrentAuthorId(),
+        username: currentUser.username,
+        teacherName: currentUser.fullName || currentUser.username,
+        mapel: currentUser.mapelMengajar || ''
+    };
+}
+
+/**
+ * Check whether the logged-in user reads every teacher's journals
+ * Admins and supervisors (kepala sekolah, wakasek kurikulum) do; teachers see their own
+ * @returns {boolean} - True for admins and supervisors
+ */
+function canViewAllJurnal() {
+    return !!currentUser && (currentUser.role === 'admin' || currentUser.role === 'supervisor');
+}
+
+/**
+ * Check whether the logged-in user writes journals at all (teachers and admins)
+ * @returns {boolean} - True if the journal form is theirs to use
+ */
+function canWriteJurnal() {
+    return !!currentUser && (currentUser.role === 'teacher' || currentUser.role === 'admin');
+}
+
+/**
+ * Check whether the logged-in user gets a read-only portal instead of the journal table
+ * (students see their own class, parents their child's)
+ * @returns {boolean} - True for students and parents
+ */
+function isPortalRole() {
+    return !!currentUser && (currentUser.role === 'student' || currentUser.role === 'parent');
+}
+
+/**
+ * Check whether the logged-in user wrote a journal entry
+ * @param {Object} jurnal - The journal entry to check
+ * @returns {boolean} - True if the entry carries the current user's id
+ */
+function isJurnalOwner(jurnal) {
+    return !!jurnal && jurnal.teacherId !== undefined && jurnal.teacherId === getCurrentAuthorId();
+}
+
+/**
+ * Check whether the logged-in user may edit or delete a journal entry
+ * Teachers can only touch their own entries; admins can touch all of them.
+ * Nobody can touch entries of an archived academic year or of a month the
+ * supervisor approved
+ * @param {Object} jurnal - The journal entry to check
+ * @returns {boolean} - True if edit/delete is allowed
+ */
+function canModifyJurnal(jurnal) {
+    if (!currentUser || !jurnal) return false;
+    if (isJurnalArchived(jurnal) || isJurnalDisetujui(jurnal)) return false;
+    if (currentUser.role === 'admin') return true;
+    return currentUser.role === 'teacher' && isJurnalOwner(jurnal);
+}
+
+/**
+ * Get the journals the logged-in user is allowed to see
+ * Teachers only see what they wrote, students (and parents) only their own
+ * (child's) class, admins and supervisors see everything
+ * @returns {Array} - Journals visible to the current user
+ */
+function getVisibleJurnal() {
+    if (currentUser && currentUser.role === 'teacher') {
+        return jurnalData.filter(isJurnalOwner);
+    }
+    if (currentUser && currentUser.role === 'student') {
+        return jurnalData.filter(j => currentUser.kelasMengajar && j.kelas === currentUser.kelasMengajar);
+    }
+    if (currentUser && currentUser.role === 'parent') {
+        const anak = getRegisteredUsers().find(u => u.id === currentUser.studentId);
+        return jurnalData.filter(j => anak && anak.kelasMengajar && j.kelas === anak.kelasMengajar);
+    }
+    return [...jurnalData];
+}
+
+/**
+ * Fill the academic year selector with every year that has journals
+ * Defaults to the running academic year; keeps the current selection on refresh
+ */
+function populateTahunAjaranFilter() {
+    if (!filterTahunAjaran) return;
+    const selected = filterTahunAjaran.value || getTahunAjaran(getTodayIso());
+    const options = getTahunAjaranOptions(jurnalData);
+
+    filterTahunAjaran.innerHTML = '<option value="">Semua Tahun Ajaran</option>' +
+        options.map(ta => `<option value="${ta}">${ta}${isTahunAjaranArchived(ta) ? ' (arsip)' : ''}</option>`).join('');
+    filterTahunAjaran.value = options.includes(selected) ? selected : '';
+    updateArchiveButton();
+}
+
+/**
+ * Label the admin archive button for the selected academic year
+ */
+function updateArchiveButton() {
+    if (!archiveBtn) return;
+    const tahunAjaran = filterTahunAjaran.value;
+    archiveBtn.disabled = !tahunAjaran;
+    archiveBtn.textContent = tahunAjaran && isTahunAjaranArchived(tahunAjaran)
+        ? `Buka Arsip ${tahunAjaran}`
+        : `Arsipkan ${tahunAjaran || 'Tahun'}`;
+}
+
+/**
+ * Archive (or reopen) the academic year picked in the selector — admins only
+ */
+function toggleArchiveTahunAjaran() {
+    const tahunAjaran = filterTahunAjaran.value;
+    if (!currentUser || currentUser.role !== 'admin' || !tahunAjaran) return;
+
+    try {
+        if (isTahunAjaranArchived(tahunAjaran)) {
+            if (!confirm(`Buka kembali arsip ${tahunAjaran}? Jurnalnya bisa diedit lagi.`)) return;
+            unarchiveTahunAjaran(tahunAjaran);
+            showNotification(`Arsip ${tahunAjaran} dibuka kembali.`, 'success');
+        } else {
+            if (!confirm(`Arsipkan tahun ajaran ${tahunAjaran}? Semua jurnalnya menjadi baca-saja.`)) return;
+            archiveTahunAjaran(tahunAjaran, currentUser.username);
+            showNotification(`Tahun ajaran ${tahunAjaran} diarsipkan.`, 'success');
+        }
+    } catch (err) {
+        showNotification(err.message, 'error');
+        return;
+    }
+    populateTahunAjaranFilter();
+    renderTable();
+}
+
+/**
+ * Fill the admin "Guru" filter with every author found in the journals
+ * Keeps the current selection when the list is rebuilt
+ */
+function populateGuruFilter() {
+    if (!filterGuru) return;
+    const selected = filterGuru.value;
+    const authors = new Map();
+    jurnalData.forEach(j => {
+        if (j.teacherId !== undefined && !authors.has(String(j.teacherId))) {
+            authors.set(String(j.teacherId), j.teacherName || j.username);
+        }
+    });
+
+    filterGuru.innerHTML = '<option value="">Semua Guru</option>' +
+        [...authors.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([id, name]) => `<option value="${id}">${name}</option>`)
+            .join('');
+    filterGuru.value = authors.has(selected) ? selected : '';
 }
 
 /**
@@ -112,36 +450,98 @@ function setupEventListeners() {
 function handleSubmit(e) {
     e.preventDefault();
 
+    // Only teachers and admins write journals, and only into entries they may modify
+    const existing = editingId ? jurnalData.find(j => j.id === editingId) : null;
+    if (!currentUser || (editingId && !canModifyJurnal(existing))) {
+        showNotification('Anda tidak berhak mengubah jurnal ini.', 'error');
+        resetForm();
+        return;
+    }
+
+    // Keep the original author when editing; stamp the current user on new entries
+    const author = existing && existing.teacherId !== undefined ? {
+        teacherId: existing.teacherId,
+        username: existing.username,
+        teacherName: existing.teacherName,
+        mapel: existing.mapel
+    } : getAuthorStamp();
+
+    // With a roster on screen the counts and names come from the per-student marks
+    const kehadiran = rosterList && rosterList.children.length > 0 ? collectRoster(rosterList) : null;
+    const attendance = kehadiran ? summarizeAttendance(kehadiran) : {
+        siswaHadir: parseInt(document.getElementById('siswaHadir').value) || 0,
+        siswaTidakHadir: parseInt(document.getElementById('siswaTidakHadir').value) || 0,
+        namaSiswaTidakHadir: document.getElementById('namaSiswaTidakHadir').value
+    };
+
     // Collect form data from all input fields — this is our journal entry
-        const formData = {
+    const formData = {
         id: editingId || Date.now(),                  // Use existing ID if editing, else create new
         hari: document.getElementById('hari').value,
         tanggal: document.getElementById('tanggal').value,
         jamKe: document.getElementById('jamKe').value,
         kelas: document.getElementById('kelas').value,
-        siswaHadir: parseInt(document.getElementById('siswaHadir').value) || 0,
-        siswaTidakHadir: parseInt(document.getElementById('siswaTidakHadir').value) || 0,
-        namaSiswaTidakHadir: document.getElementById('namaSiswaTidakHadir').value,
+        tahunAjaran: getTahunAjaran(document.getElementById('tanggal').value),
+        semester: getSemester(document.getElementById('tanggal').value),
+        ...attendance,
+        ...(kehadiran ? { kehadiran } : {}),
         uraianMateri: document.getElementById('uraianMateri').value,
-        createdAt: editingId ? jurnalData.find(j => j.id === editingId).createdAt : new Date().toISOString()
+        catatan: document.getElementById('catatan').value.trim(),
+        lampiran: collectFormLampiran(),
+        tugas: collectFormTugas(),
+        tujuanPembelajaran: collectTpPicker(),
+        ...author,
+        createdAt: existing ? existing.createdAt : new Date().toISOString()
     };
 
+    // Check weekday/date agreement, slot conflicts and class size before saving
+    const { errors, warnings } = validateJurnalEntry(formData, editingId);
+    showFieldMessages(errors, warnings);
+    if (Object.keys(errors).length > 0) {
+        showNotification('Jurnal belum bisa disimpan — periksa pesan di form.', 'error');
+        return;
+    }
+    if (Object.keys(warnings).length > 0 &&
+        !confirm(`${Object.values(warnings).join('\n')}\n\nTetap simpan jurnal ini?`)) {
+        return;
+    }
+
     // If editing existing journal, update it; otherwise, add new one
+    // Every save is logged with a field-level diff for the Riwayat panel
     if (editingId) {
         const index = jurnalData.findIndex(j => j.id === editingId);
+        recordRiwayat('update', jurnalData[index], formData);
         jurnalData[index] = formData;
         showNotification('Jurnal berhasil diperbarui!', 'success');
     } else {
+        recordRiwayat('create', null, formData);
         jurnalData.push(formData);
         showNotification('Jurnal berhasil ditambahkan!', 'success');
     }
 
-    // Persist to localStorage, reset form, refresh table
+    // Persist to localStorage, tidy up/upload attachment files, reset form, refresh table
     saveData();
+    commitFormLampiran(existing ? existing.lampiran : [], formData.lampiran);
+    commitFormTugas(existing ? existing.tugas : null, formData.tugas);
+    discardActiveDraf();
     resetForm();
+    if (canViewAllJurnal()) populateGuruFilter();
+    populateTahunAjaranFilter();
     renderTable();
 }
 
+/**
+ * Why a journal entry can't be changed, for the edit/delete notifications
+ * @param {Object} jurnal - The journal entry
+ * @param {string} aksi - 'diubah' or 'dihapus'
+ * @returns {string} - Message
+ */
+function getLockedMessage(jurnal, aksi) {
+    if (jurnal && isJurnalArchived(jurnal)) return `Jurnal ini sudah diarsipkan dan tidak bisa ${aksi}.`;
+    if (jurnal && isJurnalDisetujui(jurnal)) return `Jurnal bulan ini sudah disetujui supervisor dan tidak bisa ${aksi}.`;
+    return `Anda hanya bisa ${aksi === 'diubah' ? 'mengedit' : 'menghapus'} jurnal milik sendiri.`;
+}
+
 /**
  * Load a journal entry into the form for editing
  * @param {number} id - The journal ID to edit
@@ -150,6 +550,10 @@ function editJurnal(id) {
     // Find the journal by ID and load it into the form so the user can edit it
     const jurnal = jurnalData.find(j => j.id === id);
     if (!jurnal) return;
+    if (!canModifyJurnal(jurnal)) {
+        showNotification(getLockedMessage(jurnal, 'diubah'), 'error');
+        return;
+    }
 
     // Set editingId so form knows we're updating, not creating
     editingId = id;
@@ -157,12 +561,25 @@ function editJurnal(id) {
     // Populate form fields with journal data
     document.getElementById('hari').value = jurnal.hari;
     document.getElementById('tanggal').value = jurnal.tanggal;
+    ensureSelectOption(document.getElementById('jamKe'), jurnal.jamKe, `Jam ke-${jurnal.jamKe}`);
+    ensureSelectOption(kelasSelect, jurnal.kelas);
     document.getElementById('jamKe').value = jurnal.jamKe;
     document.getElementById('kelas').value = jurnal.kelas;
     document.getElementById('siswaHadir').value = jurnal.siswaHadir;
     document.getElementById('siswaTidakHadir').value = jurnal.siswaTidakHadir;
     document.getElementById('namaSiswaTidakHadir').value = jurnal.namaSiswaTidakHadir;
     document.getElementById('uraianMateri').value = jurnal.uraianMateri;
+    document.getElementById('catatan').value = jurnal.catatan || '';
+
+    // Entries with per-student marks reopen the roster; hand-typed ones stay manual
+    if (jurnal.kehadiran) {
+        loadRosterForForm(jurnal.kehadiran);
+    } else {
+        setRosterMode(false);
+    }
+    renderTpPicker(jurnal.mapel, jurnal.kelas, jurnal.tujuanPembelajaran);
+    setFormLampiran(jurnal.lampiran);
+    setFormTugas(jurnal.tugas || null);
 
     // Update button text to reflect editing mode
     submitBtn.innerHTML = 'Update Jurnal';
@@ -177,23 +594,35 @@ function editJurnal(id) {
  * @param {number} id - The journal ID to delete
  */
 function deleteJurnal(id) {
-    // Ask the user for confirmation before permanently deleting the journal
-    if (!confirm('Apakah Anda yakin ingin menghapus jurnal ini?')) return;
+    // Refuse to delete someone else's journal before even asking
+    const jurnal = jurnalData.find(j => j.id === id);
+    if (!canModifyJurnal(jurnal)) {
+        showNotification(getLockedMessage(jurnal, 'dihapus'), 'error');
+        return;
+    }
+
+    // Ask the user for confirmation before moving the journal to the trash
+    if (!confirm('Pindahkan jurnal ini ke tempat sampah? Jurnal masih bisa dipulihkan.')) return;
     
-    // Remove the journal from array
+    // Move the journal to the trash (logged in its history) and out of the live list
+    moveToSampah(jurnal);
     jurnalData = jurnalData.filter(j => j.id !== id);
     
     // Persist changes and refresh display
     saveData();
     renderTable();
-    showNotification('Jurnal berhasil dihapus!', 'success');
+    renderSampah();
+    showNotification('Jurnal dipindahkan ke tempat sampah.', 'success');
 }
 
 /**
  * Cancel editing and reset form to empty state
  */
 function cancelEdit() {
-    // User clicked Cancel — forget about editing and go back to blank form
+    // User clicked Cancel — forget about editing (and files added meanwhile) and go back to blank form
+    discardFormLampiran();
+    discardFormTugas();
+    discardActiveDraf();
     resetForm();
 }
 
@@ -202,22 +631,42 @@ function cancelEdit() {
  */
 function resetForm() {
     form.reset();
+    if (rosterSection) setRosterMode(false);
+    renderTpPicker('', '');
+    setFormLampiran([]);
+    setFormTugas(null);
+    detachDraf();
     editingId = null;
     submitBtn.innerHTML = 'Simpan Jurnal';
     cancelBtn.style.display = 'none';
 }
 
 /**
- * Render the journal table with filtered/sorted data
- * Applies all filters (class, month, search) and displays results
+ * Apply the dashboard filters (teacher, class, month, date range, search) to the visible journals
+ * Shared by the table and the rekap export so both always show the same set
+ * @returns {Array} - Filtered journals in the table's current sort order
  */
-function renderTable() {
-    // Start with all journals
-    let filteredData = [...jurnalData];
+function getFilteredJurnal() {
+    // Start with the journals this user may see (own entries for teachers, all for admins)
+    let filteredData = getVisibleJurnal();
 
-    // Apply filter by class (kelas)
-    if (filterKelas.value) {
-        filteredData = filteredData.filter(j => j.kelas === filterKelas.value);
+    // Apply filter by teacher (admins and supervisors only)
+    if (canViewAllJurnal() && filterGuru && filterGuru.value) {
+        filteredData = filteredData.filter(j => String(j.teacherId) === filterGuru.value);
+    }
+
+    // Apply academic year and semester scope
+    if (filterTahunAjaran && filterTahunAjaran.value) {
+        filteredData = filteredData.filter(j => getJurnalPeriode(j).tahunAjaran === filterTahunAjaran.value);
+    }
+    if (filterSemester && filterSemester.value) {
+        filteredData = filteredData.filter(j => getJurnalPeriode(j).semester === filterSemester.value);
+    }
+
+    // Apply filter by class (kelas) — several classes can be picked at once
+    const kelas = getSelectedKelas();
+    if (kelas.length > 0) {
+        filteredData = filteredData.filter(j => kelas.includes(j.kelas));
     }
     
     // Apply filter by month
@@ -225,24 +674,148 @@ function renderTable() {
         filteredData = filteredData.filter(j => j.tanggal.substring(5, 7) === filterBulan.value);
     }
     
-    // Apply search filter on material description (uraianMateri)
-    if (searchMateri.value) {
-        filteredData = filteredData.filter(j => 
-            j.uraianMateri.toLowerCase().includes(searchMateri.value.toLowerCase())
-        );
+    // Apply date range (either end may be left open)
+    if (filterDari && filterDari.value) {
+        filteredData = filteredData.filter(j => j.tanggal >= filterDari.value);
+    }
+    if (filterSampai && filterSampai.value) {
+        filteredData = filteredData.filter(j => j.tanggal <= filterSampai.value);
     }
 
-    // Sort by date (newest first)
-    filteredData.sort((a, b) => new Date(b.tanggal) - new Date(a.tanggal));
+    // Apply search on materi, absent student names and notes — every term must match
+    const terms = getSearchTerms(searchMateri.value);
+    if (terms.length > 0) {
+        filteredData = filteredData.filter(j => matchesSearch(j, terms));
+    }
+
+    return sortJurnal(filteredData);
+}
+
+/**
+ * Sort journals by the column picked in the table header
+ * Each sort value is computed once per journal instead of once per comparison
+ * @param {Array} journals - Journals to sort
+ * @returns {Array} - New sorted array
+ */
+function sortJurnal(journals) {
+    const getValue = JURNAL_SORT_KEYS[sortState.key] || JURNAL_SORT_KEYS.tanggal;
+    const direction = sortState.dir === 'asc' ? 1 : -1;
+    const collator = new Intl.Collator('id', { numeric: true });
+
+    return journals
+        .map(jurnal => ({ jurnal, value: getValue(jurnal) }))
+        .sort((a, b) => {
+            const diff = typeof a.value === 'number'
+                ? a.value - b.value
+                : collator.compare(a.value, b.value);
+            // Ties fall back to newest first so the order stays stable
+            return diff * direction || b.jurnal.tanggal.localeCompare(a.jurnal.tanggal) || b.jurnal.id - a.jurnal.id;
+        })
+        .map(item => item.jurnal);
+}
+
+/**
+ * Sort the table by a column; clicking the same column again flips the direction
+ * @param {string} key - Key from JURNAL_SORT_KEYS
+ */
+function setSort(key) {
+    if (!JURNAL_SORT_KEYS[key]) return;
+    sortState = sortState.key === key
+        ? { key, dir: sortState.dir === 'asc' ? 'desc' : 'asc' }
+        : { key, dir: key === 'tanggal' ? 'desc' : 'asc' };
+    filteredCache = sortJurnal(filteredCache);
+    currentPage = 1;
+    renderPage();
+}
+
+/**
+ * Filters changed — start again from the first page and update the shareable URL
+ */
+function applyFilters() {
+    currentPage = 1;
+    syncFilterUrl();
+    renderTable();
+}
+
+/**
+ * Delay a function until it hasn't been called for a while (used for the search box)
+ * @param {Function} fn - Function to run
+ * @param {number} wait - Quiet period in milliseconds
+ * @returns {Function} - Debounced function
+ */
+function debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+/**
+ * Handle clicks on the buttons of any row (one listener for the whole table)
+ * @param {MouseEvent} e - Click event from the table body
+ */
+function handleTableClick(e) {
+    const btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+    const id = Number(btn.dataset.id);
+    if (btn.classList.contains('edit-btn')) editJurnal(id);
+    else if (btn.classList.contains('delete-btn')) deleteJurnal(id);
+    else if (btn.classList.contains('history-btn')) showRiwayat(id);
+    else if (btn.classList.contains('tugas-btn')) openPengumpulan(id);
+    else if (btn.classList.contains('duplikat-btn')) openDuplikat(id);
+}
+
+/**
+ * Number of rows per page picked in the footer
+ * @returns {number} - Page size
+ */
+function getPageSize() {
+    return Number(pageSizeSelect && pageSizeSelect.value) || 25;
+}
+
+/**
+ * Jump to another page of the table (clamped to the available pages)
+ * @param {number} page - 1-based page number
+ */
+function goToPage(page) {
+    currentPage = page;
+    renderPage();
+}
 
-    // Update total count
+/**
+ * Render the journal table with filtered/sorted data
+ * Applies all filters (class, month, search) and then shows the current page
+ */
+function renderTable() {
+    // The table is hidden for students and parents; don't build rows with classmates' names either
+    if (isPortalRole()) return;
+    filteredCache = getFilteredJurnal();
+    renderPage();
+}
+
+/**
+ * Show one page of the cached, filtered journals
+ * Only the rows on screen are built, so large archives stay responsive
+ */
+function renderPage() {
+    const filteredData = filteredCache;
+    const isAdmin = canViewAllJurnal();
+    const pageSize = getPageSize();
+    const pageCount = Math.max(1, Math.ceil(filteredData.length / pageSize));
+    currentPage = Math.min(Math.max(1, currentPage), pageCount);
+    const start = (currentPage - 1) * pageSize;
+
+    // Update total count, paging footer and sort indicators
     totalJurnal.textContent = filteredData.length;
+    updatePagination(start, Math.min(start + pageSize, filteredData.length), pageCount);
+    updateSortIndicators();
 
     // Show "no results" message if no journals match filters
     if (filteredData.length === 0) {
         tableBody.innerHTML = `
             <tr>
-                <td colspan="8" class="px-6 py-12 text-center text-gray-500">
+                <td colspan="${isAdmin ? 9 : 8}" class="px-6 py-12 text-center text-gray-500">
                     <div class="text-4xl mb-4"></div>
                     <p>Tidak ada jurnal yang ditemukan</p>
                     <p class="text-sm mt-2">Coba ubah filter atau tambahkan jurnal baru</p>
@@ -252,18 +825,54 @@ function renderTable() {
         return;
     }
 
-    // Build the table with all filtered journals — show row number, date, time, class, attendance, and action buttons
-    tableBody.innerHTML = filteredData.map((jurnal, index) => {
+    const showHistory = currentUser && currentUser.role !== 'student';
+
+    // Search terms are highlighted wherever they matched
+    const terms = getSearchTerms(searchMateri.value);
+
+    // Build the rows of this page — show row number, date, time, class, attendance, and action buttons
+    tableBody.innerHTML = filteredData.slice(start, start + pageSize).map((jurnal, index) => {
         // Build action buttons based on user role — students can only view, teachers and admins can edit/delete
         let actionCell = '';
-        if (currentUser && (currentUser.role === 'teacher' || currentUser.role === 'admin')) {
+        // Teachers and admins can open the change log of any row they can see
+        const historyBtn = showHistory
+            ? `<button data-id="${jurnal.id}" class="history-btn block mt-1 text-gray-500 hover:text-gray-800 transition-colors duration-200">Riwayat</button>`
+            : '';
+        // Teachers can copy their own entries to other classes, even locked ones
+        const duplikatBtn = canWriteJurnal() && isJurnalOwner(jurnal)
+            ? `<button data-id="${jurnal.id}" class="duplikat-btn block mt-1 text-gray-500 hover:text-gray-800 transition-colors duration-200">Duplikat</button>`
+            : '';
+        if (canModifyJurnal(jurnal)) {
             // Teachers and admins can edit and delete
             actionCell = `<td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
                 <button data-id="${jurnal.id}" class="edit-btn text-indigo-600 hover:text-indigo-900 mr-3 transition-colors duration-200">Edit</button>
                 <button data-id="${jurnal.id}" class="delete-btn text-red-600 hover:text-red-900 transition-colors duration-200">Hapus</button>
+                ${historyBtn}
+                ${duplikatBtn}
+            </td>`;
+        } else if (isJurnalArchived(jurnal)) {
+            // Archived academic years are frozen for everyone
+            actionCell = `<td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-400">
+                Diarsipkan
+                ${historyBtn}
+                ${duplikatBtn}
+            </td>`;
+        } else if (isJurnalDisetujui(jurnal)) {
+            // Approved months are locked until a supervisor reopens them
+            actionCell = `<td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-400">
+                Terkunci
+                ${historyBtn}
+                ${duplikatBtn}
+            </td>`;
+        } else if (showHistory) {
+            // Supervisors (and admins looking at locked rows) can still read the change log
+            actionCell = `<td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-400">
+                View Only
+                ${historyBtn}
+                ${duplikatBtn}
             </td>`;
         } else {
-            // Students can only view — no action buttons
+            // Students (and anyone else who doesn't own the entry) can only view — no action buttons
             actionCell = `<td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-400">
                 View Only
             </td>`;
@@ -271,11 +880,16 @@ function renderTable() {
 
         return `
         <tr class="hover:bg-gray-50 transition-colors duration-200">
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${index + 1}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${start + index + 1}</td>
             <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                 <div class="font-medium">${jurnal.hari}</div>
                 <div class="text-gray-500">${formatDate(jurnal.tanggal)}</div>
+                ${renderSupervisiBadge(jurnal)}
             </td>
+            ${isAdmin ? `<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                <div class="font-medium">${jurnal.teacherName || jurnal.username || '-'}</div>
+                <div class="text-gray-500">${jurnal.mapel || ''}</div>
+            </td>` : ''}
             <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                 <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                     Jam ke-${jurnal.jamKe}
@@ -291,28 +905,85 @@ function renderTable() {
                 <div class="text-red-600">${jurnal.siswaTidakHadir} tidak hadir</div>
             </td>
             <td class="px-6 py-4 text-sm text-gray-900 max-w-xs">
-                <div class="truncate" title="${jurnal.namaSiswaTidakHadir}">
-                    ${jurnal.namaSiswaTidakHadir || '-'}
-                </div>
+                ${renderAbsentCell(jurnal, terms)}
             </td>
             <td class="px-6 py-4 text-sm text-gray-900 max-w-xs">
-                <div class="truncate" title="${jurnal.uraianMateri}">
-                    ${jurnal.uraianMateri}
+                <div class="truncate" title="${escapeHtml(jurnal.uraianMateri)}">
+                    ${highlightText(jurnal.uraianMateri, terms)}
                 </div>
+                ${jurnal.catatan ? `<div class="text-xs text-gray-500 mt-1 truncate" title="${escapeHtml(jurnal.catatan)}">Catatan: ${highlightText(jurnal.catatan, terms)}</div>` : ''}
+                ${renderTpBadges(jurnal)}
+                ${renderLampiranThumbs(jurnal)}
+                ${renderTugasRingkas(jurnal)}
+                ${renderSupervisiKomentar(jurnal)}
             </td>
             ${actionCell}
         </tr>`;
     }).join('');
+}
+
+/**
+ * Update the "x–y dari z" text and the previous/next buttons under the table
+ * @param {number} start - Index of the first row shown
+ * @param {number} end - Index after the last row shown
+ * @param {number} pageCount - Total number of pages
+ */
+function updatePagination(start, end, pageCount) {
+    if (pageInfo) {
+        pageInfo.textContent = end > start
+            ? `${start + 1}–${end} dari ${filteredCache.length} · halaman ${currentPage}/${pageCount}`
+            : '0 dari 0';
+    }
+    if (pagePrev) pagePrev.disabled = currentPage <= 1;
+    if (pageNext) pageNext.disabled = currentPage >= pageCount;
+}
+
+/**
+ * Mark the sorted column header with an arrow
+ */
+function updateSortIndicators() {
+    if (!tableHead) return;
+    tableHead.querySelectorAll('th[data-sort]').forEach(th => {
+        const indicator = th.querySelector('.sort-indicator');
+        if (!indicator) return;
+        const active = th.dataset.sort === sortState.key;
+        indicator.textContent = active ? (sortState.dir === 'asc' ? '▲' : '▼') : '';
+        th.setAttribute('aria-sort', active ? (sortState.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+}
 
-    // Attach click handlers to the Edit and Delete buttons that were just created (only if user can edit)
-    if (currentUser && (currentUser.role === 'teacher' || currentUser.role === 'admin')) {
-        document.querySelectorAll('.edit-btn').forEach(btn => 
-            btn.addEventListener('click', e => editJurnal(Number(e.currentTarget.dataset.id)))
-        );
-        document.querySelectorAll('.delete-btn').forEach(btn => 
-            btn.addEventListener('click', e => deleteJurnal(Number(e.currentTarget.dataset.id)))
-        );
+/**
+ * Build the "Siswa Tidak Hadir" cell for a journal row
+ * Roster-based entries get a status badge per student; older entries show their free text
+ * @param {Object} jurnal - The journal entry to display
+ * @param {Array<string>} [terms] - Search terms to highlight in the names
+ * @returns {string} - HTML for the cell contents
+ */
+function renderAbsentCell(jurnal, terms = []) {
+    if (!jurnal.kehadiran) {
+        return `<div class="truncate" title="${escapeHtml(jurnal.namaSiswaTidakHadir)}">
+                    ${jurnal.namaSiswaTidakHadir ? highlightText(jurnal.namaSiswaTidakHadir, terms) : '-'}
+                </div>`;
     }
+
+    const absent = jurnal.kehadiran.filter(k => k.status !== 'H');
+    if (absent.length === 0) return '<div class="text-gray-400">-</div>';
+    return `<div class="flex flex-wrap gap-1">
+                ${absent.map(k => `<span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${ATTENDANCE_STATUS[k.status].badge}" title="${ATTENDANCE_STATUS[k.status].label}">
+                    ${highlightText(k.nama, terms)} (${k.status})
+                </span>`).join('')}
+            </div>`;
+}
+
+/**
+ * Make sure a select has an option for a value (used for old entries outside the timetable)
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string} value - Option value
+ * @param {string} [label] - Option text (defaults to the value)
+ */
+function ensureSelectOption(select, value, label) {
+    if (!select || !value || [...select.options].some(o => o.value === value)) return;
+    select.add(new Option(label || value, value));
 }
 
 /**
@@ -329,10 +1000,12 @@ function formatDate(dateString) {
 
 /**
  * Save all journal data to localStorage
- * Called after any changes to ensure data persists across sessions
+ * Called after any changes to ensure data persists across sessions;
+ * firestore-sync.js picks the change up and uploads it to Firestore
  */
 function saveData() {
     localStorage.setItem('jurnalData', JSON.stringify(jurnalData));
+    notifyDataChanged('jurnalData');
 }
 
 /**
@@ -374,6 +1047,9 @@ function showNotification(message, type = 'info') {
 window.editJurnal = editJurnal;
 window.deleteJurnal = deleteJurnal;
 window.showNotification = showNotification;
+window.canViewAllJurnal = canViewAllJurnal;
+window.canWriteJurnal = canWriteJurnal;
+window.isPortalRole = isPortalRole;
 
 /**
  * Initialize localStorage with empty journal data
@@ -4,14 +4,19 @@
  * AUTHENTICATION MODULE — A DRAMA IN ONE ACT
  * ============================================================================
  * Responsible for politely convincing the browser that a person is who they
- * claim to be. Includes a few demo accounts for quick testing and general
- * merriment. Session postcards live in localStorage.
+ * claim to be. The password is checked by the api function, which also
+ * signs the browser in to Firebase Auth so the security rules know who is
+ * syncing (register.js, loginAtServer). Without internet the copy kept at
+ * this device's last login is used instead. A few demo accounts exist for
+ * quick testing and general merriment, but only on a development machine
+ * (localhost, where firebase-config.js uses the emulators). Session postcards
+ * live in localStorage.
  * ============================================================================
  */
 
 /**
  * Demo user accounts for testing (hardcoded for development)
- * In production, these should be removed and all users stored server-side
+ * Only accepted while DEMO_LOGIN is on; everywhere else the server decides
  */
 const DEMO_USERS = {
     'admin': {
@@ -24,16 +29,27 @@ const DEMO_USERS = {
         password: 'guru123',
         role: 'teacher',
         fullName: 'Riyan Setiawan, S.Kom.',
-        email: 'riyan@sekolah.com'
+        email: 'riyan@sekolah.com',
+        mapelMengajar: 'Informatika'
     },
     'siti': {
         password: 'guru456',
         role: 'teacher',
         fullName: 'Siti Nurhaliza',
-        email: 'siti@sekolah.com'
+        email: 'siti@sekolah.com',
+        mapelMengajar: 'Matematika'
+    },
+    'kepsek': {
+        password: 'kepsek123',
+        role: 'supervisor',
+        fullName: 'Kepala Sekolah',
+        email: 'kepsek@sekolah.com'
     }
 };
 
+// Demo logins only when served from this machine, like the emulators in firebase-config.js
+const DEMO_LOGIN = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
 // LocalStorage keys for session management
 const LOGIN_KEY = 'userSession';     // Stores current logged-in user data
 const REMEMBER_KEY = 'rememberUser'; // Stores username for "remember me" feature
@@ -78,12 +94,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Set up the login form with event listeners and remembered user functionality
- * Tries registered users first, then falls back to demo users
+ * Tries the server first (or this device's copy when offline), then the demo users on a development machine
  */
 function setupLoginForm() {
     const form = document.getElementById('loginForm');
     const errorMessage = document.getElementById('errorMessage');
     const rememberMe = document.getElementById('rememberMe');
+    const demoAccounts = document.getElementById('demoAccounts');
+    if (demoAccounts && DEMO_LOGIN) demoAccounts.style.display = '';
     
     // Check if user had previously clicked "remember me"
     const rememberedUser = localStorage.getItem(REMEMBER_KEY);
@@ -105,69 +123,67 @@ function setupLoginForm() {
             return;
         }
 
-        // STEP 1: Try to authenticate with registered users (from register.js)
+        // STEP 1: Try to authenticate with registered users at the server (from register.js)
+        let user = null;
         try {
-            const user = await authenticateUser(username, password);
-            if (user) {
-                // Create session data with user info
-                const sessionData = {
-                    id: user.id,
-                    username: user.username,
-                    fullName: user.fullName,
-                    role: user.role,
-                    email: user.email,
-                    loginTime: new Date().toISOString()
-                };
-                
-                // Store session in localStorage
-                localStorage.setItem(LOGIN_KEY, JSON.stringify(sessionData));
-                
-                // Handle "remember me" checkbox
-                if (rememberMe.checked) {
-                    localStorage.setItem(REMEMBER_KEY, username);
-                } else {
-                    localStorage.removeItem(REMEMBER_KEY);
-                }
-                
-                // Show success message and redirect
-                showSuccess('Selamat datang — login berhasil! Mengalihkan...');
-                setTimeout(() => {
-                    window.location.href = 'index.html';
-                }, 500);
-                return;
+            try {
+                user = await loginAtServer(username, password);
+            } catch (err) {
+                // No connection: fall back to the password this device saw at its last login
+                if (!err.offline) throw err;
+                user = await authenticateUser(username, password);
             }
         } catch (err) {
-            console.error('Registration auth error:', err);
+            // A wrong password (401) may still be a demo account; anything else is worth showing
+            if (err.status !== 401) {
+                console.error('Login error:', err);
+                showError(err.message);
+                return;
+            }
         }
 
-        // STEP 2: Fallback to demo users (for backward compatibility during development)
-        if (DEMO_USERS[username] && DEMO_USERS[username].password === password) {
-            const user = DEMO_USERS[username];
-            const sessionData = {
-                username: username,
-                fullName: user.fullName,
-                role: user.role,
-                email: user.email,
-                loginTime: new Date().toISOString()
-            };
-            
-            localStorage.setItem(LOGIN_KEY, JSON.stringify(sessionData));
-            
-            if (rememberMe.checked) {
-                localStorage.setItem(REMEMBER_KEY, username);
-            } else {
-                localStorage.removeItem(REMEMBER_KEY);
-            }
-            
-            showSuccess('Selamat datang — login berhasil! Mengalihkan...');
-            setTimeout(() => {
-                window.location.href = 'index.html';
-            }, 500);
-        } else {
-            // Neither registered user nor demo user matched
+        // STEP 2: Fall back to the demo users, on a development machine only
+        const demo = DEMO_USERS[username];
+        if (!user && DEMO_LOGIN && demo && demo.password === password) {
+            const { password: _password, ...demoUser } = demo;
+            user = { ...demoUser, username };
+        }
+
+        if (!user) {
+            // Neither a registered user nor a demo user matched
             showError('Nama pengguna atau kata sandi salah — coba lagi atau daftar dulu.');
             document.getElementById('password').value = ''; // Clear password field
+            return;
         }
+
+        // Create session data with user info
+        const sessionData = {
+            id: user.id,
+            username: user.username,
+            fullName: user.fullName,
+            role: user.role,
+            email: user.email,
+            mapelMengajar: user.mapelMengajar || '',
+            kelasMengajar: user.kelasMengajar || '',
+            studentId: user.studentId || null,
+            loginTime: new Date().toISOString()
+        };
+
+        // Store session in localStorage
+        localStorage.setItem(LOGIN_KEY, JSON.stringify(sessionData));
+
+        // Handle "remember me" checkbox
+        if (rememberMe.checked) {
+            localStorage.setItem(REMEMBER_KEY, username);
+        } else {
+            localStorage.removeItem(REMEMBER_KEY);
+        }
+
+        // Show success message and redirect
+        showSuccess('Selamat datang — login berhasil! Mengalihkan...');
+        setTimeout(() => {
+            window.location.href = 'index.html';
+        }, 500);
     });
 }
 
@@ -202,12 +218,15 @@ function showSuccess(message) {
 
 /**
  * Log out the current user
- * Clears session data and redirects to login page
+ * Clears session data, signs out of Firebase Auth (the sync stops) and redirects to login page
  */
-function logout() {
+async function logout() {
     if (confirm('Keluar sekarang? (Tenang, jurnal tetap aman)')) {
         localStorage.removeItem(LOGIN_KEY);      // Clear session
         localStorage.removeItem(REMEMBER_KEY);   // Clear remembered username
+        if (window.firebaseAuth) {
+            await window.firebaseAuth.signOut(window.firebaseAuth.auth).catch(() => {});
+        }
         window.location.href = 'login.html';     // Redirect to login
     }
 }
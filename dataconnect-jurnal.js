@@ -0,0 +1,39 @@
+/**
+ * ============================================================================
+ * DATA CONNECT MODULE — JURNAL JADI VARIABEL MUTASI
+ * ============================================================================
+ * Translates a journal entry from localStorage into the variables of the
+ * UpsertJournalEntry mutation (dataconnect/jurnal/mutations.gql). A classic
+ * script so dataconnect-sync.js and the Data Connect spec in functions/test
+ * share the same mapping. Needs tahunajaran.js for the academic period.
+ * ============================================================================
+ */
+
+/**
+ * Turn a journal entry from localStorage into UpsertJournalEntry variables
+ * Int64 ids travel as strings; old entries without createdAt use the id (Date.now() at creation)
+ * @param {Object} jurnal - Journal entry
+ * @returns {Object} - Variables for upsertJournalEntry()
+ */
+function toJournalVariables(jurnal) {
+    const periode = window.getJurnalPeriode(jurnal);
+    return {
+        id: String(jurnal.id),
+        teacherUsername: String(jurnal.username || jurnal.teacherId),
+        className: jurnal.kelas,
+        subjectName: jurnal.mapel || null,
+        date: jurnal.tanggal,
+        day: jurnal.hari || '',
+        period: String(jurnal.jamKe || ''),
+        academicYear: periode.tahunAjaran || '',
+        semester: periode.semester || '',
+        presentCount: Number(jurnal.siswaHadir) || 0,
+        absentCount: Number(jurnal.siswaTidakHadir) || 0,
+        absentNames: jurnal.namaSiswaTidakHadir || null,
+        material: jurnal.uraianMateri || '',
+        notes: jurnal.catatan || null,
+        createdAt: jurnal.createdAt || new Date(Number(jurnal.id)).toISOString()
+    };
+}
+
+window.toJournalVariables = toJournalVariables;
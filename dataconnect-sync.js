@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * DATA CONNECT — JURNAL KE DATABASE RELASIONAL
+ * ============================================================================
+ * Mirrors every journal the dashboard saves into the Data Connect
+ * (PostgreSQL) schema in dataconnect/, through the SDK generated for the
+ * "jurnal" connector: the teacher, class and subject first, then the entry
+ * and one attendance record per student. Deleted journals are deleted there
+ * too. Runs once the Firebase Auth user of this session is signed in, whose
+ * claims the connector checks: teachers push their own journals, admins
+ * everyone's (dataconnect-jurnal.js builds the variables).
+ * On localhost it talks to the Data Connect emulator (port 9399).
+ * ============================================================================
+ */
+import { getDataConnect, connectDataConnectEmulator } from "firebase/data-connect";
+import { onAuthStateChanged } from "firebase/auth";
+import {
+  connectorConfig, upsertTeacher, upsertSubject, upsertStudent, upsertJournalEntry, recordAttendance, deleteJournalEntry,
+} from "@dataconnect/generated";
+import { useEmulators, auth } from "./firebase-config.js";
+
+// journal id → fingerprint of the version last written to Data Connect
+const PUSHED_KEY = "dataConnectSyncState";
+const SESSION_KEY = "userSession";
+
+const dataConnect = getDataConnect(connectorConfig);
+if (useEmulators) {
+  connectDataConnectEmulator(dataConnect, "127.0.0.1", 9399);
+}
+
+// Writes run one after another so an edit never overtakes the create before it
+let queue = Promise.resolve();
+// Claims of the signed-in account; nothing is pushed before they are known
+let claims = null;
+
+function getPushed() {
+  return JSON.parse(localStorage.getItem(PUSHED_KEY) || "{}");
+}
+
+function savePushed(pushed) {
+  localStorage.setItem(PUSHED_KEY, JSON.stringify(pushed));
+}
+
+/**
+ * Whether the signed-in account may write this journal (mutations.gql)
+ * @param {Object} variables - Variables from toJournalVariables()
+ * @returns {boolean} - True for admins and the journal's own teacher
+ */
+function canPush(variables) {
+  return claims.role === "admin"
+    || claims.role === "teacher" && variables.teacherUsername === claims.username;
+}
+
+/**
+ * Write one journal with its teacher, subject, students and attendance
+ * @param {Object} jurnal - Journal entry
+ */
+async function pushJournal(jurnal) {
+  const variables = window.toJournalVariables(jurnal);
+  const users = window.getRegisteredUsers();
+  const account = users.find(u => u.username === variables.teacherUsername);
+
+  if (variables.subjectName) await upsertSubject({ name: variables.subjectName });
+  await upsertTeacher({
+    username: variables.teacherUsername,
+    fullName: jurnal.teacherName || variables.teacherUsername,
+    role: account ? account.role : "teacher",
+    email: account && account.email ? account.email : null,
+    subjectName: variables.subjectName,
+  });
+  await upsertJournalEntry(variables);
+
+  // Only per-student attendance has ids; old free-text names stay in absentNames
+  const students = new Map(users.map(u => [u.id, u]));
+  for (const k of (jurnal.kehadiran || []).filter(k => k.studentId)) {
+    const student = students.get(k.studentId);
+    await upsertStudent({
+      id: String(k.studentId),
+      fullName: k.nama,
+      nisn: student && student.nisn ? student.nisn : null,
+      className: student && student.kelasMengajar ? student.kelasMengajar : jurnal.kelas,
+    });
+    await recordAttendance({ journalEntryId: variables.id, studentId: String(k.studentId), status: k.status });
+  }
+}
+
+/**
+ * Write journals that changed since the last push and delete removed ones
+ */
+function pushJournalChanges() {
+  if (!claims) return queue;
+  queue = queue.then(async () => {
+    const pushed = getPushed();
+    const journals = JSON.parse(localStorage.getItem("jurnalData") || "[]");
+    const ids = new Set();
+
+    for (const jurnal of journals) {
+      const id = String(jurnal.id);
+      ids.add(id);
+      const variables = window.toJournalVariables(jurnal);
+      if (!canPush(variables)) continue;
+      const print = JSON.stringify(variables) + JSON.stringify(jurnal.kehadiran || []);
+      if (pushed[id] === print) continue;
+      try {
+        await pushJournal(jurnal);
+        pushed[id] = print;
+      } catch (err) {
+        console.warn(`Data Connect: jurnal ${id} belum terkirim:`, err);
+      }
+    }
+
+    for (const id of Object.keys(pushed).filter(id => !ids.has(id))) {
+      try {
+        await deleteJournalEntry({ id });
+        delete pushed[id];
+      } catch (err) {
+        console.warn(`Data Connect: hapus jurnal ${id} gagal:`, err);
+      }
+    }
+
+    savePushed(pushed);
+  });
+  return queue;
+}
+
+// For the classic scripts
+window.jurnalDataConnect = { sync: pushJournalChanges };
+
+window.addEventListener("local-data-changed", e => {
+  if (e.detail.key === "jurnalData") pushJournalChanges();
+});
+// Journals that arrived from other devices, or were saved while offline
+window.addEventListener("firestore-data-updated", e => {
+  if (e.detail.key === "jurnalData") pushJournalChanges();
+});
+window.addEventListener("online", pushJournalChanges);
+
+// Push as the account of this session only, as firestore-sync.js does
+onAuthStateChanged(auth, async user => {
+  const session = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+  if (!user || claims || !session) return;
+  const token = await user.getIdTokenResult().catch(err => console.warn("Token login tidak bisa dibaca:", err));
+  if (!token || token.claims.appId !== session.id || claims) return;
+  claims = token.claims;
+  pushJournalChanges();
+});
@@ -0,0 +1,239 @@
+/**
+ * ============================================================================
+ * DRAF MODULE — SIMPAN OTOMATIS ISIAN FORM JURNAL
+ * ============================================================================
+ * Whatever is typed in the journal form is saved as a draft a moment after
+ * each change, so closing the tab or an expired session doesn't lose it.
+ * Drafts belong to the user who typed them and stay on this device (they
+ * are not synced). On the next visit the newest draft is put back in the
+ * form; the others wait in the draft list. A draft of an edit remembers
+ * which journal it edits. Saving or cancelling the form removes its draft.
+ * Attachments are not part of a draft; pick them again before saving.
+ * ============================================================================
+ */
+
+// LocalStorage key of every user's drafts on this device
+const DRAF_KEY = 'drafJurnal';
+// How long the form must be idle before the draft is written (ms)
+const DRAF_DEBOUNCE_MS = 800;
+// Form fields copied into a draft, by element id
+const DRAF_FIELDS = [
+    'hari', 'tanggal', 'jamKe', 'kelas', 'siswaHadir', 'siswaTidakHadir', 'namaSiswaTidakHadir',
+    'uraianMateri', 'catatan', 'tugasJudul', 'tugasDeskripsi', 'tugasTenggat'
+];
+
+// Draft the form is currently writing to (null until the first change)
+let activeDrafId = null;
+let drafTimer = null;
+
+/**
+ * Load every draft on this device
+ * @returns {Array<{id: number, ownerId: (string|number), editingId: (number|null), updatedAt: string, fields: Object, kehadiran: (Array|null), tujuanPembelajaran: Array}>} - Drafts
+ */
+function getAllDraf() {
+    const raw = localStorage.getItem(DRAF_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save every draft on this device
+ * @param {Array} drafts - Drafts
+ */
+function saveAllDraf(drafts) {
+    localStorage.setItem(DRAF_KEY, JSON.stringify(drafts));
+}
+
+/**
+ * Drafts of the logged-in user, newest first
+ * @returns {Array} - Drafts
+ */
+function getMyDraf() {
+    const ownerId = getCurrentAuthorId();
+    return getAllDraf()
+        .filter(d => d.ownerId === ownerId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Remove a draft
+ * @param {number} id - Draft id
+ */
+function deleteDraf(id) {
+    saveAllDraf(getAllDraf().filter(d => d.id !== id));
+    if (activeDrafId === id) activeDrafId = null;
+}
+
+/**
+ * Read the form into a draft body
+ * @returns {{fields: Object, kehadiran: (Array|null), tujuanPembelajaran: Array}} - Form state
+ */
+function readDrafForm() {
+    const fields = {};
+    DRAF_FIELDS.forEach(id => { fields[id] = document.getElementById(id).value; });
+    return {
+        fields,
+        kehadiran: rosterList && rosterList.children.length > 0 ? collectRoster(rosterList) : null,
+        tujuanPembelajaran: collectTpPicker()
+    };
+}
+
+/**
+ * Write the form into the active draft (a new one on the first change)
+ * An emptied form drops its draft
+ */
+function autosaveDraf() {
+    clearTimeout(drafTimer);
+    if (!canWriteJurnal()) return;
+    const state = readDrafForm();
+    const isEmpty = Object.entries(state.fields).every(([id, value]) => id === 'hari' || !value);
+    const drafts = getAllDraf();
+    const existing = drafts.find(d => d.id === activeDrafId);
+
+    if (isEmpty) {
+        if (existing) deleteDraf(existing.id);
+        renderDrafList();
+        return;
+    }
+
+    const draf = existing || { id: Date.now(), ownerId: getCurrentAuthorId() };
+    Object.assign(draf, state, { editingId, updatedAt: new Date().toISOString() });
+    if (!existing) drafts.push(draf);
+    saveAllDraf(drafts);
+    activeDrafId = draf.id;
+    renderDrafList();
+    const status = document.getElementById('drafStatus');
+    if (status) {
+        status.textContent = `Draf tersimpan otomatis ${new Date(draf.updatedAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })}`;
+    }
+}
+
+/**
+ * Put a draft back into the form and keep writing to it
+ * @param {Object} draf - Draft to open
+ */
+function loadDraf(draf) {
+    resetForm();
+    const jurnal = draf.editingId ? jurnalData.find(j => j.id === draf.editingId) : null;
+    if (jurnal && canModifyJurnal(jurnal)) editJurnal(jurnal.id);
+
+    const { fields } = draf;
+    ensureSelectOption(document.getElementById('jamKe'), fields.jamKe, `Jam ke-${fields.jamKe}`);
+    ensureSelectOption(kelasSelect, fields.kelas);
+    DRAF_FIELDS.forEach(id => { document.getElementById(id).value = fields[id] || ''; });
+
+    // The roster and objectives depend on the class, so they come back after it
+    if (fields.kelas) {
+        loadRosterForForm(draf.kehadiran || undefined);
+        renderTpPicker(getFormMapel(), fields.kelas, draf.tujuanPembelajaran || []);
+    }
+    if (!draf.kehadiran) {
+        document.getElementById('siswaHadir').value = fields.siswaHadir;
+        document.getElementById('siswaTidakHadir').value = fields.siswaTidakHadir;
+    }
+    if (fields.tugasJudul || fields.tugasDeskripsi || fields.tugasTenggat) {
+        document.getElementById('tugasSection').open = true;
+    }
+    activeDrafId = draf.id;
+    renderDrafList();
+}
+
+/**
+ * Stop writing to the current draft without removing it (the form was cleared)
+ */
+function detachDraf() {
+    clearTimeout(drafTimer);
+    activeDrafId = null;
+    const status = document.getElementById('drafStatus');
+    if (status) status.textContent = '';
+    renderDrafList();
+}
+
+/**
+ * Remove the draft of the form (the journal was saved or the edit cancelled)
+ */
+function discardActiveDraf() {
+    clearTimeout(drafTimer);
+    if (activeDrafId !== null) deleteDraf(activeDrafId);
+    renderDrafList();
+}
+
+/**
+ * Draw the list of the user's drafts
+ */
+function renderDrafList() {
+    const container = document.getElementById('drafContainer');
+    const list = document.getElementById('drafList');
+    if (!container || !list) return;
+    const drafts = getMyDraf();
+    container.style.display = drafts.length ? '' : 'none';
+    document.getElementById('drafCount').textContent = drafts.length;
+
+    list.innerHTML = drafts.map(d => {
+        const { fields } = d;
+        const judul = [
+            fields.tanggal ? `${fields.hari ? `${fields.hari}, ` : ''}${formatDate(fields.tanggal)}` : 'Tanpa tanggal',
+            fields.jamKe ? `Jam ke-${fields.jamKe}` : '',
+            fields.kelas
+        ].filter(Boolean).join(' · ');
+        const materi = fields.uraianMateri.length > 80 ? `${fields.uraianMateri.slice(0, 80)}…` : fields.uraianMateri;
+        return `
+            <div class="flex flex-col md:flex-row md:items-center justify-between gap-2 py-2">
+                <div class="text-sm text-gray-100">
+                    <span class="font-medium text-white">${escapeHtml(judul)}</span>
+                    ${d.editingId ? '<span class="text-xs text-amber-200">(perubahan jurnal)</span>' : ''}
+                    ${d.id === activeDrafId ? '<span class="text-xs text-green-200">· sedang dibuka</span>' : ''}
+                    <div class="text-xs text-gray-300">${escapeHtml(materi || '-')} · ${new Date(d.updatedAt).toLocaleString('id-ID')}</div>
+                </div>
+                <div class="flex gap-3 text-sm whitespace-nowrap">
+                    ${d.id === activeDrafId ? '' : `<button type="button" data-draf-id="${d.id}" class="draf-buka text-indigo-200 hover:text-white">Lanjutkan</button>`}
+                    <button type="button" data-draf-id="${d.id}" class="draf-hapus text-red-200 hover:text-white">Hapus</button>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Wire up autosave, the draft list and the restore on load (journal writers only)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    if (!form || !currentUser || !canWriteJurnal()) return;
+
+    const queue = () => {
+        clearTimeout(drafTimer);
+        drafTimer = setTimeout(autosaveDraf, DRAF_DEBOUNCE_MS);
+    };
+    form.addEventListener('input', queue);
+    form.addEventListener('change', queue);
+    // Save right away when the tab goes away
+    window.addEventListener('pagehide', () => { if (drafTimer) autosaveDraf(); });
+
+    document.getElementById('drafList').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-draf-id]');
+        if (!btn) return;
+        const id = Number(btn.dataset.drafId);
+        if (btn.classList.contains('draf-buka')) {
+            if (drafTimer) autosaveDraf();
+            const draf = getMyDraf().find(d => d.id === id);
+            if (draf) loadDraf(draf);
+            form.scrollIntoView({ behavior: 'smooth' });
+        } else if (btn.classList.contains('draf-hapus')) {
+            if (!confirm('Hapus draf ini?')) return;
+            const wasActive = id === activeDrafId;
+            deleteDraf(id);
+            if (wasActive) resetForm();
+            renderDrafList();
+        }
+    });
+
+    const [latest] = getMyDraf();
+    if (latest) {
+        loadDraf(latest);
+        showNotification('Draf jurnal terakhir dipulihkan. Draf lain ada di daftar Draf Tersimpan.', 'info');
+    }
+    renderDrafList();
+});
+
+// Expose globally
+window.getMyDraf = getMyDraf;
+window.detachDraf = detachDraf;
+window.discardActiveDraf = discardActiveDraf;
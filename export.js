@@ -0,0 +1,344 @@
+/**
+ * ============================================================================
+ * EXPORT MODULE — REKAP JURNAL MENGAJAR
+ * ============================================================================
+ * Turns whatever the dashboard is currently showing into the monthly agenda
+ * format the principal expects: an XLSX/CSV file for the spreadsheet people
+ * and a print-ready page (save as PDF) with kop sekolah and signature blocks.
+ * No more retyping the table into the school template every month.
+ * ============================================================================
+ */
+
+// LocalStorage key for the school header and signature details
+const REKAP_SETTINGS_KEY = 'rekapSettings';
+
+// Column headers of the standard agenda format, in order
+const REKAP_COLUMNS = ['No', 'Hari/Tanggal', 'Jam ke', 'Kelas', 'Materi', 'Hadir/Tidak Hadir', 'Keterangan', 'Lampiran'];
+
+/**
+ * Load the school header and signature details used in the rekap
+ * @returns {Object} - Settings with school name, address, principal and teacher NIPs
+ */
+function getRekapSettings() {
+    const saved = localStorage.getItem(REKAP_SETTINGS_KEY);
+    return {
+        namaSekolah: '',
+        alamatSekolah: '',
+        kepalaSekolah: '',
+        nipKepalaSekolah: '',
+        nipGuru: {},               // NIP per teacher, keyed by author id
+        ...(saved ? JSON.parse(saved) : {})
+    };
+}
+
+/**
+ * Save the school header and signature details for the next export
+ * @param {Object} settings - Settings object from getRekapSettings()
+ */
+function saveRekapSettings(settings) {
+    localStorage.setItem(REKAP_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Order journals like a paper agenda (oldest first, then by period)
+ * @param {Array} journals - Journal entries to export
+ * @returns {Array} - New sorted array
+ */
+function sortRekapJournals(journals) {
+    return [...journals].sort((a, b) => a.tanggal.localeCompare(b.tanggal) || Number(a.jamKe) - Number(b.jamKe));
+}
+
+/**
+ * Describe a journal's attachments for spreadsheet cells: file names, with the link once uploaded
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - One attachment per line, or "-"
+ */
+function describeLampiran(jurnal) {
+    if (!jurnal.lampiran || jurnal.lampiran.length === 0) return '-';
+    return jurnal.lampiran.map(meta => meta.url ? `${meta.nama} (${meta.url})` : meta.nama).join('\n');
+}
+
+/**
+ * Convert journal entries into rekap rows (oldest first, like a paper agenda)
+ * @param {Array} journals - Journal entries to export
+ * @returns {Array<Array<string|number>>} - One array per row, matching REKAP_COLUMNS
+ */
+function buildRekapRows(journals) {
+    return sortRekapJournals(journals)
+        .map((j, index) => [
+            index + 1,
+            `${j.hari}, ${formatDate(j.tanggal)}`,
+            j.jamKe,
+            j.kelas,
+            j.uraianMateri,
+            `${j.siswaHadir}/${j.siswaTidakHadir}`,
+            j.namaSiswaTidakHadir || '-',
+            describeLampiran(j)
+        ]);
+}
+
+/**
+ * Work out whose rekap this is and which period it covers
+ * Admins exporting a single teacher (Guru filter) get that teacher's name
+ * @param {Array} journals - Journal entries being exported
+ * @returns {{teacherId: string, teacherName: string, mapel: string, periode: string}} - Header details
+ */
+function getRekapHeader(journals) {
+    let teacherId = getCurrentAuthorId();
+    let teacherName = currentUser ? currentUser.fullName || currentUser.username : '';
+    let mapel = currentUser ? currentUser.mapelMengajar || '' : '';
+
+    if (canViewAllJurnal()) {
+        const sample = filterGuru && filterGuru.value
+            ? journals.find(j => String(j.teacherId) === filterGuru.value)
+            : null;
+        teacherId = sample ? sample.teacherId : '';
+        teacherName = sample ? sample.teacherName || sample.username : 'Semua Guru';
+        mapel = sample ? sample.mapel || '' : '';
+    }
+
+    // Period label from the semester/month filters plus the year(s) found in the data
+    const years = [...new Set(journals.map(j => j.tanggal.substring(0, 4)))].sort();
+    const bulan = filterBulan && filterBulan.value
+        ? filterBulan.options[filterBulan.selectedIndex].text
+        : 'Semua Bulan';
+    const semester = filterSemester && filterSemester.value ? `Semester ${filterSemester.value} ` : '';
+    const tahunAjaran = filterTahunAjaran && filterTahunAjaran.value ? ` (TA ${filterTahunAjaran.value})` : '';
+    const periode = `${semester}${bulan} ${years.join('/')}${tahunAjaran}`.trim();
+
+    return { teacherId: String(teacherId), teacherName, mapel, periode };
+}
+
+/**
+ * Build a file name like "rekap-jurnal-9A-November-2025"
+ * @param {Object} header - Header details from getRekapHeader()
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - Safe file name
+ */
+function getRekapFileName(header, extension) {
+    const selectedKelas = getSelectedKelas();
+    const kelas = selectedKelas.length ? `-${selectedKelas.join('-')}` : '';
+    const slug = `rekap-jurnal${kelas}-${header.periode}`.replace(/[^a-zA-Z0-9-]+/g, '-');
+    return `${slug}.${extension}`;
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Quote a value for CSV (always quoted, inner quotes doubled)
+ * @param {string|number} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+function toCsvCell(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Export the journals as CSV (semicolon separated so Excel in id-ID opens it cleanly)
+ * @param {Array} journals - Journal entries to export
+ */
+function exportRekapCsv(journals) {
+    const header = getRekapHeader(journals);
+    const lines = [REKAP_COLUMNS, ...buildRekapRows(journals)]
+        .map(row => row.map(toCsvCell).join(';'));
+    // BOM so Excel reads the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }),
+        getRekapFileName(header, 'csv'));
+}
+
+/**
+ * Export the journals as an XLSX workbook using SheetJS
+ * Falls back to CSV when the SheetJS script could not be loaded
+ * @param {Array} journals - Journal entries to export
+ */
+function exportRekapXlsx(journals) {
+    if (typeof XLSX === 'undefined') {
+        showNotification('Modul Excel belum termuat — file diekspor sebagai CSV.', 'info');
+        exportRekapCsv(journals);
+        return;
+    }
+
+    const header = getRekapHeader(journals);
+    const settings = getRekapSettings();
+    const sheet = XLSX.utils.aoa_to_sheet([
+        ['REKAP JURNAL MENGAJAR'],
+        [settings.namaSekolah],
+        [`Guru: ${header.teacherName}`, '', '', `NIP: ${settings.nipGuru[header.teacherId] || '-'}`],
+        [`Mata Pelajaran: ${header.mapel || '-'}`, '', '', `Periode: ${header.periode}`],
+        [],
+        REKAP_COLUMNS,
+        ...buildRekapRows(journals)
+    ]);
+    sheet['!cols'] = [{ wch: 5 }, { wch: 28 }, { wch: 8 }, { wch: 8 }, { wch: 50 }, { wch: 18 }, { wch: 40 }];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Rekap');
+    XLSX.writeFile(workbook, getRekapFileName(header, 'xlsx'));
+}
+
+/**
+ * Open a print-ready rekap (kop, table, signature blocks) and start printing
+ * Choose "Save as PDF" in the print dialog to get the PDF file
+ * @param {Array} journals - Journal entries to export
+ */
+function exportRekapPdf(journals) {
+    const header = getRekapHeader(journals);
+    const settings = getRekapSettings();
+    const today = new Date().toLocaleDateString('id-ID', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    // Printed rekap shows the photo thumbnails instead of file names
+    const sorted = sortRekapJournals(journals);
+    const rows = buildRekapRows(sorted).map((row, index) => {
+        const lampiran = (sorted[index].lampiran || []).map(meta => meta.thumb
+            ? `<img src="${meta.thumb}" alt="${escapeHtml(meta.nama)}" class="thumb">`
+            : `<div>${escapeHtml(meta.nama)}</div>`).join('') || '-';
+        return `<tr>${row.slice(0, -1).map(cell => `<td>${cell}</td>`).join('')}<td>${lampiran}</td></tr>`;
+    }).join('');
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showNotification('Jendela cetak diblokir browser — izinkan pop-up lalu coba lagi.', 'error');
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="id">
+<head>
+    <meta charset="UTF-8">
+    <title>${getRekapFileName(header, 'pdf')}</title>
+    <style>
+        @page { size: A4 landscape; margin: 15mm; }
+        body { font-family: 'Times New Roman', serif; font-size: 12px; color: #000; }
+        .kop { text-align: center; border-bottom: 3px double #000; padding-bottom: 8px; margin-bottom: 12px; }
+        .kop h1 { font-size: 18px; margin: 0; text-transform: uppercase; }
+        .kop p { margin: 2px 0; }
+        h2 { text-align: center; font-size: 14px; margin: 8px 0 12px; }
+        .info td { padding: 2px 8px 2px 0; }
+        table.rekap { width: 100%; border-collapse: collapse; margin-top: 12px; }
+        table.rekap th, table.rekap td { border: 1px solid #000; padding: 4px 6px; vertical-align: top; }
+        table.rekap th { background: #eee; }
+        table.rekap img.thumb { width: 48px; height: 48px; object-fit: cover; margin: 0 2px 2px 0; }
+        .ttd { display: flex; justify-content: space-between; margin-top: 32px; page-break-inside: avoid; }
+        .ttd div { width: 40%; text-align: center; }
+        .ttd .nama { margin-top: 64px; font-weight: bold; text-decoration: underline; }
+    </style>
+</head>
+<body>
+    <div class="kop">
+        <h1>${settings.namaSekolah || 'Nama Sekolah'}</h1>
+        <p>${settings.alamatSekolah || ''}</p>
+    </div>
+    <h2>REKAP JURNAL MENGAJAR</h2>
+    <table class="info">
+        <tr><td>Nama Guru</td><td>: ${header.teacherName}</td></tr>
+        <tr><td>NIP</td><td>: ${settings.nipGuru[header.teacherId] || '-'}</td></tr>
+        <tr><td>Mata Pelajaran</td><td>: ${header.mapel || '-'}</td></tr>
+        <tr><td>Periode</td><td>: ${header.periode}</td></tr>
+    </table>
+    <table class="rekap">
+        <thead><tr>${REKAP_COLUMNS.map(c => `<th>${c}</th>`).join('')}</tr></thead>
+        <tbody>${rows || `<tr><td colspan="${REKAP_COLUMNS.length}" style="text-align:center">Tidak ada jurnal</td></tr>`}</tbody>
+    </table>
+    <div class="ttd">
+        <div>
+            <p>Mengetahui,</p>
+            <p>Kepala Sekolah</p>
+            <p class="nama">${settings.kepalaSekolah || '................................'}</p>
+            <p>NIP. ${settings.nipKepalaSekolah || '................................'}</p>
+        </div>
+        <div>
+            <p>${today}</p>
+            <p>Guru Mata Pelajaran</p>
+            <p class="nama">${header.teacherName}</p>
+            <p>NIP. ${settings.nipGuru[header.teacherId] || '................................'}</p>
+        </div>
+    </div>
+</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+/**
+ * Fill the export panel with saved settings for the current teacher
+ */
+function loadRekapSettingsForm() {
+    const settings = getRekapSettings();
+    const header = getRekapHeader(getFilteredJurnal());
+    document.getElementById('rekapNamaSekolah').value = settings.namaSekolah;
+    document.getElementById('rekapAlamatSekolah').value = settings.alamatSekolah;
+    document.getElementById('rekapKepalaSekolah').value = settings.kepalaSekolah;
+    document.getElementById('rekapNipKepalaSekolah').value = settings.nipKepalaSekolah;
+    document.getElementById('rekapNipGuru').value = settings.nipGuru[header.teacherId] || '';
+}
+
+/**
+ * Save the export panel fields so the next rekap already has them
+ */
+function saveRekapSettingsForm() {
+    const settings = getRekapSettings();
+    const header = getRekapHeader(getFilteredJurnal());
+    settings.namaSekolah = document.getElementById('rekapNamaSekolah').value.trim();
+    settings.alamatSekolah = document.getElementById('rekapAlamatSekolah').value.trim();
+    settings.kepalaSekolah = document.getElementById('rekapKepalaSekolah').value.trim();
+    settings.nipKepalaSekolah = document.getElementById('rekapNipKepalaSekolah').value.trim();
+    if (header.teacherId) {
+        settings.nipGuru[header.teacherId] = document.getElementById('rekapNipGuru').value.trim();
+    }
+    saveRekapSettings(settings);
+}
+
+/**
+ * Run an export on the currently filtered journals
+ * @param {string} format - 'xlsx', 'csv' or 'pdf'
+ */
+function exportRekap(format) {
+    saveRekapSettingsForm();
+    const journals = getFilteredJurnal();
+    if (journals.length === 0) {
+        showNotification('Tidak ada jurnal untuk diekspor — ubah filter dulu.', 'error');
+        return;
+    }
+
+    if (format === 'xlsx') exportRekapXlsx(journals);
+    else if (format === 'csv') exportRekapCsv(journals);
+    else if (format === 'pdf') exportRekapPdf(journals);
+}
+
+/**
+ * Wire up the export panel on the dashboard
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const toggle = document.getElementById('exportToggle');
+    const panel = document.getElementById('exportPanel');
+    if (!toggle || !panel) return;
+
+    toggle.addEventListener('click', () => {
+        const opening = panel.style.display === 'none';
+        if (opening) loadRekapSettingsForm();
+        panel.style.display = opening ? 'block' : 'none';
+    });
+    panel.querySelectorAll('[data-export]').forEach(btn =>
+        btn.addEventListener('click', () => exportRekap(btn.dataset.export))
+    );
+});
+
+// Expose globally
+window.exportRekap = exportRekap;
+window.getRekapSettings = getRekapSettings;
+window.buildRekapRows = buildRekapRows;
@@ -1,6 +1,8 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
 import { getAnalytics } from "firebase/analytics";
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signOut, onAuthStateChanged } from "firebase/auth";
+import { getStorage, connectStorageEmulator, ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
 // TODO: Add SDKs for Firebase products that you want to use
 // https://firebase.google.com/docs/web/setup#available-libraries
 
@@ -18,4 +20,33 @@ const firebaseConfig = {
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
-const analytics = getAnalytics(app);
\ No newline at end of file
+const analytics = getAnalytics(app);
+
+// On localhost everything goes to the emulators (firebase emulators:start)
+export const useEmulators = ["localhost", "127.0.0.1"].includes(window.location.hostname);
+export { app };
+
+// The app's own accounts are checked by the api function, which answers a login with a custom token
+// for Firebase Auth (functions/akun.js); the security rules trust the claims of that token
+export const API_URL = useEmulators
+  ? "http://127.0.0.1:5001/focus-app-834ac/asia-southeast1/api"
+  : "https://asia-southeast1-focus-app-834ac.cloudfunctions.net/api";
+const auth = getAuth(app);
+if (useEmulators) {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+}
+export { auth };
+
+// Storage for journal attachments
+const storage = getStorage(app);
+if (useEmulators) {
+  connectStorageEmulator(storage, "127.0.0.1", 9199);
+}
+
+// The dashboard scripts are classic scripts, so hand them Storage through window
+window.firebaseStorage = { storage, ref, uploadBytes, getDownloadURL, deleteObject };
+window.dispatchEvent(new Event("firebase-storage-ready"));
+
+// Login, registration and logout (auth.js, register.js) are classic scripts too
+window.firebaseAuth = { auth, signInWithCustomToken, signOut, onAuthStateChanged, API_URL };
+window.dispatchEvent(new Event("firebase-auth-ready"));
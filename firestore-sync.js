@@ -0,0 +1,568 @@
+/**
+ * ============================================================================
+ * FIRESTORE SYNC — JURNAL, PENGGUNA & KODE AUTENTIKASI DI CLOUD
+ * ============================================================================
+ * The pages keep reading and writing localStorage as before; this module
+ * mirrors the synced keys to Firestore so a teacher can switch laptops and
+ * the principal sees every journal. The timetable and academic calendar are
+ * synced too, since the reminder function reads them; the reminders it
+ * queues and the monthly supervisor reviews come back down to the dashboard.
+ * So are the school's master data and archived years (written by admins),
+ * the journals' edit history and trash, and the learning objectives.
+ * Firestore's persistent cache queues writes while offline. Every write
+ * also waits in our own queue until the server confirms it, so the header
+ * can show what is still pending and a reload (or a browser without the
+ * persistent cache) replays it. When the same record changed on two devices, the
+ * newer write wins and the other version is kept in a conflict log instead
+ * of being lost. Existing localStorage data is uploaded once on first run.
+ * Syncing starts once Firebase Auth holds the account of the session (the
+ * login signs in with a token from the api function). Each role follows only
+ * what firestore.rules let it read, and only sends what they let it write:
+ * teachers and supervisors get no auth codes and only their own reminders,
+ * students and parents only their own profile (and the child's) and the
+ * calendar. They read the class's journals from the api function instead,
+ * which leaves out classmates' names (and, for students, the teachers'
+ * notes). Password hashes never leave the server; old copies are dropped
+ * from this device. The master data is public, so the registration page
+ * fetches it without an account.
+ * ============================================================================
+ */
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator,
+  collection, doc, query, where, getDocs, getDocsFromServer, getDocFromServer, onSnapshot, setDoc, deleteDoc, writeBatch,
+} from "firebase/firestore";
+import { onAuthStateChanged } from "firebase/auth";
+import { app, auth, useEmulators, API_URL } from "./firebase-config.js";
+
+// Roles that work with journals; students and parents only see their own part
+const STAFF_ROLES = ["admin", "supervisor", "teacher"];
+// Roles whose journals come trimmed from the api function (present() in functions/api.js)
+const PORTAL_ROLES = ["student", "parent"];
+const isStaff = claims => STAFF_ROLES.includes(claims.role);
+const isAdmin = claims => claims.role === "admin";
+const isOwnRecord = (claims, record) => record.teacherId === claims.appId;
+
+// localStorage key → Firestore collection, the field that identifies a record, and (mirroring firestore.rules)
+// read: what the account follows — true (everything), false (nothing) or {field, values} (records whose field is one of values)
+// write: whether the account may store or delete a record
+// single: document id for a key that holds one object instead of a list of records
+const SYNCED_KEYS = {
+  jurnalData: {
+    collection: "jurnal", idField: "id",
+    read: isStaff,
+    write: (claims, r) => isAdmin(claims) || claims.role === "teacher" && isOwnRecord(claims, r),
+  },
+  registeredUsers: {
+    collection: "users", idField: "id",
+    read: claims => isStaff(claims) || { field: "id", values: [claims.appId, claims.studentId].filter(v => v != null) },
+    write: (claims, r) => isAdmin(claims) || r.id === claims.appId,
+  },
+  authCodes: { collection: "authCodes", idField: "code", read: isAdmin, write: isAdmin },
+  jadwalPelajaran: {
+    collection: "jadwal", idField: "id",
+    read: isStaff,
+    write: (claims, r) => isAdmin(claims) || claims.role === "teacher" && isOwnRecord(claims, r),
+  },
+  kalenderAkademik: { collection: "kalender", idField: "id", read: () => true, write: isAdmin },
+  pengingatJurnal: {
+    collection: "pengingat", idField: "id",
+    read: claims => isAdmin(claims) || isStaff(claims) && { field: "teacherId", values: [claims.appId] },
+    write: (claims, r) => isAdmin(claims) || isOwnRecord(claims, r),
+  },
+  supervisiJurnal: {
+    collection: "supervisi", idField: "id",
+    read: isStaff,
+    write: (claims, r) => isAdmin(claims) || claims.role === "supervisor" || claims.role === "teacher" && isOwnRecord(claims, r),
+  },
+  masterData: { collection: "masterData", idField: "id", single: "sekolah", read: () => true, write: isAdmin },
+  arsipTahunAjaran: { collection: "arsipTahunAjaran", idField: "tahunAjaran", read: () => true, write: isAdmin },
+  riwayatJurnal: {
+    collection: "riwayat", idField: "id",
+    read: claims => isAdmin(claims) || claims.role === "supervisor" || claims.role === "teacher" && { field: "teacherId", values: [claims.appId] },
+    write: (claims, r) => isAdmin(claims) || claims.role === "teacher" && isOwnRecord(claims, r),
+  },
+  jurnalSampah: {
+    collection: "sampah", idField: "id",
+    read: claims => isAdmin(claims) || claims.role === "teacher" && { field: "teacherId", values: [claims.appId] },
+    write: (claims, r) => isAdmin(claims) || claims.role === "teacher" && isOwnRecord(claims, r),
+  },
+  tujuanPembelajaran: {
+    collection: "tujuanPembelajaran", idField: "id",
+    read: isStaff,
+    write: (claims, r) => isAdmin(claims) || claims.role === "teacher" && r.mapel === getOwnMapel(claims),
+  },
+};
+
+// Bookkeeping kept next to the data
+const SYNC_STATE_KEY = "firestoreSyncState";   // key → {docId: fingerprint of the last synced version}
+const MIGRATED_KEY = "firestoreMigratedAt";    // set once the one-time upload has run
+const CONFLICT_KEY = "firestoreKonflik";       // versions that lost a conflict
+const OUTBOX_KEY = "antreanSinkron";           // "collection/docId" → write the server hasn't confirmed yet
+const SESSION_KEY = "userSession";             // the logged-in user (auth.js)
+const PORTAL_OWNER_KEY = "jurnalPortalUntuk";  // appId whose journals the API put in jurnalData
+const PORTAL_REFRESH_MS = 5 * 60 * 1000;       // how often the portal asks the API again
+const BATCH_SIZE = 400;                        // Firestore allows 500 writes per batch
+
+// Set when syncing starts: the claims of the signed-in account and, per synced key, what it follows
+let claims = null;
+const scopes = {};         // key → {ref: query to follow, includes: record → boolean}
+const remoteRecords = {};  // key → Map docId → record, from the latest snapshot
+
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+if (useEmulators) {
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+}
+
+/**
+ * Firestore document id of a record (ids may be numbers; codes may contain "/")
+ * @param {*} value - Value of the id field
+ * @returns {string} - Safe document id
+ */
+export function toDocId(value) {
+  return encodeURIComponent(String(value));
+}
+
+/**
+ * Stable text of a record for change detection (key order and updatedAt ignored)
+ * @param {Object} record - Record from localStorage or Firestore
+ * @returns {string} - Fingerprint
+ */
+export function fingerprint(record) {
+  const sortKeys = value => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === "object") {
+      return Object.keys(value).sort().reduce((out, k) => {
+        if (k !== "updatedAt" && value[k] !== undefined) out[k] = sortKeys(value[k]);
+        return out;
+      }, {});
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys(record));
+}
+
+/**
+ * Copy of a record as it may be sent (profiles never carry a password hash)
+ * @param {Object} record - Record from localStorage
+ * @returns {Object} - Record without passwordHash and undefined fields
+ */
+function toRemote(record) {
+  const copy = JSON.parse(JSON.stringify(record));
+  delete copy.passwordHash;
+  return copy;
+}
+
+/**
+ * Subject the signed-in teacher teaches, from their synced profile (kurikulum.html lets them edit its objectives)
+ * @param {Object} claims - Claims of the signed-in account
+ * @returns {string} - mapelMengajar, empty when unknown
+ */
+function getOwnMapel(claims) {
+  const profile = readLocal("registeredUsers").find(u => u.id === claims.appId);
+  return profile && profile.mapelMengajar || "";
+}
+
+/**
+ * Records of a synced key in localStorage (a single object counts as one record)
+ * @param {string} key - Synced localStorage key
+ * @returns {Array} - Records
+ */
+function readLocal(key) {
+  const single = SYNCED_KEYS[key] && SYNCED_KEYS[key].single;
+  if (!single) return JSON.parse(localStorage.getItem(key) || "[]");
+  const raw = localStorage.getItem(key);
+  return raw ? [{ ...JSON.parse(raw), id: single }] : [];
+}
+
+/**
+ * Store the records of a synced key in localStorage
+ * @param {string} key - Synced localStorage key
+ * @param {Array} records - Records
+ */
+function writeLocal(key, records) {
+  const single = SYNCED_KEYS[key].single;
+  if (!single) {
+    localStorage.setItem(key, JSON.stringify(records));
+  } else if (records.length) {
+    localStorage.setItem(key, JSON.stringify(records[0]));
+  } else {
+    localStorage.removeItem(key);
+  }
+}
+
+function getSyncState() {
+  return JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || "{}");
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Writes still waiting for the server
+ * @returns {Object<string, {key: string, id: string, record: (Object|null), updatedAt: number}>} - Queue (record null = delete)
+ */
+export function getOutbox() {
+  return JSON.parse(localStorage.getItem(OUTBOX_KEY) || "{}");
+}
+
+/**
+ * Save the queue and tell the page how many writes are pending
+ * @param {Object} outbox - Queue
+ */
+function saveOutbox(outbox) {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+  window.dispatchEvent(new CustomEvent("sync-status", { detail: { pending: Object.keys(outbox).length } }));
+}
+
+/**
+ * Drop a write from the queue once it is settled (unless a newer write of the same document replaced it)
+ * @param {string} name - Collection name
+ * @param {Object} entry - Queued write
+ */
+function settleWrite(name, entry) {
+  const outbox = getOutbox();
+  const queued = outbox[`${name}/${entry.id}`];
+  if (queued && queued.updatedAt === entry.updatedAt) {
+    delete outbox[`${name}/${entry.id}`];
+    saveOutbox(outbox);
+  }
+}
+
+/**
+ * Send a queued write; the promise only settles once the server answers, so offline it just waits
+ * The updatedAt of the queued moment is kept, so a replay can't overwrite an edit made meanwhile elsewhere
+ * @param {Object} entry - Queued write
+ * @param {boolean} replay - True when sent again from a previous session's queue
+ */
+function sendWrite(entry, replay) {
+  const { collection: name } = SYNCED_KEYS[entry.key];
+  const ref = doc(db, name, entry.id);
+  // Drop undefined fields (Firestore rejects them); updatedAt lets the rules refuse stale writes
+  const write = entry.record
+    ? setDoc(ref, { ...toRemote(entry.record), updatedAt: entry.updatedAt })
+    : deleteDoc(ref);
+
+  write.then(() => settleWrite(name, entry)).catch(async err => {
+    if (err.code === "permission-denied") {
+      // Refused as stale. After a reload that may just be our own write, already delivered from Firestore's cache
+      const remote = replay ? await getDocFromServer(ref).catch(() => null) : null;
+      const delivered = remote && remote.exists() && fingerprint(remote.data()) === fingerprint(entry.record);
+      // Otherwise a newer version exists — the snapshot brings it back, keep ours in the log
+      if (!delivered && entry.record) recordConflict(entry.key, null, entry.record);
+    } else {
+      console.warn(`Sinkron ${name}/${entry.id} gagal:`, err);
+    }
+    settleWrite(name, entry);
+  });
+}
+
+/**
+ * Put a write in the queue and send it
+ * @param {string} key - Synced localStorage key
+ * @param {string} id - Document id
+ * @param {Object|null} record - Record to store, null to delete
+ */
+function queueWrite(key, id, record) {
+  const outbox = getOutbox();
+  const entry = { key, id, record, updatedAt: Date.now() };
+  outbox[`${SYNCED_KEYS[key].collection}/${id}`] = entry;
+  saveOutbox(outbox);
+  sendWrite(entry, false);
+}
+
+/**
+ * Keep the losing side of a conflict so nothing typed is silently lost
+ * @param {string} key - Synced localStorage key
+ * @param {Object|null} kept - Version that stays (null when it is still on its way from Firestore)
+ * @param {Object} lost - Version that was replaced
+ */
+function recordConflict(key, kept, lost) {
+  const log = JSON.parse(localStorage.getItem(CONFLICT_KEY) || "[]");
+  log.push({ key, id: lost[SYNCED_KEYS[key].idField], waktu: new Date().toISOString(), dipakai: kept, ditimpa: lost });
+  localStorage.setItem(CONFLICT_KEY, JSON.stringify(log));
+  if (window.showNotification) {
+    window.showNotification("Ada perubahan bentrok dari perangkat lain — versi terbaru dipakai, versi lain disimpan di log konflik.", "info");
+  }
+}
+
+/**
+ * Merge a remote snapshot into the local records
+ * - unchanged locally since the last sync → take the remote version
+ * - changed locally only → keep ours (it will be uploaded)
+ * - changed on both sides → newest wins (our unsynced edit counts as newest), the other is logged
+ * - gone remotely and untouched locally → deleted on another device
+ * @param {string} key - Synced localStorage key
+ * @param {Array} local - Records in localStorage
+ * @param {Array<{id: string, data: Object}>} remoteDocs - Documents from Firestore
+ * @param {Object} known - docId → fingerprint of the last synced version (updated in place)
+ * @returns {{records: Array, conflicts: Array<{kept: Object, lost: Object}>}} - Merged records
+ */
+export function mergeRemote(key, local, remoteDocs, known) {
+  const { idField } = SYNCED_KEYS[key];
+  const remoteById = new Map(remoteDocs.map(d => [d.id, d.data]));
+  const records = [];
+  const conflicts = [];
+
+  local.forEach(mine => {
+    const id = toDocId(mine[idField]);
+    const remote = remoteById.get(id);
+    const localChanged = known[id] !== fingerprint(mine);
+
+    if (!remote) {
+      // Deleted elsewhere unless it is new (or edited) here
+      if (id in known && !localChanged) delete known[id];
+      else records.push(mine);
+      return;
+    }
+    remoteById.delete(id);
+
+    const remoteChanged = known[id] !== fingerprint(remote);
+    if (!localChanged || fingerprint(mine) === fingerprint(remote)) {
+      records.push(remote);
+      known[id] = fingerprint(remote);
+    } else if (remoteChanged) {
+      records.push(mine);
+      conflicts.push({ kept: mine, lost: remote });
+    } else {
+      records.push(mine);
+    }
+  });
+
+  // Records that only exist remotely
+  remoteById.forEach((remote, id) => {
+    records.push(remote);
+    known[id] = fingerprint(remote);
+  });
+
+  return { records, conflicts };
+}
+
+/**
+ * Upload local records that changed since the last sync and delete removed ones
+ * Writes go through the queue, so this never waits for the network
+ * Records the account may not write stay on this device only; the next remote change replaces them
+ * @param {string} key - Synced localStorage key
+ */
+function pushChanges(key) {
+  const { idField, write } = SYNCED_KEYS[key];
+  const remote = remoteRecords[key];
+  // Wait for the first snapshot: deletes are only allowed for records we know the owner of
+  if (!remote) return;
+  const state = getSyncState();
+  const known = state[key] || {};
+  const seen = new Set();
+
+  readLocal(key).forEach(record => {
+    const id = toDocId(record[idField]);
+    seen.add(id);
+    const print = fingerprint(record);
+    if (known[id] === print || !write(claims, record)) return;
+    known[id] = print;
+    queueWrite(key, id, record);
+  });
+
+  Object.keys(known).forEach(id => {
+    if (seen.has(id)) return;
+    delete known[id];
+    const removed = remote.get(id);
+    if (removed && write(claims, removed)) queueWrite(key, id, null);
+  });
+
+  state[key] = known;
+  saveSyncState(state);
+}
+
+/**
+ * Apply a Firestore snapshot to localStorage and tell the page to refresh
+ * @param {string} key - Synced localStorage key
+ * @param {QuerySnapshot} snapshot - Snapshot of every record the account follows
+ */
+function applySnapshot(key, snapshot) {
+  const state = getSyncState();
+  const known = state[key] || {};
+  const stored = readLocal(key);
+  // Records this account may not read don't stay on the device (left by an earlier login)
+  const local = stored.filter(scopes[key].includes);
+  const remoteDocs = snapshot.docs.map(d => ({ id: d.id, data: d.data() }));
+  remoteRecords[key] = new Map(remoteDocs.map(d => [d.id, d.data]));
+  const { records, conflicts } = mergeRemote(key, local, remoteDocs, known);
+
+  state[key] = known;
+  saveSyncState(state);
+  conflicts.forEach(c => recordConflict(key, c.kept, c.lost));
+
+  if (fingerprint(records) !== fingerprint(stored)) {
+    writeLocal(key, records);
+    window.dispatchEvent(new CustomEvent("firestore-data-updated", { detail: { key } }));
+  }
+  // Our own newer or brand-new records still have to go up
+  pushChanges(key);
+}
+
+/**
+ * One-time upload of everything that was only in localStorage
+ * Records that already exist remotely are left to the normal merge; only what the account may write goes up
+ */
+async function migrateLocalStorage() {
+  if (localStorage.getItem(MIGRATED_KEY)) return;
+  const state = getSyncState();
+
+  for (const [key, { collection: name, idField, write }] of Object.entries(SYNCED_KEYS)) {
+    if (!scopes[key]) continue;
+    const { ref } = scopes[key];
+    const remote = await getDocsFromServer(ref).catch(() => getDocs(ref));
+    const remoteIds = new Set(remote.docs.map(d => d.id));
+    const known = state[key] || {};
+    const pending = readLocal(key).filter(r => !remoteIds.has(toDocId(r[idField])) && write(claims, r));
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      pending.slice(i, i + BATCH_SIZE).forEach(record => {
+        const id = toDocId(record[idField]);
+        batch.set(doc(db, name, id), { ...toRemote(record), updatedAt: Date.now() });
+        known[id] = fingerprint(record);
+      });
+      // Not awaited: offline, the batch waits in the persistent cache until we reconnect
+      batch.commit().catch(err => console.warn(`Migrasi ${name} gagal:`, err));
+    }
+    state[key] = known;
+  }
+
+  saveSyncState(state);
+  localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+}
+
+/**
+ * Work out what the account follows for each synced key, and drop local data it may no longer read
+ */
+function setScopes() {
+  const state = getSyncState();
+  Object.entries(SYNCED_KEYS).forEach(([key, { collection: name, read }]) => {
+    const scope = read(claims);
+    if (!scope) {
+      // The portal's own copy from the API stays for offline use
+      if (key === "jurnalData" && PORTAL_ROLES.includes(claims.role)
+        && localStorage.getItem(PORTAL_OWNER_KEY) === String(claims.appId)) return;
+      // Left by an earlier login on this device; unsent writes stay queued for that account
+      if (localStorage.getItem(key) !== null || state[key]) {
+        localStorage.removeItem(key);
+        delete state[key];
+        window.dispatchEvent(new CustomEvent("firestore-data-updated", { detail: { key } }));
+      }
+      return;
+    }
+    if (scope === true) {
+      scopes[key] = { ref: collection(db, name), includes: () => true };
+      return;
+    }
+    const { field, values } = scope;
+    const filter = values.length === 1 ? where(field, "==", values[0]) : where(field, "in", values);
+    scopes[key] = { ref: query(collection(db, name), filter), includes: r => values.includes(r[field]) };
+  });
+  saveSyncState(state);
+}
+
+/**
+ * Fetch the journals a student (or a parent, their child's) may see from the api function, page by page
+ * @param {User} user - Firebase Auth user of the session
+ * @returns {Promise<Array>} - Journals, trimmed by the server
+ */
+async function fetchPortalJurnal(user) {
+  const token = await user.getIdToken();
+  const journals = [];
+  for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+    const response = await fetch(`${API_URL}/jurnal?limit=100&page=${page}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) throw new Error(`API menjawab ${response.status}`);
+    const body = await response.json();
+    journals.push(...body.data);
+    totalPages = body.totalPages;
+  }
+  return journals;
+}
+
+/**
+ * Replace the portal's journals with the server's; offline the last copy stays
+ */
+async function refreshPortalJurnal() {
+  try {
+    const journals = await fetchPortalJurnal(auth.currentUser);
+    const changed = fingerprint(journals) !== fingerprint(readLocal("jurnalData"));
+    localStorage.setItem("jurnalData", JSON.stringify(journals));
+    localStorage.setItem(PORTAL_OWNER_KEY, String(claims.appId));
+    if (changed) window.dispatchEvent(new CustomEvent("firestore-data-updated", { detail: { key: "jurnalData" } }));
+  } catch (err) {
+    console.warn("Jurnal kelas belum bisa diambil:", err);
+  }
+}
+
+/**
+ * Profiles synced before the login moved to the server still carry a password hash; drop it from this device
+ */
+function dropPasswordHashes() {
+  const users = readLocal("registeredUsers");
+  if (!users.some(u => "passwordHash" in u)) return;
+  localStorage.setItem("registeredUsers", JSON.stringify(users.map(toRemote)));
+}
+
+/**
+ * Start syncing: migrate once, replay what the last session left queued, then follow every synced collection live
+ */
+async function startSync() {
+  setScopes();
+  dropPasswordHashes();
+  try {
+    await migrateLocalStorage();
+  } catch (err) {
+    console.warn("Migrasi localStorage ke Firestore ditunda:", err);
+  }
+
+  const outbox = getOutbox();
+  saveOutbox(outbox);
+  // Writes queued by another account on this device wait until it logs in again
+  Object.values(outbox)
+    .filter(entry => scopes[entry.key] && (!entry.record || SYNCED_KEYS[entry.key].write(claims, entry.record)))
+    .forEach(entry => sendWrite(entry, true));
+
+  Object.entries(scopes).forEach(([key, { ref }]) => {
+    onSnapshot(ref, snapshot => applySnapshot(key, snapshot),
+      err => console.warn(`Tidak bisa mengikuti ${SYNCED_KEYS[key].collection}:`, err));
+  });
+
+  window.addEventListener("local-data-changed", e => {
+    if (scopes[e.detail.key]) pushChanges(e.detail.key);
+  });
+
+  if (PORTAL_ROLES.includes(claims.role)) {
+    refreshPortalJurnal();
+    window.addEventListener("online", refreshPortalJurnal);
+    setInterval(() => { if (navigator.onLine) refreshPortalJurnal(); }, PORTAL_REFRESH_MS);
+  }
+}
+
+/**
+ * Without a session (the registration page) nothing syncs, but the master data is public: fetch it once
+ */
+async function loadPublicMasterData() {
+  const snap = await getDocFromServer(doc(db, "masterData", SYNCED_KEYS.masterData.single)).catch(() => null);
+  if (!snap || !snap.exists() || fingerprint(snap.data()) === fingerprint(readLocal("masterData")[0] || null)) return;
+  writeLocal("masterData", [snap.data()]);
+  window.dispatchEvent(new CustomEvent("firestore-data-updated", { detail: { key: "masterData" } }));
+}
+
+if (!localStorage.getItem(SESSION_KEY)) loadPublicMasterData();
+
+// Sync only as the account of this session; demo accounts and offline logins without a
+// Firebase Auth user keep working from localStorage alone
+onAuthStateChanged(auth, async user => {
+  const session = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+  if (!user || claims || !session) return;
+  const token = await user.getIdTokenResult().catch(err => console.warn("Token login tidak bisa dibaca:", err));
+  if (!token || token.claims.appId !== session.id || claims) return;
+  claims = token.claims;
+  startSync();
+});
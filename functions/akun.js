@@ -0,0 +1,258 @@
+/**
+ * ============================================================================
+ * AKUN — LOGIN & PENDAFTARAN LEWAT SERVER
+ * ============================================================================
+ * The login and register pages send the password here instead of checking
+ * it against localStorage. Login answers with a Firebase Auth custom token
+ * for uid "user-<id>" carrying the claims the security rules check:
+ * - role: from the credential (never from the users profile)
+ * - appId: the users id, i.e. jurnal.teacherId of the account's journals
+ * - username: what Data Connect keys teachers by (dataconnect/)
+ * - studentId: the linked child, for parents
+ * Registration checks the auth code on the server (authCodes can no longer
+ * be read by clients), stores the credential, the profile without any hash,
+ * and marks the code used, all in one transaction. Same checks and messages
+ * as register.js. Admins can't register; see kelola-akun.js. While typing,
+ * the register page asks which account a code opens (cekKode).
+ * ============================================================================
+ */
+
+const {HttpError} = require("./http");
+const {hashPassword, checkPassword} = require("./auth");
+
+// Roles that register with a code from the admin, and their labels
+const CODE_ROLES = {
+  teacher: "Guru",
+  supervisor: "Kepala Sekolah / Supervisor",
+  parent: "Orang Tua / Wali",
+};
+const USERNAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{2,19}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Claims of the custom token for a user
+ * @param {Object} user - User with the role of their credential
+ * @return {Object} - Developer claims
+ */
+function getClaims(user) {
+  const claims = {role: user.role, appId: user.id, username: user.username};
+  if (user.role === "parent") claims.studentId = user.studentId || null;
+  return claims;
+}
+
+/**
+ * Check a password and hand out a custom token
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {{createCustomToken: function(string, Object): Promise<string>}}
+ *     auth - Firebase Auth (admin SDK)
+ * @param {Object} body - {username, password}
+ * @return {Promise<{token: string, user: Object}>} - Token and profile
+ */
+async function login(db, auth, body) {
+  const {username, password} = body || {};
+  if (typeof username !== "string" || typeof password !== "string" ||
+      !username || !password) {
+    throw new HttpError(400, "Nama pengguna dan kata sandi harus diisi.");
+  }
+  const user = await checkPassword(db, username, password);
+  if (!user) {
+    throw new HttpError(401, "Nama pengguna atau kata sandi salah.");
+  }
+  const token = await auth.createCustomToken(`user-${user.id}`,
+      getClaims(user));
+  return {token, user};
+}
+
+/**
+ * Which requirements of a strong password are missing (as in register.js)
+ * @param {string} password - Plain text password
+ * @return {Array<string>} - Missing parts, empty when strong
+ */
+function getMissingPasswordParts(password) {
+  return [
+    [/[A-Z]/, "huruf BESAR"],
+    [/[a-z]/, "huruf kecil"],
+    [/\d/, "angka"],
+    [/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/, "simbol rahasia (!@#$%...)"],
+  ].filter(([pattern]) => !pattern.test(password)).map(([, label]) => label);
+}
+
+/**
+ * Check a registration form and keep the profile fields it may set
+ * @param {Object} body - Request body
+ * @return {{profile: Object, password: string, authCode: string}} - Input
+ */
+function validateDaftar(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Body harus berupa objek JSON.");
+  }
+  const text = (field) => typeof body[field] === "string" ?
+    body[field].trim() : "";
+  const role = text("role");
+  const profile = {
+    username: text("username"),
+    fullName: text("fullName"),
+    email: text("email"),
+    role,
+    nisn: text("nisn"),
+    mapelMengajar: text("mapelMengajar"),
+    kelasMengajar: text("kelasMengajar"),
+  };
+  const password = typeof body.password === "string" ? body.password : "";
+  const authCode = text("authCode");
+
+  if (!profile.username || !password || !profile.fullName || !role) {
+    throw new HttpError(400, "Semua bidang harus diisi.");
+  }
+  if (role !== "student" && !CODE_ROLES[role]) {
+    throw new HttpError(400, "Peran tidak dikenal.");
+  }
+  if (!USERNAME_PATTERN.test(profile.username)) {
+    throw new HttpError(400, "Username harus 3-20 karakter, mulai huruf; " +
+      "boleh angka & underscore.");
+  }
+  const missing = getMissingPasswordParts(password);
+  if (missing.length > 0) {
+    throw new HttpError(400,
+        `Password lemah — tambahkan: ${missing.join(", ")}.`);
+  }
+  if (CODE_ROLES[role]) {
+    if (authCode.length < 4) {
+      throw new HttpError(400,
+          "Kode autentikasi bermasalah — minimal 4 karakter.");
+    }
+    const emailRequired = role !== "parent" || profile.email;
+    if (emailRequired && !EMAIL_PATTERN.test(profile.email)) {
+      throw new HttpError(400, "Format email tidak valid.");
+    }
+    if (role === "teacher" && !profile.mapelMengajar) {
+      throw new HttpError(400, "Mata pelajaran wajib dipilih.");
+    }
+  }
+  return {profile, password, authCode};
+}
+
+/**
+ * Store a new account: its credential and its profile (without the hash)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} profile - Profile fields, including username and role
+ * @param {string} password - Plain text password
+ * @param {function(FirebaseFirestore.Transaction, Object): Promise<void>}
+ *     [extra] - More reads and writes for the same transaction, called
+ *     with the new user before anything is written
+ * @return {Promise<Object>} - The stored profile
+ */
+async function createAccount(db, profile, password, extra) {
+  const passwordHash = await hashPassword(password);
+  const credentialRef = db.collection("credentials").doc(profile.username);
+  return db.runTransaction(async (tx) => {
+    if ((await tx.get(credentialRef)).exists) {
+      throw new HttpError(409,
+          "Nama pengguna sudah terdaftar — coba variasi lain.");
+    }
+    // Ids are Date.now() like in the browser; step on if one is taken
+    let id = Date.now();
+    while ((await tx.get(db.collection("users").doc(String(id)))).exists) id++;
+
+    const now = new Date();
+    const user = {
+      id,
+      ...profile,
+      createdAt: now.toISOString(),
+      updatedAt: now.getTime(),
+    };
+    if (extra) await extra(tx, user);
+    tx.create(credentialRef, {
+      username: profile.username,
+      userId: id,
+      role: profile.role,
+      passwordHash,
+    });
+    tx.set(db.collection("users").doc(String(id)), user);
+    return user;
+  });
+}
+
+/**
+ * Register an account; teacher, supervisor and parent need an auth code
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} body - Form of register.html
+ * @return {Promise<Object>} - The new profile
+ */
+async function daftar(db, body) {
+  const {profile, password, authCode} = validateDaftar(body);
+  if (!CODE_ROLES[profile.role]) {
+    return createAccount(db, {...profile, studentId: null, authCode: ""},
+        password);
+  }
+
+  const codeRef = db.collection("authCodes")
+      .doc(encodeURIComponent(authCode));
+  return createAccount(db, {...profile, authCode}, password,
+      async (tx, user) => {
+        const snap = await tx.get(codeRef);
+        const code = snap.exists ? snap.data() : null;
+        if (!code || code.used) {
+          throw new HttpError(400, "Kode autentikasi tidak valid atau " +
+            "sudah dipakai. Minta kode baru ke admin.");
+        }
+        // Codes made before supervisors existed are for teachers
+        const codeRole = code.role || "teacher";
+        if (codeRole !== profile.role) {
+          throw new HttpError(400, `Kode ini untuk pendaftaran ` +
+            `${CODE_ROLES[codeRole]}, bukan ${CODE_ROLES[profile.role]}.`);
+        }
+
+        // A parent account is linked to the student the code was made for
+        user.studentId = profile.role === "parent" ? code.studentId : null;
+        tx.set(codeRef, {
+          ...code,
+          used: true,
+          usedBy: user.id,
+          usedAt: user.createdAt,
+          updatedAt: user.updatedAt,
+        });
+      });
+}
+
+/**
+ * What an unused auth code registers, so the form can adapt before sending
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} body - {code}
+ * @return {Promise<{role: string, siswa: (Object|null)}>} - Role of the
+ *     code and, for a parent code, the name and class of the student
+ */
+async function cekKode(db, body) {
+  const code = body && typeof body.code === "string" ? body.code.trim() : "";
+  const snap = code ? await db.collection("authCodes")
+      .doc(encodeURIComponent(code)).get() : null;
+  const entry = snap && snap.exists ? snap.data() : null;
+  if (!entry || entry.used) {
+    throw new HttpError(404,
+        "Kode autentikasi tidak valid atau sudah dipakai.");
+  }
+  const role = entry.role || "teacher";
+  let siswa = null;
+  if (role === "parent") {
+    const student = await db.collection("users")
+        .doc(String(entry.studentId)).get();
+    if (student.exists) {
+      siswa = {
+        fullName: student.data().fullName,
+        kelasMengajar: student.data().kelasMengajar || "",
+      };
+    }
+  }
+  return {role, siswa};
+}
+
+module.exports = {
+  CODE_ROLES,
+  USERNAME_PATTERN,
+  getClaims,
+  login,
+  validateDaftar,
+  createAccount,
+  daftar,
+  cekKode,
+};
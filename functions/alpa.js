@@ -0,0 +1,111 @@
+/**
+ * ============================================================================
+ * ALPA — PERINGATAN UNTUK ORANG TUA SAAT ANAK ALPA
+ * ============================================================================
+ * Runs whenever a journal is written. Students whose mark changed to alpa
+ * (A, absent without permission) in that write are looked up, and each
+ * parent account linked to them (user.studentId) gets an email, unless the
+ * parent switched the alert off (user.peringatanAlpa.aktif === false) or
+ * has no address. The parent portal (wali.js) shows the same marks as a
+ * banner, so nothing is stored here. Only lessons of the last few days
+ * alert: a migration, a trash restore or a re-push writes old journals
+ * again, and parents must not be emailed about those.
+ * ============================================================================
+ */
+
+const logger = require("firebase-functions/logger");
+const {getLocalNow} = require("./reminders");
+
+// How many days after the lesson an alpa mark still alerts the parents
+const ALPA_MAX_HARI = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Was the lesson today or within the last ALPA_MAX_HARI days (school time)?
+ * @param {string} tanggal - Lesson date as YYYY-MM-DD
+ * @param {Date} now - Current moment
+ * @return {boolean} - True when the lesson is recent
+ */
+function isRecentLesson(tanggal, now) {
+  const today = getLocalNow(now).tanggal;
+  const days = (Date.parse(`${today}T00:00:00Z`) -
+    Date.parse(`${tanggal}T00:00:00Z`)) / DAY_MS;
+  return days >= 0 && days <= ALPA_MAX_HARI;
+}
+
+/**
+ * Students marked alpa in the new version of a recent journal but not in
+ * the old
+ * @param {Object|undefined} before - Journal before the write (none if new)
+ * @param {Object|undefined} after - Journal after the write (none if deleted)
+ * @param {Date} [now] - Current moment
+ * @return {Array<Object>} - Kehadiran entries of the newly absent students
+ */
+function findNewAlpa(before, after, now = new Date()) {
+  if (!after || !isRecentLesson(after.tanggal, now)) return [];
+  const wasAlpa = new Set(((before && before.kehadiran) || [])
+      .filter((k) => k.status === "A").map((k) => k.studentId));
+  return (after.kehadiran || [])
+      .filter((k) => k.status === "A" && !wasAlpa.has(k.studentId));
+}
+
+/**
+ * Text of the alert email
+ * @param {Object} parent - Parent user record
+ * @param {Object} student - Kehadiran entry of the child
+ * @param {Object} jurnal - The journal that marked them
+ * @return {{subject: string, text: string}} - Email content
+ */
+function buildAlpaEmail(parent, student, jurnal) {
+  return {
+    subject: `${student.nama} tercatat alpa pada ${jurnal.tanggal}`,
+    text: [
+      `Yth. ${parent.fullName || parent.username},`,
+      "",
+      `${student.nama} (kelas ${jurnal.kelas}) tercatat alpa tanpa ` +
+        "keterangan pada pelajaran berikut:",
+      `- ${jurnal.hari || ""}, ${jurnal.tanggal} · Jam ke-${jurnal.jamKe}` +
+        ` · ${jurnal.mapel || "-"}`,
+      "",
+      "Bila anak Anda sakit atau izin, mohon kabari wali kelas.",
+      "Peringatan ini dapat dimatikan di Portal Orang Tua.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Email the parents of every student newly marked alpa in a journal write
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {{send: function(Object): Promise}} transport - Mail transport
+ * @param {Object|undefined} before - Journal before the write
+ * @param {Object|undefined} after - Journal after the write
+ * @param {Date} [now] - Current moment
+ * @return {Promise<Array<Object>>} - Emails sent
+ */
+async function notifyAlpa(db, transport, before, after, now = new Date()) {
+  const sent = [];
+  for (const student of findNewAlpa(before, after, now)) {
+    const parents = (await db.collection("users")
+        .where("role", "==", "parent")
+        .where("studentId", "==", student.studentId).get()).docs
+        .map((d) => d.data())
+        .filter((p) => p.email &&
+          !(p.peringatanAlpa && p.peringatanAlpa.aktif === false));
+
+    for (const parent of parents) {
+      const message = {
+        to: parent.email,
+        ...buildAlpaEmail(parent, student, after),
+      };
+      try {
+        await transport.send(message);
+        sent.push(message);
+      } catch (err) {
+        logger.warn(`Email alpa ke ${parent.username} gagal`, err);
+      }
+    }
+  }
+  return sent;
+}
+
+module.exports = {isRecentLesson, findNewAlpa, buildAlpaEmail, notifyAlpa};
@@ -0,0 +1,487 @@
+/**
+ * ============================================================================
+ * API — ENDPOINT JURNAL, KELAS, KEHADIRAN & REKAP
+ * ============================================================================
+ * Reads and writes the same Firestore collections the browser syncs
+ * (firestore-sync.js), so anything written here shows up on the dashboard.
+ * Access follows the app's roles:
+ * - admin: every journal, every teacher's rekap, the user list
+ * - supervisor (kepala sekolah, wakasek kurikulum): reads like an admin,
+ *   writes nothing
+ * - teacher: only the journals they wrote
+ * - student: journals of their own class, with only their own attendance
+ *   mark and assignment tick, no other students' names and no notes
+ * - parent: what their linked child (users.studentId) sees as a student,
+ *   plus the teachers' notes
+ * A month the supervisor approved (supervisi collection) is locked: its
+ * journals can no longer be created, changed or deleted.
+ *
+ *   POST   /auth/login                  {username, password} → custom
+ *                                       token for Firebase Auth (public)
+ *   POST   /auth/daftar                 register, auth code checked here
+ *                                       (public)
+ *   POST   /auth/kode                   {code} → role of an unused auth
+ *                                       code, and the child (public)
+ *   GET    /me                          the logged-in user
+ *   GET    /users                       users (admin), ?role=&page=&limit=
+ *   GET    /jurnal                      list, ?kelas=&guru=&bulan=&dari=
+ *                                       &sampai=&page=&limit=
+ *   POST   /jurnal                      create (teacher, admin)
+ *   GET    /jurnal/:id
+ *   PUT    /jurnal/:id                  update, partial body allowed
+ *   DELETE /jurnal/:id
+ *   GET    /kelas                       classes with student and journal counts
+ *   GET    /kelas/:kelas/kehadiran      per-student summary,
+ *                                       ?bulan=&dari=&sampai=
+ *   GET    /rekap                       monthly rekap, ?bulan=&guru=&kelas=
+ * ============================================================================
+ */
+
+const {HttpError, parsePagination, paginated, createRouter} =
+  require("./http");
+const {createAuthenticator, getAuthorId, withoutPasswordHash} =
+  require("./auth");
+const {login, daftar, cekKode} = require("./akun");
+const {parseBulan, parseTanggal, validateJurnal} = require("./validation");
+const {buildRekap, summarizeKehadiran} = require("./rekap");
+
+// Roles that see every teacher's journals
+const ALL_JURNAL_ROLES = ["admin", "supervisor"];
+
+// Roles that look at one class through one student: the student, or a
+// parent through their child
+const PORTAL_ROLES = ["student", "parent"];
+
+// Fields the portals may not see: other students' names, and for students
+// the teacher's notes (parents read those in wali.js)
+const PRIVATE_FIELDS = {
+  student: ["namaSiswaTidakHadir", "catatan"],
+  parent: ["namaSiswaTidakHadir"],
+};
+
+/**
+ * Firestore document id of a journal (same as firestore-sync.js)
+ * @param {(number|string)} id - Journal id
+ * @return {string} - Document id
+ */
+function toDocId(id) {
+  return encodeURIComponent(String(id));
+}
+
+/**
+ * Read a teacher id from the query string (registered ids are numbers)
+ * @param {string} value - Value of the guru parameter
+ * @return {(number|string)} - Id as stored in jurnal.teacherId
+ */
+function parseGuru(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * The student whose view a student or parent gets
+ * @param {Object} user - Authenticated student or parent (a parent carries
+ *     kelasAnak, see createApi)
+ * @return {{studentId: (number|null), kelas: string}} - Student and class
+ */
+function getPortalView(user) {
+  if (user.role === "parent") {
+    return {
+      studentId: user.studentId === undefined ? null : user.studentId,
+      kelas: user.kelasAnak || "",
+    };
+  }
+  return {studentId: user.id, kelas: user.kelasMengajar || ""};
+}
+
+/**
+ * Is the user allowed to see this journal?
+ * @param {Object} user - Authenticated user
+ * @param {Object} jurnal - Journal entry
+ * @return {boolean} - True when visible
+ */
+function canRead(user, jurnal) {
+  if (ALL_JURNAL_ROLES.includes(user.role)) return true;
+  if (PORTAL_ROLES.includes(user.role)) {
+    const {kelas} = getPortalView(user);
+    return !!kelas && jurnal.kelas === kelas;
+  }
+  return jurnal.teacherId === getAuthorId(user);
+}
+
+/**
+ * Is the user allowed to change or delete this journal?
+ * @param {Object} user - Authenticated user
+ * @param {Object} jurnal - Journal entry
+ * @return {boolean} - True for the author and for admins
+ */
+function canModify(user, jurnal) {
+  if (user.role === "admin") return true;
+  return user.role === "teacher" && jurnal.teacherId === getAuthorId(user);
+}
+
+/**
+ * Shape a journal for the response (students and parents get the trimmed
+ * version). The student and parent portals (siswa.js, wali.js) read the
+ * child's attendance and assignment tick from here, so those stay, but only
+ * that student's own
+ * @param {Object} jurnal - Journal entry from Firestore
+ * @param {Object} user - Authenticated user
+ * @return {Object} - Journal to send
+ */
+function present(jurnal, user) {
+  if (!PORTAL_ROLES.includes(user.role)) return jurnal;
+  const {studentId} = getPortalView(user);
+  const visible = {...jurnal};
+  PRIVATE_FIELDS[user.role].forEach((field) => delete visible[field]);
+  if (Array.isArray(jurnal.kehadiran)) {
+    visible.kehadiran = jurnal.kehadiran
+        .filter((k) => k.studentId === studentId);
+  }
+  if (jurnal.tugas && Array.isArray(jurnal.tugas.mengumpulkan)) {
+    visible.tugas = {
+      ...jurnal.tugas,
+      mengumpulkan: jurnal.tugas.mengumpulkan
+          .filter((id) => id === studentId),
+    };
+  }
+  return visible;
+}
+
+/**
+ * Date range from bulan, dari and sampai (dari/sampai narrow the month)
+ * @param {Object} query - req.query
+ * @return {{dari: (string|null), sampai: (string|null)}} - Inclusive range
+ */
+function parseRange(query) {
+  const month = parseBulan(query.bulan);
+  const dari = parseTanggal(query.dari, "dari");
+  const sampai = parseTanggal(query.sampai, "sampai");
+  const range = {
+    dari: [month && month.dari, dari].filter(Boolean).sort().pop() || null,
+    sampai: [month && month.sampai, sampai].filter(Boolean).sort()[0] || null,
+  };
+  if (range.dari && range.sampai && range.dari > range.sampai) {
+    throw new HttpError(400, "Rentang tanggal kosong (dari setelah sampai).");
+  }
+  return range;
+}
+
+/**
+ * Create the API request handler
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} auth - Firebase Auth (admin SDK): mints the login tokens
+ *     and checks the Bearer tokens
+ * @return {function(Object, Object): Promise<void>} - onRequest handler
+ */
+function createApi(db, auth) {
+  const jurnalCol = db.collection("jurnal");
+
+  /**
+   * Journals the user may see, narrowed by the filters in the query string
+   * @param {Object} user - Authenticated user
+   * @param {Object} query - req.query (kelas, guru, bulan, dari, sampai)
+   * @return {FirebaseFirestore.Query} - Query ordered newest first
+   */
+  function scopedJurnal(user, query) {
+    let ref = jurnalCol;
+    if (user.role === "teacher") {
+      if (query.guru && parseGuru(query.guru) !== getAuthorId(user)) {
+        throw new HttpError(403, "Guru hanya dapat melihat jurnalnya sendiri.");
+      }
+      ref = ref.where("teacherId", "==", getAuthorId(user));
+    } else if (ALL_JURNAL_ROLES.includes(user.role) && query.guru) {
+      ref = ref.where("teacherId", "==", parseGuru(query.guru));
+    }
+
+    if (PORTAL_ROLES.includes(user.role)) {
+      const {kelas} = getPortalView(user);
+      if (query.kelas && query.kelas !== kelas) {
+        throw new HttpError(403, user.role === "parent" ?
+          "Orang tua hanya dapat melihat kelas anaknya." :
+          "Siswa hanya dapat melihat kelasnya sendiri.");
+      }
+      ref = ref.where("kelas", "==", kelas);
+    } else if (query.kelas) {
+      ref = ref.where("kelas", "==", query.kelas);
+    }
+
+    const range = parseRange(query);
+    if (range.dari) ref = ref.where("tanggal", ">=", range.dari);
+    if (range.sampai) ref = ref.where("tanggal", "<=", range.sampai);
+    return ref.orderBy("tanggal", "desc");
+  }
+
+  /**
+   * Load one journal or fail with 404 (also when it is not visible)
+   * @param {string} id - Journal id from the path
+   * @param {Object} user - Authenticated user
+   * @return {Promise<Object>} - The journal
+   */
+  async function getJurnalOr404(id, user) {
+    const snap = await jurnalCol.doc(toDocId(id)).get();
+    if (!snap.exists || !canRead(user, snap.data())) {
+      throw new HttpError(404, "Jurnal tidak ditemukan.");
+    }
+    return snap.data();
+  }
+
+  /**
+   * Refuse a write into a month the supervisor already approved
+   * @param {Object} jurnal - Journal as stored (teacherId and tanggal)
+   * @return {Promise<void>} - Rejects with a 409 HttpError when locked
+   */
+  async function assertNotApproved(jurnal) {
+    const id = `${jurnal.teacherId}-${String(jurnal.tanggal).slice(0, 7)}`;
+    const snap = await db.collection("supervisi").doc(toDocId(id)).get();
+    if (snap.exists && snap.data().status === "disetujui") {
+      throw new HttpError(409,
+          "Jurnal bulan ini sudah disetujui supervisor dan dikunci.");
+    }
+  }
+
+  /**
+   * Registered students of a class as a roster
+   * @param {string} kelas - Class name
+   * @return {Promise<Array<{studentId: number, nama: string}>>} - Roster
+   */
+  async function getRoster(kelas) {
+    const snap = await db.collection("users")
+        .where("role", "==", "student").where("kelasMengajar", "==", kelas)
+        .get();
+    return snap.docs.map((d) => d.data())
+        .map((u) => ({studentId: u.id, nama: u.fullName || u.username}));
+  }
+
+  const routes = [
+    {
+      method: "POST",
+      path: "/auth/login",
+      public: true,
+      handler: async (req) => ({body: await login(db, auth, req.body)}),
+    },
+    {
+      method: "POST",
+      path: "/auth/daftar",
+      public: true,
+      handler: async (req) => {
+        const user = await daftar(db, req.body);
+        return {status: 201, body: user};
+      },
+    },
+    {
+      method: "POST",
+      path: "/auth/kode",
+      public: true,
+      handler: async (req) => ({body: await cekKode(db, req.body)}),
+    },
+    {
+      method: "GET",
+      path: "/me",
+      handler: async (req, {user}) => ({body: user}),
+    },
+    {
+      method: "GET",
+      path: "/users",
+      roles: ["admin"],
+      handler: async (req) => {
+        const paging = parsePagination(req.query);
+        let ref = db.collection("users");
+        if (req.query.role) ref = ref.where("role", "==", req.query.role);
+        ref = ref.orderBy("username");
+        const total = (await ref.count().get()).data().count;
+        const snap = await ref.offset(paging.offset).limit(paging.limit).get();
+        // Profiles of accounts that logged in before the move to the
+        // credentials collection may still carry their old hash
+        const users = snap.docs.map((d) => withoutPasswordHash(d.data()));
+        return {body: paginated(users, paging, total)};
+      },
+    },
+    {
+      method: "GET",
+      path: "/jurnal",
+      handler: async (req, {user}) => {
+        const paging = parsePagination(req.query);
+        const ref = scopedJurnal(user, req.query);
+        const total = (await ref.count().get()).data().count;
+        const snap = await ref.offset(paging.offset).limit(paging.limit).get();
+        const data = snap.docs.map((d) => present(d.data(), user));
+        return {body: paginated(data, paging, total)};
+      },
+    },
+    {
+      method: "POST",
+      path: "/jurnal",
+      roles: ["admin", "teacher"],
+      handler: async (req, {user}) => {
+        const clean = validateJurnal(req.body);
+        const now = Date.now();
+        const jurnal = {
+          ...clean,
+          teacherId: getAuthorId(user),
+          username: user.username,
+          teacherName: user.fullName || user.username,
+          mapel: user.mapelMengajar || "",
+          lampiran: [],
+          createdAt: new Date(now).toISOString(),
+          updatedAt: now,
+        };
+        await assertNotApproved(jurnal);
+        // Ids are Date.now() like in the browser; step on if one is taken
+        for (let id = now; ; id++) {
+          try {
+            await jurnalCol.doc(toDocId(id)).create({...jurnal, id});
+            return {status: 201, body: {...jurnal, id}};
+          } catch (err) {
+            if (err.code !== 6) throw err; // 6 = ALREADY_EXISTS
+          }
+        }
+      },
+    },
+    {
+      method: "GET",
+      path: "/jurnal/:id",
+      handler: async (req, {params, user}) => {
+        const jurnal = await getJurnalOr404(params.id, user);
+        return {body: present(jurnal, user)};
+      },
+    },
+    {
+      method: "PUT",
+      path: "/jurnal/:id",
+      roles: ["admin", "teacher"],
+      handler: async (req, {params, user}) => {
+        const existing = await getJurnalOr404(params.id, user);
+        if (!canModify(user, existing)) {
+          throw new HttpError(403,
+              "Hanya penulis jurnal atau admin yang dapat mengubahnya.");
+        }
+        const jurnal = {
+          ...existing,
+          ...validateJurnal(req.body, existing),
+          updatedAt: Date.now(),
+        };
+        await assertNotApproved(existing);
+        await assertNotApproved(jurnal);
+        await jurnalCol.doc(toDocId(params.id)).set(jurnal);
+        return {body: jurnal};
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/jurnal/:id",
+      roles: ["admin", "teacher"],
+      handler: async (req, {params, user}) => {
+        const existing = await getJurnalOr404(params.id, user);
+        if (!canModify(user, existing)) {
+          throw new HttpError(403,
+              "Hanya penulis jurnal atau admin yang dapat menghapusnya.");
+        }
+        await assertNotApproved(existing);
+        await jurnalCol.doc(toDocId(params.id)).delete();
+        return {status: 204};
+      },
+    },
+    {
+      method: "GET",
+      path: "/kelas",
+      handler: async (req, {user}) => {
+        const students = await db.collection("users")
+            .where("role", "==", "student").get();
+        const journals = await scopedJurnal(user, {}).select("kelas").get();
+
+        const kelas = new Map();
+        const rowFor = (name) => {
+          if (!kelas.has(name)) {
+            kelas.set(name, {kelas: name, jumlahSiswa: 0, jumlahJurnal: 0});
+          }
+          return kelas.get(name);
+        };
+        students.docs.forEach((d) => {
+          const name = d.data().kelasMengajar;
+          if (name) rowFor(name).jumlahSiswa++;
+        });
+        journals.docs.forEach((d) => rowFor(d.data().kelas).jumlahJurnal++);
+
+        const data = [...kelas.values()]
+            .filter((k) => !PORTAL_ROLES.includes(user.role) ||
+              k.kelas === getPortalView(user).kelas)
+            .sort((a, b) =>
+              a.kelas.localeCompare(b.kelas, "id", {numeric: true}));
+        return {body: {data}};
+      },
+    },
+    {
+      method: "GET",
+      path: "/kelas/:kelas/kehadiran",
+      handler: async (req, {params, user}) => {
+        const query = {...req.query, kelas: params.kelas};
+        const journals = (await scopedJurnal(user, query).get()).docs
+            .map((d) => d.data());
+        let siswa = summarizeKehadiran(journals, await getRoster(params.kelas));
+        // A student (or their parent) only gets the student's own row
+        if (PORTAL_ROLES.includes(user.role)) {
+          const {studentId} = getPortalView(user);
+          siswa = siswa.filter((s) => s.studentId === studentId);
+        }
+        const range = parseRange(req.query);
+        return {
+          body: {
+            kelas: params.kelas,
+            dari: range.dari,
+            sampai: range.sampai,
+            jumlahJurnal: journals.length,
+            siswa,
+          },
+        };
+      },
+    },
+    {
+      method: "GET",
+      path: "/rekap",
+      roles: ["admin", "supervisor", "teacher"],
+      handler: async (req, {user}) => {
+        if (!req.query.bulan) {
+          throw new HttpError(400, "Parameter bulan (YYYY-MM) wajib diisi.");
+        }
+        const allGuru = ALL_JURNAL_ROLES.includes(user.role);
+        if (allGuru && !req.query.guru) {
+          throw new HttpError(400,
+              "Admin dan supervisor wajib memilih guru (parameter guru).");
+        }
+        const {bulan, kelas, guru: guruId} = req.query;
+        const query = {bulan, kelas, guru: guruId};
+        const journals = (await scopedJurnal(user, query).get()).docs
+            .map((d) => d.data());
+
+        const teacherId = allGuru ?
+          parseGuru(req.query.guru) : getAuthorId(user);
+        const sample = journals[0] || {};
+        const guru = allGuru ? {
+          teacherId,
+          nama: sample.teacherName || sample.username || String(teacherId),
+          mapel: sample.mapel || "",
+        } : {
+          teacherId,
+          nama: user.fullName || user.username,
+          mapel: user.mapelMengajar || "",
+        };
+        return {body: buildRekap(journals, {bulan: req.query.bulan, guru})};
+      },
+    },
+  ];
+
+  const authenticate = createAuthenticator(db, auth);
+  return createRouter(routes, async (req) => {
+    const user = await authenticate(req);
+    // A parent sees their child's class, read from the child's profile
+    if (user.role === "parent") {
+      const child = user.studentId === undefined || user.studentId === null ?
+        null : await db.collection("users").doc(String(user.studentId)).get();
+      user.kelasAnak = child && child.exists ?
+        child.data().kelasMengajar || "" : "";
+    }
+    return user;
+  });
+}
+
+module.exports = {createApi, canRead, canModify, present};
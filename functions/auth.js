@@ -0,0 +1,202 @@
+/**
+ * ============================================================================
+ * AUTH — LOGIN DENGAN AKUN APLIKASI (HTTP BASIC ATAU TOKEN FIREBASE)
+ * ============================================================================
+ * The app keeps its own accounts (username and password), but the password
+ * hash and the role live in the credentials collection, which only the
+ * functions can read or write (firestore.rules denies it to every client).
+ * The profile in users (name, class, settings) is what the pages show; its
+ * role field is only a copy, the credential decides.
+ *
+ * A request proves who is calling in one of two ways:
+ * - Authorization: Basic with username and password (scripts, API clients)
+ * - Authorization: Bearer with a Firebase Auth ID token. The browser trades
+ *   the password for a custom token at POST /auth/login (see akun.js); its
+ *   claims (role, appId, studentId) are what the security rules check.
+ * Passwords are hashed with scrypt and a salt per account. Accounts moved
+ * from the old browser-only login (kelola-akun.js migrasi) still carry the
+ * unsalted SHA-256 of register.js until their next login replaces it.
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+const {promisify} = require("util");
+const {HttpError} = require("./http");
+
+const ROLES = ["admin", "supervisor", "teacher", "student", "parent"];
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PREFIX = "scrypt$";
+const KEY_LENGTH = 64;
+// Verified when the username doesn't exist, so both cases take as long
+const DUMMY_HASH = `${SCRYPT_PREFIX}${"0".repeat(32)}$${"0".repeat(128)}`;
+
+/**
+ * Hash a password for the credentials collection
+ * @param {string} password - Plain text password
+ * @return {Promise<string>} - "scrypt$<salt>$<hash>", both hex
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${SCRYPT_PREFIX}${salt}$${hash.toString("hex")}`;
+}
+
+/**
+ * Is this a SHA-256 hash left by the old browser-only login?
+ * @param {string} stored - Stored hash
+ * @return {boolean} - True when it should be replaced by scrypt
+ */
+function isLegacyHash(stored) {
+  return !String(stored || "").startsWith(SCRYPT_PREFIX);
+}
+
+/**
+ * Check a password against a stored hash (scrypt, or legacy SHA-256)
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash from the credentials collection
+ * @return {Promise<boolean>} - True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  let expected;
+  let actual;
+  if (isLegacyHash(stored)) {
+    expected = Buffer.from(String(stored || ""), "hex");
+    actual = crypto.createHash("sha256").update(password, "utf8").digest();
+  } else {
+    const [salt, hash] = stored.slice(SCRYPT_PREFIX.length).split("$");
+    expected = Buffer.from(hash || "", "hex");
+    actual = await scrypt(password, salt, KEY_LENGTH);
+  }
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * A copy of a user record without its password hash
+ * @param {Object} user - User record
+ * @return {Object} - Record safe to send to a client
+ */
+function withoutPasswordHash(user) {
+  const copy = {...user};
+  delete copy.passwordHash;
+  return copy;
+}
+
+/**
+ * Read username and password from an Authorization: Basic header
+ * @param {string} [header] - Value of the Authorization header
+ * @return {{username: string, password: string}|null} - Credentials
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic\s+(\S+)$/i.exec(header || "");
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const colon = decoded.indexOf(":");
+  if (colon < 1) return null;
+  return {
+    username: decoded.slice(0, colon),
+    password: decoded.slice(colon + 1),
+  };
+}
+
+/**
+ * Profile of an account with the role its credential gives it
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} credential - Document from the credentials collection
+ * @return {Promise<Object|null>} - User without passwordHash, or null when
+ *     the credential has no valid role or profile
+ */
+async function loadUser(db, credential) {
+  if (!ROLES.includes(credential.role)) return null;
+  const snap = await db.collection("users")
+      .doc(String(credential.userId)).get();
+  if (!snap.exists) return null;
+  return withoutPasswordHash({...snap.data(), role: credential.role});
+}
+
+/**
+ * Check a username and password against the credentials collection
+ * A legacy SHA-256 hash is replaced by scrypt once the password checks out
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @return {Promise<Object|null>} - The user, or null when they don't match
+ */
+async function checkPassword(db, username, password) {
+  const ref = db.collection("credentials").doc(username);
+  const snap = await ref.get();
+  const credential = snap.exists ? snap.data() : null;
+  const valid = await verifyPassword(password,
+      credential ? credential.passwordHash : DUMMY_HASH);
+  if (!credential || !valid) return null;
+
+  if (isLegacyHash(credential.passwordHash)) {
+    await ref.set({...credential, passwordHash: await hashPassword(password)});
+  }
+  return loadUser(db, credential);
+}
+
+/**
+ * Create the authenticate() used by the router
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {{verifyIdToken: function(string): Promise<Object>}} auth - Firebase
+ *     Auth (admin SDK) to check Bearer tokens with
+ * @return {function(Object): Promise<Object>} - Resolves the user of a
+ *     request (without passwordHash) or throws a 401 HttpError
+ */
+function createAuthenticator(db, auth) {
+  return async (req) => {
+    const header = req.get("Authorization");
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header || "");
+    if (bearer) {
+      let claims;
+      try {
+        claims = await auth.verifyIdToken(bearer[1]);
+      } catch (err) {
+        throw new HttpError(401, "Sesi login tidak valid, silakan login lagi.");
+      }
+      // The credential is read again, so a removed account stops at once
+      const snapshot = await db.collection("credentials")
+          .where("userId", "==", claims.appId).limit(1).get();
+      const user = snapshot.empty ? null :
+        await loadUser(db, snapshot.docs[0].data());
+      if (!user) {
+        throw new HttpError(401, "Sesi login tidak valid, silakan login lagi.");
+      }
+      return user;
+    }
+
+    const credentials = parseBasicAuth(header);
+    if (!credentials) {
+      throw new HttpError(401, "Login diperlukan (HTTP Basic).");
+    }
+    const user = await checkPassword(db, credentials.username,
+        credentials.password);
+    if (!user) {
+      throw new HttpError(401, "Username atau password salah.");
+    }
+    return user;
+  };
+}
+
+/**
+ * Author id the app stores on journals (registered users have a numeric id)
+ * @param {Object} user - Authenticated user
+ * @return {(number|string)} - Value of jurnal.teacherId for this user
+ */
+function getAuthorId(user) {
+  return user.id !== undefined ? user.id : user.username;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  isLegacyHash,
+  verifyPassword,
+  withoutPasswordHash,
+  parseBasicAuth,
+  checkPassword,
+  createAuthenticator,
+  getAuthorId,
+};
@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * HTTP — ROUTING, ERRORS & PAGINATION FOR THE REST API
+ * ============================================================================
+ * A tiny router on top of the request/response objects onRequest hands us,
+ * so the API needs nothing beyond firebase-functions. Every error leaves as
+ * JSON: {error: "...", detail?: {...}} with the matching status code.
+ * ============================================================================
+ */
+
+const logger = require("firebase-functions/logger");
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * An error that should reach the client with a given status code
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message shown to the client (Indonesian)
+   * @param {Object} [detail] - Extra information, e.g. invalid fields
+   */
+  constructor(status, message, detail) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Read page and limit from the query string
+ * @param {Object} query - req.query
+ * @return {{page: number, limit: number, offset: number}} - Page to fetch
+ */
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new HttpError(400, "Parameter page harus bilangan bulat mulai 1.");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400,
+        `Parameter limit harus bilangan bulat 1–${MAX_LIMIT}.`);
+  }
+  return {page, limit, offset: (page - 1) * limit};
+}
+
+/**
+ * Wrap one page of results with the numbers a client needs to page on
+ * @param {Array} data - Items on this page
+ * @param {{page: number, limit: number}} paging - From parsePagination()
+ * @param {number} total - Number of items over all pages
+ * @return {Object} - Response body
+ */
+function paginated(data, paging, total) {
+  return {
+    data,
+    page: paging.page,
+    limit: paging.limit,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / paging.limit)),
+  };
+}
+
+/**
+ * Decode one segment of the path
+ * @param {string} value - Segment as it came in the URL
+ * @return {string} - Decoded value
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    // A broken escape like %E0%A4%A is a bad address, not a server error
+    throw new HttpError(400, "Alamat tidak valid.");
+  }
+}
+
+/**
+ * Build a request handler from a route table
+ * A route is {method, path: "/jurnal/:id", roles?: [...], public?, handler};
+ * the handler receives (req, {params, user}) and returns {status?, body}.
+ * Public routes (login, registration) skip authentication; user is null.
+ * @param {Array<Object>} routes - Route table
+ * @param {function(Object): Promise<Object>} authenticate - Resolves the
+ *     logged-in user from a request or throws an HttpError
+ * @return {function(Object, Object): Promise<void>} - onRequest handler
+ */
+function createRouter(routes, authenticate) {
+  const compiled = routes.map((route) => {
+    const names = [];
+    const source = route.path.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return "([^/]+)";
+    });
+    return {...route, names, pattern: new RegExp(`^${source}/?$`)};
+  });
+
+  return async (req, res) => {
+    let route = null;
+    try {
+      // Hosting rewrites keep the /api prefix; the bare function URL does not
+      const path = req.path.replace(/^\/api(?=\/|$)/, "") || "/";
+      const matches = compiled.filter((r) => r.pattern.test(path));
+      if (matches.length === 0) {
+        throw new HttpError(404, "Endpoint tidak ditemukan.");
+      }
+      route = matches.find((r) => r.method === req.method);
+      if (!route) {
+        res.set("Allow", matches.map((r) => r.method).join(", "));
+        throw new HttpError(405, "Metode tidak didukung untuk endpoint ini.");
+      }
+
+      const user = route.public ? null : await authenticate(req);
+      if (route.roles && !route.roles.includes(user.role)) {
+        throw new HttpError(403,
+            "Peran Anda tidak boleh mengakses endpoint ini.");
+      }
+
+      const values = path.match(route.pattern).slice(1);
+      const params = {};
+      route.names.forEach((name, i) => {
+        params[name] = decodeParam(values[i]);
+      });
+
+      const result = await route.handler(req, {params, user});
+      if (result.body === undefined) {
+        res.status(result.status || 204).end();
+      } else {
+        res.status(result.status || 200).json(result.body);
+      }
+    } catch (err) {
+      if (err instanceof HttpError) {
+        // Only offer Basic to clients that aren't using a token or a form
+        const bearer = /^Bearer\s/i.test(req.get("Authorization") || "");
+        if (err.status === 401 && !bearer && !(route && route.public)) {
+          res.set("WWW-Authenticate", "Basic realm=\"Jurnal Mengajar\"");
+        }
+        const body = {error: err.message};
+        if (err.detail) body.detail = err.detail;
+        res.status(err.status).json(body);
+        return;
+      }
+      logger.error("API error", err);
+      res.status(500).json({error: "Terjadi kesalahan pada server."});
+    }
+  };
+}
+
+module.exports = {HttpError, parsePagination, paginated, createRouter};
@@ -1,15 +1,31 @@
 /**
- * Import function triggers from their respective submodules:
+ * Cloud Functions for the teaching journal
  *
- * const {onCall} = require("firebase-functions/v2/https");
- * const {onDocumentWritten} = require("firebase-functions/v2/firestore");
+ * api: REST API for SIAKAD and reporting scripts (see api.js for the
+ * endpoints). Clients log in with an app account via HTTP Basic; the pages
+ * trade the password for a Firebase Auth token at /auth/login (akun.js).
+ * The service account needs the Service Account Token Creator role to
+ * sign those tokens.
+ * kirimPengingat: every half hour after school, queues reminders for
+ * lessons without a journal (see reminders.js) and emails them through
+ * the transport chosen by MAIL_TRANSPORT (see mail.js).
+ * peringatanAlpa: when a journal marks a student alpa, emails the parents
+ * linked to that student (see alpa.js).
  *
  * See a full list of supported triggers at https://firebase.google.com/docs/functions
  */
 
 const {setGlobalOptions} = require("firebase-functions");
 const {onRequest} = require("firebase-functions/https");
-const logger = require("firebase-functions/logger");
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getAuth} = require("firebase-admin/auth");
+const {onSchedule} = require("firebase-functions/scheduler");
+const {onDocumentWritten} = require("firebase-functions/firestore");
+const {createApi} = require("./api");
+const {createTransport} = require("./mail");
+const {queueReminders, TIME_ZONE} = require("./reminders");
+const {notifyAlpa} = require("./alpa");
 
 // For cost control, you can set the maximum number of containers that can be
 // running at the same time. This helps mitigate the impact of unexpected
@@ -17,16 +33,23 @@ const logger = require("firebase-functions/logger");
 // per-function limit. You can override the limit for each function using the
 // `maxInstances` option in the function's options, e.g.
 // `onRequest({ maxInstances: 5 }, (req, res) => { ... })`.
-// NOTE: setGlobalOptions does not apply to functions using the v1 API. V1
-// functions should each use functions.runWith({ maxInstances: 10 }) instead.
-// In the v1 API, each function can only serve one request per container, so
-// this will be the maximum concurrent request count.
-setGlobalOptions({ maxInstances: 10 });
+setGlobalOptions({maxInstances: 10});
 
-// Create and deploy your first functions
-// https://firebase.google.com/docs/functions/get-started
+initializeApp();
 
-// exports.helloWorld = onRequest((request, response) => {
-//   logger.info("Hello logs!", {structuredData: true});
-//   response.send("Hello from Firebase!");
-// });
+// The pages call it from the app's own origin (login, student journals)
+exports.api = onRequest({region: "asia-southeast1", cors: true},
+    createApi(getFirestore(), getAuth()));
+
+// Monday to Friday only, the school days validasi.js accepts journals for
+exports.kirimPengingat = onSchedule({
+  schedule: "*/30 13-21 * * 1-5",
+  timeZone: TIME_ZONE,
+  region: "asia-southeast1",
+}, () => queueReminders(getFirestore(), createTransport()));
+
+exports.peringatanAlpa = onDocumentWritten({
+  document: "jurnal/{jurnalId}",
+  region: "asia-southeast1",
+}, (event) => notifyAlpa(getFirestore(), createTransport(),
+    event.data.before.data(), event.data.after.data()));
@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * KELOLA AKUN — ADMIN PERTAMA & PINDAH AKUN LAMA KE CREDENTIALS
+ * ============================================================================
+ * Admins can't register through the app, so the first one is made here:
+ *   npm run akun -- admin <username> <password> "<nama lengkap>"
+ * Accounts registered before the login moved to the server kept their
+ * SHA-256 hash in their users profile. This moves every such hash into the
+ * credentials collection and removes it from the profile:
+ *   npm run akun -- migrasi
+ * Until firestore.rules were closed anyone could write users, so review the
+ * collection first; profiles claiming the admin role are skipped.
+ * Uses the project of GOOGLE_APPLICATION_CREDENTIALS, or the emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ * ============================================================================
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+const {ROLES} = require("./auth");
+const {USERNAME_PATTERN, createAccount} = require("./akun");
+
+/**
+ * Create an admin account
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<string>} args - username, password, full name
+ * @return {Promise<void>}
+ */
+async function buatAdmin(db, [username, password, fullName]) {
+  if (!username || !password) {
+    throw new Error("Pakai: npm run akun -- admin <username> <password> " +
+      "\"<nama lengkap>\"");
+  }
+  const user = await createAccount(db, {
+    username,
+    fullName: fullName || username,
+    email: "",
+    role: "admin",
+  }, password);
+  console.log(`Admin ${username} dibuat (id ${user.id}).`);
+}
+
+/**
+ * Move the password hashes left in users profiles into credentials
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<void>}
+ */
+async function migrasi(db) {
+  const snap = await db.collection("users").get();
+  for (const doc of snap.docs) {
+    const user = doc.data();
+    if (!user.passwordHash) continue;
+    if (user.role === "admin" || !ROLES.includes(user.role) ||
+        !USERNAME_PATTERN.test(user.username)) {
+      console.warn(`Dilewati: ${user.username} (peran ${user.role}).`);
+      continue;
+    }
+
+    const ref = db.collection("credentials").doc(user.username);
+    if ((await ref.get()).exists) {
+      console.warn(`Dilewati: ${user.username} sudah punya credential.`);
+    } else {
+      await ref.create({
+        username: user.username,
+        userId: user.id,
+        role: user.role,
+        passwordHash: user.passwordHash,
+      });
+      console.log(`Dipindah: ${user.username} (${user.role}).`);
+    }
+    await doc.ref.update({
+      passwordHash: FieldValue.delete(),
+      updatedAt: Date.now(),
+    });
+  }
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  initializeApp();
+  const db = getFirestore();
+  const run = command === "admin" ? buatAdmin(db, args) :
+    command === "migrasi" ? migrasi(db) :
+    Promise.reject(new Error("Perintah: admin | migrasi"));
+  run.catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {buatAdmin, migrasi};
@@ -0,0 +1,57 @@
+/**
+ * ============================================================================
+ * MAIL — TRANSPORT EMAIL YANG BISA DIGANTI
+ * ============================================================================
+ * A transport is anything with send({to, subject, text}). MAIL_TRANSPORT
+ * picks one:
+ * - log (default): only writes the message to the function log
+ * - smtp: sends through SMTP_HOST/SMTP_PORT (SMTP_USER/SMTP_PASS when the
+ *   server needs a login). Locally, point it at a stand-in such as Mailpit:
+ *   MAIL_TRANSPORT=smtp SMTP_HOST=127.0.0.1 SMTP_PORT=1025
+ * MAIL_FROM sets the sender. Tests pass their own transport object.
+ * ============================================================================
+ */
+
+const logger = require("firebase-functions/logger");
+
+const DEFAULT_FROM = "Jurnal Mengajar <no-reply@jurnal-mengajar.local>";
+
+const TRANSPORTS = {
+  log: () => ({
+    send: async (message) => {
+      logger.info("Email (log transport)", message);
+    },
+  }),
+  smtp: (env) => {
+    const nodemailer = require("nodemailer");
+    const port = Number(env.SMTP_PORT || 587);
+    const smtp = nodemailer.createTransport({
+      host: env.SMTP_HOST || "127.0.0.1",
+      port,
+      secure: port === 465,
+      auth: env.SMTP_USER ? {user: env.SMTP_USER, pass: env.SMTP_PASS} :
+        undefined,
+    });
+    return {
+      send: (message) => smtp.sendMail({
+        from: env.MAIL_FROM || DEFAULT_FROM,
+        ...message,
+      }),
+    };
+  },
+};
+
+/**
+ * Create the transport named by MAIL_TRANSPORT
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @return {{send: function(Object): Promise}} - Mail transport
+ */
+function createTransport(env = process.env) {
+  const name = env.MAIL_TRANSPORT || "log";
+  if (!TRANSPORTS[name]) {
+    throw new Error(`MAIL_TRANSPORT tidak dikenal: ${name}`);
+  }
+  return TRANSPORTS[name](env);
+}
+
+module.exports = {createTransport};
@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * REKAP — REKAP BULANAN & RINGKASAN KEHADIRAN
+ * ============================================================================
+ * The JSON counterpart of the rekap export in export.js: same order (oldest
+ * first, then by period) and same columns, so SIAKAD gets what the teacher
+ * would print. Attendance summaries count the per-student statuses saved
+ * with each journal.
+ * ============================================================================
+ */
+
+const {STATUS_KEHADIRAN} = require("./validation");
+
+/**
+ * Order journals like a paper agenda (oldest first, then by period)
+ * @param {Array<Object>} journals - Journal entries
+ * @return {Array<Object>} - New sorted array
+ */
+function sortRekapJournals(journals) {
+  return [...journals].sort((a, b) => a.tanggal.localeCompare(b.tanggal) ||
+    Number(a.jamKe) - Number(b.jamKe));
+}
+
+/**
+ * Build the monthly rekap of one teacher
+ * @param {Array<Object>} journals - The teacher's journals of that month
+ * @param {{bulan: string, guru: Object}} header - Month and teacher details
+ * @return {Object} - Rekap with one row per lesson
+ */
+function buildRekap(journals, header) {
+  const baris = sortRekapJournals(journals).map((j, index) => ({
+    no: index + 1,
+    hari: j.hari,
+    tanggal: j.tanggal,
+    jamKe: j.jamKe,
+    kelas: j.kelas,
+    uraianMateri: j.uraianMateri,
+    siswaHadir: Number(j.siswaHadir) || 0,
+    siswaTidakHadir: Number(j.siswaTidakHadir) || 0,
+    keterangan: j.namaSiswaTidakHadir || "-",
+    lampiran: (j.lampiran || [])
+        .map((meta) => ({nama: meta.nama, url: meta.url || null})),
+  }));
+
+  return {
+    bulan: header.bulan,
+    guru: header.guru,
+    kelas: [...new Set(baris.map((b) => b.kelas))].sort(),
+    jumlahPertemuan: baris.length,
+    totalHadir: baris.reduce((sum, b) => sum + b.siswaHadir, 0),
+    totalTidakHadir: baris.reduce((sum, b) => sum + b.siswaTidakHadir, 0),
+    baris,
+  };
+}
+
+/**
+ * Count each student's statuses over a class's journals
+ * Students on the roster who were never marked still get a row of zeros
+ * @param {Array<Object>} journals - Journals of one class
+ * @param {Array<{studentId: number, nama: string}>} roster - Class roster
+ * @return {Array<Object>} - One row per student, sorted by name
+ */
+function summarizeKehadiran(journals, roster) {
+  const rows = new Map();
+  const rowFor = (studentId, nama) => {
+    if (!rows.has(studentId)) {
+      const counts = {};
+      Object.keys(STATUS_KEHADIRAN).forEach((code) => {
+        counts[code] = 0;
+      });
+      rows.set(studentId, {studentId, nama, ...counts});
+    }
+    return rows.get(studentId);
+  };
+
+  roster.forEach((s) => rowFor(s.studentId, s.nama));
+  journals.forEach((j) => {
+    (j.kehadiran || []).forEach((k) => {
+      rowFor(k.studentId, k.nama)[k.status] += 1;
+    });
+  });
+
+  return [...rows.values()]
+      .map((row) => {
+        const total = Object.keys(STATUS_KEHADIRAN)
+            .reduce((sum, code) => sum + row[code], 0);
+        const persentaseHadir = total ? Math.round(row.H / total * 100) : null;
+        return {...row, pertemuan: total, persentaseHadir};
+      })
+      .sort((a, b) => a.nama.localeCompare(b.nama, "id"));
+}
+
+module.exports = {sortRekapJournals, buildRekap, summarizeKehadiran};
@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ * REMINDERS — PENGINGAT JURNAL YANG BELUM DIISI
+ * ============================================================================
+ * Runs after school: for every teacher whose reminder time has passed, it
+ * compares today's timetable slots (jadwal) with today's journals, the same
+ * way kalender.js does on the dashboard. Missing lessons are queued as one
+ * reminder per teacher per day in the pengingat collection, which the
+ * dashboard shows as a banner, and are emailed when the teacher has an
+ * address. Holidays from the academic calendar are skipped, and teachers
+ * can opt out or pick their time (user.pengingat = {aktif, jam}).
+ * ============================================================================
+ */
+
+const logger = require("firebase-functions/logger");
+const {HARI} = require("./validation");
+
+const TIME_ZONE = "Asia/Jakarta";
+const DEFAULT_JAM = "15:00";
+
+/**
+ * Date, time and weekday in the school's time zone
+ * @param {Date} now - Moment to convert
+ * @return {{tanggal: string, jam: string, hari: string}} - Local values
+ */
+function getLocalNow(now) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIME_ZONE,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(now).forEach((p) => {
+    parts[p.type] = p.value;
+  });
+  const tanggal = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    tanggal,
+    jam: `${parts.hour}:${parts.minute}`,
+    hari: HARI[new Date(`${tanggal}T00:00:00Z`).getUTCDay()],
+  };
+}
+
+/**
+ * Has the teacher's reminder time come (and not been switched off)?
+ * @param {Object} user - User record
+ * @param {string} jam - Local time as HH:MM
+ * @return {boolean} - True when a reminder may be sent now
+ */
+function isReminderDue(user, jam) {
+  const settings = user.pengingat || {};
+  if (user.role !== "teacher" || settings.aktif === false) return false;
+  return (settings.jam || DEFAULT_JAM) <= jam;
+}
+
+/**
+ * Read a jamKe value ("3" or "3-4") into a period range, like jadwal.js
+ * @param {(string|number)} jamKe - Period or period range
+ * @return {{jamMulai: number, jamSelesai: number}} - Start and end period
+ */
+function parseJamRange(jamKe) {
+  const [start, end] = String(jamKe).split("-").map(Number);
+  return {jamMulai: start, jamSelesai: end || start};
+}
+
+/**
+ * Slots of the day that no journal covers (same class, overlapping periods)
+ * @param {Array<Object>} slots - The teacher's slots on that weekday
+ * @param {Array<Object>} journals - The teacher's journals of that date
+ * @return {Array<Object>} - Uncovered slots, in period order
+ */
+function findMissingSlots(slots, journals) {
+  return slots
+      .filter((slot) => !journals.some((j) => {
+        if (j.kelas !== slot.kelas) return false;
+        const range = parseJamRange(j.jamKe);
+        return range.jamMulai <= slot.jamSelesai &&
+          slot.jamMulai <= range.jamSelesai;
+      }))
+      .sort((a, b) => a.jamMulai - b.jamMulai);
+}
+
+/**
+ * Text of the reminder email
+ * @param {Object} reminder - Queued reminder
+ * @return {{subject: string, text: string}} - Email content
+ */
+function buildReminderEmail(reminder) {
+  const lines = reminder.slots.map((s) => {
+    const jam = s.jamMulai === s.jamSelesai ?
+      `${s.jamMulai}` : `${s.jamMulai}-${s.jamSelesai}`;
+    return `- Jam ${jam} · ${s.kelas}${s.mapel ? ` · ${s.mapel}` : ""}`;
+  });
+  return {
+    subject: `Jurnal mengajar ${reminder.hari}, ${reminder.tanggal} ` +
+      `belum diisi`,
+    text: [
+      `Halo ${reminder.teacherName},`,
+      "",
+      `Jurnal untuk pelajaran berikut pada ${reminder.hari}, ` +
+        `${reminder.tanggal} belum diisi:`,
+      ...lines,
+      "",
+      "Silakan isi lewat aplikasi Jurnal Mengajar.",
+      "Waktu pengingat dapat diubah atau dimatikan di bagian " +
+        "Pengingat Jurnal.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Queue (and email) today's reminders for every teacher that is due
+ * A teacher gets at most one reminder per day
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {{send: function(Object): Promise}} transport - Mail transport
+ * @param {Date} [now] - Current moment
+ * @return {Promise<Array<Object>>} - Reminders queued in this run
+ */
+async function queueReminders(db, transport, now = new Date()) {
+  const {tanggal, jam, hari} = getLocalNow(now);
+
+  const libur = (await db.collection("kalender").get()).docs
+      .map((d) => d.data())
+      .find((l) => l.mulai <= tanggal && tanggal <= l.selesai);
+  if (libur) {
+    logger.info(`Tidak ada pengingat: ${tanggal} libur (${libur.keterangan})`);
+    return [];
+  }
+
+  const teachers = (await db.collection("users")
+      .where("role", "==", "teacher").get()).docs
+      .map((d) => d.data())
+      .filter((u) => isReminderDue(u, jam));
+  const queued = [];
+
+  for (const teacher of teachers) {
+    const id = `${teacher.id}-${tanggal}`;
+    const ref = db.collection("pengingat").doc(encodeURIComponent(id));
+    if ((await ref.get()).exists) continue;
+
+    const slots = (await db.collection("jadwal")
+        .where("teacherId", "==", teacher.id).where("hari", "==", hari)
+        .get()).docs.map((d) => d.data());
+    if (slots.length === 0) continue;
+    const journals = (await db.collection("jurnal")
+        .where("teacherId", "==", teacher.id).where("tanggal", "==", tanggal)
+        .get()).docs.map((d) => d.data());
+    const missing = findMissingSlots(slots, journals);
+    if (missing.length === 0) continue;
+
+    const reminder = {
+      id,
+      teacherId: teacher.id,
+      username: teacher.username,
+      teacherName: teacher.fullName || teacher.username,
+      tanggal,
+      hari,
+      slots: missing.map((s) => ({
+        id: s.id,
+        jamMulai: s.jamMulai,
+        jamSelesai: s.jamSelesai,
+        kelas: s.kelas,
+        mapel: s.mapel || "",
+      })),
+      dibuatAt: now.toISOString(),
+      emailTerkirimAt: null,
+      dibacaAt: null,
+      updatedAt: now.getTime(),
+    };
+
+    if (teacher.email) {
+      try {
+        await transport.send({
+          to: teacher.email,
+          ...buildReminderEmail(reminder),
+        });
+        reminder.emailTerkirimAt = new Date().toISOString();
+      } catch (err) {
+        logger.warn(`Email pengingat ke ${teacher.username} gagal`, err);
+      }
+    }
+    await ref.set(reminder);
+    queued.push(reminder);
+  }
+
+  logger.info(`${queued.length} pengingat jurnal untuk ${tanggal}`);
+  return queued;
+}
+
+module.exports = {
+  TIME_ZONE,
+  DEFAULT_JAM,
+  getLocalNow,
+  isReminderDue,
+  findMissingSlots,
+  buildReminderEmail,
+  queueReminders,
+};
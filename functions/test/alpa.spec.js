@@ -0,0 +1,131 @@
+/**
+ * Tests for the parents' alpa alert
+ * The email suite needs the Firestore emulator: npm run test:emulators
+ */
+
+const assert = require("assert");
+const test = require("firebase-functions-test")({projectId: "demo-jurnal"});
+const {notifyAlpa, findNewAlpa, isRecentLesson} = require("../alpa");
+const {useEmulator, resetFirestore} = require("./helpers");
+
+// Senin, 19 Oktober 2026 pukul 16:00 WIB, the day of JURNAL
+const NOW = new Date("2026-10-19T09:00:00Z");
+
+const USERS = [
+  {id: 10, username: "andi", fullName: "Andi", role: "student",
+    kelasMengajar: "9A"},
+  {id: 11, username: "bela", fullName: "Bela", role: "student",
+    kelasMengajar: "9A"},
+  {id: 20, username: "ibuandi", fullName: "Ibu Andi", role: "parent",
+    studentId: 10, email: "ibu.andi@mail.id"},
+  {id: 21, username: "ayahandi", fullName: "Ayah Andi", role: "parent",
+    studentId: 10, email: "ayah.andi@mail.id",
+    peringatanAlpa: {aktif: false, dibaca: []}},
+  {id: 22, username: "ibubela", fullName: "Ibu Bela", role: "parent",
+    studentId: 11},
+];
+const JURNAL = {
+  id: 1, teacherId: 2, tanggal: "2026-10-19", hari: "Senin", jamKe: "1-2",
+  kelas: "9A", mapel: "Informatika",
+  kehadiran: [
+    {studentId: 10, nama: "Andi", status: "H"},
+    {studentId: 11, nama: "Bela", status: "H"},
+  ],
+};
+
+/**
+ * The journal with some students' statuses changed
+ * @param {Object} statuses - studentId → status
+ * @return {Object} - Changed copy of JURNAL
+ */
+function withStatus(statuses) {
+  return {
+    ...JURNAL,
+    kehadiran: JURNAL.kehadiran.map((k) => ({
+      ...k, status: statuses[k.studentId] || k.status,
+    })),
+  };
+}
+
+describe("alpa helpers", () => {
+  it("finds only students whose mark changed to alpa", () => {
+    const before = withStatus({10: "A"});
+    const after = withStatus({10: "A", 11: "A"});
+
+    assert.deepStrictEqual(findNewAlpa(before, after, NOW)
+        .map((k) => k.nama), ["Bela"]);
+    assert.deepStrictEqual(findNewAlpa(undefined, before, NOW)
+        .map((k) => k.nama), ["Andi"]);
+    assert.deepStrictEqual(findNewAlpa(after, undefined, NOW), []);
+  });
+
+  it("alerts for lessons of the last three days only", () => {
+    const alpa = withStatus({10: "A"});
+    const on = (tanggal) => findNewAlpa(undefined, {...alpa, tanggal}, NOW);
+
+    assert.strictEqual(on("2026-10-16").length, 1);
+    assert.strictEqual(on("2026-10-15").length, 0);
+    assert.strictEqual(on("2026-10-20").length, 0);
+  });
+
+  it("stays quiet when old journals are written again", () => {
+    const migrated = {...withStatus({10: "A"}), tanggal: "2026-08-03"};
+
+    assert.deepStrictEqual(findNewAlpa(undefined, migrated, NOW), []);
+    assert.deepStrictEqual(findNewAlpa(JURNAL, migrated, NOW), []);
+  });
+
+  it("counts days in the school's time zone", () => {
+    // 23:30 WIB on the 22nd is still three days after the lesson
+    const late = new Date("2026-10-22T16:30:00Z");
+    assert.strictEqual(isRecentLesson("2026-10-19", late), true);
+    assert.strictEqual(isRecentLesson("2026-10-19",
+        new Date("2026-10-22T17:30:00Z")), false);
+  });
+});
+
+describe("alpa", () => {
+  let db;
+  let sent;
+  const transport = {
+    send: async (message) => {
+      sent.push(message);
+    },
+  };
+
+  before(function() {
+    db = useEmulator(this);
+  });
+
+  beforeEach(async () => {
+    sent = [];
+    await resetFirestore(db, {users: USERS});
+  });
+
+  after(() => {
+    test.cleanup();
+  });
+
+  it("emails the linked parents that have the alert on", async () => {
+    await notifyAlpa(db, transport, JURNAL, withStatus({10: "A"}), NOW);
+
+    assert.deepStrictEqual(sent.map((m) => m.to), ["ibu.andi@mail.id"]);
+    assert.match(sent[0].subject, /Andi tercatat alpa pada 2026-10-19/);
+    assert.match(sent[0].text, /Jam ke-1-2 · Informatika/);
+  });
+
+  it("does not email again when the journal is saved unchanged", async () => {
+    const alpa = withStatus({10: "A"});
+    await notifyAlpa(db, transport, alpa, {...alpa, catatan: "Diperbarui"},
+        NOW);
+    await notifyAlpa(db, transport, JURNAL, withStatus({10: "S"}), NOW);
+
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it("skips parents without an email", async () => {
+    await notifyAlpa(db, transport, JURNAL, withStatus({11: "A"}), NOW);
+
+    assert.strictEqual(sent.length, 0);
+  });
+});
@@ -0,0 +1,716 @@
+/**
+ * Tests for the REST API
+ * The endpoint suites need the Firestore emulator: npm run test:emulators
+ */
+
+const assert = require("assert");
+const test = require("firebase-functions-test")({projectId: "demo-jurnal"});
+const crypto = require("crypto");
+const {hashPassword, verifyPassword, withoutPasswordHash, parseBasicAuth} =
+  require("../auth");
+const {parsePagination} = require("../http");
+const {validateJurnal} = require("../validation");
+const {createApi, present} = require("../api");
+const {useEmulator, resetFirestore} = require("./helpers");
+
+const PASSWORD = "rahasia123";
+const USERS = [
+  {id: 1, username: "admin1", fullName: "Admin Sekolah", role: "admin"},
+  {id: 5, username: "kepsek", fullName: "Kepala Sekolah",
+    role: "supervisor"},
+  {id: 2, username: "guru1", fullName: "Bu Sari", role: "teacher",
+    mapelMengajar: "Informatika"},
+  {id: 3, username: "guru2", fullName: "Pak Budi", role: "teacher",
+    mapelMengajar: "Matematika"},
+  {id: 10, username: "ani", fullName: "Ani", role: "student",
+    kelasMengajar: "9A"},
+  {id: 11, username: "budi", fullName: "Budi", role: "student",
+    kelasMengajar: "9A"},
+  {id: 20, username: "ibuani", fullName: "Ibu Ani", role: "parent",
+    studentId: 10},
+];
+
+// Stands in for Firebase Auth: a "custom token" is accepted as an ID token
+const auth = {
+  createCustomToken: async (uid, claims) =>
+    Buffer.from(JSON.stringify({uid, ...claims})).toString("base64"),
+  verifyIdToken: async (token) =>
+    JSON.parse(Buffer.from(token, "base64").toString("utf8")),
+};
+
+/**
+ * SHA-256 hex, as the old browser-only login stored passwords
+ * @param {string} password - Plain text password
+ * @return {string} - Hash
+ */
+function legacyHash(password) {
+  return crypto.createHash("sha256").update(password).digest("hex");
+}
+
+const lesson = (extra = {}) => ({
+  tanggal: "2026-10-13",
+  jamKe: "1-2",
+  kelas: "9A",
+  uraianMateri: "Algoritma dan pemrograman",
+  siswaHadir: 30,
+  siswaTidakHadir: 0,
+  ...extra,
+});
+
+describe("api helpers", () => {
+  describe("passwords", () => {
+    it("salts every hash", async () => {
+      const first = await hashPassword(PASSWORD);
+      assert.notStrictEqual(first, await hashPassword(PASSWORD));
+      assert.strictEqual(await verifyPassword(PASSWORD, first), true);
+      assert.strictEqual(await verifyPassword("salah", first), false);
+    });
+
+    it("still accepts a SHA-256 hash of the old login", async () => {
+      const stored = legacyHash(PASSWORD);
+      assert.strictEqual(await verifyPassword(PASSWORD, stored), true);
+      assert.strictEqual(await verifyPassword("salah", stored), false);
+      assert.strictEqual(await verifyPassword(PASSWORD, undefined), false);
+    });
+
+    it("strips the hash from a copy of the user", () => {
+      const user = {id: 2, username: "guru1", passwordHash: "x"};
+      assert.deepStrictEqual(withoutPasswordHash(user),
+          {id: 2, username: "guru1"});
+      assert.strictEqual(user.passwordHash, "x");
+    });
+  });
+
+  describe("present", () => {
+    const jurnal = {
+      id: 1, kelas: "9A", uraianMateri: "Pecahan",
+      catatan: "Budi perlu remedial", namaSiswaTidakHadir: "Budi",
+      kehadiran: [
+        {studentId: 10, nama: "Ani", status: "H"},
+        {studentId: 11, nama: "Budi", status: "A"},
+      ],
+      tugas: {judul: "Latihan", mengumpulkan: [11, 10]},
+    };
+
+    it("leaves a student only their own mark and tick", () => {
+      const visible = present(jurnal, {id: 10, role: "student"});
+      assert.deepStrictEqual(visible.kehadiran,
+          [{studentId: 10, nama: "Ani", status: "H"}]);
+      assert.deepStrictEqual(visible.tugas,
+          {judul: "Latihan", mengumpulkan: [10]});
+      assert.strictEqual(visible.catatan, undefined);
+      assert.strictEqual(visible.namaSiswaTidakHadir, undefined);
+      assert.strictEqual(jurnal.tugas.mengumpulkan.length, 2);
+    });
+
+    it("keeps a journal without a roster as it is", () => {
+      const visible = present({id: 2, kehadiran: null, tugas: null},
+          {id: 10, role: "student"});
+      assert.strictEqual(visible.kehadiran, null);
+      assert.strictEqual(visible.tugas, null);
+    });
+
+    it("trims a parent's view to their child", () => {
+      const visible = present(jurnal,
+          {id: 20, role: "parent", studentId: 11, kelasAnak: "9A"});
+      assert.deepStrictEqual(visible.kehadiran,
+          [{studentId: 11, nama: "Budi", status: "A"}]);
+      assert.deepStrictEqual(visible.tugas.mengumpulkan, [11]);
+      assert.strictEqual(visible.catatan, "Budi perlu remedial");
+      assert.strictEqual(visible.namaSiswaTidakHadir, undefined);
+    });
+
+    it("gives staff the whole journal", () => {
+      assert.strictEqual(present(jurnal, {id: 2, role: "teacher"}), jurnal);
+    });
+  });
+
+  describe("validateJurnal", () => {
+    it("fills in the weekday and academic period from the date", () => {
+      const clean = validateJurnal(lesson());
+      assert.strictEqual(clean.hari, "Selasa");
+      assert.strictEqual(clean.tahunAjaran, "2026/2027");
+      assert.strictEqual(clean.semester, "Ganjil");
+    });
+
+    it("reports every invalid field", () => {
+      assert.throws(() => validateJurnal({
+        tanggal: "2026-02-30",
+        kelas: "",
+        siswaHadir: -1,
+      }), (err) => {
+        assert.strictEqual(err.status, 400);
+        assert.deepStrictEqual(Object.keys(err.detail).sort(),
+            ["jamKe", "kelas", "siswaHadir", "siswaTidakHadir", "tanggal",
+              "uraianMateri"]);
+        return true;
+      });
+    });
+
+    it("keeps the stored fields a partial update leaves out", () => {
+      const clean = validateJurnal({uraianMateri: "Diubah"},
+          validateJurnal(lesson()));
+      assert.strictEqual(clean.uraianMateri, "Diubah");
+      assert.strictEqual(clean.kelas, "9A");
+    });
+  });
+
+  describe("parseBasicAuth", () => {
+    it("reads username and password", () => {
+      const header =
+        `Basic ${Buffer.from("guru1:rah:asia").toString("base64")}`;
+      assert.deepStrictEqual(parseBasicAuth(header),
+          {username: "guru1", password: "rah:asia"});
+    });
+
+    it("ignores other schemes and an empty username", () => {
+      assert.strictEqual(parseBasicAuth("Bearer abc"), null);
+      assert.strictEqual(parseBasicAuth(undefined), null);
+      assert.strictEqual(parseBasicAuth(
+          `Basic ${Buffer.from(":rahasia").toString("base64")}`), null);
+    });
+  });
+
+  describe("parsePagination", () => {
+    it("defaults to the first page", () => {
+      const paging = parsePagination({});
+      assert.strictEqual(paging.page, 1);
+      assert.strictEqual(paging.offset, 0);
+    });
+
+    it("computes the offset and rejects out-of-range values", () => {
+      assert.deepStrictEqual(parsePagination({page: "3", limit: "10"}),
+          {page: 3, limit: 10, offset: 20});
+      assert.throws(() => parsePagination({limit: "500"}),
+          (err) => err.status === 400);
+      assert.throws(() => parsePagination({page: "0"}),
+          (err) => err.status === 400);
+    });
+  });
+});
+
+describe("api", () => {
+  let api;
+  let db;
+
+  let passwordHash;
+
+  before(async function() {
+    db = useEmulator(this);
+    api = createApi(db, auth);
+    passwordHash = await hashPassword(PASSWORD);
+  });
+
+  beforeEach(async () => {
+    await resetFirestore(db, {users: USERS});
+    await Promise.all(USERS.map((u) => db.collection("credentials")
+        .doc(u.username)
+        .set({username: u.username, userId: u.id, role: u.role,
+          passwordHash})));
+  });
+
+  after(() => {
+    test.cleanup();
+  });
+
+  /**
+   * Call the API with a mock request/response pair
+   * @param {string} method - HTTP method
+   * @param {string} path - Path, e.g. "/jurnal"
+   * @param {Object} [options] - {as: username, password, token, query,
+   *     body}
+   * @return {Promise<{status: number, body: *, headers: Object}>} - Response
+   */
+  function call(method, path, options = {}) {
+    const headers = {};
+    if (options.token) {
+      headers.authorization = `Bearer ${options.token}`;
+    } else if (options.as) {
+      const credentials = `${options.as}:${options.password || PASSWORD}`;
+      headers.authorization =
+        `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    const req = {
+      method,
+      path,
+      url: path,
+      query: options.query || {},
+      body: options.body,
+      headers,
+      get: (name) => headers[name.toLowerCase()],
+      header: (name) => headers[name.toLowerCase()],
+    };
+    return new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) {
+          this.headers[name] = value;
+          return this;
+        },
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          resolve({status: this.statusCode, body, headers: this.headers});
+          return this;
+        },
+        end() {
+          resolve({status: this.statusCode, headers: this.headers});
+          return this;
+        },
+      };
+      Promise.resolve(api(req, res)).catch(reject);
+    });
+  }
+
+  describe("auth", () => {
+    it("rejects requests without credentials", async () => {
+      const res = await call("GET", "/jurnal");
+      assert.strictEqual(res.status, 401);
+      assert.ok(res.headers["WWW-Authenticate"].startsWith("Basic"));
+    });
+
+    it("rejects a wrong password", async () => {
+      const res = await call("GET", "/me", {as: "guru1", password: "salah"});
+      assert.strictEqual(res.status, 401);
+    });
+
+    it("returns the logged-in user without the password hash",
+        async () => {
+          const res = await call("GET", "/me", {as: "guru1"});
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.username, "guru1");
+          assert.strictEqual(res.body.passwordHash, undefined);
+        });
+
+    it("takes the role from the credential, not the profile", async () => {
+      // Profiles are written by the browser; a forged one gains nothing
+      await db.collection("users").doc("99").set({id: 99,
+        username: "penyusup", role: "admin", passwordHash: legacyHash("x")});
+      const forged = await call("GET", "/users",
+          {as: "penyusup", password: "x"});
+      assert.strictEqual(forged.status, 401);
+
+      await db.collection("users").doc("2")
+          .set({...USERS[2], role: "admin"});
+      const promoted = await call("GET", "/users", {as: "guru1"});
+      assert.strictEqual(promoted.status, 403);
+    });
+
+    it("trades the password for a token with the account's claims",
+        async () => {
+          const res = await call("POST", "/auth/login",
+              {body: {username: "guru1", password: PASSWORD}});
+          assert.strictEqual(res.status, 200);
+          assert.deepStrictEqual(await auth.verifyIdToken(res.body.token),
+              {uid: "user-2", role: "teacher", appId: 2,
+                username: "guru1"});
+          assert.strictEqual(res.body.user.username, "guru1");
+
+          const me = await call("GET", "/me", {token: res.body.token});
+          assert.strictEqual(me.body.fullName, "Bu Sari");
+        });
+
+    it("refuses a wrong login without asking for Basic auth", async () => {
+      const res = await call("POST", "/auth/login",
+          {body: {username: "guru1", password: "salah"}});
+      assert.strictEqual(res.status, 401);
+      assert.strictEqual(res.headers["WWW-Authenticate"], undefined);
+
+      const token = await call("GET", "/me", {token: "bukan-token"});
+      assert.strictEqual(token.status, 401);
+    });
+
+    it("replaces an old SHA-256 hash at login", async () => {
+      await db.collection("credentials").doc("guru2").set({
+        username: "guru2", userId: 3, role: "teacher",
+        passwordHash: legacyHash(PASSWORD),
+      });
+      const res = await call("GET", "/me", {as: "guru2"});
+      assert.strictEqual(res.status, 200);
+      const stored = (await db.collection("credentials").doc("guru2").get())
+          .data().passwordHash;
+      assert.ok(stored.startsWith("scrypt$"));
+    });
+
+    it("answers unknown endpoints with 404", async () => {
+      const res = await call("GET", "/tidak-ada", {as: "guru1"});
+      assert.strictEqual(res.status, 404);
+    });
+
+    it("answers a malformed path parameter with 400", async () => {
+      const res = await call("GET", "/jurnal/%E0%A4%A", {as: "guru1"});
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.error, "Alamat tidak valid.");
+    });
+  });
+
+  describe("jurnal", () => {
+    it("creates a journal for the logged-in teacher", async () => {
+      const res = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson()});
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.teacherId, 2);
+      assert.strictEqual(res.body.mapel, "Informatika");
+      assert.strictEqual(res.body.hari, "Selasa");
+      assert.strictEqual(res.body.tahunAjaran, "2026/2027");
+      assert.strictEqual(res.body.semester, "Ganjil");
+
+      const stored = await db.collection("jurnal")
+          .doc(String(res.body.id)).get();
+      assert.ok(stored.exists);
+    });
+
+    it("counts attendance from per-student statuses", async () => {
+      const res = await call("POST", "/jurnal", {as: "guru1", body: lesson({
+        kehadiran: [
+          {studentId: 10, nama: "Ani", status: "H"},
+          {studentId: 11, nama: "Budi", status: "S"},
+        ],
+      })});
+      assert.strictEqual(res.body.siswaHadir, 1);
+      assert.strictEqual(res.body.siswaTidakHadir, 1);
+      assert.strictEqual(res.body.namaSiswaTidakHadir, "Budi (Sakit)");
+    });
+
+    it("reports every invalid field", async () => {
+      const res = await call("POST", "/jurnal", {as: "guru1", body: {
+        tanggal: "2026-02-30",
+        kelas: "",
+        siswaHadir: -1,
+      }});
+      assert.strictEqual(res.status, 400);
+      assert.deepStrictEqual(Object.keys(res.body.detail).sort(),
+          ["jamKe", "kelas", "siswaHadir", "siswaTidakHadir", "tanggal",
+            "uraianMateri"]);
+    });
+
+    it("does not let students write", async () => {
+      const res = await call("POST", "/jurnal", {as: "ani", body: lesson()});
+      assert.strictEqual(res.status, 403);
+    });
+
+    it("shows teachers only their own journals, paginated", async () => {
+      for (let day = 1; day <= 3; day++) {
+        await call("POST", "/jurnal", {as: "guru1",
+          body: lesson({tanggal: `2026-10-0${day}`})});
+      }
+      await call("POST", "/jurnal", {as: "guru2", body: lesson()});
+
+      const res = await call("GET", "/jurnal",
+          {as: "guru1", query: {limit: "2", page: "2"}});
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.total, 3);
+      assert.strictEqual(res.body.totalPages, 2);
+      assert.deepStrictEqual(res.body.data.map((j) => j.tanggal),
+          ["2026-10-01"]);
+    });
+
+    it("filters by month", async () => {
+      await call("POST", "/jurnal", {as: "guru1", body: lesson()});
+      await call("POST", "/jurnal", {as: "guru1",
+        body: lesson({tanggal: "2026-09-29"})});
+      const res = await call("GET", "/jurnal",
+          {as: "guru1", query: {bulan: "2026-09"}});
+      assert.deepStrictEqual(res.body.data.map((j) => j.tanggal),
+          ["2026-09-29"]);
+    });
+
+    it("rejects invalid pagination", async () => {
+      const res = await call("GET", "/jurnal",
+          {as: "guru1", query: {limit: "500"}});
+      assert.strictEqual(res.status, 400);
+    });
+
+    it("lets only the author or an admin change a journal", async () => {
+      const created = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson()});
+      const path = `/jurnal/${created.body.id}`;
+
+      const other = await call("PUT", path,
+          {as: "guru2", body: {uraianMateri: "Diubah"}});
+      assert.strictEqual(other.status, 404);
+
+      const own = await call("PUT", path,
+          {as: "guru1", body: {uraianMateri: "Diubah"}});
+      assert.strictEqual(own.status, 200);
+      assert.strictEqual(own.body.uraianMateri, "Diubah");
+      assert.strictEqual(own.body.kelas, "9A");
+
+      const admin = await call("DELETE", path, {as: "admin1"});
+      assert.strictEqual(admin.status, 204);
+      const gone = await call("GET", path, {as: "guru1"});
+      assert.strictEqual(gone.status, 404);
+    });
+
+    it("lets supervisors read every journal but change none", async () => {
+      const created = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson()});
+      await call("POST", "/jurnal", {as: "guru2", body: lesson()});
+
+      const list = await call("GET", "/jurnal", {as: "kepsek"});
+      assert.strictEqual(list.body.total, 2);
+      const write = await call("PUT", `/jurnal/${created.body.id}`,
+          {as: "kepsek", body: {uraianMateri: "Diubah"}});
+      assert.strictEqual(write.status, 403);
+    });
+
+    it("locks journals of an approved month", async () => {
+      const created = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson()});
+      await db.collection("supervisi").doc("2-2026-10").set({
+        id: "2-2026-10", teacherId: 2, bulan: "2026-10",
+        status: "disetujui",
+      });
+      const path = `/jurnal/${created.body.id}`;
+
+      const put = await call("PUT", path,
+          {as: "guru1", body: {uraianMateri: "Diubah"}});
+      assert.strictEqual(put.status, 409);
+      const del = await call("DELETE", path, {as: "admin1"});
+      assert.strictEqual(del.status, 409);
+      const post = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson({tanggal: "2026-10-14"})});
+      assert.strictEqual(post.status, 409);
+      const otherMonth = await call("POST", "/jurnal",
+          {as: "guru1", body: lesson({tanggal: "2026-11-03"})});
+      assert.strictEqual(otherMonth.status, 201);
+    });
+
+    it("shows students their class without names or notes",
+        async () => {
+          await call("POST", "/jurnal", {as: "guru1", body: lesson({
+            catatan: "Budi perlu remedial",
+            kehadiran: [
+              {studentId: 10, nama: "Ani", status: "H"},
+              {studentId: 11, nama: "Budi", status: "A"},
+            ],
+          })});
+          await call("POST", "/jurnal", {as: "guru1",
+            body: lesson({kelas: "9B"})});
+
+          const res = await call("GET", "/jurnal", {as: "ani"});
+          assert.strictEqual(res.body.total, 1);
+          const jurnal = res.body.data[0];
+          assert.strictEqual(jurnal.kelas, "9A");
+          assert.deepStrictEqual(jurnal.kehadiran,
+              [{studentId: 10, nama: "Ani", status: "H"}]);
+          assert.strictEqual(jurnal.namaSiswaTidakHadir, undefined);
+          assert.strictEqual(jurnal.catatan, undefined);
+
+          const otherClass = await call("GET", "/jurnal",
+              {as: "ani", query: {kelas: "9B"}});
+          assert.strictEqual(otherClass.status, 403);
+        });
+
+    it("shows parents their child's class with the teacher's notes",
+        async () => {
+          await call("POST", "/jurnal", {as: "guru1", body: lesson({
+            catatan: "Budi perlu remedial",
+            kehadiran: [
+              {studentId: 10, nama: "Ani", status: "A"},
+              {studentId: 11, nama: "Budi", status: "H"},
+            ],
+          })});
+          await call("POST", "/jurnal", {as: "guru1",
+            body: lesson({kelas: "9B"})});
+
+          const res = await call("GET", "/jurnal", {as: "ibuani"});
+          assert.strictEqual(res.body.total, 1);
+          const jurnal = res.body.data[0];
+          assert.deepStrictEqual(jurnal.kehadiran,
+              [{studentId: 10, nama: "Ani", status: "A"}]);
+          assert.strictEqual(jurnal.catatan, "Budi perlu remedial");
+
+          const single = await call("GET", `/jurnal/${jurnal.id}`,
+              {as: "ibuani"});
+          assert.strictEqual(single.status, 200);
+          const write = await call("DELETE", `/jurnal/${jurnal.id}`,
+              {as: "ibuani"});
+          assert.strictEqual(write.status, 403);
+        });
+  });
+
+  describe("kelas", () => {
+    beforeEach(async () => {
+      await call("POST", "/jurnal", {as: "guru1", body: lesson({
+        kehadiran: [
+          {studentId: 10, nama: "Ani", status: "H"},
+          {studentId: 11, nama: "Budi", status: "A"},
+        ],
+      })});
+      await call("POST", "/jurnal", {as: "guru1", body: lesson({
+        tanggal: "2026-10-14",
+        kehadiran: [
+          {studentId: 10, nama: "Ani", status: "H"},
+          {studentId: 11, nama: "Budi", status: "H"},
+        ],
+      })});
+    });
+
+    it("lists classes with student and journal counts", async () => {
+      const res = await call("GET", "/kelas", {as: "admin1"});
+      assert.deepStrictEqual(res.body.data,
+          [{kelas: "9A", jumlahSiswa: 2, jumlahJurnal: 2}]);
+    });
+
+    it("summarizes attendance per student", async () => {
+      const res = await call("GET", "/kelas/9A/kehadiran",
+          {as: "guru1", query: {bulan: "2026-10"}});
+      assert.strictEqual(res.body.jumlahJurnal, 2);
+      const budi = res.body.siswa.find((s) => s.nama === "Budi");
+      assert.strictEqual(budi.H, 1);
+      assert.strictEqual(budi.A, 1);
+      assert.strictEqual(budi.persentaseHadir, 50);
+    });
+
+    it("gives a student only their own row", async () => {
+      const res = await call("GET", "/kelas/9A/kehadiran", {as: "ani"});
+      assert.deepStrictEqual(res.body.siswa.map((s) => s.nama), ["Ani"]);
+    });
+
+    it("gives a parent only their child's class and row", async () => {
+      const res = await call("GET", "/kelas/9A/kehadiran", {as: "ibuani"});
+      assert.deepStrictEqual(res.body.siswa.map((s) => s.nama), ["Ani"]);
+      const kelas = await call("GET", "/kelas", {as: "ibuani"});
+      assert.deepStrictEqual(kelas.body.data.map((k) => k.kelas), ["9A"]);
+      const other = await call("GET", "/kelas/9B/kehadiran",
+          {as: "ibuani"});
+      assert.strictEqual(other.status, 403);
+    });
+  });
+
+  describe("rekap", () => {
+    it("builds the monthly rekap in agenda order", async () => {
+      await call("POST", "/jurnal", {as: "guru1",
+        body: lesson({tanggal: "2026-10-14", jamKe: "3"})});
+      await call("POST", "/jurnal", {as: "guru1",
+        body: lesson({tanggal: "2026-10-14", jamKe: "1"})});
+      await call("POST", "/jurnal", {as: "guru1",
+        body: lesson({tanggal: "2026-11-02"})});
+
+      const res = await call("GET", "/rekap",
+          {as: "guru1", query: {bulan: "2026-10"}});
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.guru.nama, "Bu Sari");
+      assert.strictEqual(res.body.jumlahPertemuan, 2);
+      assert.deepStrictEqual(res.body.baris.map((b) => b.jamKe), ["1", "3"]);
+    });
+
+    it("requires a month, and a teacher for admins", async () => {
+      const noMonth = await call("GET", "/rekap", {as: "guru1"});
+      assert.strictEqual(noMonth.status, 400);
+      const noTeacher = await call("GET", "/rekap",
+          {as: "admin1", query: {bulan: "2026-10"}});
+      assert.strictEqual(noTeacher.status, 400);
+      const forTeacher = await call("GET", "/rekap",
+          {as: "admin1", query: {bulan: "2026-10", guru: "2"}});
+      assert.strictEqual(forTeacher.status, 200);
+    });
+  });
+
+  describe("daftar", () => {
+    const form = (extra = {}) => ({
+      username: "guru3",
+      password: "Rahasia#123",
+      fullName: "Bu Rina",
+      email: "rina@sekolah.sch.id",
+      role: "teacher",
+      mapelMengajar: "IPA",
+      authCode: "GURU-2026",
+      ...extra,
+    });
+
+    beforeEach(async () => {
+      await db.collection("authCodes").doc("GURU-2026").set({
+        code: "GURU-2026", role: "teacher", used: false, usedBy: null,
+      });
+      await db.collection("authCodes").doc("WALI-ANI234").set({
+        code: "WALI-ANI234", role: "parent", studentId: 10, used: false,
+      });
+    });
+
+    it("registers with a code and uses it up", async () => {
+      const res = await call("POST", "/auth/daftar", {body: form()});
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.role, "teacher");
+
+      const code = (await db.collection("authCodes").doc("GURU-2026").get())
+          .data();
+      assert.strictEqual(code.used, true);
+      assert.strictEqual(code.usedBy, res.body.id);
+      const profile = (await db.collection("users")
+          .doc(String(res.body.id)).get()).data();
+      assert.strictEqual(profile.passwordHash, undefined);
+
+      const login = await call("POST", "/auth/login",
+          {body: {username: "guru3", password: "Rahasia#123"}});
+      assert.strictEqual(login.status, 200);
+
+      const again = await call("POST", "/auth/daftar",
+          {body: form({username: "guru4"})});
+      assert.strictEqual(again.status, 400);
+    });
+
+    it("links a parent to the student of the code", async () => {
+      const res = await call("POST", "/auth/daftar", {body: form({
+        username: "ayahani", role: "parent", email: "",
+        mapelMengajar: "", authCode: "WALI-ANI234",
+      })});
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.studentId, 10);
+    });
+
+    it("tells the form what an unused code registers", async () => {
+      await db.collection("users").doc("10").set({id: 10, username: "ani",
+        fullName: "Ani", role: "student", kelasMengajar: "9A"});
+      const parent = await call("POST", "/auth/kode",
+          {body: {code: "WALI-ANI234"}});
+      assert.deepStrictEqual(parent.body,
+          {role: "parent", siswa: {fullName: "Ani", kelasMengajar: "9A"}});
+
+      await call("POST", "/auth/daftar", {body: form()});
+      const used = await call("POST", "/auth/kode",
+          {body: {code: "GURU-2026"}});
+      assert.strictEqual(used.status, 404);
+    });
+
+    it("refuses a code made for another role", async () => {
+      const res = await call("POST", "/auth/daftar",
+          {body: form({role: "supervisor"})});
+      assert.strictEqual(res.status, 400);
+      assert.match(res.body.error, /untuk pendaftaran Guru/);
+    });
+
+    it("lets students register without a code, never as admin",
+        async () => {
+          const student = await call("POST", "/auth/daftar", {body: {
+            username: "cici", password: "Rahasia#123", fullName: "Cici",
+            role: "student", kelasMengajar: "9A",
+          }});
+          assert.strictEqual(student.status, 201);
+
+          const admin = await call("POST", "/auth/daftar",
+              {body: form({username: "bos", role: "admin"})});
+          assert.strictEqual(admin.status, 400);
+          const taken = await call("POST", "/auth/daftar",
+              {body: form({username: "guru1"})});
+          assert.strictEqual(taken.status, 409);
+        });
+  });
+
+  describe("users", () => {
+    it("is for admins only and hides password hashes", async () => {
+      const denied = await call("GET", "/users", {as: "guru1"});
+      assert.strictEqual(denied.status, 403);
+
+      const res = await call("GET", "/users",
+          {as: "admin1", query: {role: "student"}});
+      assert.deepStrictEqual(res.body.data.map((u) => u.username),
+          ["ani", "budi"]);
+      assert.ok(res.body.data.every((u) => u.passwordHash === undefined));
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for the Data Connect connector (dataconnect/jurnal)
+ * The connector suite needs the Auth and Data Connect emulators: npm run
+ * test:dataconnect. It calls the connector through the web SDK and the
+ * generated client of the app, so run npm install in the repository root
+ * first.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {getClaims} = require("../akun");
+const {PROJECT_ID} = require("./helpers");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const USERS = {
+  guru1: {id: 2, username: "guru1", fullName: "Bu Sari", role: "teacher"},
+  guru2: {id: 3, username: "guru2", fullName: "Pak Budi", role: "teacher"},
+  kepsek: {id: 5, username: "kepsek", fullName: "Kepala Sekolah",
+    role: "supervisor"},
+  ani: {id: 10, username: "ani", fullName: "Ani", role: "student",
+    kelasMengajar: "9A"},
+};
+const JURNAL = {
+  id: 1760850000000, teacherId: 2, username: "guru1", teacherName: "Bu Sari",
+  tanggal: "2026-10-19", hari: "Senin", jamKe: "1-2", kelas: "9A",
+  mapel: "Informatika", siswaHadir: 1, siswaTidakHadir: 1,
+  namaSiswaTidakHadir: "Budi", uraianMateri: "Algoritma", catatan: "",
+  kehadiran: [
+    {studentId: 10, nama: "Ani", status: "H"},
+    {studentId: 11, nama: "Budi", status: "A"},
+  ],
+};
+const OKTOBER = {className: "9A", from: "2026-10-01", to: "2026-10-31"};
+
+/**
+ * Load toJournalVariables the way the dashboard does, after tahunajaran.js
+ * @return {function(Object): Object} - The browser's toJournalVariables
+ */
+function loadToJournalVariables() {
+  const context = vm.createContext({window: {}});
+  for (const file of ["tahunajaran.js", "dataconnect-jurnal.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context);
+  }
+  // Copied into this realm so deepStrictEqual sees a plain object
+  return (jurnal) => ({...context.window.toJournalVariables(jurnal)});
+}
+
+const toJournalVariables = loadToJournalVariables();
+
+describe("toJournalVariables", () => {
+  it("maps a journal onto UpsertJournalEntry", () => {
+    assert.deepStrictEqual(toJournalVariables(JURNAL), {
+      id: "1760850000000", teacherUsername: "guru1", className: "9A",
+      subjectName: "Informatika", date: "2026-10-19", day: "Senin",
+      period: "1-2", academicYear: "2026/2027", semester: "Ganjil",
+      presentCount: 1, absentCount: 1, absentNames: "Budi",
+      material: "Algoritma", notes: null,
+      createdAt: new Date(1760850000000).toISOString(),
+    });
+  });
+
+  it("fills in what old entries lack", () => {
+    const variables = toJournalVariables({
+      id: 1740000000000, teacherId: 7, kelas: "9B", tanggal: "2026-02-02",
+      tahunAjaran: "2025/2026", semester: "Genap",
+      createdAt: "2026-02-02T01:00:00.000Z",
+    });
+    assert.strictEqual(variables.teacherUsername, "7");
+    assert.strictEqual(variables.subjectName, null);
+    assert.strictEqual(variables.day, "");
+    assert.strictEqual(variables.period, "");
+    assert.strictEqual(variables.presentCount, 0);
+    assert.strictEqual(variables.material, "");
+    assert.strictEqual(variables.academicYear, "2025/2026");
+    assert.strictEqual(variables.semester, "Genap");
+    assert.strictEqual(variables.createdAt, "2026-02-02T01:00:00.000Z");
+  });
+});
+
+describe("Data Connect jurnal connector", () => {
+  let sdk;
+  let clientAuth;
+  let webAuth;
+  let adminAuth;
+
+  /**
+   * Sign the web SDK in with the custom token the api function would issue
+   * @param {Object} user - One of USERS
+   * @return {Promise<void>}
+   */
+  async function signInAs(user) {
+    const token = await adminAuth.createCustomToken(`user-${user.id}`,
+        getClaims(user));
+    await webAuth.signInWithCustomToken(clientAuth, token);
+  }
+
+  /**
+   * Write JURNAL the way dataconnect-sync.js does
+   * @return {Promise<void>}
+   */
+  async function pushJurnal() {
+    const variables = toJournalVariables(JURNAL);
+    await sdk.upsertSubject({name: variables.subjectName});
+    await sdk.upsertTeacher({username: "guru1", fullName: "Bu Sari",
+      role: "teacher", subjectName: variables.subjectName});
+    await sdk.upsertJournalEntry(variables);
+    for (const k of JURNAL.kehadiran) {
+      await sdk.upsertStudent({id: String(k.studentId), fullName: k.nama,
+        className: "9A"});
+      await sdk.recordAttendance({journalEntryId: variables.id,
+        studentId: String(k.studentId), status: k.status});
+    }
+  }
+
+  /**
+   * Journals of a teacher in 9A during October 2026
+   * @param {string} teacherUsername - Username of the teacher
+   * @return {Promise<Array<Object>>} - journalEntries of the query
+   */
+  async function listOktober(teacherUsername) {
+    const {data} = await sdk.listJournalsByClassMonth(
+        {teacherUsername, ...OKTOBER});
+    return data.journalEntries;
+  }
+
+  before(function() {
+    if (!process.env.FIREBASE_DATA_CONNECT_EMULATOR_HOST ||
+        !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+      this.skip();
+    }
+    require("../index");
+    adminAuth = require("firebase-admin/auth").getAuth();
+    webAuth = require("firebase/auth");
+    sdk = require("../../src/dataconnect-generated");
+    // The generated client talks to the default app of the web SDK; it finds
+    // the Data Connect emulator through FIREBASE_DATA_CONNECT_EMULATOR_HOST
+    const app = require("firebase/app")
+        .initializeApp({projectId: PROJECT_ID, apiKey: "demo-key"});
+    clientAuth = webAuth.getAuth(app);
+    webAuth.connectAuthEmulator(clientAuth,
+        `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`,
+        {disableWarnings: true});
+  });
+
+  beforeEach(async () => {
+    await signInAs(USERS.guru1);
+    await pushJurnal();
+  });
+
+  it("reads back what a teacher wrote", async () => {
+    const [entry, ...rest] = await listOktober("guru1");
+    assert.deepStrictEqual(rest, []);
+    assert.strictEqual(entry.id, "1760850000000");
+    assert.strictEqual(entry.date, "2026-10-19");
+    assert.strictEqual(entry.period, "1-2");
+    assert.strictEqual(entry.academicYear, "2026/2027");
+    assert.strictEqual(entry.absentNames, "Budi");
+    assert.strictEqual(entry.material, "Algoritma");
+    assert.strictEqual(entry.subject.name, "Informatika");
+    assert.deepStrictEqual(entry.attendanceRecords_on_journalEntry
+        .map((k) => `${k.student.fullName}:${k.status}`).sort(),
+    ["Ani:H", "Budi:A"]);
+  });
+
+  it("keeps other teachers out of the journal", async () => {
+    await signInAs(USERS.guru2);
+    const variables = toJournalVariables(JURNAL);
+    await assert.rejects(sdk.upsertJournalEntry(variables));
+    await assert.rejects(
+        sdk.upsertJournalEntry({...variables, teacherUsername: "guru2"}));
+    await assert.rejects(sdk.recordAttendance(
+        {journalEntryId: variables.id, studentId: "10", status: "A"}));
+    await assert.rejects(sdk.deleteJournalEntry({id: variables.id}));
+    await assert.rejects(sdk.upsertTeacher(
+        {username: "guru2", fullName: "Pak Budi", role: "admin"}));
+    await assert.rejects(listOktober("guru1"));
+  });
+
+  it("lets the supervisor read but not write", async () => {
+    await signInAs(USERS.kepsek);
+    assert.strictEqual((await listOktober("guru1")).length, 1);
+    await assert.rejects(sdk.upsertJournalEntry(toJournalVariables(JURNAL)));
+    await assert.rejects(sdk.upsertSubject({name: "Seni Budaya"}));
+  });
+
+  it("refuses students and callers without an account", async () => {
+    await signInAs(USERS.ani);
+    await assert.rejects(listOktober("guru1"));
+    await assert.rejects(sdk.upsertStudent(
+        {id: "10", fullName: "Ani Juara", className: "9A"}));
+
+    await webAuth.signOut(clientAuth);
+    await assert.rejects(listOktober("guru1"));
+    await assert.rejects(sdk.upsertSubject({name: "Seni Budaya"}));
+  });
+
+  it("deletes the journal with its attendance", async () => {
+    await sdk.deleteJournalEntry({id: String(JURNAL.id)});
+    assert.deepStrictEqual(await listOktober("guru1"), []);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Shared fixture for the specs that need the Firestore emulator
+ * `npm test` alone runs only the pure-function suites; the emulator suites
+ * are skipped unless FIRESTORE_EMULATOR_HOST is set (npm run
+ * test:emulators does that).
+ */
+
+const {getFirestore} = require("firebase-admin/firestore");
+
+const PROJECT_ID = "demo-jurnal";
+
+/**
+ * Skip the suite when the emulator isn't running, otherwise load the
+ * functions (which initialize the admin app) and return Firestore
+ * Call from a before() hook: `db = useEmulator(this);`
+ * @param {Mocha.Context} context - `this` of the before() hook
+ * @return {FirebaseFirestore.Firestore} - Firestore instance
+ */
+function useEmulator(context) {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) context.skip();
+  require("../index");
+  return getFirestore();
+}
+
+/**
+ * Empty the emulator and write the seed documents
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object<string, Array<Object>>} seed - Collection name → documents;
+ *     each document is stored under its id field
+ * @return {Promise<void>}
+ */
+async function resetFirestore(db, seed = {}) {
+  const host = process.env.FIRESTORE_EMULATOR_HOST;
+  await fetch(`http://${host}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+      {method: "DELETE"});
+  await Promise.all(Object.entries(seed).flatMap(([collection, docs]) =>
+    docs.map((doc) => db.collection(collection).doc(String(doc.id)).set(doc))));
+}
+
+module.exports = {PROJECT_ID, useEmulator, resetFirestore};
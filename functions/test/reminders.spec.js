@@ -0,0 +1,144 @@
+/**
+ * Tests for the journal reminders
+ * The queue suite needs the Firestore emulator: npm run test:emulators
+ */
+
+const assert = require("assert");
+const test = require("firebase-functions-test")({projectId: "demo-jurnal"});
+const {queueReminders, findMissingSlots, isReminderDue} =
+  require("../reminders");
+const {useEmulator, resetFirestore} = require("./helpers");
+
+// Senin, 19 Oktober 2026 pukul 16:00 WIB
+const NOW = new Date("2026-10-19T09:00:00Z");
+const TANGGAL = "2026-10-19";
+
+const USERS = [
+  {id: 2, username: "guru1", fullName: "Bu Sari", role: "teacher",
+    email: "sari@sekolah.sch.id"},
+  {id: 3, username: "guru2", fullName: "Pak Budi", role: "teacher"},
+  {id: 4, username: "guru3", fullName: "Bu Rina", role: "teacher",
+    email: "rina@sekolah.sch.id", pengingat: {aktif: false, jam: "15:00"}},
+  {id: 5, username: "guru4", fullName: "Pak Dedi", role: "teacher",
+    email: "dedi@sekolah.sch.id", pengingat: {aktif: true, jam: "17:00"}},
+];
+const JADWAL = [
+  {id: 100, teacherId: 2, hari: "Senin", jamMulai: 1, jamSelesai: 2,
+    kelas: "9A", mapel: "Informatika"},
+  {id: 101, teacherId: 2, hari: "Senin", jamMulai: 5, jamSelesai: 6,
+    kelas: "9B", mapel: "Informatika"},
+  {id: 102, teacherId: 2, hari: "Selasa", jamMulai: 1, jamSelesai: 2,
+    kelas: "9C", mapel: "Informatika"},
+  {id: 103, teacherId: 3, hari: "Senin", jamMulai: 3, jamSelesai: 4,
+    kelas: "8A", mapel: "Matematika"},
+  {id: 104, teacherId: 4, hari: "Senin", jamMulai: 1, jamSelesai: 1,
+    kelas: "7A", mapel: "IPA"},
+  {id: 105, teacherId: 5, hari: "Senin", jamMulai: 2, jamSelesai: 2,
+    kelas: "7B", mapel: "IPS"},
+];
+
+describe("reminder helpers", () => {
+  it("treats overlapping periods of the same class as covered", () => {
+    const slots = [{jamMulai: 3, jamSelesai: 4, kelas: "8A"}];
+    assert.strictEqual(findMissingSlots(slots,
+        [{kelas: "8A", jamKe: "4"}]).length, 0);
+    assert.strictEqual(findMissingSlots(slots,
+        [{kelas: "8B", jamKe: "3-4"}]).length, 1);
+  });
+
+  it("defaults the reminder time to 15:00 for teachers only", () => {
+    assert.strictEqual(isReminderDue({role: "teacher"}, "14:30"), false);
+    assert.strictEqual(isReminderDue({role: "teacher"}, "15:00"), true);
+    assert.strictEqual(isReminderDue({role: "admin"}, "20:00"), false);
+  });
+});
+
+describe("reminders", () => {
+  let db;
+  let sent;
+  const transport = {
+    send: async (message) => {
+      sent.push(message);
+    },
+  };
+
+  before(function() {
+    db = useEmulator(this);
+  });
+
+  beforeEach(async () => {
+    sent = [];
+    await resetFirestore(db, {
+      users: USERS,
+      jadwal: JADWAL,
+      jurnal: [{
+        id: 1, teacherId: 2, tanggal: TANGGAL, jamKe: "1-2", kelas: "9A",
+      }],
+    });
+  });
+
+  after(() => {
+    test.cleanup();
+  });
+
+  it("queues only lessons without a journal and emails them", async () => {
+    const queued = await queueReminders(db, transport, NOW);
+    const sari = queued.find((r) => r.teacherId === 2);
+
+    assert.deepStrictEqual(sari.slots.map((s) => s.kelas), ["9B"]);
+    assert.strictEqual(sari.hari, "Senin");
+    assert.ok(sari.emailTerkirimAt);
+    assert.strictEqual(sari.dibacaAt, null);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, "sari@sekolah.sch.id");
+    assert.match(sent[0].text, /Jam 5-6 · 9B · Informatika/);
+
+    const doc = await db.collection("pengingat").doc(`2-${TANGGAL}`).get();
+    assert.ok(doc.exists);
+  });
+
+  it("keeps an in-app reminder when the teacher has no email", async () => {
+    const queued = await queueReminders(db, transport, NOW);
+    const budi = queued.find((r) => r.teacherId === 3);
+
+    assert.strictEqual(budi.emailTerkirimAt, null);
+    assert.ok(!sent.some((m) => m.to === undefined));
+  });
+
+  it("respects opt-out and the teacher's own reminder time", async () => {
+    const queued = await queueReminders(db, transport, NOW);
+    assert.deepStrictEqual(queued.map((r) => r.teacherId).sort(), [2, 3]);
+
+    const later = await queueReminders(db, transport,
+        new Date("2026-10-19T10:30:00Z"));
+    assert.deepStrictEqual(later.map((r) => r.teacherId), [5]);
+  });
+
+  it("sends at most one reminder per teacher per day", async () => {
+    await queueReminders(db, transport, NOW);
+    const again = await queueReminders(db, transport, NOW);
+    assert.strictEqual(again.length, 0);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it("skips holidays from the academic calendar", async () => {
+    await db.collection("kalender").doc("1").set({
+      id: 1, mulai: "2026-10-19", selesai: "2026-10-20",
+      keterangan: "Libur semester",
+    });
+    const queued = await queueReminders(db, transport, NOW);
+    assert.strictEqual(queued.length, 0);
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it("still queues the reminder when email delivery fails", async () => {
+    const failing = {
+      send: async () => {
+        throw new Error("SMTP down");
+      },
+    };
+    const queued = await queueReminders(db, failing, NOW);
+    const sari = queued.find((r) => r.teacherId === 2);
+    assert.strictEqual(sari.emailTerkirimAt, null);
+  });
+});
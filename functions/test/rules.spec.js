@@ -0,0 +1,88 @@
+/**
+ * Tests for firestore.rules
+ * Needs the Firestore emulator, which loads the rules: npm run
+ * test:emulators. The browser's side is played by the web SDK of the app,
+ * so run npm install in the repository root first.
+ */
+
+const assert = require("assert");
+const {useEmulator, resetFirestore, PROJECT_ID} = require("./helpers");
+
+const TEACHER = {sub: "user-2", role: "teacher", appId: 2,
+  username: "guru1"};
+const SUPERVISI = [
+  {id: "2-2026-09", teacherId: 2, bulan: "2026-09", status: "disetujui",
+    updatedAt: "2026-10-01T00:00:00.000Z"},
+  {id: "2-2026-10", teacherId: 2, bulan: "2026-10", status: "diajukan",
+    updatedAt: "2026-11-01T00:00:00.000Z"},
+];
+
+/**
+ * A journal of guru1
+ * @param {number} id - Journal id
+ * @param {string} tanggal - ISO date
+ * @param {string} updatedAt - Version of the write
+ * @return {Object} - Journal entry
+ */
+function jurnal(id, tanggal, updatedAt = "2026-10-01T00:00:00.000Z") {
+  return {id, teacherId: 2, tanggal, kelas: "9A", uraianMateri: "Algoritma",
+    updatedAt};
+}
+
+describe("firestore.rules", () => {
+  let db;
+  let firestore;
+  let client;
+
+  before(function() {
+    db = useEmulator(this);
+    firestore = require("firebase/firestore");
+    // The web SDK signed in as guru1, with the claims of the custom token
+    const app = require("firebase/app")
+        .initializeApp({projectId: PROJECT_ID}, "rules-spec");
+    client = firestore.getFirestore(app);
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(":");
+    firestore.connectFirestoreEmulator(client, host, Number(port),
+        {mockUserToken: TEACHER});
+  });
+
+  beforeEach(async () => {
+    await resetFirestore(db, {
+      supervisi: SUPERVISI,
+      jurnal: [jurnal(1, "2026-09-14"), jurnal(2, "2026-10-12")],
+    });
+  });
+
+  /**
+   * The jurnal document as the browser sees it
+   * @param {number} id - Journal id
+   * @return {DocumentReference} - Document reference of the web SDK
+   */
+  function ref(id) {
+    return firestore.doc(client, "jurnal", String(id));
+  }
+
+  describe("approved month", () => {
+    it("refuses new journals in an approved month", async () => {
+      await assert.rejects(firestore.setDoc(ref(3), jurnal(3, "2026-09-21")));
+      await firestore.setDoc(ref(4), jurnal(4, "2026-10-19"));
+    });
+
+    it("refuses edits in, into and out of an approved month", async () => {
+      const later = "2026-12-01T00:00:00.000Z";
+      await assert.rejects(firestore.setDoc(ref(1),
+          {...jurnal(1, "2026-09-14", later), uraianMateri: "Diubah"}));
+      await assert.rejects(
+          firestore.setDoc(ref(1), jurnal(1, "2026-10-05", later)));
+      await assert.rejects(
+          firestore.setDoc(ref(2), jurnal(2, "2026-09-28", later)));
+      await firestore.setDoc(ref(2), jurnal(2, "2026-10-13", later));
+    });
+
+    it("refuses deleting from an approved month", async () => {
+      await assert.rejects(firestore.deleteDoc(ref(1)));
+      await firestore.deleteDoc(ref(2));
+      assert.ok((await db.collection("jurnal").doc("1").get()).exists);
+    });
+  });
+});
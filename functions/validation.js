@@ -0,0 +1,172 @@
+/**
+ * ============================================================================
+ * VALIDATION — CEK INPUT JURNAL & PARAMETER
+ * ============================================================================
+ * Mirrors the rules of the journal form in index.html, so an entry written
+ * through the API looks the same as one typed on the dashboard (hari,
+ * tahun ajaran and semester are filled in from the date).
+ * ============================================================================
+ */
+
+const {HttpError} = require("./http");
+
+const HARI = ["Minggu", "Senin", "Selasa", "Rabu", "Kamis", "Jumat", "Sabtu"];
+// Same codes and labels as ATTENDANCE_STATUS in presensi.js
+const STATUS_KEHADIRAN = {H: "Hadir", S: "Sakit", I: "Izin", A: "Alpa"};
+
+/**
+ * Is this a real calendar date written as YYYY-MM-DD?
+ * @param {*} value - Value to check
+ * @return {boolean} - True for a valid date
+ */
+function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Academic year and semester of a date (Ganjil: July–December)
+ * @param {string} tanggal - Date as YYYY-MM-DD
+ * @return {{tahunAjaran: string, semester: string}} - Academic period
+ */
+function getPeriode(tanggal) {
+  const year = Number(tanggal.slice(0, 4));
+  const month = Number(tanggal.slice(5, 7));
+  return month >= 7 ?
+    {tahunAjaran: `${year}/${year + 1}`, semester: "Ganjil"} :
+    {tahunAjaran: `${year - 1}/${year}`, semester: "Genap"};
+}
+
+/**
+ * Read a month filter (YYYY-MM) from the query string
+ * @param {*} value - Value of the parameter
+ * @param {string} name - Parameter name for the error message
+ * @return {{dari: string, sampai: string}|null} - First and last day
+ */
+function parseBulan(value, name = "bulan") {
+  if (value === undefined || value === "") return null;
+  if (typeof value !== "string" || !/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    throw new HttpError(400, `Parameter ${name} harus berformat YYYY-MM.`);
+  }
+  const [year, month] = value.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {dari: `${value}-01`, sampai: `${value}-${lastDay}`};
+}
+
+/**
+ * Read an optional date parameter (YYYY-MM-DD)
+ * @param {*} value - Value of the parameter
+ * @param {string} name - Parameter name for the error message
+ * @return {string|null} - The date, or null when not given
+ */
+function parseTanggal(value, name) {
+  if (value === undefined || value === "") return null;
+  if (!isValidDate(value)) {
+    throw new HttpError(400, `Parameter ${name} harus tanggal YYYY-MM-DD.`);
+  }
+  return value;
+}
+
+/**
+ * Check a journal sent by a client and keep only the fields it may set
+ * Attendance numbers are counted from kehadiran when it is given
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored entry when updating (body may be partial)
+ * @return {Object} - Clean journal fields
+ */
+function validateJurnal(body, existing) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Body harus berupa objek JSON.");
+  }
+  const input = {...(existing || {}), ...body};
+  const errors = {};
+  const text = (field, max, required) => {
+    const value = input[field];
+    if (value === undefined || value === null || value === "") {
+      if (required) errors[field] = "Wajib diisi.";
+      return undefined;
+    }
+    if (typeof value !== "string" && typeof value !== "number") {
+      errors[field] = "Harus berupa teks.";
+      return undefined;
+    }
+    const trimmed = String(value).trim();
+    if (required && !trimmed) errors[field] = "Wajib diisi.";
+    if (trimmed.length > max) errors[field] = `Maksimal ${max} karakter.`;
+    return trimmed;
+  };
+  const count = (field) => {
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors[field] = "Harus bilangan bulat 0 atau lebih.";
+    }
+    return value;
+  };
+
+  const clean = {};
+  if (!isValidDate(input.tanggal)) {
+    errors.tanggal = "Harus tanggal YYYY-MM-DD.";
+  } else {
+    clean.tanggal = input.tanggal;
+    clean.hari = HARI[new Date(`${input.tanggal}T00:00:00Z`).getUTCDay()];
+    Object.assign(clean, getPeriode(input.tanggal));
+  }
+  clean.kelas = text("kelas", 20, true);
+  clean.jamKe = text("jamKe", 20, true);
+  clean.uraianMateri = text("uraianMateri", 5000, true);
+  clean.catatan = text("catatan", 2000, false) || "";
+  clean.namaSiswaTidakHadir = text("namaSiswaTidakHadir", 2000, false) || "";
+
+  if (input.kehadiran !== undefined) {
+    const valid = Array.isArray(input.kehadiran) && input.kehadiran.every(
+        (k) => k && Number.isInteger(k.studentId) &&
+          typeof k.nama === "string" &&
+          Object.prototype.hasOwnProperty.call(STATUS_KEHADIRAN, k.status));
+    if (!valid) {
+      errors.kehadiran =
+        "Harus daftar {studentId, nama, status} dengan status H/S/I/A.";
+    } else {
+      const absent = input.kehadiran.filter((k) => k.status !== "H");
+      clean.kehadiran = input.kehadiran.map((k) => ({
+        studentId: k.studentId,
+        nama: k.nama,
+        status: k.status,
+      }));
+      clean.siswaHadir = input.kehadiran.length - absent.length;
+      clean.siswaTidakHadir = absent.length;
+      clean.namaSiswaTidakHadir = absent
+          .map((k) => `${k.nama} (${STATUS_KEHADIRAN[k.status]})`)
+          .join(", ");
+    }
+  } else {
+    clean.siswaHadir = count("siswaHadir");
+    clean.siswaTidakHadir = count("siswaTidakHadir");
+  }
+
+  if (input.tujuanPembelajaran !== undefined) {
+    if (!Array.isArray(input.tujuanPembelajaran) ||
+        !input.tujuanPembelajaran.every(Number.isInteger)) {
+      errors.tujuanPembelajaran = "Harus daftar id tujuan pembelajaran.";
+    } else {
+      clean.tujuanPembelajaran = input.tujuanPembelajaran;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "Data jurnal tidak valid.", errors);
+  }
+  return clean;
+}
+
+module.exports = {
+  HARI,
+  STATUS_KEHADIRAN,
+  isValidDate,
+  getPeriode,
+  parseBulan,
+  parseTanggal,
+  validateJurnal,
+};
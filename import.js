@@ -0,0 +1,356 @@
+/**
+ * ============================================================================
+ * IMPORT MODULE — PINDAHKAN JURNAL LAMA DARI SPREADSHEET
+ * ============================================================================
+ * A small wizard for teachers who kept their journals in Excel before this
+ * app existed: pick a CSV/XLSX file, tell us which column is which, check
+ * the row-by-row preview, and only the valid, non-duplicate rows are saved.
+ * ============================================================================
+ */
+
+/**
+ * Journal fields that can be imported, with the header names we try to
+ * recognise automatically when the file is loaded
+ */
+const IMPORT_FIELDS = [
+    { key: 'hari', label: 'Hari', required: true, aliases: ['hari', 'day'] },
+    { key: 'tanggal', label: 'Tanggal', required: true, aliases: ['tanggal', 'tgl', 'date', 'hari/tanggal'] },
+    { key: 'jamKe', label: 'Jam Ke', required: true, aliases: ['jam ke', 'jamke', 'jam', 'jam pelajaran'] },
+    { key: 'kelas', label: 'Kelas', required: true, aliases: ['kelas', 'class', 'rombel'] },
+    { key: 'siswaHadir', label: 'Siswa Hadir', required: false, aliases: ['siswa hadir', 'hadir', 'jumlah hadir'] },
+    { key: 'siswaTidakHadir', label: 'Siswa Tidak Hadir', required: false, aliases: ['siswa tidak hadir', 'tidak hadir', 'jumlah tidak hadir'] },
+    { key: 'namaSiswaTidakHadir', label: 'Nama Siswa Tidak Hadir', required: false, aliases: ['nama siswa tidak hadir', 'nama tidak hadir', 'keterangan', 'absen'] },
+    { key: 'uraianMateri', label: 'Uraian Materi', required: true, aliases: ['uraian materi', 'materi', 'uraian', 'topik'] }
+];
+
+// Month names accepted in dates like "17 November 2025"
+const IMPORT_MONTHS = ['januari', 'februari', 'maret', 'april', 'mei', 'juni', 'juli', 'agustus', 'september', 'oktober', 'november', 'desember'];
+
+// Wizard state: parsed sheet (first row is the header) and the validated preview
+let importSheet = null;
+let importPreview = [];
+
+/**
+ * Parse CSV text into rows, honouring quoted cells
+ * The delimiter (comma or semicolon) is guessed from the header line
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const firstLine = clean.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < clean.length; i++) {
+        const char = clean[i];
+        if (inQuotes) {
+            if (char === '"' && clean[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && clean[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+/**
+ * Read an uploaded CSV or XLSX file into rows
+ * @param {File} file - The uploaded file
+ * @returns {Promise<Array<Array>>} - Rows of cells (first row is the header)
+ */
+async function readImportFile(file) {
+    if (/\.csv$/i.test(file.name)) {
+        return parseCsv(await file.text());
+    }
+    if (typeof XLSX === 'undefined') {
+        throw new Error('Modul Excel belum termuat — simpan file sebagai CSV lalu coba lagi.');
+    }
+    const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+        .filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+/**
+ * Normalise a spreadsheet date into YYYY-MM-DD
+ * Accepts ISO dates, DD/MM/YYYY, "17 November 2025", Excel date cells and serial numbers
+ * @param {*} value - Cell value
+ * @returns {string|null} - ISO date, or null if it can't be understood
+ */
+function normalizeImportDate(value) {
+    const pad = n => String(n).padStart(2, '0');
+    const build = (y, m, d) => {
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+        return `${y}-${pad(m)}-${pad(d)}`;
+    };
+
+    if (value instanceof Date && !isNaN(value)) {
+        return build(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+    if (typeof value === 'number') {
+        // Excel serial date (days since 1899-12-30)
+        const date = new Date(Date.UTC(1899, 11, 30) + value * 86400000);
+        return build(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    const text = String(value || '').trim().toLowerCase();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return build(+match[1], +match[2], +match[3]);
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (match) return build(+match[3], +match[2], +match[1]);
+    match = text.match(/(\d{1,2})\s+([a-z]+)\s+(\d{4})$/);
+    if (match && IMPORT_MONTHS.includes(match[2])) {
+        return build(+match[3], IMPORT_MONTHS.indexOf(match[2]) + 1, +match[1]);
+    }
+    return null;
+}
+
+/**
+ * Read the allowed values of a form select (skipping the "Pilih ..." placeholder)
+ * Uses the full default list when the timetable has narrowed the select down,
+ * because old journals may cover classes the teacher no longer teaches
+ * @param {string} id - Select element id
+ * @returns {Array<string>} - Allowed values
+ */
+function getSelectValues(id) {
+    const select = document.getElementById(id);
+    if (!select) return [];
+    const values = [...select.options].map(o => o.value);
+    if (select.dataset.defaultOptions) {
+        const defaults = document.createElement('select');
+        defaults.innerHTML = select.dataset.defaultOptions;
+        values.push(...[...defaults.options].map(o => o.value));
+    }
+    return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Guess which spreadsheet column belongs to each journal field from the header names
+ * @param {Array<string>} headers - Header row of the sheet
+ * @returns {Object} - Map of field key to column index (or -1 when not found)
+ */
+function guessImportMapping(headers) {
+    const normalized = headers.map(h => String(h).trim().toLowerCase());
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = normalized.findIndex(h => field.aliases.includes(h));
+    });
+    return mapping;
+}
+
+/**
+ * Turn sheet rows into journal candidates and validate each one
+ * Duplicates (same tanggal + jamKe + kelas) are checked against the user's
+ * existing journals and against earlier rows of the same file
+ * @param {Array<Array>} rows - Data rows (without the header)
+ * @param {Object} mapping - Field key to column index
+ * @returns {Array<{rowNumber: number, data: Object, errors: Array<string>}>} - Preview rows
+ */
+function validateImportRows(rows, mapping) {
+    const hariOptions = getSelectValues('hari');
+    const jamOptions = getSelectValues('jamKe');
+    const kelasOptions = getSelectValues('kelas');
+    const slotKey = j => `${j.tanggal}|${j.jamKe}|${j.kelas}`;
+    const taken = new Set(getVisibleJurnal().map(slotKey));
+
+    return rows.map((row, index) => {
+        const cell = key => mapping[key] >= 0 ? row[mapping[key]] : '';
+        const text = key => String(cell(key) ?? '').trim();
+        const errors = [];
+
+        const tanggal = normalizeImportDate(cell('tanggal'));
+        const hariText = text('hari');
+        const hari = hariOptions.find(h => h.toLowerCase() === hariText.toLowerCase()) || hariText;
+        const jamKe = text('jamKe').replace(/^jam\s*ke-?\s*/i, '');
+        const kelas = text('kelas').toUpperCase();
+        const siswaHadir = text('siswaHadir') === '' ? 0 : Number(text('siswaHadir'));
+        const siswaTidakHadir = text('siswaTidakHadir') === '' ? 0 : Number(text('siswaTidakHadir'));
+
+        if (!hariOptions.includes(hari)) errors.push(`Hari "${hariText}" tidak dikenal`);
+        if (!tanggal) errors.push(`Tanggal "${text('tanggal')}" tidak valid`);
+        if (!jamOptions.includes(jamKe)) errors.push(`Jam ke "${text('jamKe')}" tidak valid`);
+        if (!kelasOptions.includes(kelas)) errors.push(`Kelas "${text('kelas')}" tidak dikenal`);
+        if (!Number.isInteger(siswaHadir) || siswaHadir < 0) errors.push('Jumlah hadir harus angka ≥ 0');
+        if (!Number.isInteger(siswaTidakHadir) || siswaTidakHadir < 0) errors.push('Jumlah tidak hadir harus angka ≥ 0');
+        if (!text('uraianMateri')) errors.push('Uraian materi kosong');
+
+        const data = {
+            hari,
+            tanggal: tanggal || text('tanggal'),
+            jamKe,
+            kelas,
+            siswaHadir,
+            siswaTidakHadir,
+            namaSiswaTidakHadir: text('namaSiswaTidakHadir'),
+            uraianMateri: text('uraianMateri')
+        };
+
+        // Same consistency rules as the journal form (weekday, slot conflicts, class size)
+        if (errors.length === 0) {
+            errors.push(...Object.values(validateJurnalEntry({ ...data, teacherId: getCurrentAuthorId() }, null).errors));
+        }
+
+        if (errors.length === 0) {
+            if (taken.has(slotKey(data))) {
+                errors.push('Duplikat: jurnal untuk tanggal, jam dan kelas ini sudah ada');
+            } else {
+                taken.add(slotKey(data));
+            }
+        }
+
+        return { rowNumber: index + 2, data, errors };
+    });
+}
+
+/**
+ * Draw the column mapping selects for the loaded sheet
+ */
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    const headers = importSheet[0];
+    const mapping = guessImportMapping(headers);
+
+    container.innerHTML = IMPORT_FIELDS.map(field => `
+        <div>
+            <label class="block text-sm font-medium text-gray-100 mb-2">${field.label}${field.required ? ' *' : ''}</label>
+            <select data-field="${field.key}" class="import-map w-full p-2 border border-purple-300 rounded-lg bg-white/80">
+                <option value="-1">— tidak ada —</option>
+                ${headers.map((h, i) => `<option value="${i}" ${mapping[field.key] === i ? 'selected' : ''}>${h || `Kolom ${i + 1}`}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+/**
+ * Validate the sheet with the chosen mapping and draw the preview table
+ * Rows with errors are highlighted and will be skipped on import
+ */
+function renderImportPreview() {
+    const mapping = {};
+    document.querySelectorAll('.import-map').forEach(select => {
+        mapping[select.dataset.field] = Number(select.value);
+    });
+    importPreview = validateImportRows(importSheet.slice(1), mapping);
+
+    const validCount = importPreview.filter(r => r.errors.length === 0).length;
+    document.getElementById('importSummary').textContent =
+        `${validCount} dari ${importPreview.length} baris valid — baris merah akan dilewati.`;
+    document.getElementById('importCommitBtn').disabled = validCount === 0;
+
+    document.getElementById('importPreviewBody').innerHTML = importPreview.map(r => `
+        <tr class="${r.errors.length ? 'bg-red-50' : ''}">
+            <td class="px-3 py-2 text-xs text-gray-500">${r.rowNumber}</td>
+            <td class="px-3 py-2 text-xs text-gray-900">${r.data.hari}, ${r.data.tanggal}</td>
+            <td class="px-3 py-2 text-xs text-gray-900">${r.data.jamKe}</td>
+            <td class="px-3 py-2 text-xs text-gray-900">${r.data.kelas}</td>
+            <td class="px-3 py-2 text-xs text-gray-900">${r.data.siswaHadir}/${r.data.siswaTidakHadir}</td>
+            <td class="px-3 py-2 text-xs text-gray-900 max-w-xs truncate" title="${r.data.uraianMateri}">${r.data.uraianMateri}</td>
+            <td class="px-3 py-2 text-xs ${r.errors.length ? 'text-red-600' : 'text-green-600'}">${r.errors.length ? r.errors.join('; ') : 'OK'}</td>
+        </tr>
+    `).join('');
+    document.getElementById('importPreviewSection').style.display = 'block';
+}
+
+/**
+ * Save the valid preview rows into jurnalData, stamped with the current user
+ */
+function commitImport() {
+    const validRows = importPreview.filter(r => r.errors.length === 0);
+    if (validRows.length === 0) return;
+
+    const now = Date.now();
+    const author = getAuthorStamp();
+    validRows.forEach((r, index) => {
+        const jurnal = {
+            id: now + index,
+            ...r.data,
+            tahunAjaran: getTahunAjaran(r.data.tanggal),
+            semester: getSemester(r.data.tanggal),
+            ...author,
+            createdAt: new Date().toISOString(),
+            importedAt: new Date().toISOString()
+        };
+        recordRiwayat('create', null, jurnal);
+        jurnalData.push(jurnal);
+    });
+
+    saveData();
+    if (currentUser.role === 'admin') populateGuruFilter();
+    populateTahunAjaranFilter();
+    renderTable();
+    resetImportWizard();
+    document.getElementById('importPanel').style.display = 'none';
+    showNotification(`${validRows.length} jurnal berhasil diimpor!`, 'success');
+}
+
+/**
+ * Clear the wizard back to the file picker
+ */
+function resetImportWizard() {
+    importSheet = null;
+    importPreview = [];
+    document.getElementById('importFile').value = '';
+    document.getElementById('importMappingSection').style.display = 'none';
+    document.getElementById('importPreviewSection').style.display = 'none';
+}
+
+/**
+ * Wire up the import wizard on the dashboard
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const toggle = document.getElementById('importToggle');
+    const panel = document.getElementById('importPanel');
+    if (!toggle || !panel) return;
+
+    // Students and supervisors never write journals, so they never import them either
+    if (currentUser && !canWriteJurnal()) {
+        toggle.style.display = 'none';
+        return;
+    }
+
+    toggle.addEventListener('click', () => {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+
+    document.getElementById('importFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            importSheet = await readImportFile(file);
+            if (importSheet.length < 2) throw new Error('File kosong atau hanya berisi judul kolom.');
+            renderImportMapping();
+            document.getElementById('importMappingSection').style.display = 'block';
+            renderImportPreview();
+        } catch (err) {
+            resetImportWizard();
+            showNotification(err.message || 'Gagal membaca file', 'error');
+        }
+    });
+
+    document.getElementById('importMapping').addEventListener('change', renderImportPreview);
+    document.getElementById('importCommitBtn').addEventListener('click', commitImport);
+    document.getElementById('importCancelBtn').addEventListener('click', () => {
+        resetImportWizard();
+        panel.style.display = 'none';
+    });
+});
+
+// Expose globally
+window.parseCsv = parseCsv;
+window.normalizeImportDate = normalizeImportDate;
+window.validateImportRows = validateImportRows;
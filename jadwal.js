@@ -0,0 +1,303 @@
+/**
+ * ============================================================================
+ * JADWAL MODULE — JADWAL PELAJARAN MINGGUAN
+ * ============================================================================
+ * Each teacher enters their weekly timetable once per semester: day, period
+ * range, class and subject. After that, picking a date in the journal form
+ * offers that day's lessons and fills hari/jam/kelas in one click, and the
+ * class and period dropdowns only list what the teacher actually teaches.
+ * ============================================================================
+ */
+
+// LocalStorage key for every teacher's timetable slots
+const JADWAL_KEY = 'jadwalPelajaran';
+
+// Day names indexed like Date.getDay() (0 = Minggu)
+const HARI_NAMES = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+/**
+ * Load all timetable slots from localStorage
+ * @returns {Array<{id: number, teacherId: (string|number), teacherName: string, hari: string, jamMulai: number, jamSelesai: number, kelas: string, mapel: string}>} - Every slot
+ */
+function getJadwal() {
+    const raw = localStorage.getItem(JADWAL_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save all timetable slots to localStorage
+ * @param {Array} slots - Every slot
+ */
+function saveJadwal(slots) {
+    localStorage.setItem(JADWAL_KEY, JSON.stringify(slots));
+    // Mirrored to Firestore (firestore-sync.js) for the reminder function
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: JADWAL_KEY } }));
+}
+
+/**
+ * Get one teacher's slots, ordered by weekday and period
+ * @param {string|number} teacherId - Author id of the teacher
+ * @returns {Array} - That teacher's slots
+ */
+function getTeacherJadwal(teacherId) {
+    return getJadwal()
+        .filter(s => s.teacherId === teacherId)
+        .sort((a, b) => HARI_NAMES.indexOf(a.hari) - HARI_NAMES.indexOf(b.hari) || a.jamMulai - b.jamMulai);
+}
+
+/**
+ * Add a slot to a teacher's timetable
+ * Rejects backwards period ranges and overlaps with the teacher's other slots that day
+ * @param {Object} slot - Slot without id
+ * @returns {Object} - The saved slot
+ */
+function addJadwalSlot(slot) {
+    if (!slot.hari || !slot.kelas || !slot.jamMulai || !slot.jamSelesai) {
+        throw new Error('Hari, jam dan kelas harus diisi.');
+    }
+    if (slot.jamSelesai < slot.jamMulai) {
+        throw new Error('Jam selesai tidak boleh lebih awal dari jam mulai.');
+    }
+
+    const slots = getJadwal();
+    const clash = slots.find(s =>
+        s.teacherId === slot.teacherId &&
+        s.hari === slot.hari &&
+        s.jamMulai <= slot.jamSelesai && slot.jamMulai <= s.jamSelesai
+    );
+    if (clash) {
+        throw new Error(`Bentrok dengan jadwal ${clash.hari} jam ${formatJamRange(clash)} di kelas ${clash.kelas}.`);
+    }
+
+    // Timestamp ids, bumped if two slots are added within the same millisecond
+    let id = Date.now();
+    while (slots.some(s => s.id === id)) id++;
+    const entry = { id, ...slot };
+    slots.push(entry);
+    saveJadwal(slots);
+    return entry;
+}
+
+/**
+ * Remove a slot from the timetable
+ * @param {number} id - Slot id
+ */
+function deleteJadwalSlot(id) {
+    saveJadwal(getJadwal().filter(s => s.id !== id));
+}
+
+/**
+ * Work out the Indonesian weekday of a YYYY-MM-DD date
+ * @param {string} tanggal - ISO date
+ * @returns {string} - Day name, e.g. "Senin" (empty if no date)
+ */
+function getHariFromTanggal(tanggal) {
+    if (!tanggal) return '';
+    const [year, month, day] = tanggal.split('-').map(Number);
+    return HARI_NAMES[new Date(year, month - 1, day).getDay()];
+}
+
+/**
+ * The value a slot writes into the jamKe field ("3", or "3-4" for a range)
+ * @param {Object} slot - Timetable slot
+ * @returns {string} - Period or period range
+ */
+function formatJamRange(slot) {
+    return slot.jamMulai === slot.jamSelesai ? String(slot.jamMulai) : `${slot.jamMulai}-${slot.jamSelesai}`;
+}
+
+/**
+ * Read a jamKe value ("3" or "3-4") back into a period range
+ * @param {string} jamKe - Period or period range
+ * @returns {{jamMulai: number, jamSelesai: number}} - Start and end period
+ */
+function parseJamRange(jamKe) {
+    const [start, end] = String(jamKe).split('-').map(Number);
+    return { jamMulai: start, jamSelesai: end || start };
+}
+
+/**
+ * Get a teacher's slots that fall on a given date
+ * @param {string|number} teacherId - Author id of the teacher
+ * @param {string} tanggal - ISO date
+ * @returns {Array} - Slots on that weekday
+ */
+function getSlotsForDate(teacherId, tanggal) {
+    const hari = getHariFromTanggal(tanggal);
+    return getTeacherJadwal(teacherId).filter(s => s.hari === hari);
+}
+
+/**
+ * Replace the kelas and jamKe options with what the teacher's timetable uses
+ * Teachers without a timetable keep the full default lists
+ */
+function applyJadwalOptions() {
+    const kelasSelect = document.getElementById('kelas');
+    const jamSelect = document.getElementById('jamKe');
+    if (!kelasSelect || !jamSelect) return;
+
+    // Remember the default lists the first time so they can come back when the timetable is emptied
+    if (!kelasSelect.dataset.defaultOptions) kelasSelect.dataset.defaultOptions = kelasSelect.innerHTML;
+    if (!jamSelect.dataset.defaultOptions) jamSelect.dataset.defaultOptions = jamSelect.innerHTML;
+
+    const slots = getTeacherJadwal(getCurrentAuthorId());
+    if (slots.length === 0) {
+        kelasSelect.innerHTML = kelasSelect.dataset.defaultOptions;
+        jamSelect.innerHTML = jamSelect.dataset.defaultOptions;
+        return;
+    }
+
+    const kelasList = [...new Set(slots.map(s => s.kelas))].sort();
+    const jamList = [...new Set(slots.map(formatJamRange))]
+        .sort((a, b) => parseInt(a) - parseInt(b) || a.length - b.length);
+
+    kelasSelect.innerHTML = '<option value="">Pilih Kelas</option>' +
+        kelasList.map(k => `<option value="${k}">${k}</option>`).join('');
+    jamSelect.innerHTML = '<option value="">Pilih Jam</option>' +
+        jamList.map(j => `<option value="${j}">Jam ke-${j}</option>`).join('');
+}
+
+/**
+ * Fill hari, tanggal, jamKe and kelas in the journal form from a slot
+ * @param {Object} slot - Timetable slot
+ * @param {string} tanggal - ISO date of the lesson
+ */
+function applySlotToForm(slot, tanggal) {
+    const kelasSelect = document.getElementById('kelas');
+    const jamSelect = document.getElementById('jamKe');
+    ensureSelectOption(kelasSelect, slot.kelas);
+    ensureSelectOption(jamSelect, formatJamRange(slot), `Jam ke-${formatJamRange(slot)}`);
+
+    document.getElementById('hari').value = slot.hari;
+    document.getElementById('tanggal').value = tanggal;
+    jamSelect.value = formatJamRange(slot);
+    kelasSelect.value = slot.kelas;
+
+    // Let the roster and anything else listening know the class changed
+    kelasSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Offer the teacher's lessons for the date picked in the journal form
+ */
+function renderSlotSuggestions() {
+    const container = document.getElementById('jadwalSuggestions');
+    const tanggal = document.getElementById('tanggal').value;
+    if (!container) return;
+
+    const slots = tanggal ? getSlotsForDate(getCurrentAuthorId(), tanggal) : [];
+    if (slots.length === 0) {
+        container.innerHTML = tanggal && getTeacherJadwal(getCurrentAuthorId()).length > 0
+            ? `<p class="text-xs text-gray-300">Tidak ada jadwal mengajar hari ${getHariFromTanggal(tanggal)}.</p>`
+            : '';
+        return;
+    }
+
+    container.innerHTML = `<p class="text-xs text-gray-100 mb-1">Jadwal ${getHariFromTanggal(tanggal)}:</p>` +
+        slots.map(s => `
+            <button type="button" data-slot-id="${s.id}" class="slot-btn mr-2 mb-2 px-3 py-1 text-xs bg-pink-500 hover:bg-pink-600 text-white rounded-full">
+                Jam ${formatJamRange(s)} · ${s.kelas}${s.mapel ? ` · ${s.mapel}` : ''}
+            </button>
+        `).join('');
+}
+
+/**
+ * Draw the teacher's timetable grouped by day
+ */
+function renderJadwalList() {
+    const list = document.getElementById('jadwalList');
+    if (!list) return;
+
+    const slots = getTeacherJadwal(getCurrentAuthorId());
+    if (slots.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-300">Belum ada jadwal. Tambahkan slot mengajar Anda di atas.</p>';
+        return;
+    }
+
+    list.innerHTML = slots.map(s => `
+        <div class="flex items-center justify-between py-2">
+            <span class="text-sm text-gray-100">
+                <span class="font-semibold">${s.hari}</span> · Jam ${formatJamRange(s)} · ${s.kelas}${s.mapel ? ` · ${s.mapel}` : ''}
+            </span>
+            <button type="button" data-slot-id="${s.id}" class="jadwal-delete text-xs text-red-300 hover:text-red-100">Hapus</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Refresh everything that depends on the timetable
+ */
+function refreshJadwal() {
+    renderJadwalList();
+    applyJadwalOptions();
+    renderSlotSuggestions();
+}
+
+/**
+ * Default the subject picker of the timetable form to the teacher's own subject
+ * (the class, period and subject lists themselves come from master data)
+ */
+function setupJadwalForm() {
+    const mapelSelect = document.getElementById('jadwalMapel');
+    if (currentUser && currentUser.mapelMengajar) mapelSelect.value = currentUser.mapelMengajar;
+}
+
+/**
+ * Wire up the timetable card and the date suggestions in the journal form
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const jadwalForm = document.getElementById('jadwalForm');
+    if (!jadwalForm || !currentUser || !canWriteJurnal()) return;
+
+    setupJadwalForm();
+
+    jadwalForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            addJadwalSlot({
+                teacherId: getCurrentAuthorId(),
+                teacherName: currentUser.fullName || currentUser.username,
+                hari: document.getElementById('jadwalHari').value,
+                jamMulai: Number(document.getElementById('jadwalJamMulai').value),
+                jamSelesai: Number(document.getElementById('jadwalJamSelesai').value),
+                kelas: document.getElementById('jadwalKelas').value,
+                mapel: document.getElementById('jadwalMapel').value
+            });
+            refreshJadwal();
+            showNotification('Slot jadwal ditambahkan!', 'success');
+        } catch (err) {
+            showNotification(err.message, 'error');
+        }
+    });
+
+    document.getElementById('jadwalList').addEventListener('click', (e) => {
+        const btn = e.target.closest('.jadwal-delete');
+        if (!btn || !confirm('Hapus slot jadwal ini?')) return;
+        deleteJadwalSlot(Number(btn.dataset.slotId));
+        refreshJadwal();
+    });
+
+    document.getElementById('tanggal').addEventListener('change', renderSlotSuggestions);
+    document.getElementById('jadwalSuggestions').addEventListener('click', (e) => {
+        const btn = e.target.closest('.slot-btn');
+        if (!btn) return;
+        const slot = getJadwal().find(s => s.id === Number(btn.dataset.slotId));
+        if (slot) applySlotToForm(slot, document.getElementById('tanggal').value);
+    });
+
+    // Slots added on another device arrive through the Firestore sync
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key === JADWAL_KEY) refreshJadwal();
+    });
+
+    refreshJadwal();
+});
+
+// Expose globally
+window.getJadwal = getJadwal;
+window.getTeacherJadwal = getTeacherJadwal;
+window.getSlotsForDate = getSlotsForDate;
+window.getHariFromTanggal = getHariFromTanggal;
+window.formatJamRange = formatJamRange;
+window.parseJamRange = parseJamRange;
+window.applySlotToForm = applySlotToForm;
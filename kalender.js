@@ -0,0 +1,276 @@
+/**
+ * ============================================================================
+ * KALENDER MODULE — KALENDER AKADEMIK & JURNAL BELUM DIISI
+ * ============================================================================
+ * Walks every school day in a date range, looks up which lessons the
+ * timetable says should have happened, and lists the ones that never got a
+ * journal. Holidays and other non-teaching days from the academic calendar
+ * (managed by admins) are skipped so nobody is chased for a lesson that
+ * could not take place.
+ * ============================================================================
+ */
+
+// LocalStorage key for the non-teaching days of the academic calendar
+const KALENDER_KEY = 'kalenderAkademik';
+
+/**
+ * Load the non-teaching periods (holidays, exam weeks, etc.)
+ * @returns {Array<{id: number, mulai: string, selesai: string, keterangan: string}>} - Date ranges, inclusive
+ */
+function getKalenderLibur() {
+    const raw = localStorage.getItem(KALENDER_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save the non-teaching periods
+ * @param {Array} libur - Date ranges
+ */
+function saveKalenderLibur(libur) {
+    localStorage.setItem(KALENDER_KEY, JSON.stringify(libur));
+    // Mirrored to Firestore (firestore-sync.js) so reminders skip holidays
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: KALENDER_KEY } }));
+}
+
+/**
+ * Add a non-teaching period to the calendar
+ * @param {string} mulai - First day (YYYY-MM-DD)
+ * @param {string} selesai - Last day (YYYY-MM-DD), defaults to the first day
+ * @param {string} keterangan - Reason, e.g. "Libur Semester"
+ * @returns {Object} - The saved period
+ */
+function addKalenderLibur(mulai, selesai, keterangan) {
+    if (!mulai || !keterangan) throw new Error('Tanggal dan keterangan libur harus diisi.');
+    const end = selesai || mulai;
+    if (end < mulai) throw new Error('Tanggal selesai tidak boleh sebelum tanggal mulai.');
+
+    const libur = getKalenderLibur();
+    const entry = { id: Date.now(), mulai, selesai: end, keterangan: keterangan.trim() };
+    libur.push(entry);
+    libur.sort((a, b) => a.mulai.localeCompare(b.mulai));
+    saveKalenderLibur(libur);
+    return entry;
+}
+
+/**
+ * Remove a non-teaching period
+ * @param {number} id - Period id
+ */
+function deleteKalenderLibur(id) {
+    saveKalenderLibur(getKalenderLibur().filter(l => l.id !== id));
+}
+
+/**
+ * Find the non-teaching period covering a date, if any
+ * @param {string} tanggal - ISO date
+ * @returns {Object|undefined} - The matching period
+ */
+function getLiburOn(tanggal) {
+    return getKalenderLibur().find(l => l.mulai <= tanggal && tanggal <= l.selesai);
+}
+
+/**
+ * List every date from start to end (inclusive) as YYYY-MM-DD
+ * @param {string} start - First day
+ * @param {string} end - Last day
+ * @returns {Array<string>} - ISO dates
+ */
+function eachDate(start, end) {
+    const dates = [];
+    const [y, m, d] = start.split('-').map(Number);
+    const cursor = new Date(y, m - 1, d);
+    const pad = n => String(n).padStart(2, '0');
+    for (let iso = start; iso <= end; ) {
+        dates.push(iso);
+        cursor.setDate(cursor.getDate() + 1);
+        iso = `${cursor.getFullYear()}-${pad(cursor.getMonth() + 1)}-${pad(cursor.getDate())}`;
+    }
+    return dates;
+}
+
+/**
+ * Check whether a journal entry covers a timetable slot on a date
+ * Same teacher, same class, same day, and overlapping periods
+ * @param {Object} jurnal - Journal entry
+ * @param {Object} slot - Timetable slot
+ * @param {string} tanggal - ISO date
+ * @returns {boolean} - True if the slot has its journal
+ */
+function jurnalCoversSlot(jurnal, slot, tanggal) {
+    if (jurnal.teacherId !== slot.teacherId || jurnal.tanggal !== tanggal || jurnal.kelas !== slot.kelas) {
+        return false;
+    }
+    const range = parseJamRange(jurnal.jamKe);
+    return range.jamMulai <= slot.jamSelesai && slot.jamMulai <= range.jamSelesai;
+}
+
+/**
+ * Find scheduled lessons without a journal in a date range
+ * Teachers only get their own gaps; admins get everyone's
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Last day (YYYY-MM-DD)
+ * @returns {Array<{tanggal: string, slot: Object}>} - Uncovered slots, oldest first
+ */
+function findMissingJurnal(start, end) {
+    const slots = canViewAllJurnal()
+        ? getJadwal()
+        : getTeacherJadwal(getCurrentAuthorId());
+    const gaps = [];
+
+    eachDate(start, end).forEach(tanggal => {
+        if (getLiburOn(tanggal)) return;
+        const hari = getHariFromTanggal(tanggal);
+        slots
+            .filter(slot => slot.hari === hari)
+            .sort((a, b) => a.jamMulai - b.jamMulai)
+            .forEach(slot => {
+                if (!jurnalData.some(j => jurnalCoversSlot(j, slot, tanggal))) {
+                    gaps.push({ tanggal, slot });
+                }
+            });
+    });
+    return gaps;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ * @returns {string} - ISO date
+ */
+function getTodayIso() {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Draw the "Jurnal belum diisi" list for the selected range
+ * Future days are left out — those lessons haven't happened yet
+ */
+function renderMissingJurnal() {
+    const list = document.getElementById('missingList');
+    const start = document.getElementById('missingStart').value;
+    const today = getTodayIso();
+    const chosenEnd = document.getElementById('missingEnd').value;
+    const end = chosenEnd && chosenEnd < today ? chosenEnd : today;
+    if (!list || !start || start > end) {
+        if (list) list.innerHTML = '<p class="text-sm text-gray-300">Pilih rentang tanggal yang valid.</p>';
+        return;
+    }
+
+    const gaps = findMissingJurnal(start, end);
+    document.getElementById('missingCount').textContent = gaps.length;
+    if (gaps.length === 0) {
+        list.innerHTML = '<p class="text-sm text-green-200">Semua jadwal pada rentang ini sudah ada jurnalnya.</p>';
+        return;
+    }
+
+    const isAdmin = canViewAllJurnal();
+    list.innerHTML = gaps.map(({ tanggal, slot }) => {
+        const own = slot.teacherId === getCurrentAuthorId();
+        const label = `
+            <span class="font-semibold">${slot.hari}, ${formatDate(tanggal)}</span>
+            · Jam ${formatJamRange(slot)} · ${slot.kelas}${slot.mapel ? ` · ${slot.mapel}` : ''}
+            ${isAdmin ? `· <span class="text-pink-200">${slot.teacherName || slot.teacherId}</span>` : ''}`;
+        return own
+            ? `<button type="button" data-slot-id="${slot.id}" data-tanggal="${tanggal}" class="missing-gap block w-full text-left text-sm text-gray-100 py-2 hover:bg-white/10 rounded px-2">
+                   ${label} <span class="text-xs text-pink-300">— isi sekarang</span>
+               </button>`
+            : `<div class="text-sm text-gray-100 py-2 px-2">${label}</div>`;
+    }).join('');
+}
+
+/**
+ * Draw the academic calendar editor (admins only)
+ */
+function renderKalenderList() {
+    const list = document.getElementById('kalenderList');
+    if (!list) return;
+    const libur = getKalenderLibur();
+    list.innerHTML = libur.length === 0
+        ? '<p class="text-sm text-gray-300">Belum ada hari libur yang dicatat.</p>'
+        : libur.map(l => `
+            <div class="flex items-center justify-between py-2">
+                <span class="text-sm text-gray-100">
+                    ${formatDate(l.mulai)}${l.selesai !== l.mulai ? ` – ${formatDate(l.selesai)}` : ''} · ${l.keterangan}
+                </span>
+                <button type="button" data-libur-id="${l.id}" class="libur-delete text-xs text-red-300 hover:text-red-100">Hapus</button>
+            </div>
+        `).join('');
+}
+
+/**
+ * Wire up the "Jurnal belum diisi" card and the calendar editor
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('missingContainer');
+    if (!container || !currentUser) return;
+    if (isPortalRole()) {
+        container.style.display = 'none';
+        return;
+    }
+
+    // Default range: from the first of this month until today
+    const today = getTodayIso();
+    document.getElementById('missingStart').value = `${today.substring(0, 8)}01`;
+    document.getElementById('missingEnd').value = today;
+    ['missingStart', 'missingEnd'].forEach(id =>
+        document.getElementById(id).addEventListener('change', renderMissingJurnal)
+    );
+
+    // A saved journal may close a gap, so refresh the list after every submit
+    form.addEventListener('submit', renderMissingJurnal);
+
+    // Clicking a gap fills the journal form for that lesson
+    document.getElementById('missingList').addEventListener('click', (e) => {
+        const btn = e.target.closest('.missing-gap');
+        if (!btn) return;
+        const slot = getJadwal().find(s => s.id === Number(btn.dataset.slotId));
+        if (!slot) return;
+        resetForm();
+        applySlotToForm(slot, btn.dataset.tanggal);
+        form.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    const kalenderForm = document.getElementById('kalenderForm');
+    if (currentUser.role === 'admin' && kalenderForm) {
+        document.getElementById('kalenderSection').style.display = 'block';
+        kalenderForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                addKalenderLibur(
+                    document.getElementById('liburMulai').value,
+                    document.getElementById('liburSelesai').value,
+                    document.getElementById('liburKeterangan').value
+                );
+                kalenderForm.reset();
+                renderKalenderList();
+                renderMissingJurnal();
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+        document.getElementById('kalenderList').addEventListener('click', (e) => {
+            const btn = e.target.closest('.libur-delete');
+            if (!btn || !confirm('Hapus hari libur ini?')) return;
+            deleteKalenderLibur(Number(btn.dataset.liburId));
+            renderKalenderList();
+            renderMissingJurnal();
+        });
+        renderKalenderList();
+    }
+
+    // The timetable, holidays and journals may change on another device
+    window.addEventListener('firestore-data-updated', e => {
+        if (!['jadwalPelajaran', KALENDER_KEY, 'jurnalData'].includes(e.detail.key)) return;
+        if (currentUser.role === 'admin' && kalenderForm) renderKalenderList();
+        renderMissingJurnal();
+    });
+
+    renderMissingJurnal();
+});
+
+// Expose globally
+window.getKalenderLibur = getKalenderLibur;
+window.getLiburOn = getLiburOn;
+window.findMissingJurnal = findMissingJurnal;
+window.renderMissingJurnal = renderMissingJurnal;
@@ -0,0 +1,237 @@
+/**
+ * ============================================================================
+ * KURIKULUM MODULE — TUJUAN PEMBELAJARAN & CAPAIAN KELAS
+ * ============================================================================
+ * Every subject gets an editable list of learning objectives (Tujuan
+ * Pembelajaran / ATP) per grade. Journals are tagged with the objectives
+ * they covered, and the coverage view shows per class which objectives are
+ * done, in progress or not started — handy for comparing 9A to 9H.
+ * ============================================================================
+ */
+
+// LocalStorage key for the learning objectives of every subject and grade
+const TP_KEY = 'tujuanPembelajaran';
+
+// Coverage states, with the label and colour used in the coverage matrix
+const TP_STATUS = {
+    tuntas: { label: 'Tuntas', badge: 'bg-green-100 text-green-800' },
+    berlangsung: { label: 'Berlangsung', badge: 'bg-yellow-100 text-yellow-800' },
+    belum: { label: 'Belum', badge: 'bg-gray-100 text-gray-500' }
+};
+
+/**
+ * Load every learning objective
+ * @returns {Array<{id: number, mapel: string, tingkat: string, kode: string, deskripsi: string, urutan: number}>} - All objectives
+ */
+function getAllTujuanPembelajaran() {
+    const raw = localStorage.getItem(TP_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save every learning objective
+ * @param {Array} list - All objectives
+ */
+function saveAllTujuanPembelajaran(list) {
+    localStorage.setItem(TP_KEY, JSON.stringify(list));
+    // Synced for the subject's teachers (firestore-sync.js)
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: TP_KEY } }));
+}
+
+/**
+ * Get the grade of a class ("9A" → "9")
+ * @param {string} kelas - Class name
+ * @returns {string} - Grade, or the class name itself if it has no leading number
+ */
+function getTingkat(kelas) {
+    const match = String(kelas || '').match(/^\d+/);
+    return match ? match[0] : String(kelas || '');
+}
+
+/**
+ * Get the objectives of one subject and grade, in teaching order
+ * @param {string} mapel - Subject
+ * @param {string} tingkat - Grade
+ * @returns {Array} - Objectives
+ */
+function getTujuanPembelajaran(mapel, tingkat) {
+    return getAllTujuanPembelajaran()
+        .filter(tp => tp.mapel === mapel && tp.tingkat === tingkat)
+        .sort((a, b) => a.urutan - b.urutan);
+}
+
+/**
+ * Add a learning objective at the end of a subject/grade list
+ * @param {{mapel: string, tingkat: string, kode: string, deskripsi: string}} tp - Objective details
+ * @returns {Object} - The saved objective
+ */
+function addTujuanPembelajaran(tp) {
+    if (!tp.mapel || !tp.tingkat) throw new Error('Pilih mata pelajaran dan tingkat dulu.');
+    if (!tp.kode || !tp.deskripsi) throw new Error('Kode dan deskripsi tujuan pembelajaran harus diisi.');
+
+    const list = getAllTujuanPembelajaran();
+    const siblings = list.filter(t => t.mapel === tp.mapel && t.tingkat === tp.tingkat);
+    if (siblings.some(t => t.kode === tp.kode.trim())) {
+        throw new Error(`Kode ${tp.kode.trim()} sudah dipakai untuk ${tp.mapel} tingkat ${tp.tingkat}.`);
+    }
+
+    let id = Date.now();
+    while (list.some(t => t.id === id)) id++;
+    const entry = {
+        id,
+        mapel: tp.mapel,
+        tingkat: tp.tingkat,
+        kode: tp.kode.trim(),
+        deskripsi: tp.deskripsi.trim(),
+        urutan: siblings.length ? Math.max(...siblings.map(t => t.urutan)) + 1 : 1
+    };
+    list.push(entry);
+    saveAllTujuanPembelajaran(list);
+    return entry;
+}
+
+/**
+ * Update the code or description of a learning objective
+ * @param {number} id - Objective id
+ * @param {{kode?: string, deskripsi?: string}} changes - New values
+ */
+function updateTujuanPembelajaran(id, changes) {
+    const list = getAllTujuanPembelajaran();
+    const tp = list.find(t => t.id === id);
+    if (!tp) throw new Error('Tujuan pembelajaran tidak ditemukan.');
+    if (changes.kode !== undefined) tp.kode = changes.kode.trim() || tp.kode;
+    if (changes.deskripsi !== undefined) tp.deskripsi = changes.deskripsi.trim() || tp.deskripsi;
+    saveAllTujuanPembelajaran(list);
+}
+
+/**
+ * Move a learning objective one place up or down in its list
+ * @param {number} id - Objective id
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function moveTujuanPembelajaran(id, direction) {
+    const list = getAllTujuanPembelajaran();
+    const tp = list.find(t => t.id === id);
+    if (!tp) return;
+    const siblings = list
+        .filter(t => t.mapel === tp.mapel && t.tingkat === tp.tingkat)
+        .sort((a, b) => a.urutan - b.urutan);
+    const index = siblings.indexOf(tp);
+    const other = siblings[index + direction];
+    if (!other) return;
+    [tp.urutan, other.urutan] = [other.urutan, tp.urutan];
+    saveAllTujuanPembelajaran(list);
+}
+
+/**
+ * Delete a learning objective (journals keep their tags but they are no longer shown)
+ * @param {number} id - Objective id
+ */
+function deleteTujuanPembelajaran(id) {
+    saveAllTujuanPembelajaran(getAllTujuanPembelajaran().filter(t => t.id !== id));
+}
+
+/**
+ * Work out per class how far each objective has got
+ * An objective is "tuntas" once any journal of that class marked it finished,
+ * "berlangsung" if it was tagged but not finished yet, otherwise "belum"
+ * @param {string} mapel - Subject
+ * @param {string} tingkat - Grade
+ * @param {Array<string>} kelasList - Classes to compare
+ * @param {Array} journals - Journals to read the tags from
+ * @returns {Object} - Map of kelas → (objective id → status)
+ */
+function computeCoverage(mapel, tingkat, kelasList, journals) {
+    const objectives = getTujuanPembelajaran(mapel, tingkat);
+    const coverage = {};
+    kelasList.forEach(kelas => {
+        coverage[kelas] = {};
+        objectives.forEach(tp => { coverage[kelas][tp.id] = 'belum'; });
+    });
+
+    journals
+        .filter(j => j.mapel === mapel && coverage[j.kelas] && j.tujuanPembelajaran)
+        .forEach(j => j.tujuanPembelajaran.forEach(tag => {
+            if (!(tag.id in coverage[j.kelas])) return;
+            if (tag.tuntas) coverage[j.kelas][tag.id] = 'tuntas';
+            else if (coverage[j.kelas][tag.id] === 'belum') coverage[j.kelas][tag.id] = 'berlangsung';
+        }));
+    return coverage;
+}
+
+/**
+ * Render the objective checklist in the journal form for a class
+ * Each objective can be ticked as covered, and optionally as finished (tuntas)
+ * @param {string} mapel - Subject of the journal
+ * @param {string} kelas - Class picked in the form
+ * @param {Array<{id: number, tuntas: boolean}>} [selected] - Tags saved on the entry being edited
+ */
+function renderTpPicker(mapel, kelas, selected = []) {
+    const container = document.getElementById('tpPicker');
+    const section = document.getElementById('tpSection');
+    if (!container || !section) return;
+
+    const objectives = kelas && mapel ? getTujuanPembelajaran(mapel, getTingkat(kelas)) : [];
+    section.style.display = objectives.length ? 'block' : 'none';
+    const chosen = new Map(selected.map(tag => [tag.id, tag]));
+
+    container.innerHTML = objectives.map(tp => `
+        <div class="tp-row flex items-start justify-between gap-4 py-2" data-tp-id="${tp.id}">
+            <label class="flex items-start gap-2 text-sm text-gray-100 cursor-pointer">
+                <input type="checkbox" class="tp-covered mt-1" ${chosen.has(tp.id) ? 'checked' : ''}>
+                <span><span class="font-semibold">${tp.kode}</span> ${tp.deskripsi}</span>
+            </label>
+            <label class="flex items-center gap-1 text-xs text-gray-100 whitespace-nowrap cursor-pointer">
+                <input type="checkbox" class="tp-tuntas" ${chosen.has(tp.id) && chosen.get(tp.id).tuntas ? 'checked' : ''}>
+                Tuntas
+            </label>
+        </div>
+    `).join('');
+}
+
+/**
+ * Read the objectives ticked in the journal form
+ * Ticking "Tuntas" alone also counts as covered
+ * @returns {Array<{id: number, tuntas: boolean}>} - Tags for the journal entry
+ */
+function collectTpPicker() {
+    const container = document.getElementById('tpPicker');
+    if (!container) return [];
+    return [...container.querySelectorAll('.tp-row')]
+        .map(row => ({
+            id: Number(row.dataset.tpId),
+            covered: row.querySelector('.tp-covered').checked,
+            tuntas: row.querySelector('.tp-tuntas').checked
+        }))
+        .filter(tag => tag.covered || tag.tuntas)
+        .map(({ id, tuntas }) => ({ id, tuntas }));
+}
+
+/**
+ * Build the small objective badges shown under the materi of a journal row
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - HTML (empty if the entry has no tags)
+ */
+function renderTpBadges(jurnal) {
+    if (!jurnal.tujuanPembelajaran || jurnal.tujuanPembelajaran.length === 0) return '';
+    const byId = new Map(getAllTujuanPembelajaran().map(tp => [tp.id, tp]));
+    return `<div class="flex flex-wrap gap-1 mt-1">
+        ${jurnal.tujuanPembelajaran.filter(tag => byId.has(tag.id)).map(tag => `
+            <span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${TP_STATUS[tag.tuntas ? 'tuntas' : 'berlangsung'].badge}" title="${byId.get(tag.id).deskripsi}">
+                ${byId.get(tag.id).kode}${tag.tuntas ? ' ✓' : ''}
+            </span>
+        `).join('')}
+    </div>`;
+}
+
+// Expose globally
+window.getTingkat = getTingkat;
+window.getTujuanPembelajaran = getTujuanPembelajaran;
+window.addTujuanPembelajaran = addTujuanPembelajaran;
+window.updateTujuanPembelajaran = updateTujuanPembelajaran;
+window.moveTujuanPembelajaran = moveTujuanPembelajaran;
+window.deleteTujuanPembelajaran = deleteTujuanPembelajaran;
+window.computeCoverage = computeCoverage;
+window.renderTpPicker = renderTpPicker;
+window.collectTpPicker = collectTpPicker;
+window.renderTpBadges = renderTpBadges;
@@ -0,0 +1,407 @@
+/**
+ * ============================================================================
+ * LAMPIRAN MODULE — FOTO KEGIATAN & DOKUMEN PADA JURNAL
+ * ============================================================================
+ * Teachers can attach photos and PDFs (worksheets, student work) as evidence
+ * of learning. Photos are shrunk in the browser before they are stored.
+ * Files go to Firebase Storage (or its local emulator) when it is reachable
+ * and the teacher is signed in to Firebase Auth (storage.rules only let the
+ * owner of a journal add or remove its files); otherwise they wait in
+ * IndexedDB and are uploaded once that changes. Each entry only keeps small
+ * metadata plus a tiny thumbnail.
+ * ============================================================================
+ */
+
+// IndexedDB database/store that holds files not uploaded yet
+const LAMPIRAN_DB = 'jurnalLampiran';
+const LAMPIRAN_STORE = 'files';
+
+// Limits and sizes for attachments
+const LAMPIRAN_MAX_BYTES = 5 * 1024 * 1024;   // per file, after compression
+const LAMPIRAN_MAX_FILES = 6;                 // per journal entry
+const LAMPIRAN_IMAGE_MAX = 1600;              // longest side of a stored photo (px)
+const LAMPIRAN_THUMB_MAX = 96;                // longest side of the row thumbnail (px)
+const LAMPIRAN_QUALITY = 0.75;                // JPEG quality of stored photos
+
+// Attachments of the entry currently in the form, and the ones added since it was opened
+let formLampiran = [];
+let unsavedLampiranIds = new Set();
+
+/**
+ * Open (and create on first use) the IndexedDB database for offline files
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openLampiranDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('Browser ini tidak mendukung penyimpanan lampiran offline.'));
+            return;
+        }
+        const request = indexedDB.open(LAMPIRAN_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(LAMPIRAN_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the offline file store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - Result of the request
+ */
+async function withLampiranStore(mode, action) {
+    const db = await openLampiranDb();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(LAMPIRAN_STORE, mode).objectStore(LAMPIRAN_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Is the Firebase Storage bridge from firebase-config.js loaded, are we online and signed in?
+ * @returns {boolean} - True when uploads can go straight to Storage
+ */
+function isCloudStorageReady() {
+    return !!window.firebaseStorage && navigator.onLine
+        && !!window.firebaseAuth && !!window.firebaseAuth.auth.currentUser;
+}
+
+/**
+ * Load an image file into an <img> element
+ * @param {Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} - Decoded image
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+        img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Gambar ${file.name} tidak bisa dibaca.`)); };
+        img.src = url;
+    });
+}
+
+/**
+ * Draw an image scaled down so its longest side fits, onto a canvas
+ * @param {HTMLImageElement} img - Decoded image
+ * @param {number} maxSide - Longest side in pixels
+ * @returns {HTMLCanvasElement} - Canvas with the scaled image
+ */
+function drawScaled(img, maxSide) {
+    const scale = Math.min(1, maxSide / Math.max(img.naturalWidth || img.width, img.naturalHeight || img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round((img.naturalWidth || img.width) * scale));
+    canvas.height = Math.max(1, Math.round((img.naturalHeight || img.height) * scale));
+    const ctx = canvas.getContext('2d');
+    // White background so transparent PNGs don't turn black as JPEG
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Compress a photo and build its thumbnail
+ * @param {File} file - Image picked by the teacher
+ * @returns {Promise<{blob: Blob, thumb: string}>} - JPEG blob and a small data-URL thumbnail
+ */
+async function compressImage(file) {
+    const img = await loadImage(file);
+    const blob = await new Promise(resolve =>
+        drawScaled(img, LAMPIRAN_IMAGE_MAX).toBlob(resolve, 'image/jpeg', LAMPIRAN_QUALITY)
+    );
+    if (!blob) throw new Error(`Gambar ${file.name} gagal dikompres.`);
+    const thumb = drawScaled(img, LAMPIRAN_THUMB_MAX).toDataURL('image/jpeg', 0.6);
+    return { blob, thumb };
+}
+
+/**
+ * Turn a picked file into an attachment: compress photos, keep PDFs as they are,
+ * and park the file in IndexedDB until it is uploaded
+ * @param {File} file - File from the form
+ * @returns {Promise<Object>} - Attachment metadata {id, nama, tipe, ukuran, thumb, storage, path, url}
+ */
+async function prepareLampiran(file) {
+    const isImage = file.type.startsWith('image/');
+    if (!isImage && file.type !== 'application/pdf') {
+        throw new Error(`${file.name}: hanya foto atau PDF yang bisa dilampirkan.`);
+    }
+
+    const { blob, thumb } = isImage ? await compressImage(file) : { blob: file, thumb: '' };
+    if (blob.size > LAMPIRAN_MAX_BYTES) {
+        throw new Error(`${file.name} terlalu besar (maksimal ${LAMPIRAN_MAX_BYTES / 1024 / 1024} MB).`);
+    }
+
+    const meta = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        nama: isImage ? file.name.replace(/\.[^.]+$/, '') + '.jpg' : file.name,
+        tipe: isImage ? 'image/jpeg' : 'application/pdf',
+        ukuran: blob.size,
+        thumb,
+        storage: 'local',
+        path: null,
+        url: null
+    };
+    await withLampiranStore('readwrite', store => store.put(blob, meta.id));
+    return meta;
+}
+
+/**
+ * Upload one locally stored attachment to Firebase Storage
+ * @param {Object} meta - Attachment metadata with storage 'local'
+ * @param {Object} jurnal - Journal the attachment belongs to (for the storage path)
+ * @returns {Promise<Object>} - Updated metadata (unchanged if it could not be uploaded)
+ */
+async function uploadLampiran(meta, jurnal) {
+    if (meta.storage !== 'local' || !isCloudStorageReady()) return meta;
+    const blob = await withLampiranStore('readonly', store => store.get(meta.id));
+    if (!blob) return meta; // File lives in another browser — that one will upload it
+
+    const { storage, ref, uploadBytes, getDownloadURL } = window.firebaseStorage;
+    const path = `lampiran/${jurnal.teacherId}/${jurnal.id}/${meta.id}-${meta.nama}`;
+    const fileRef = ref(storage, path);
+    await uploadBytes(fileRef, blob, { contentType: meta.tipe });
+    const url = await getDownloadURL(fileRef);
+    await withLampiranStore('readwrite', store => store.delete(meta.id));
+    return { ...meta, storage: 'firebase', path, url };
+}
+
+/**
+ * Every attachment of a journal entry: its own files plus the assignment's (see tugas.js)
+ * @param {Object} jurnal - Journal entry
+ * @returns {Array} - Attachment metadata
+ */
+function getSemuaLampiran(jurnal) {
+    return [...(jurnal.lampiran || []), ...(jurnal.tugas && jurnal.tugas.lampiran ? [jurnal.tugas.lampiran] : [])];
+}
+
+/**
+ * Upload every attachment still waiting in this browser's IndexedDB
+ * Runs after saving, when the browser comes back online and when Storage finishes loading
+ */
+async function syncPendingLampiran() {
+    if (!isCloudStorageReady() || typeof jurnalData === 'undefined') return;
+    let changed = false;
+
+    for (const jurnal of jurnalData) {
+        if (!getSemuaLampiran(jurnal).some(l => l.storage === 'local')) continue;
+        try {
+            const uploaded = await Promise.all((jurnal.lampiran || []).map(meta => uploadLampiran(meta, jurnal)));
+            if (uploaded.some((meta, i) => meta !== jurnal.lampiran[i])) {
+                jurnal.lampiran = uploaded;
+                changed = true;
+            }
+            if (jurnal.tugas && jurnal.tugas.lampiran) {
+                const meta = await uploadLampiran(jurnal.tugas.lampiran, jurnal);
+                if (meta !== jurnal.tugas.lampiran) {
+                    jurnal.tugas = { ...jurnal.tugas, lampiran: meta };
+                    changed = true;
+                }
+            }
+        } catch (err) {
+            console.warn('Upload lampiran gagal, dicoba lagi nanti:', err);
+        }
+    }
+
+    if (changed) {
+        saveData();
+        renderTable();
+    }
+}
+
+/**
+ * Delete the stored files of attachments that are no longer referenced
+ * @param {Array} list - Attachment metadata to remove
+ */
+async function deleteLampiranFiles(list) {
+    for (const meta of list || []) {
+        try {
+            if (meta.storage === 'firebase' && window.firebaseStorage) {
+                const { storage, ref, deleteObject } = window.firebaseStorage;
+                await deleteObject(ref(storage, meta.path));
+            } else if (meta.storage === 'local') {
+                await withLampiranStore('readwrite', store => store.delete(meta.id));
+            }
+        } catch (err) {
+            console.warn('Lampiran tidak bisa dihapus:', err);
+        }
+    }
+}
+
+/**
+ * Open an attachment in a new tab (uploaded URL, or the offline copy)
+ * @param {Object} meta - Attachment metadata
+ */
+async function openLampiran(meta) {
+    if (meta.url) {
+        window.open(meta.url, '_blank');
+        return;
+    }
+    const blob = await withLampiranStore('readonly', store => store.get(meta.id)).catch(() => null);
+    if (!blob) {
+        showNotification('Lampiran belum terunggah dari perangkat lain.', 'info');
+        return;
+    }
+    window.open(URL.createObjectURL(blob), '_blank');
+}
+
+/**
+ * Small tile for one attachment: the thumbnail for photos, a "PDF" tile for documents
+ * @param {Object} meta - Attachment metadata
+ * @returns {string} - HTML for the tile contents
+ */
+function renderLampiranTile(meta) {
+    const pending = meta.storage === 'local' ? ' <span title="Menunggu unggah">⏳</span>' : '';
+    return meta.thumb
+        ? `<img src="${meta.thumb}" alt="${escapeHtml(meta.nama)}" class="w-10 h-10 object-cover rounded border border-gray-200">${pending}`
+        : `<span class="inline-flex w-10 h-10 items-center justify-center rounded border border-red-200 bg-red-50 text-red-700 text-xs font-bold">PDF</span>${pending}`;
+}
+
+/**
+ * Build the thumbnail strip shown in a journal row
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - HTML (empty if the entry has no attachments)
+ */
+function renderLampiranThumbs(jurnal) {
+    if (!jurnal.lampiran || jurnal.lampiran.length === 0) return '';
+    return `<div class="flex flex-wrap gap-1 mt-2">
+        ${jurnal.lampiran.map(meta => `
+            <button type="button" class="lampiran-thumb inline-flex items-center" data-jurnal-id="${jurnal.id}" data-lampiran-id="${meta.id}" title="${escapeHtml(meta.nama)}">
+                ${renderLampiranTile(meta)}
+            </button>
+        `).join('')}
+    </div>`;
+}
+
+/**
+ * Show the attachments of the entry in the form, each with a remove button
+ */
+function renderFormLampiran() {
+    const list = document.getElementById('lampiranList');
+    if (!list) return;
+    list.innerHTML = formLampiran.map(meta => `
+        <div class="flex items-center gap-2 bg-white/20 rounded-lg px-2 py-1 text-sm text-gray-100">
+            ${renderLampiranTile(meta)}
+            <span class="max-w-[10rem] truncate" title="${escapeHtml(meta.nama)}">${escapeHtml(meta.nama)}</span>
+            <span class="text-xs text-gray-300">${Math.ceil(meta.ukuran / 1024)} KB</span>
+            <button type="button" data-remove-lampiran="${meta.id}" class="text-red-200 hover:text-white">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Load an entry's attachments into the form (empty list for a new entry)
+ * @param {Array} [list] - Saved attachment metadata
+ */
+function setFormLampiran(list = []) {
+    formLampiran = list.map(meta => ({ ...meta }));
+    unsavedLampiranIds = new Set();
+    renderFormLampiran();
+}
+
+/**
+ * Attachments to store on the entry being saved
+ * Files uploaded while the form was open keep their newer (uploaded) metadata
+ * @returns {Array} - Attachment metadata
+ */
+function collectFormLampiran() {
+    const saved = editingId ? (jurnalData.find(j => j.id === editingId) || {}).lampiran || [] : [];
+    const latest = new Map(saved.map(meta => [meta.id, meta]));
+    return formLampiran.map(meta => ({ ...(latest.get(meta.id) || meta) }));
+}
+
+/**
+ * After a save: drop the files that were removed from the entry and upload the new ones
+ * @param {Array} [before] - Attachments the entry had before the save
+ * @param {Array} [after] - Attachments saved on the entry
+ */
+function commitFormLampiran(before = [], after = []) {
+    const kept = new Set(after.map(meta => meta.id));
+    deleteLampiranFiles(before.filter(meta => !kept.has(meta.id)));
+    unsavedLampiranIds = new Set();
+    syncPendingLampiran();
+}
+
+/**
+ * Throw away files added to the form that were never saved (form cancelled)
+ */
+function discardFormLampiran() {
+    deleteLampiranFiles(formLampiran.filter(meta => unsavedLampiranIds.has(meta.id)));
+    setFormLampiran([]);
+}
+
+/**
+ * Wire up the file picker and the thumbnails in the table
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('lampiranInput');
+    if (input) {
+        input.addEventListener('change', async () => {
+            const files = [...input.files];
+            input.value = '';
+            for (const file of files) {
+                if (formLampiran.length >= LAMPIRAN_MAX_FILES) {
+                    showNotification(`Maksimal ${LAMPIRAN_MAX_FILES} lampiran per jurnal.`, 'error');
+                    break;
+                }
+                try {
+                    const meta = await prepareLampiran(file);
+                    formLampiran.push(meta);
+                    unsavedLampiranIds.add(meta.id);
+                    renderFormLampiran();
+                } catch (err) {
+                    showNotification(err.message, 'error');
+                }
+            }
+        });
+    }
+
+    const list = document.getElementById('lampiranList');
+    if (list) {
+        list.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-remove-lampiran]');
+            if (!btn) return;
+            const meta = formLampiran.find(l => l.id === btn.dataset.removeLampiran);
+            formLampiran = formLampiran.filter(l => l !== meta);
+            // Files that were never saved can go right away; saved ones go when the entry is saved
+            if (meta && unsavedLampiranIds.has(meta.id)) deleteLampiranFiles([meta]);
+            renderFormLampiran();
+        });
+    }
+
+    const tableBody = document.getElementById('jurnalTableBody');
+    if (tableBody) {
+        tableBody.addEventListener('click', e => {
+            const btn = e.target.closest('.lampiran-thumb');
+            if (!btn) return;
+            const jurnal = jurnalData.find(j => j.id === Number(btn.dataset.jurnalId));
+            const meta = jurnal && getSemuaLampiran(jurnal).find(l => l.id === btn.dataset.lampiranId);
+            if (meta) openLampiran(meta);
+        });
+    }
+
+    window.addEventListener('online', syncPendingLampiran);
+    window.addEventListener('firebase-storage-ready', syncPendingLampiran);
+    // Firebase Auth restores the login a moment after the page loads
+    const followLogin = () => {
+        const { auth, onAuthStateChanged } = window.firebaseAuth;
+        onAuthStateChanged(auth, user => { if (user) syncPendingLampiran(); });
+    };
+    if (window.firebaseAuth) followLogin();
+    else window.addEventListener('firebase-auth-ready', followLogin);
+    syncPendingLampiran();
+});
+
+// Expose globally
+window.prepareLampiran = prepareLampiran;
+window.syncPendingLampiran = syncPendingLampiran;
+window.deleteLampiranFiles = deleteLampiranFiles;
+window.openLampiran = openLampiran;
+window.getSemuaLampiran = getSemuaLampiran;
+window.renderLampiranThumbs = renderLampiranThumbs;
+window.setFormLampiran = setFormLampiran;
+window.collectFormLampiran = collectFormLampiran;
+window.commitFormLampiran = commitFormLampiran;
+window.discardFormLampiran = discardFormLampiran;
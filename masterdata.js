@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ * MASTER DATA MODULE — KELAS, JAM PELAJARAN & MATA PELAJARAN
+ * ============================================================================
+ * One place for the lists that used to be copy-pasted into the HTML: the
+ * classes, the bell schedule and the subjects. Admins maintain them on
+ * admin-masterdata.html; every form and filter reads them from here, so a
+ * new school year no longer means editing markup.
+ * ============================================================================
+ */
+
+// LocalStorage key for the master data
+const MASTER_DATA_KEY = 'masterData';
+
+// Starting lists, matching what the school used before master data existed
+const DEFAULT_KELAS = ['8E', '8F', '8G', '8H', '9A', '9B', '9C', '9D', '9E', '9F', '9G', '9H'];
+const DEFAULT_JAM_PELAJARAN = [
+    { jamKe: 1, mulai: '07:00', selesai: '07:40' },
+    { jamKe: 2, mulai: '07:40', selesai: '08:20' },
+    { jamKe: 3, mulai: '08:20', selesai: '09:00' },
+    { jamKe: 4, mulai: '09:00', selesai: '09:40' },
+    { jamKe: 5, mulai: '10:00', selesai: '10:40' },
+    { jamKe: 6, mulai: '10:40', selesai: '11:20' },
+    { jamKe: 7, mulai: '11:20', selesai: '12:00' },
+    { jamKe: 8, mulai: '12:30', selesai: '13:10' }
+];
+// Follows Indonesian national curriculum standards (Kurikulum Merdeka)
+const DEFAULT_MAPEL = [
+    'Informatika', 'Matematika', 'Fisika', 'Kimia', 'Biologi',
+    'Bahasa Indonesia', 'Bahasa Inggris', 'Sejarah', 'Geografi',
+    'Seni Budaya', 'Pendidikan Jasmani', 'Agama Islam', 'Agama Kristen',
+    'Agama Hindu', 'Agama Buddha', 'Pendidikan Kewarganegaraan', 'Ekonomi'
+];
+
+/**
+ * Load the master data, seeding the defaults on first use
+ * @returns {{kelas: Array<{nama: string, aktif: boolean}>, jamPelajaran: Array<{jamKe: number, mulai: string, selesai: string}>, mapel: Array<string>}} - Master data
+ */
+function getMasterData() {
+    const raw = localStorage.getItem(MASTER_DATA_KEY);
+    if (raw) return JSON.parse(raw);
+    return {
+        kelas: DEFAULT_KELAS.map(nama => ({ nama, aktif: true })),
+        jamPelajaran: DEFAULT_JAM_PELAJARAN.map(j => ({ ...j })),
+        mapel: [...DEFAULT_MAPEL]
+    };
+}
+
+/**
+ * Save the master data
+ * @param {Object} data - Master data from getMasterData()
+ */
+function saveMasterData(data) {
+    localStorage.setItem(MASTER_DATA_KEY, JSON.stringify(data));
+    // Mirrored to Firestore, so teachers and the registration page get it (firestore-sync.js)
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: MASTER_DATA_KEY } }));
+}
+
+/**
+ * Get class names, sorted
+ * @param {boolean} [includeRetired=false] - Also return retired classes (for filters over old journals)
+ * @returns {Array<string>} - Class names
+ */
+function getKelasList(includeRetired = false) {
+    return getMasterData().kelas
+        .filter(k => includeRetired || k.aktif)
+        .map(k => k.nama)
+        .sort((a, b) => a.localeCompare(b, 'id', { numeric: true }));
+}
+
+/**
+ * Get the bell schedule, ordered by period
+ * @returns {Array<{jamKe: number, mulai: string, selesai: string}>} - Periods
+ */
+function getJamPelajaran() {
+    return getMasterData().jamPelajaran.sort((a, b) => a.jamKe - b.jamKe);
+}
+
+/**
+ * Get the subject list
+ * @returns {Array<string>} - Subject names
+ */
+function getMapelList() {
+    return getMasterData().mapel;
+}
+
+/**
+ * Add a new class
+ * @param {string} nama - Class name, e.g. "7A"
+ */
+function addKelas(nama) {
+    const clean = (nama || '').trim().toUpperCase();
+    if (!clean) throw new Error('Nama kelas harus diisi.');
+    const data = getMasterData();
+    if (data.kelas.some(k => k.nama === clean)) throw new Error(`Kelas ${clean} sudah ada.`);
+    data.kelas.push({ nama: clean, aktif: true });
+    saveMasterData(data);
+}
+
+/**
+ * Rename a class everywhere it is used (journals, timetable, students)
+ * @param {string} oldName - Current class name
+ * @param {string} newName - New class name
+ */
+function renameKelas(oldName, newName) {
+    const clean = (newName || '').trim().toUpperCase();
+    if (!clean) throw new Error('Nama kelas baru harus diisi.');
+    const data = getMasterData();
+    if (data.kelas.some(k => k.nama === clean)) throw new Error(`Kelas ${clean} sudah ada.`);
+    const kelas = data.kelas.find(k => k.nama === oldName);
+    if (!kelas) throw new Error(`Kelas ${oldName} tidak ditemukan.`);
+    kelas.nama = clean;
+    saveMasterData(data);
+
+    // Carry the new name into everything that stores the class by name
+    const renameIn = (key, field) => {
+        const raw = localStorage.getItem(key);
+        if (!raw) return;
+        const items = JSON.parse(raw);
+        items.forEach(item => { if (item[field] === oldName) item[field] = clean; });
+        localStorage.setItem(key, JSON.stringify(items));
+        // Journals and users are mirrored to Firestore (firestore-sync.js)
+        window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key } }));
+    };
+    renameIn('jurnalData', 'kelas');
+    renameIn('jadwalPelajaran', 'kelas');
+    renameIn('registeredUsers', 'kelasMengajar');
+}
+
+/**
+ * Retire or reactivate a class
+ * Retired classes disappear from new-entry forms but stay in filters for old journals
+ * @param {string} nama - Class name
+ * @param {boolean} aktif - False to retire, true to reactivate
+ */
+function setKelasAktif(nama, aktif) {
+    const data = getMasterData();
+    const kelas = data.kelas.find(k => k.nama === nama);
+    if (!kelas) throw new Error(`Kelas ${nama} tidak ditemukan.`);
+    kelas.aktif = aktif;
+    saveMasterData(data);
+}
+
+/**
+ * Add or update a period of the bell schedule
+ * @param {number} jamKe - Period number
+ * @param {string} mulai - Start time (HH:MM)
+ * @param {string} selesai - End time (HH:MM)
+ */
+function saveJamPelajaran(jamKe, mulai, selesai) {
+    if (!Number.isInteger(jamKe) || jamKe < 1) throw new Error('Jam ke harus angka mulai dari 1.');
+    if (!mulai || !selesai || selesai <= mulai) throw new Error('Waktu selesai harus setelah waktu mulai.');
+    const data = getMasterData();
+    const existing = data.jamPelajaran.find(j => j.jamKe === jamKe);
+    if (existing) {
+        existing.mulai = mulai;
+        existing.selesai = selesai;
+    } else {
+        data.jamPelajaran.push({ jamKe, mulai, selesai });
+    }
+    saveMasterData(data);
+}
+
+/**
+ * Remove a period from the bell schedule
+ * @param {number} jamKe - Period number
+ */
+function deleteJamPelajaran(jamKe) {
+    const data = getMasterData();
+    data.jamPelajaran = data.jamPelajaran.filter(j => j.jamKe !== jamKe);
+    saveMasterData(data);
+}
+
+/**
+ * Add a subject to the list
+ * @param {string} nama - Subject name
+ */
+function addMapel(nama) {
+    const clean = (nama || '').trim();
+    if (!clean) throw new Error('Nama mata pelajaran harus diisi.');
+    const data = getMasterData();
+    if (data.mapel.includes(clean)) throw new Error(`${clean} sudah ada di daftar.`);
+    data.mapel.push(clean);
+    saveMasterData(data);
+}
+
+/**
+ * Remove a subject from the list (existing teachers and journals keep their value)
+ * @param {string} nama - Subject name
+ */
+function deleteMapel(nama) {
+    const data = getMasterData();
+    data.mapel = data.mapel.filter(m => m !== nama);
+    saveMasterData(data);
+}
+
+/**
+ * Fill a select with options, keeping its first placeholder option if it has one
+ * and the current choice if it is still offered
+ * @param {HTMLSelectElement} select - Target select (ignored if missing or not a select)
+ * @param {Array<{value: string, label: string}>} options - Options to add
+ */
+function fillSelect(select, options) {
+    if (!select || select.tagName !== 'SELECT') return;
+    const placeholder = select.options[0] && select.options[0].value === '' ? select.options[0].outerHTML : '';
+    const chosen = select.value;
+    select.innerHTML = placeholder + options
+        .map(o => `<option value="${o.value}">${o.label}</option>`)
+        .join('');
+    if (options.some(o => o.value === chosen)) select.value = chosen;
+}
+
+/**
+ * Populate every class, period and subject select on the current page from master data
+ */
+function populateMasterSelects() {
+    const byId = id => document.getElementById(id);
+    const kelasAktif = getKelasList().map(k => ({ value: k, label: k }));
+    const retired = new Set(getKelasList(true).filter(k => !getKelasList().includes(k)));
+    const kelasSemua = getKelasList(true).map(k => ({ value: k, label: retired.has(k) ? `${k} (nonaktif)` : k }));
+    const jam = getJamPelajaran().map(j => ({
+        value: String(j.jamKe),
+        label: `Jam ke-${j.jamKe} (${j.mulai}–${j.selesai})`
+    }));
+    const mapel = getMapelList().map(m => ({ value: m, label: m }));
+
+    ['kelas', 'studentClass', 'jadwalKelas'].forEach(id => fillSelect(byId(id), kelasAktif));
+    fillSelect(byId('filterKelas'), kelasSemua);
+    ['jamKe', 'jadwalJamMulai', 'jadwalJamSelesai'].forEach(id => fillSelect(byId(id), jam));
+    ['teacherMapel', 'jadwalMapel'].forEach(id => fillSelect(byId(id), mapel));
+}
+
+document.addEventListener('DOMContentLoaded', populateMasterSelects);
+// The admin's lists arriving from Firestore
+window.addEventListener('firestore-data-updated', e => {
+    if (e.detail.key === MASTER_DATA_KEY) populateMasterSelects();
+});
+
+// Expose globally
+window.getMasterData = getMasterData;
+window.getKelasList = getKelasList;
+window.getJamPelajaran = getJamPelajaran;
+window.getMapelList = getMapelList;
+window.addKelas = addKelas;
+window.renameKelas = renameKelas;
+window.setKelasAktif = setKelasAktif;
+window.saveJamPelajaran = saveJamPelajaran;
+window.deleteJamPelajaran = deleteJamPelajaran;
+window.addMapel = addMapel;
+window.deleteMapel = deleteMapel;
+window.populateMasterSelects = populateMasterSelects;
@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * PENCARIAN MODULE — PENCARIAN LANJUTAN & FILTER YANG BISA DIBAGIKAN
+ * ============================================================================
+ * Search looks through the materi, the names of absent students and the
+ * teacher's notes, and every word typed has to match somewhere. The whole
+ * filter state lives in the URL query string, so a link such as
+ * "?kelas=9B&bulan=10&q=algoritma" opens exactly the same view, and each
+ * user can keep named filters to come back to later.
+ * ============================================================================
+ */
+
+// LocalStorage key for named filters, grouped per user
+const SAVED_FILTERS_KEY = 'savedFilters';
+
+// Filter inputs and the query-string parameter each one is stored under
+const FILTER_PARAMS = [
+    { param: 'ta', id: 'filterTahunAjaran' },
+    { param: 'semester', id: 'filterSemester' },
+    { param: 'guru', id: 'filterGuru' },
+    { param: 'kelas', id: 'filterKelas', multiple: true },
+    { param: 'bulan', id: 'filterBulan' },
+    { param: 'dari', id: 'filterDari' },
+    { param: 'sampai', id: 'filterSampai' },
+    { param: 'q', id: 'searchMateri' }
+];
+
+/**
+ * Escape text before putting it into HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Safe HTML text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Split a search query into lowercase terms; "quoted phrases" stay together
+ * @param {string} query - What the user typed
+ * @returns {Array<string>} - Terms that all have to match
+ */
+function getSearchTerms(query) {
+    const terms = [];
+    String(query || '').replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+        const term = (phrase || word).trim().toLowerCase();
+        if (term) terms.push(term);
+        return match;
+    });
+    return terms;
+}
+
+/**
+ * Terms currently typed into the search box
+ * @returns {Array<string>} - Lowercase search terms
+ */
+function getActiveSearchTerms() {
+    const input = document.getElementById('searchMateri');
+    return input ? getSearchTerms(input.value) : [];
+}
+
+/**
+ * Collect the searchable text of a journal: materi, absent names and notes
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - Lowercase text to match against
+ */
+function getSearchableText(jurnal) {
+    const absentNames = (jurnal.kehadiran || []).filter(k => k.status !== 'H').map(k => k.nama);
+    return [jurnal.uraianMateri, jurnal.namaSiswaTidakHadir, ...absentNames, jurnal.catatan]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+/**
+ * Does a journal match every search term (in any of its searchable fields)?
+ * @param {Object} jurnal - Journal entry
+ * @param {Array<string>} terms - Terms from getSearchTerms()
+ * @returns {boolean} - True when all terms are found
+ */
+function matchesSearch(jurnal, terms) {
+    if (terms.length === 0) return true;
+    const text = getSearchableText(jurnal);
+    return terms.every(term => text.includes(term));
+}
+
+/**
+ * Escape text for HTML and wrap every search term it contains in <mark>
+ * @param {string} text - Plain text from the journal
+ * @param {Array<string>} [terms] - Terms to highlight (defaults to the search box)
+ * @returns {string} - HTML with highlighted matches
+ */
+function highlightText(text, terms = getActiveSearchTerms()) {
+    const value = String(text ?? '');
+    if (terms.length === 0) return escapeHtml(value);
+
+    const pattern = new RegExp(terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    let html = '';
+    let last = 0;
+    value.replace(pattern, (match, offset) => {
+        html += `${escapeHtml(value.slice(last, offset))}<mark class="bg-yellow-200 rounded px-0.5">${escapeHtml(match)}</mark>`;
+        last = offset + match.length;
+        return match;
+    });
+    return html + escapeHtml(value.slice(last));
+}
+
+/**
+ * Classes picked in the multi-select class filter
+ * @returns {Array<string>} - Selected classes (empty means all classes)
+ */
+function getSelectedKelas() {
+    const select = document.getElementById('filterKelas');
+    return select ? [...select.selectedOptions].map(o => o.value).filter(Boolean) : [];
+}
+
+/**
+ * Read the current value of every filter input
+ * @returns {Object} - Filter state keyed by query parameter
+ */
+function getFilterState() {
+    const state = {};
+    FILTER_PARAMS.forEach(({ param, id, multiple }) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        state[param] = multiple ? [...el.selectedOptions].map(o => o.value).filter(Boolean) : el.value;
+    });
+    return state;
+}
+
+/**
+ * Put a filter state back into the inputs; parameters that are missing keep their current value
+ * @param {Object} state - Filter state keyed by query parameter
+ */
+function applyFilterState(state) {
+    FILTER_PARAMS.forEach(({ param, id, multiple }) => {
+        const el = document.getElementById(id);
+        if (!el || !(param in state)) return;
+        if (multiple) {
+            const chosen = new Set(state[param]);
+            [...el.options].forEach(o => { o.selected = chosen.has(o.value); });
+        } else {
+            el.value = state[param];
+        }
+    });
+}
+
+/**
+ * Turn a filter state into a query string (empty filters are left out)
+ * The academic year is always written, since "all years" differs from the default
+ * @param {Object} state - Filter state keyed by query parameter
+ * @returns {string} - Query string without the leading "?"
+ */
+function filterStateToQuery(state) {
+    const params = new URLSearchParams();
+    FILTER_PARAMS.forEach(({ param, multiple }) => {
+        if (!(param in state)) return;
+        const value = multiple ? state[param].join(',') : state[param];
+        if (value || param === 'ta') params.set(param, value);
+    });
+    return params.toString();
+}
+
+/**
+ * Read a filter state from a query string
+ * @param {string} query - Query string, with or without the leading "?"
+ * @returns {Object} - Filter state with only the parameters that were present
+ */
+function parseFilterQuery(query) {
+    const params = new URLSearchParams(query);
+    const state = {};
+    FILTER_PARAMS.forEach(({ param, multiple }) => {
+        if (!params.has(param)) return;
+        const value = params.get(param);
+        state[param] = multiple ? value.split(',').map(v => v.trim()).filter(Boolean) : value;
+    });
+    return state;
+}
+
+/**
+ * Mirror the current filters into the address bar without adding history entries
+ */
+function syncFilterUrl() {
+    const query = filterStateToQuery(getFilterState());
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Load every user's named filters
+ * @returns {Object} - Map of author id → [{nama, query}]
+ */
+function getAllSavedFilters() {
+    const raw = localStorage.getItem(SAVED_FILTERS_KEY);
+    return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Named filters of one user, sorted by name
+ * @param {string|number} userId - Author id of the user
+ * @returns {Array<{nama: string, query: string}>} - Saved filters
+ */
+function getSavedFilters(userId) {
+    return (getAllSavedFilters()[userId] || []).slice().sort((a, b) => a.nama.localeCompare(b.nama, 'id'));
+}
+
+/**
+ * Save (or overwrite) a named filter for a user
+ * @param {string|number} userId - Author id of the user
+ * @param {string} nama - Name picked by the user
+ * @param {string} query - Query string from filterStateToQuery()
+ */
+function saveNamedFilter(userId, nama, query) {
+    const name = String(nama || '').trim();
+    if (!name) throw new Error('Nama filter harus diisi.');
+    const all = getAllSavedFilters();
+    all[userId] = (all[userId] || []).filter(f => f.nama !== name).concat({ nama: name, query });
+    localStorage.setItem(SAVED_FILTERS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Remove a named filter of a user
+ * @param {string|number} userId - Author id of the user
+ * @param {string} nama - Name of the filter
+ */
+function deleteNamedFilter(userId, nama) {
+    const all = getAllSavedFilters();
+    all[userId] = (all[userId] || []).filter(f => f.nama !== nama);
+    localStorage.setItem(SAVED_FILTERS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Fill the saved-filter dropdown for the logged-in user
+ * @param {string} [selected] - Name to keep selected
+ */
+function renderSavedFilterOptions(selected = '') {
+    const select = document.getElementById('savedFilterSelect');
+    const deleteBtn = document.getElementById('deleteFilterBtn');
+    if (!select) return;
+    const filters = getSavedFilters(getCurrentAuthorId());
+    select.innerHTML = '<option value="">Pilih filter tersimpan...</option>' +
+        filters.map(f => `<option value="${escapeHtml(f.nama)}">${escapeHtml(f.nama)}</option>`).join('');
+    select.value = filters.some(f => f.nama === selected) ? selected : '';
+    if (deleteBtn) deleteBtn.disabled = !select.value;
+}
+
+/**
+ * A filter state with every filter cleared
+ * @returns {Object} - Filter state with empty values
+ */
+function emptyFilterState() {
+    const state = {};
+    FILTER_PARAMS.forEach(({ param, multiple }) => { state[param] = multiple ? [] : ''; });
+    return state;
+}
+
+/**
+ * Wire up the saved-filter controls and the copy-link button
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const select = document.getElementById('savedFilterSelect');
+    if (!select || !currentUser) return;
+
+    renderSavedFilterOptions();
+
+    select.addEventListener('change', () => {
+        const saved = getSavedFilters(getCurrentAuthorId()).find(f => f.nama === select.value);
+        document.getElementById('deleteFilterBtn').disabled = !saved;
+        if (!saved) return;
+        // Start from a clean slate so filters left out of the saved link are cleared
+        applyFilterState({ ...emptyFilterState(), ...parseFilterQuery(saved.query) });
+        updateArchiveButton();
+        applyFilters();
+    });
+
+    document.getElementById('saveFilterBtn').addEventListener('click', () => {
+        const nama = prompt('Nama untuk filter ini (contoh: "9B Oktober algoritma"):', select.value);
+        if (nama === null) return;
+        try {
+            saveNamedFilter(getCurrentAuthorId(), nama, filterStateToQuery(getFilterState()));
+            renderSavedFilterOptions(nama.trim());
+            showNotification('Filter disimpan.', 'success');
+        } catch (err) {
+            showNotification(err.message, 'error');
+        }
+    });
+
+    document.getElementById('deleteFilterBtn').addEventListener('click', () => {
+        if (!select.value || !confirm(`Hapus filter "${select.value}"?`)) return;
+        deleteNamedFilter(getCurrentAuthorId(), select.value);
+        renderSavedFilterOptions();
+    });
+
+    document.getElementById('copyFilterLinkBtn').addEventListener('click', () => {
+        syncFilterUrl();
+        const link = window.location.href;
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => showNotification('Tautan filter disalin.', 'success'))
+                .catch(() => prompt('Salin tautan ini:', link));
+        } else {
+            prompt('Salin tautan ini:', link);
+        }
+    });
+});
+
+// Expose globally
+window.escapeHtml = escapeHtml;
+window.getSearchTerms = getSearchTerms;
+window.matchesSearch = matchesSearch;
+window.highlightText = highlightText;
+window.getSelectedKelas = getSelectedKelas;
+window.getFilterState = getFilterState;
+window.applyFilterState = applyFilterState;
+window.filterStateToQuery = filterStateToQuery;
+window.parseFilterQuery = parseFilterQuery;
+window.syncFilterUrl = syncFilterUrl;
+window.getSavedFilters = getSavedFilters;
+window.saveNamedFilter = saveNamedFilter;
+window.deleteNamedFilter = deleteNamedFilter;
@@ -0,0 +1,201 @@
+/**
+ * ============================================================================
+ * PENGINGAT MODULE — PENGINGAT JURNAL & PENGATURANNYA
+ * ============================================================================
+ * The kirimPengingat Cloud Function (functions/reminders.js) queues a
+ * reminder when a teacher's timetable had lessons without a journal. They
+ * reach this browser through the Firestore sync and are shown as a banner
+ * on the dashboard until the teacher closes them or fills the journals.
+ * Each teacher picks the time reminders go out, or switches them off; the
+ * setting is stored on their user record so the function can read it.
+ * ============================================================================
+ */
+
+// LocalStorage key of the queued reminders (mirrored from Firestore)
+const PENGINGAT_KEY = 'pengingatJurnal';
+// Used when a teacher never changed the setting (same default as the function)
+const DEFAULT_JAM_PENGINGAT = '15:00';
+
+/**
+ * Load every queued reminder
+ * @returns {Array<{id: string, teacherId: (string|number), tanggal: string, hari: string, slots: Array, dibacaAt: (string|null)}>} - Reminders
+ */
+function getPengingat() {
+    const raw = localStorage.getItem(PENGINGAT_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save the reminders and let the Firestore sync push the change
+ * @param {Array} pengingat - Every reminder
+ */
+function savePengingat(pengingat) {
+    localStorage.setItem(PENGINGAT_KEY, JSON.stringify(pengingat));
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: PENGINGAT_KEY } }));
+}
+
+/**
+ * The slot of a reminder, completed with the reminder's teacher and day
+ * so the timetable helpers can use it
+ * @param {Object} reminder - Queued reminder
+ * @param {Object} slot - One of its slots
+ * @returns {Object} - Timetable slot
+ */
+function toJadwalSlot(reminder, slot) {
+    return { ...slot, teacherId: reminder.teacherId, hari: reminder.hari };
+}
+
+/**
+ * Unread reminders of the logged-in teacher, keeping only the lessons that
+ * still have no journal (one may have been filled since it was queued)
+ * @returns {Array} - Reminders with at least one open lesson, newest first
+ */
+function getOpenPengingat() {
+    const authorId = getCurrentAuthorId();
+    return getPengingat()
+        .filter(r => r.teacherId === authorId && !r.dibacaAt)
+        .map(r => ({
+            ...r,
+            slots: r.slots.filter(s =>
+                !jurnalData.some(j => jurnalCoversSlot(j, toJadwalSlot(r, s), r.tanggal)))
+        }))
+        .filter(r => r.slots.length > 0)
+        .sort((a, b) => b.tanggal.localeCompare(a.tanggal));
+}
+
+/**
+ * Mark a reminder as read so the banner stops showing it
+ * @param {string} id - Reminder id
+ */
+function markPengingatRead(id) {
+    const pengingat = getPengingat();
+    const reminder = pengingat.find(r => r.id === id);
+    if (!reminder) return;
+    reminder.dibacaAt = new Date().toISOString();
+    savePengingat(pengingat);
+}
+
+/**
+ * Draw the reminder banner at the top of the dashboard
+ */
+function renderPengingatBanner() {
+    const banner = document.getElementById('pengingatBanner');
+    if (!banner) return;
+    const open = getOpenPengingat();
+    if (open.length === 0) {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.style.display = 'block';
+    banner.innerHTML = open.map(r => `
+        <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 py-3">
+            <div class="text-sm text-amber-50">
+                <p class="font-semibold">Jurnal ${r.hari}, ${formatDate(r.tanggal)} belum diisi</p>
+                <div class="flex flex-wrap gap-2 mt-2">
+                    ${r.slots.map(s => `
+                        <button type="button" data-pengingat-id="${r.id}" data-slot-id="${s.id}" class="pengingat-isi px-3 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-xs">
+                            Jam ${formatJamRange(s)} · ${s.kelas}${s.mapel ? ` · ${s.mapel}` : ''} — isi sekarang
+                        </button>`).join('')}
+                </div>
+            </div>
+            <button type="button" data-pengingat-id="${r.id}" class="pengingat-tutup text-xs text-amber-100 hover:text-white whitespace-nowrap">Tutup</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * The logged-in teacher's reminder setting
+ * @returns {{aktif: boolean, jam: string}} - Setting, with defaults filled in
+ */
+function getPengingatSetting() {
+    const user = getRegisteredUsers().find(u => u.id === currentUser.id);
+    const setting = (user && user.pengingat) || {};
+    return {
+        aktif: setting.aktif !== false,
+        jam: setting.jam || DEFAULT_JAM_PENGINGAT
+    };
+}
+
+/**
+ * Fill the settings card from the stored setting
+ */
+function renderPengingatSetting() {
+    const setting = getPengingatSetting();
+    document.getElementById('pengingatAktif').checked = setting.aktif;
+    document.getElementById('pengingatJam').value = setting.jam;
+    document.getElementById('pengingatJam').disabled = !setting.aktif;
+    document.getElementById('pengingatEmail').textContent = currentUser.email
+        ? `Pengingat juga dikirim ke ${currentUser.email}.`
+        : 'Akun ini belum punya email, jadi pengingat hanya muncul di halaman ini.';
+}
+
+/**
+ * Wire up the banner and the settings card
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const banner = document.getElementById('pengingatBanner');
+    const settings = document.getElementById('pengingatContainer');
+    if (!banner || !currentUser || currentUser.role !== 'teacher') {
+        if (settings) settings.style.display = 'none';
+        return;
+    }
+
+    banner.addEventListener('click', (e) => {
+        const isi = e.target.closest('.pengingat-isi');
+        if (isi) {
+            const reminder = getPengingat().find(r => r.id === isi.dataset.pengingatId);
+            const slot = reminder && reminder.slots.find(s => String(s.id) === isi.dataset.slotId);
+            if (!slot) return;
+            resetForm();
+            applySlotToForm(toJadwalSlot(reminder, slot), reminder.tanggal);
+            form.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        const tutup = e.target.closest('.pengingat-tutup');
+        if (tutup) {
+            markPengingatRead(tutup.dataset.pengingatId);
+            renderPengingatBanner();
+        }
+    });
+
+    // Saving a journal may answer a reminder
+    form.addEventListener('submit', renderPengingatBanner);
+    // New reminders arrive through the Firestore sync
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key === PENGINGAT_KEY || e.detail.key === 'jurnalData') renderPengingatBanner();
+        if (e.detail.key === 'registeredUsers' && settings.style.display !== 'none') renderPengingatSetting();
+    });
+    renderPengingatBanner();
+
+    // Demo accounts are not stored anywhere the function can read
+    if (!getRegisteredUsers().some(u => u.id === currentUser.id)) {
+        settings.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('pengingatAktif').addEventListener('change', (e) => {
+        document.getElementById('pengingatJam').disabled = !e.target.checked;
+    });
+    document.getElementById('pengingatForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            updateRegisteredUser(currentUser.id, {
+                pengingat: {
+                    aktif: document.getElementById('pengingatAktif').checked,
+                    jam: document.getElementById('pengingatJam').value || DEFAULT_JAM_PENGINGAT
+                }
+            });
+            showNotification('Pengaturan pengingat disimpan!', 'success');
+        } catch (err) {
+            showNotification(err.message, 'error');
+        }
+    });
+    renderPengingatSetting();
+});
+
+// Expose globally
+window.getPengingat = getPengingat;
+window.getOpenPengingat = getOpenPengingat;
+window.markPengingatRead = markPengingatRead;
@@ -0,0 +1,121 @@
+/**
+ * ============================================================================
+ * PRESENSI MODULE — ABSEN PER SISWA
+ * ============================================================================
+ * Builds the attendance roster for a class from the registered students and
+ * lets the teacher mark each one Hadir/Sakit/Izin/Alpa. The attendance
+ * numbers are counted from those marks, so they can no longer disagree with
+ * the names. Old journals with typed numbers and free-text names still work.
+ * ============================================================================
+ */
+
+/**
+ * Attendance statuses a student can be marked with
+ * The code is what gets stored on the journal entry, the label is what people read
+ */
+const ATTENDANCE_STATUS = {
+    H: { label: 'Hadir', badge: 'bg-green-100 text-green-800' },
+    S: { label: 'Sakit', badge: 'bg-yellow-100 text-yellow-800' },
+    I: { label: 'Izin', badge: 'bg-blue-100 text-blue-800' },
+    A: { label: 'Alpa', badge: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Get the registered students of a class, sorted by name
+ * Students choose their class (kelasMengajar) when they register
+ * @param {string} kelas - Class name, e.g. "9A"
+ * @returns {Array<{studentId: number, nama: string, nisn: string}>} - The class roster
+ */
+function getClassRoster(kelas) {
+    if (!kelas || typeof getRegisteredUsers !== 'function') return [];
+    return getRegisteredUsers()
+        .filter(u => u.role === 'student' && u.kelasMengajar === kelas)
+        .map(u => ({ studentId: u.id, nama: u.fullName || u.username, nisn: u.nisn || '' }))
+        .sort((a, b) => a.nama.localeCompare(b.nama));
+}
+
+/**
+ * Merge a class roster with the statuses saved on a journal entry
+ * Students saved on the entry who have since left the roster are kept, so
+ * an old record never silently loses a name
+ * @param {Array} roster - Current class roster from getClassRoster()
+ * @param {Array} [kehadiran] - Saved per-student statuses from a journal entry
+ * @returns {Array<{studentId: number, nama: string, status: string}>} - Roster with statuses (default Hadir)
+ */
+function mergeRosterStatus(roster, kehadiran = []) {
+    const saved = new Map(kehadiran.map(k => [k.studentId, k]));
+    const merged = roster.map(s => ({
+        studentId: s.studentId,
+        nama: s.nama,
+        status: saved.has(s.studentId) ? saved.get(s.studentId).status : 'H'
+    }));
+    kehadiran.forEach(k => {
+        if (!roster.some(s => s.studentId === k.studentId)) merged.push({ ...k });
+    });
+    return merged;
+}
+
+/**
+ * Count attendance from per-student statuses
+ * Anyone not marked Hadir counts as tidak hadir; their names are listed with the status
+ * @param {Array<{nama: string, status: string}>} kehadiran - Per-student statuses
+ * @returns {{siswaHadir: number, siswaTidakHadir: number, namaSiswaTidakHadir: string}} - Derived totals
+ */
+function summarizeAttendance(kehadiran) {
+    const absent = kehadiran.filter(k => k.status !== 'H');
+    return {
+        siswaHadir: kehadiran.length - absent.length,
+        siswaTidakHadir: absent.length,
+        namaSiswaTidakHadir: absent
+            .map(k => `${k.nama} (${ATTENDANCE_STATUS[k.status].label})`)
+            .join(', ')
+    };
+}
+
+/**
+ * Render the roster as one row per student with a status picker
+ * Names come from registrations and imports, so they are escaped (escapeHtml, pencarian.js)
+ * @param {HTMLElement} container - Element that receives the roster rows
+ * @param {Array<{studentId: number, nama: string, status: string}>} kehadiran - Students to show
+ */
+function renderRoster(container, kehadiran) {
+    if (!container) return;
+    container.innerHTML = kehadiran.map((k, index) => `
+        <div class="roster-row flex items-center justify-between gap-4 py-2" data-student-id="${k.studentId}" data-nama="${escapeHtml(k.nama)}">
+            <span class="text-sm text-gray-100">${index + 1}. ${escapeHtml(k.nama)}</span>
+            <div class="flex gap-2">
+                ${Object.entries(ATTENDANCE_STATUS).map(([code, s]) => `
+                    <label class="flex items-center gap-1 text-xs text-gray-100 cursor-pointer">
+                        <input type="radio" name="status-${k.studentId}" value="${code}" ${k.status === code ? 'checked' : ''}>
+                        ${s.label}
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Read the statuses currently picked in a rendered roster
+ * @param {HTMLElement} container - Element previously filled by renderRoster()
+ * @returns {Array<{studentId: number, nama: string, status: string}>} - Per-student statuses
+ */
+function collectRoster(container) {
+    if (!container) return [];
+    return [...container.querySelectorAll('.roster-row')].map(row => {
+        const checked = row.querySelector('input[type="radio"]:checked');
+        return {
+            studentId: Number(row.dataset.studentId),
+            nama: row.dataset.nama,
+            status: checked ? checked.value : 'H'
+        };
+    });
+}
+
+// Expose globally
+window.ATTENDANCE_STATUS = ATTENDANCE_STATUS;
+window.getClassRoster = getClassRoster;
+window.mergeRosterStatus = mergeRosterStatus;
+window.summarizeAttendance = summarizeAttendance;
+window.renderRoster = renderRoster;
+window.collectRoster = collectRoster;
@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * PWA MODULE — PASANG APLIKASI, MODE OFFLINE & STATUS SINKRON
+ * ============================================================================
+ * Registers the service worker (sw.js) that keeps every page usable without
+ * internet, offers the browser's install prompt on the "Pasang Aplikasi"
+ * button, and — on pages with a #syncStatus element — shows whether changes
+ * are still waiting for the server. The waiting writes are the sync queue
+ * of firestore-sync.js; offline attachments show their own ⏳ mark.
+ * ============================================================================
+ */
+
+// LocalStorage key of the sync queue kept by firestore-sync.js
+const ANTREAN_SINKRON_KEY = 'antreanSinkron';
+
+// Install prompt saved until the user clicks the button
+let installPrompt = null;
+
+/**
+ * Number of changes the server hasn't confirmed yet
+ * @returns {number} - Queued writes
+ */
+function getPendingSinkronCount() {
+    return Object.keys(JSON.parse(localStorage.getItem(ANTREAN_SINKRON_KEY) || '{}')).length;
+}
+
+/**
+ * Show the connection and sync state in #syncStatus
+ */
+function renderSyncStatus() {
+    const el = document.getElementById('syncStatus');
+    if (!el) return;
+    const pending = getPendingSinkronCount();
+    const [dot, text] = !navigator.onLine
+        ? ['bg-red-400', pending ? `Offline — ${pending} perubahan menunggu` : 'Offline — perubahan disimpan di perangkat']
+        : pending
+            ? ['bg-amber-400', `Menyinkronkan ${pending} perubahan…`]
+            : ['bg-green-400', 'Tersinkron'];
+    el.innerHTML = `<span class="inline-block w-2 h-2 rounded-full ${dot}"></span> ${text}`;
+    el.title = navigator.onLine
+        ? 'Perubahan dikirim ke server begitu tersimpan.'
+        : 'Perubahan dikirim otomatis saat internet kembali.';
+}
+
+/**
+ * Register the service worker
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Service worker gagal didaftarkan:', err);
+    });
+}
+
+// The browser offers installation once the manifest and service worker check out
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    installPrompt = e;
+    const btn = document.getElementById('installBtn');
+    if (btn) btn.style.display = '';
+});
+
+window.addEventListener('appinstalled', () => {
+    installPrompt = null;
+    const btn = document.getElementById('installBtn');
+    if (btn) btn.style.display = 'none';
+});
+
+window.addEventListener('load', registerServiceWorker);
+window.addEventListener('online', renderSyncStatus);
+window.addEventListener('offline', renderSyncStatus);
+window.addEventListener('sync-status', renderSyncStatus);
+// The queue also changes when another tab syncs
+window.addEventListener('storage', (e) => {
+    if (e.key === ANTREAN_SINKRON_KEY) renderSyncStatus();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderSyncStatus();
+
+    const btn = document.getElementById('installBtn');
+    if (btn) {
+        btn.addEventListener('click', async () => {
+            if (!installPrompt) return;
+            installPrompt.prompt();
+            await installPrompt.userChoice;
+            installPrompt = null;
+            btn.style.display = 'none';
+        });
+    }
+});
+
+// Expose globally
+window.getPendingSinkronCount = getPendingSinkronCount;
+window.renderSyncStatus = renderSyncStatus;
@@ -3,40 +3,42 @@
  * THE GLORIOUS REGISTRATION & AUTHENTICATION WIZARDRY
  * ============================================================================
  * This script politely asks humans (and sometimes opinionated laptops) to
- * create accounts. Passwords get a SHA-256 costume for demo shows — for
- * real-world security use bcrypt on a proper server and give it a cape.
+ * create accounts. The form is checked here for quick feedback, but the
+ * account itself is made by the api function (POST /auth/daftar), which
+ * checks the auth code and keeps the password hash where no browser can
+ * read it. After a login this device keeps its own salted copy of the
+ * password, so the same person can still sign in without internet.
  * ============================================================================
  */
 
 /**
- * Convert a plain text password into a SHA-256 hash
+ * Hash a password for this device's offline login (PBKDF2, salted)
  * @param {string} password - The plain text password to hash
- * @returns {Promise<string>} - The hexadecimal SHA-256 hash of the password
+ * @param {string} salt - Hexadecimal salt
+ * @returns {Promise<string>} - The hexadecimal hash of the password
  */
-async function hashPassword(password) {
-  // Step 1: Convert password string to bytes using TextEncoder
+async function hashPassword(password, salt) {
+  // Step 1: Turn the password into a key PBKDF2 can stretch
   const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  
-  // Step 2: Hash the bytes using the SHA-256 algorithm
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  
-  // Step 3: Convert hash buffer to hexadecimal string for storage
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+
+  // Step 2: Stretch it with the salt (many rounds make guessing slow)
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: 100000 }, key, 256);
+
+  // Step 3: Convert the result to a hexadecimal string for storage
+  return Array.from(new Uint8Array(bits)).map(byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 /**
- * Verify a plain text password against its stored hash
- * Used during login to confirm password is correct
+ * Verify a plain text password against this device's stored hash
  * @param {string} password - The plain text password to verify
- * @param {string} hash - The stored hash to compare against
+ * @param {{salt: string, hash: string}} stored - The stored salt and hash
  * @returns {Promise<boolean>} - True if password matches hash, false otherwise
  */
-async function verifyPassword(password, hash) {
-  // Hash the provided password and compare it with the stored hash
-  const newHash = await hashPassword(password);
-  return newHash === hash;
+async function verifyPassword(password, stored) {
+  if (!stored || !stored.salt) return false;
+  return await hashPassword(password, stored.salt) === stored.hash;
 }
 
 /**
@@ -108,29 +110,71 @@ function validateUsername(username) {
   return usernameRegex.test(username);
 }
 
-// Valid teacher subjects (can be expanded as curriculum changes)
-// Follows Indonesian national curriculum standards (Kurikulum Merdeka)
-const VALID_SUBJECTS = [
-  'Informatika', 'Matematika', 'Fisika', 'Kimia', 'Biologi',
-  'Bahasa Indonesia', 'Bahasa Inggris', 'Sejarah', 'Geografi',
-  'Seni Budaya', 'Pendidikan Jasmani', 'Agama Islam', 'Agama Kristen',
-  'Agama Hindu', 'Agama Buddha', 'Pendidikan Kewarganegaraan', 'Ekonomi'
-];
-
 /**
  * Validate if the selected subject is in the approved list
  * Prevents typos and ensures consistency across the system
+ * The list is maintained by admins as master data (masterdata.js)
  * @param {string} subject - The subject name to validate
- * @returns {boolean} - True if subject exists in VALID_SUBJECTS array
+ * @returns {boolean} - True if subject exists in the master data subject list
  */
 function validateTeacherSubject(subject) {
-  return VALID_SUBJECTS.includes(subject);
+  return getMapelList().includes(subject);
 }
 
 // User registration and storage
 const REGISTERED_USERS_KEY = 'registeredUsers';
 // Auth codes storage (created/managed by admin)
 const AUTH_CODES_KEY = 'authCodes';
+// This device's copy of the last successful logins, for signing in offline (never synced)
+const LOCAL_CREDENTIALS_KEY = 'kredensialLokal';
+
+/**
+ * Wait for firebase-config.js (a module, so it loads after this script)
+ * @returns {Promise<Object|null>} - window.firebaseAuth, or null when the SDK can't load (offline, first visit)
+ */
+function whenFirebaseAuthReady() {
+  if (window.firebaseAuth) return Promise.resolve(window.firebaseAuth);
+  return new Promise(resolve => {
+    window.addEventListener('firebase-auth-ready', () => resolve(window.firebaseAuth), { once: true });
+    setTimeout(() => resolve(window.firebaseAuth || null), 5000);
+  });
+}
+
+/**
+ * Send a form to the account endpoints of the api function (functions/akun.js)
+ * @param {string} path - e.g. '/auth/login'
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - Answer of the server
+ * @throws {Error} - With status (the server's answer) or offline (no answer at all)
+ */
+async function postAkun(path, body) {
+  const firebaseAuth = await whenFirebaseAuthReady();
+  let response = null;
+  if (firebaseAuth) {
+    response = await fetch(`${firebaseAuth.API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).catch(() => null);
+  }
+  if (!response) {
+    const err = new Error('Server tidak bisa dihubungi — periksa koneksi internet lalu coba lagi.');
+    err.offline = true;
+    throw err;
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const err = new Error(data.error || `Server menjawab ${response.status}.`);
+    err.status = response.status;
+    throw err;
+  }
+  return data;
+}
+
+// Tell the Firestore sync (firestore-sync.js) that a synced localStorage key was just written
+function notifyDataChanged(key) {
+  window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key } }));
+}
 
 // Grab the list of auth codes from browser storage
 function getAuthCodes() {
@@ -141,10 +185,24 @@ function getAuthCodes() {
 // Save auth codes back to browser storage (so they survive page refreshes)
 function saveAuthCodes(codes) {
   localStorage.setItem(AUTH_CODES_KEY, JSON.stringify(codes));
+  notifyDataChanged(AUTH_CODES_KEY);
 }
 
-// Admin creates a brand new auth code for a teacher to use
-function createAuthCode(code, createdBy = 'admin') {
+// Roles an auth code can register: teachers, supervisors (kepala sekolah / wakasek kurikulum),
+// or parents (a link code made for one student, see createParentLinkCode)
+const AUTH_CODE_ROLES = {
+  teacher: 'Guru',
+  supervisor: 'Kepala Sekolah / Supervisor',
+  parent: 'Orang Tua / Wali'
+};
+
+// Admin creates a brand new auth code for a teacher (or a supervisor) to use
+// Parent codes also carry the id of the student the parent will be linked to
+function createAuthCode(code, createdBy = 'admin', role = 'teacher', studentId = null) {
+  if (!AUTH_CODE_ROLES[role]) throw new Error('Peran kode autentikasi tidak dikenal');
+  if (role === 'parent' && !getRegisteredUsers().some(u => u.id === studentId && u.role === 'student')) {
+    throw new Error('Kode orang tua harus dibuat untuk siswa yang terdaftar');
+  }
   const codes = getAuthCodes();
   // Prevent duplicate codes — each code should be unique and precious
   if (codes.find(c => c.code === code)) {
@@ -155,6 +213,8 @@ function createAuthCode(code, createdBy = 'admin') {
     code: code.trim(),
     used: false,                                   // Not claimed yet
     createdBy,                                     // Who created it
+    role,                                          // Which account it registers
+    studentId: role === 'parent' ? studentId : null, // The child a parent code links to
     createdAt: new Date().toISOString(),           // When it was born
     usedBy: null,                                  // Will be filled when a teacher registers
     usedAt: null                                   // Will be filled when claimed
@@ -164,23 +224,27 @@ function createAuthCode(code, createdBy = 'admin') {
   return entry;
 }
 
-// When a teacher successfully registers with a code, mark it as used so no one else can use it
-function markAuthCodeUsed(code, userId) {
-  const codes = getAuthCodes();
-  const entry = codes.find(c => c.code === code);
-  if (!entry) throw new Error('Kode autentikasi tidak ditemukan');
-  entry.used = true;                              // Code is now claimed
-  entry.usedBy = userId;                          // Record who used it
-  entry.usedAt = new Date().toISOString();        // Record when they used it
-  saveAuthCodes(codes);
-  return entry;
+// Make a fresh link code for a student's parent (WALI-XXXXXX, no look-alike characters)
+function createParentLinkCode(studentId, createdBy = 'admin') {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const existing = getAuthCodes().map(c => c.code);
+  let code;
+  do {
+    const bytes = crypto.getRandomValues(new Uint8Array(6));
+    code = 'WALI-' + Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+  } while (existing.includes(code));
+  return createAuthCode(code, createdBy, 'parent', studentId);
 }
 
-// Check if an auth code exists and hasn't been used yet — basically, is it good to go?
-function isAuthCodeValid(code) {
-  const codes = getAuthCodes();
-  const entry = codes.find(c => c.code === code);
-  return !!entry && !entry.used;                  // True if code exists AND hasn't been claimed
+// Ask the server which account an unused code registers, and for a parent code which child
+// Only admins can read the codes themselves; resolves null for an unknown or used code
+async function lookupAuthCode(code) {
+  try {
+    return await postAkun('/auth/kode', { code });
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
 }
 
 
@@ -206,65 +270,44 @@ async function registerUser(userData) {
     throw new Error(`Password lemah — tambahkan: ${missing.join(', ')}. (Jangan pakai 'password123' ya.)`);
   }
 
-  // Check if username already exists
-  const users = getRegisteredUsers();
-  if (users.find(u => u.username === userData.username)) {
-    throw new Error('Nama pengguna sudah terdaftar — coba variasi lain.');
-  }
-
-  // Teacher-specific validations
-  if (userData.role === 'teacher') {
+  // Teacher, supervisor and parent accounts need a code from the admin
+  const needsAuthCode = userData.role === 'teacher' || userData.role === 'supervisor' || userData.role === 'parent';
+  if (needsAuthCode) {
     // Validate authentication code (must be at least 4 characters)
     if (!userData.authCode || !validateTeacherAuthCode(userData.authCode)) {
       throw new Error('Kode autentikasi bermasalah — minimal 4 karakter. Cek kembali kode dari admin.');
     }
 
-    // Check if auth code exists and is unused in the admin list
-    if (!isAuthCodeValid(userData.authCode)) {
-      throw new Error('Kode autentikasi tidak valid atau sudah dipakai. Minta kode baru ke admin.');
-    }
-
-    // Validate email format
-    if (!userData.email || !validateEmail(userData.email)) {
+    // Validate email format (parents may leave it empty; it's only used for absence alerts)
+    const emailRequired = userData.role !== 'parent' || userData.email;
+    if (emailRequired && (!userData.email || !validateEmail(userData.email))) {
       throw new Error('Format email tidak valid — contoh yang benar: nama@sekolah.id');
     }
 
-    // Validate subject is from allowed list
-    if (!userData.mapelMengajar || !validateTeacherSubject(userData.mapelMengajar)) {
-      throw new Error(`Mata pelajaran tidak valid. Pilih dari daftar resmi: ${VALID_SUBJECTS.join(', ')}.`);
+    // Validate subject is from allowed list (supervisors may leave it empty, parents don't teach)
+    const mapelRequired = userData.role === 'teacher' || (userData.role === 'supervisor' && userData.mapelMengajar);
+    if (mapelRequired && (!userData.mapelMengajar || !validateTeacherSubject(userData.mapelMengajar))) {
+      throw new Error(`Mata pelajaran tidak valid. Pilih dari daftar resmi: ${getMapelList().join(', ')}.`);
     }
   }
 
-  // Hash password
-  const hashedPassword = await hashPassword(userData.password);
-
-  // Create user object
-  const newUser = {
-    id: Date.now(),
-    username: userData.username,
-    passwordHash: hashedPassword,
-    fullName: userData.fullName,
-    email: userData.email || '',
-    role: userData.role,                          // 'student' or 'teacher'
-    nisn: userData.nisn || '',                    // for students
-    authCode: userData.authCode || '',            // for teachers (authentication code)
-    mapelMengajar: userData.mapelMengajar || '',  // for teachers
-    kelasMengajar: userData.kelasMengajar || '',  // for teachers (optional)
-    createdAt: new Date().toISOString()
-  };
-
-  // Save user
-  users.push(newUser);
-  localStorage.setItem(REGISTERED_USERS_KEY, JSON.stringify(users));
-
-  // If teacher, mark the auth code as used and attach usedBy metadata
-  if (userData.role === 'teacher' && userData.authCode) {
-    try {
-      markAuthCodeUsed(userData.authCode, newUser.id);
-    } catch (err) {
-      // Non-fatal: log and continue; admins can fix the list manually if needed
-      console.warn('Ups — gagal menandai kode sebagai terpakai. Admin mungkin perlu memperbarui daftar.', err);
-    }
+  // The server checks the code, takes the username and links a parent to the code's student
+  let newUser;
+  try {
+    newUser = await postAkun('/auth/daftar', {
+      username: userData.username,
+      password: userData.password,
+      fullName: userData.fullName,
+      email: userData.email || '',
+      role: userData.role,                          // 'student', 'teacher', 'supervisor' or 'parent'
+      nisn: userData.nisn || '',                    // for students
+      authCode: userData.authCode || '',            // for teachers, supervisors and parents
+      mapelMengajar: userData.mapelMengajar || '',  // for teachers
+      kelasMengajar: userData.kelasMengajar || ''   // for students (their class)
+    });
+  } catch (err) {
+    if (err.offline) throw new Error('Pendaftaran memerlukan koneksi internet — coba lagi saat sudah online.');
+    throw err;
   }
 
   return newUser.id;
@@ -276,28 +319,45 @@ function getRegisteredUsers() {
   return users ? JSON.parse(users) : [];
 }
 
-// Try to log in a user: hash their password and compare it with the stored hash
-async function authenticateUser(username, password) {
+// Change a few fields of a registered user (e.g. their reminder settings) and sync it
+function updateRegisteredUser(userId, changes) {
   const users = getRegisteredUsers();
-  const user = users.find(u => u.username === username);
+  const user = users.find(u => u.id === userId);
+  if (!user) throw new Error('Pengguna tidak ditemukan.');
 
-  if (!user) return null;
+  Object.assign(user, changes);
+  localStorage.setItem(REGISTERED_USERS_KEY, JSON.stringify(users));
+  notifyDataChanged(REGISTERED_USERS_KEY);
+  return user;
+}
 
-  const passwordValid = await verifyPassword(password, user.passwordHash);
-  if (!passwordValid) return null;
+// Log in at the server: it checks the password and answers with a token for Firebase Auth
+// Resolves the user (without any hash) once signed in; throws like postAkun
+async function loginAtServer(username, password) {
+  const { token, user } = await postAkun('/auth/login', { username, password });
+  const { auth, signInWithCustomToken } = window.firebaseAuth;
+  await signInWithCustomToken(auth, token);
+  // Without the copy only the offline login is missing, so don't fail the login for it
+  await rememberCredential(user, password).catch(err => console.warn('Salinan login offline gagal disimpan:', err));
+  return user;
+}
 
-  // Return user without password hash
-  return {
-    id: user.id,
-    username: user.username,
-    fullName: user.fullName,
-    email: user.email,
-    role: user.role,
-    nisn: user.nisn,
-    authCode: user.authCode,
-    mapelMengajar: user.mapelMengajar,
-    kelasMengajar: user.kelasMengajar
-  };
+// Keep a salted hash of a password the server just accepted, so this device can log in offline
+async function rememberCredential(user, password) {
+  const credentials = JSON.parse(localStorage.getItem(LOCAL_CREDENTIALS_KEY) || '{}');
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+  credentials[user.username] = { salt, hash: await hashPassword(password, salt), user };
+  localStorage.setItem(LOCAL_CREDENTIALS_KEY, JSON.stringify(credentials));
+}
+
+// Offline login: compare with the copy kept at this device's last online login
+async function authenticateUser(username, password) {
+  const credentials = JSON.parse(localStorage.getItem(LOCAL_CREDENTIALS_KEY) || '{}');
+  const stored = credentials[username];
+  if (!stored) return null;
+
+  const passwordValid = await verifyPassword(password, stored);
+  return passwordValid ? stored.user : null;
 }
 
 // Look up a user by their ID and return their info (minus the password hash for safety)
@@ -310,41 +370,18 @@ function getUserById(userId) {
   return userWithoutPassword;
 }
 
-// Merge registered users with demo users
-// Combine registered users with demo accounts (demo accounts are for quick testing during development)
-function getAllAvailableUsers() {
-  const registeredUsers = getRegisteredUsers();
-  const demoUsers = {
-    'admin': {
-      password: 'admin123',
-      role: 'admin',
-      fullName: 'Administrator',
-      email: 'admin@sekolah.com'
-    },
-    'riyan': {
-      password: 'guru123',
-      role: 'teacher',
-      fullName: 'Riyan Setiawan, S.Kom.',
-      email: 'riyan@sekolah.com'
-    },
-    'siti': {
-      password: 'guru456',
-      role: 'teacher',
-      fullName: 'Siti Nurhaliza',
-      email: 'siti@sekolah.com'
-    }
-  };
-
-  return { registeredUsers, demoUsers };
-}
-
 // Expose globally
 window.registerUser = registerUser;
+window.loginAtServer = loginAtServer;
 window.authenticateUser = authenticateUser;
 window.getRegisteredUsers = getRegisteredUsers;
 window.getUserById = getUserById;
+window.updateRegisteredUser = updateRegisteredUser;
 window.hashPassword = hashPassword;
 window.getAuthCodes = getAuthCodes;
+window.saveAuthCodes = saveAuthCodes;
+window.notifyDataChanged = notifyDataChanged;
 window.createAuthCode = createAuthCode;
-window.markAuthCodeUsed = markAuthCodeUsed;
-window.isAuthCodeValid = isAuthCodeValid;
+window.createParentLinkCode = createParentLinkCode;
+window.lookupAuthCode = lookupAuthCode;
+window.AUTH_CODE_ROLES = AUTH_CODE_ROLES;
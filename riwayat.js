@@ -0,0 +1,369 @@
+/**
+ * ============================================================================
+ * RIWAYAT MODULE — RIWAYAT PERUBAHAN & TEMPAT SAMPAH JURNAL
+ * ============================================================================
+ * Every create, update, delete, restore and purge of a journal is written to
+ * an append-only log with the user, the time and which fields changed, so a
+ * journal questioned at supervision can be traced back to what was first
+ * written. Deleting only moves the entry to the trash; the owner or an admin
+ * can restore it from there or purge it for good. Both are kept with the
+ * journal's teacher (teacherId) and synced (firestore-sync.js), so they can
+ * be read and restored from another device too.
+ * ============================================================================
+ */
+
+// LocalStorage keys for the change log and the trash
+const RIWAYAT_KEY = 'riwayatJurnal';
+const SAMPAH_KEY = 'jurnalSampah';
+
+// Fields compared when a journal changes, with the label shown in the panel
+const RIWAYAT_FIELDS = {
+    hari: 'Hari',
+    tanggal: 'Tanggal',
+    jamKe: 'Jam ke',
+    kelas: 'Kelas',
+    siswaHadir: 'Siswa hadir',
+    siswaTidakHadir: 'Siswa tidak hadir',
+    namaSiswaTidakHadir: 'Nama siswa tidak hadir',
+    kehadiran: 'Presensi per siswa',
+    uraianMateri: 'Uraian materi',
+    catatan: 'Catatan',
+    tujuanPembelajaran: 'Tujuan pembelajaran',
+    lampiran: 'Lampiran',
+    tugas: 'Tugas'
+};
+
+// Labels for each kind of change
+const RIWAYAT_AKSI = {
+    create: { label: 'Dibuat', badge: 'bg-green-100 text-green-800' },
+    update: { label: 'Diubah', badge: 'bg-blue-100 text-blue-800' },
+    delete: { label: 'Dihapus', badge: 'bg-red-100 text-red-800' },
+    restore: { label: 'Dipulihkan', badge: 'bg-yellow-100 text-yellow-800' },
+    purge: { label: 'Dihapus permanen', badge: 'bg-gray-200 text-gray-800' }
+};
+
+/**
+ * Load the whole change log
+ * @returns {Array<{id: number, jurnalId: number, aksi: string, userId: (string|number), userName: string, waktu: string, perubahan: Array}>} - Every log entry
+ */
+function getAllRiwayat() {
+    const raw = localStorage.getItem(RIWAYAT_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Get the log of one journal, oldest first
+ * @param {number} jurnalId - Journal id
+ * @returns {Array} - Log entries of that journal
+ */
+function getRiwayat(jurnalId) {
+    return getAllRiwayat()
+        .filter(r => r.jurnalId === jurnalId)
+        .sort((a, b) => a.waktu.localeCompare(b.waktu) || a.id - b.id);
+}
+
+/**
+ * Turn a field value into text for the diff
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} - Readable value
+ */
+function formatRiwayatValue(field, value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (field === 'kehadiran') {
+        return value.filter(k => k.status !== 'H').map(k => `${k.nama} (${k.status})`).join(', ') || 'semua hadir';
+    }
+    if (field === 'tujuanPembelajaran') {
+        const byId = new Map(getAllTujuanPembelajaran().map(tp => [tp.id, tp.kode]));
+        return value.map(tag => `${byId.get(tag.id) || `TP #${tag.id}`}${tag.tuntas ? ' ✓' : ''}`).join(', ');
+    }
+    if (field === 'lampiran') {
+        return value.map(meta => meta.nama).join(', ');
+    }
+    if (field === 'tugas') {
+        return `${value.judul} · tenggat ${formatDate(value.tenggat)}` +
+            (value.deskripsi ? ` · ${value.deskripsi}` : '') +
+            (value.lampiran ? ` · ${value.lampiran.nama}` : '') +
+            ` · ${(value.mengumpulkan || []).length} mengumpulkan`;
+    }
+    return String(value);
+}
+
+/**
+ * Compare two versions of a journal field by field
+ * @param {Object|null} before - Previous version (null when created)
+ * @param {Object|null} after - New version (null when deleted)
+ * @returns {Array<{field: string, dari: string, ke: string}>} - Changed fields
+ */
+function diffJurnal(before, after) {
+    return Object.keys(RIWAYAT_FIELDS)
+        .map(field => ({
+            field,
+            dari: formatRiwayatValue(field, before ? before[field] : undefined),
+            ke: formatRiwayatValue(field, after ? after[field] : undefined)
+        }))
+        .filter(change => change.dari !== change.ke);
+}
+
+/**
+ * Append a change to the log, stamped with the logged-in user
+ * @param {string} aksi - One of RIWAYAT_AKSI
+ * @param {Object|null} before - Journal before the change
+ * @param {Object|null} after - Journal after the change
+ */
+function recordRiwayat(aksi, before, after) {
+    const jurnal = after || before;
+    const log = getAllRiwayat();
+    let id = Date.now();
+    while (log.some(r => r.id === id)) id++;
+
+    log.push({
+        id,
+        jurnalId: jurnal.id,
+        teacherId: jurnal.teacherId,
+        aksi,
+        userId: getCurrentAuthorId(),
+        userName: currentUser ? currentUser.fullName || currentUser.username : '',
+        waktu: new Date().toISOString(),
+        perubahan: aksi === 'create' || aksi === 'update' ? diffJurnal(before, after) : []
+    });
+    saveRiwayat(log);
+}
+
+/**
+ * Save the whole change log
+ * @param {Array} log - Every log entry
+ */
+function saveRiwayat(log) {
+    localStorage.setItem(RIWAYAT_KEY, JSON.stringify(log));
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: RIWAYAT_KEY } }));
+}
+
+/**
+ * Give log entries written before the log was synced the teacher of their journal
+ * Without it they would only ever be visible to admins on other devices
+ */
+function fillRiwayatTeacherIds() {
+    const log = getAllRiwayat();
+    if (!log.some(r => r.teacherId === undefined)) return;
+    const teachers = new Map(getSampah().concat(JSON.parse(localStorage.getItem('jurnalData')) || [])
+        .map(j => [j.id, j.teacherId]));
+    log.filter(r => r.teacherId === undefined && teachers.has(r.jurnalId))
+        .forEach(r => { r.teacherId = teachers.get(r.jurnalId); });
+    localStorage.setItem(RIWAYAT_KEY, JSON.stringify(log));
+}
+
+/**
+ * Load the deleted journals
+ * @returns {Array} - Journals in the trash, each with deletedAt/deletedBy
+ */
+function getSampah() {
+    const raw = localStorage.getItem(SAMPAH_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save the deleted journals
+ * @param {Array} entries - Journals in the trash
+ */
+function saveSampah(entries) {
+    localStorage.setItem(SAMPAH_KEY, JSON.stringify(entries));
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: SAMPAH_KEY } }));
+}
+
+/**
+ * Deleted journals the logged-in user may restore or purge (own entries, or all for admins)
+ * @returns {Array} - Trash entries, most recently deleted first
+ */
+function getVisibleSampah() {
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    return getSampah()
+        .filter(j => isAdmin || isJurnalOwner(j))
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Move a journal to the trash and log the deletion
+ * @param {Object} jurnal - Journal being deleted
+ */
+function moveToSampah(jurnal) {
+    saveSampah(getSampah().concat({
+        ...jurnal,
+        deletedAt: new Date().toISOString(),
+        deletedBy: currentUser ? currentUser.fullName || currentUser.username : ''
+    }));
+    recordRiwayat('delete', jurnal, null);
+}
+
+/**
+ * Take a journal out of the trash and return it as a live entry
+ * Refused when the entry no longer passes validateJurnalEntry; it then stays in the trash
+ * @param {number} id - Journal id
+ * @returns {Object} - The restored journal (without the trash stamps)
+ */
+function restoreFromSampah(id) {
+    const entry = getSampah().find(j => j.id === id);
+    if (!entry) throw new Error('Jurnal tidak ada di tempat sampah.');
+    if (!(currentUser && currentUser.role === 'admin') && !isJurnalOwner(entry)) {
+        throw new Error('Hanya pemilik jurnal atau admin yang bisa memulihkan jurnal ini.');
+    }
+    if (isJurnalArchived(entry)) throw new Error('Tahun ajaran jurnal ini sudah diarsipkan.');
+
+    const { deletedAt, deletedBy, ...jurnal } = entry;
+    // The slot may have been filled or the month approved since it was deleted
+    const { errors } = validateJurnalEntry(jurnal, jurnal.id);
+    if (Object.keys(errors).length > 0) {
+        throw new Error(`Jurnal tidak bisa dipulihkan: ${Object.values(errors)[0]}`);
+    }
+    saveSampah(getSampah().filter(j => j.id !== id));
+    recordRiwayat('restore', null, jurnal);
+    return jurnal;
+}
+
+/**
+ * Remove a journal from the trash for good (its log is kept)
+ * @param {number} id - Journal id
+ */
+function purgeFromSampah(id) {
+    const entry = getSampah().find(j => j.id === id);
+    if (!entry) return;
+    if (!(currentUser && currentUser.role === 'admin') && !isJurnalOwner(entry)) {
+        throw new Error('Hanya pemilik jurnal atau admin yang bisa menghapus permanen jurnal ini.');
+    }
+    saveSampah(getSampah().filter(j => j.id !== id));
+    deleteLampiranFiles(getSemuaLampiran(entry));
+    recordRiwayat('purge', entry, null);
+}
+
+/**
+ * Show the change log of one journal in the Riwayat panel
+ * @param {number} jurnalId - Journal id
+ */
+function showRiwayat(jurnalId) {
+    const panel = document.getElementById('riwayatPanel');
+    const list = document.getElementById('riwayatList');
+    if (!panel || !list) return;
+
+    const jurnal = jurnalData.find(j => j.id === jurnalId) || getSampah().find(j => j.id === jurnalId);
+    document.getElementById('riwayatTitle').textContent = jurnal
+        ? `${jurnal.hari}, ${formatDate(jurnal.tanggal)} · Jam ke-${jurnal.jamKe} · ${jurnal.kelas}`
+        : `Jurnal #${jurnalId}`;
+
+    const entries = getRiwayat(jurnalId);
+    list.innerHTML = entries.length === 0
+        ? '<p class="text-sm text-gray-500">Belum ada riwayat tercatat (jurnal dibuat sebelum riwayat diaktifkan).</p>'
+        : entries.map(r => `
+            <div class="border-l-4 border-purple-300 pl-4 py-2">
+                <div class="flex items-center gap-2 text-sm">
+                    <span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${RIWAYAT_AKSI[r.aksi].badge}">${RIWAYAT_AKSI[r.aksi].label}</span>
+                    <span class="font-medium text-gray-900">${escapeHtml(r.userName || '-')}</span>
+                    <span class="text-gray-500">${new Date(r.waktu).toLocaleString('id-ID')}</span>
+                </div>
+                ${r.perubahan.length ? `<table class="w-full mt-2 text-xs">
+                    ${r.perubahan.map(c => `
+                        <tr class="align-top">
+                            <td class="py-1 pr-2 text-gray-500 whitespace-nowrap">${RIWAYAT_FIELDS[c.field] || c.field}</td>
+                            <td class="py-1 pr-2 text-red-700 line-through">${escapeHtml(c.dari)}</td>
+                            <td class="py-1 text-green-700">${escapeHtml(c.ke)}</td>
+                        </tr>
+                    `).join('')}
+                </table>` : ''}
+            </div>
+        `).join('');
+
+    panel.style.display = 'flex';
+}
+
+/**
+ * Fill the trash panel with the entries the user may manage
+ */
+function renderSampah() {
+    const body = document.getElementById('sampahBody');
+    const count = document.getElementById('sampahCount');
+    if (!body) return;
+    const entries = getVisibleSampah();
+    if (count) count.textContent = entries.length;
+
+    body.innerHTML = entries.length === 0
+        ? '<tr><td colspan="4" class="px-4 py-6 text-center text-gray-500">Tempat sampah kosong</td></tr>'
+        : entries.map(j => `
+            <tr>
+                <td class="px-4 py-2 text-sm text-gray-900">${j.hari}, ${formatDate(j.tanggal)}<div class="text-gray-500">Jam ke-${j.jamKe} · ${j.kelas}</div></td>
+                <td class="px-4 py-2 text-sm text-gray-900 max-w-xs truncate" title="${escapeHtml(j.uraianMateri)}">${escapeHtml(j.uraianMateri)}</td>
+                <td class="px-4 py-2 text-sm text-gray-500">${escapeHtml(j.deletedBy || '-')}<div>${new Date(j.deletedAt).toLocaleString('id-ID')}</div></td>
+                <td class="px-4 py-2 text-sm whitespace-nowrap">
+                    <button data-sampah-id="${j.id}" data-action="restore" class="text-indigo-600 hover:text-indigo-900 mr-3">Pulihkan</button>
+                    <button data-sampah-id="${j.id}" data-action="history" class="text-gray-600 hover:text-gray-900 mr-3">Riwayat</button>
+                    <button data-sampah-id="${j.id}" data-action="purge" class="text-red-600 hover:text-red-900">Hapus Permanen</button>
+                </td>
+            </tr>
+        `).join('');
+}
+
+fillRiwayatTeacherIds();
+
+/**
+ * Wire up the Riwayat panel and the trash panel
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const panel = document.getElementById('riwayatPanel');
+    if (panel) {
+        document.getElementById('riwayatClose').addEventListener('click', () => { panel.style.display = 'none'; });
+        panel.addEventListener('click', e => { if (e.target === panel) panel.style.display = 'none'; });
+    }
+
+    const toggle = document.getElementById('sampahToggle');
+    const sampahPanel = document.getElementById('sampahPanel');
+    if (!toggle || !sampahPanel || !currentUser || !canWriteJurnal()) return;
+
+    toggle.style.display = '';
+    renderSampah();
+    toggle.addEventListener('click', () => {
+        const open = sampahPanel.style.display === 'none';
+        sampahPanel.style.display = open ? 'block' : 'none';
+        if (open) renderSampah();
+    });
+
+    document.getElementById('sampahBody').addEventListener('click', e => {
+        const btn = e.target.closest('button[data-sampah-id]');
+        if (!btn) return;
+        const id = Number(btn.dataset.sampahId);
+        try {
+            if (btn.dataset.action === 'history') {
+                showRiwayat(id);
+                return;
+            } else if (btn.dataset.action === 'restore') {
+                const jurnal = restoreFromSampah(id);
+                jurnalData.push(jurnal);
+                saveData();
+                if (currentUser.role === 'admin') populateGuruFilter();
+                populateTahunAjaranFilter();
+                renderTable();
+                showNotification('Jurnal dipulihkan.', 'success');
+            } else if (btn.dataset.action === 'purge') {
+                if (!confirm('Hapus permanen jurnal ini? Tindakan ini tidak bisa dibatalkan.')) return;
+                purgeFromSampah(id);
+                showNotification('Jurnal dihapus permanen.', 'success');
+            }
+            renderSampah();
+        } catch (err) {
+            showNotification(err.message, 'error');
+        }
+    });
+
+    // Deletions and restores from other devices (firestore-sync.js)
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key === SAMPAH_KEY) renderSampah();
+    });
+});
+
+// Expose globally
+window.getRiwayat = getRiwayat;
+window.diffJurnal = diffJurnal;
+window.recordRiwayat = recordRiwayat;
+window.getSampah = getSampah;
+window.moveToSampah = moveToSampah;
+window.restoreFromSampah = restoreFromSampah;
+window.purgeFromSampah = purgeFromSampah;
+window.showRiwayat = showRiwayat;
+window.renderSampah = renderSampah;
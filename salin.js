@@ -0,0 +1,235 @@
+/**
+ * ============================================================================
+ * SALIN MODULE — SALIN MATERI & DUPLIKAT JURNAL KE KELAS LAIN
+ * ============================================================================
+ * Teachers who give the same lesson to parallel classes can reuse what they
+ * already wrote. "Salin dari jurnal sebelumnya" copies the topic (and the
+ * learning objectives) of one of their earlier entries into the form. The
+ * row's "Duplikat" button creates the same entry for several other classes
+ * at once; date and period come from the timetable slot of that class in
+ * the same week. Attendance differs per class, so copies start at 0/0 and
+ * without attachments or ticks; the teacher completes them afterwards.
+ * ============================================================================
+ */
+
+// Journal being duplicated in the open panel
+let duplikatSourceId = null;
+
+/**
+ * The logged-in teacher's own entries, newest first
+ * @returns {Array} - Journal entries
+ */
+function getJurnalSendiri() {
+    return jurnalData
+        .filter(isJurnalOwner)
+        .sort((a, b) => b.tanggal.localeCompare(a.tanggal) || b.id - a.id);
+}
+
+/**
+ * Fill the "Salin dari jurnal sebelumnya" picker
+ */
+function renderSalinOptions() {
+    const select = document.getElementById('salinJurnal');
+    if (!select) return;
+    select.innerHTML = '<option value="">Salin dari jurnal sebelumnya…</option>' +
+        getJurnalSendiri()
+            .filter(j => j.id !== editingId)
+            .map(j => {
+                const materi = j.uraianMateri.length > 60 ? `${j.uraianMateri.slice(0, 60)}…` : j.uraianMateri;
+                return `<option value="${j.id}">${formatDate(j.tanggal)} · ${escapeHtml(j.kelas)} — ${escapeHtml(materi)}</option>`;
+            })
+            .join('');
+}
+
+/**
+ * Copy an earlier entry's topic and objectives into the form
+ * @param {number} jurnalId - Entry to copy from
+ */
+function salinMateri(jurnalId) {
+    const source = jurnalData.find(j => j.id === jurnalId);
+    if (!source) return;
+    const materi = document.getElementById('uraianMateri');
+    if (materi.value.trim() && materi.value !== source.uraianMateri &&
+        !confirm('Uraian materi yang sudah diisi akan diganti. Lanjutkan?')) {
+        return;
+    }
+
+    materi.value = source.uraianMateri;
+    // Objectives only apply when the form is on a class of the same grade
+    if (kelasSelect.value && getTingkat(kelasSelect.value) === getTingkat(source.kelas)) {
+        renderTpPicker(getFormMapel(), kelasSelect.value, source.tujuanPembelajaran || []);
+    }
+    // Let the draft autosave pick up the change
+    materi.dispatchEvent(new Event('input', { bubbles: true }));
+    showNotification(`Materi disalin dari jurnal ${formatDate(source.tanggal)} kelas ${source.kelas}.`, 'success');
+}
+
+/**
+ * Suggested date and period of a class in the week of a journal, from the teacher's timetable
+ * @param {Object} source - Journal being duplicated
+ * @param {string} kelas - Target class
+ * @returns {{tanggal: string, jamKe: string}} - Suggestion (same date and no period without a slot)
+ */
+function getDuplikatSlot(source, kelas) {
+    const slot = getTeacherJadwal(source.teacherId).find(s => s.kelas === kelas);
+    if (!slot) return { tanggal: source.tanggal, jamKe: '' };
+
+    const [year, month, day] = source.tanggal.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    // Move within the source's Monday-to-Sunday week to the slot's weekday
+    const offset = (HARI_NAMES.indexOf(slot.hari) + 6) % 7 - (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() + offset);
+    const tanggal = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return { tanggal, jamKe: formatJamRange(slot) };
+}
+
+/**
+ * Move a date by the distance between two other dates (keeps a due date as far after the lesson)
+ * @param {string} tanggal - ISO date to move
+ * @param {string} dari - ISO date it was relative to
+ * @param {string} ke - ISO date it is now relative to
+ * @returns {string} - Moved ISO date
+ */
+function geserTanggal(tanggal, dari, ke) {
+    const toUtc = iso => Date.UTC(...iso.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+    return new Date(toUtc(tanggal) + toUtc(ke) - toUtc(dari)).toISOString().slice(0, 10);
+}
+
+/**
+ * Open the duplicate panel of an entry
+ * @param {number} jurnalId - Entry to duplicate
+ */
+function openDuplikat(jurnalId) {
+    const source = jurnalData.find(j => j.id === jurnalId);
+    if (!source || !canWriteJurnal() || !isJurnalOwner(source)) return;
+    duplikatSourceId = jurnalId;
+
+    // The teacher's timetable classes, or every class when there is no timetable
+    const jadwalKelas = [...new Set(getTeacherJadwal(source.teacherId).map(s => s.kelas))];
+    const kelasList = (jadwalKelas.length ? jadwalKelas : getKelasList()).filter(k => k !== source.kelas);
+    const jamOptions = document.getElementById('jamKe').innerHTML;
+
+    document.getElementById('duplikatTitle').textContent =
+        `${source.hari}, ${formatDate(source.tanggal)} · Jam ke-${source.jamKe} · ${source.kelas}`;
+    document.getElementById('duplikatList').innerHTML = kelasList.length === 0
+        ? '<p class="text-sm text-gray-500">Tidak ada kelas lain untuk diduplikat.</p>'
+        : kelasList.map(kelas => {
+            const { tanggal, jamKe } = getDuplikatSlot(source, kelas);
+            return `
+            <div data-kelas="${escapeHtml(kelas)}" class="flex flex-wrap items-center gap-3 py-2 text-sm text-gray-800">
+                <label class="flex items-center gap-2 w-28">
+                    <input type="checkbox" class="duplikat-pilih w-4 h-4">
+                    ${escapeHtml(kelas)}
+                </label>
+                <input type="date" value="${tanggal}" class="duplikat-tanggal p-2 border border-gray-300 rounded-lg">
+                <select class="duplikat-jam p-2 border border-gray-300 rounded-lg" data-jam="${escapeHtml(jamKe)}">${jamOptions}</select>
+            </div>`;
+        }).join('');
+    document.querySelectorAll('#duplikatList .duplikat-jam').forEach(select => {
+        ensureSelectOption(select, select.dataset.jam, `Jam ke-${select.dataset.jam}`);
+        select.value = select.dataset.jam;
+    });
+    document.getElementById('duplikatPanel').style.display = 'flex';
+}
+
+/**
+ * Create the copies ticked in the open panel
+ * Each copy is validated on its own; the ones that fail are reported and skipped
+ */
+function saveDuplikat() {
+    const source = jurnalData.find(j => j.id === duplikatSourceId);
+    if (!source) return;
+    const rows = [...document.querySelectorAll('#duplikatList [data-kelas]')]
+        .filter(row => row.querySelector('.duplikat-pilih').checked);
+    if (rows.length === 0) {
+        showNotification('Pilih minimal satu kelas.', 'error');
+        return;
+    }
+
+    const dibuat = [];
+    const gagal = [];
+    let id = Date.now();
+    rows.forEach(row => {
+        const kelas = row.dataset.kelas;
+        const tanggal = row.querySelector('.duplikat-tanggal').value;
+        const jamKe = row.querySelector('.duplikat-jam').value;
+        if (!tanggal || !jamKe) {
+            gagal.push(`${kelas}: tanggal dan jam wajib diisi`);
+            return;
+        }
+        while (jurnalData.some(j => j.id === id)) id++;
+        const entry = {
+            id,
+            hari: getHariFromTanggal(tanggal),
+            tanggal,
+            jamKe,
+            kelas,
+            tahunAjaran: getTahunAjaran(tanggal),
+            semester: getSemester(tanggal),
+            siswaHadir: 0,
+            siswaTidakHadir: 0,
+            namaSiswaTidakHadir: '',
+            uraianMateri: source.uraianMateri,
+            catatan: '',
+            lampiran: [],
+            tugas: source.tugas ? {
+                ...source.tugas,
+                tenggat: geserTanggal(source.tugas.tenggat, source.tanggal, tanggal),
+                lampiran: null,
+                mengumpulkan: []
+            } : null,
+            // Objectives belong to a grade, so they only carry over within it
+            tujuanPembelajaran: getTingkat(kelas) === getTingkat(source.kelas) ? [...(source.tujuanPembelajaran || [])] : [],
+            ...getAuthorStamp(),
+            createdAt: new Date().toISOString()
+        };
+        const { errors } = validateJurnalEntry(entry, null);
+        if (Object.keys(errors).length > 0) {
+            gagal.push(`${kelas}: ${Object.values(errors)[0]}`);
+            return;
+        }
+        recordRiwayat('create', null, entry);
+        jurnalData.push(entry);
+        dibuat.push(kelas);
+    });
+
+    if (dibuat.length > 0) {
+        saveData();
+        populateTahunAjaranFilter();
+        renderTable();
+        document.getElementById('duplikatPanel').style.display = 'none';
+    }
+    const pesan = [
+        dibuat.length ? `Jurnal diduplikat ke kelas ${dibuat.join(', ')} — lengkapi presensinya lewat Edit.` : '',
+        gagal.length ? `Gagal: ${gagal.join('; ')}` : ''
+    ].filter(Boolean).join(' ');
+    showNotification(pesan, gagal.length ? 'error' : 'success');
+}
+
+/**
+ * Wire up the picker and the duplicate panel (the row button goes through handleTableClick)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const select = document.getElementById('salinJurnal');
+    if (select) {
+        // Rebuilt on focus so it includes entries saved since the page loaded
+        select.addEventListener('focus', renderSalinOptions);
+        select.addEventListener('change', () => {
+            if (select.value) salinMateri(Number(select.value));
+            select.value = '';
+        });
+        renderSalinOptions();
+    }
+
+    const panel = document.getElementById('duplikatPanel');
+    if (panel) {
+        document.getElementById('duplikatClose').addEventListener('click', () => { panel.style.display = 'none'; });
+        panel.addEventListener('click', e => { if (e.target === panel) panel.style.display = 'none'; });
+        document.getElementById('duplikatSimpan').addEventListener('click', saveDuplikat);
+    }
+});
+
+// Expose globally
+window.getJurnalSendiri = getJurnalSendiri;
+window.getDuplikatSlot = getDuplikatSlot;
+window.openDuplikat = openDuplikat;
@@ -0,0 +1,212 @@
+/**
+ * ============================================================================
+ * SISWA MODULE — TAMPILAN SISWA: MATERI KELAS & KEHADIRANKU
+ * ============================================================================
+ * Students don't get the teachers' journal table (it carries classmates'
+ * names and the teachers' notes). Instead they see the lessons of the
+ * class they registered in (kelasMengajar): date, subject, topic, learning
+ * goals and attachments, the assignments given (see tugas.js) sorted by due
+ * date, plus their own attendance for the semester, read from their own
+ * mark on each journal. The journals come from the api function
+ * (firestore-sync.js), which already left out everyone else's marks and
+ * ticks, the absentees' names and the notes.
+ * ============================================================================
+ */
+
+/**
+ * Journals of the student's class in an academic period, newest first
+ * @param {string} kelas - The student's class
+ * @param {string} tahunAjaran - Academic year, e.g. "2026/2027"
+ * @param {string} semester - 'Ganjil' or 'Genap'
+ * @returns {Array} - Journal entries
+ */
+function getJurnalKelasSiswa(kelas, tahunAjaran, semester) {
+    return jurnalData
+        .filter(j => j.kelas === kelas)
+        .filter(j => {
+            const periode = getJurnalPeriode(j);
+            return periode.tahunAjaran === tahunAjaran && periode.semester === semester;
+        })
+        .sort((a, b) => b.tanggal.localeCompare(a.tanggal) || (parseInt(b.jamKe, 10) || 0) - (parseInt(a.jamKe, 10) || 0));
+}
+
+/**
+ * The student's own mark on each journal that has per-student attendance
+ * Only the student's status is taken from the roster, never anyone else's
+ * @param {Array} journals - Journals of the student's class
+ * @param {number} studentId - Id of the logged-in student
+ * @returns {{rows: Array<{jurnal: Object, status: string}>, tanpaPresensi: number}} - Own marks, and how many journals had no roster
+ */
+function getKehadiranSiswa(journals, studentId) {
+    const rows = [];
+    let tanpaPresensi = 0;
+    journals.forEach(jurnal => {
+        const mark = (jurnal.kehadiran || []).find(k => k.studentId === studentId);
+        if (mark) rows.push({ jurnal, status: mark.status });
+        else tanpaPresensi++;
+    });
+    return { rows, tanpaPresensi };
+}
+
+/**
+ * Count a student's statuses
+ * @param {Array<{status: string}>} rows - Own marks from getKehadiranSiswa()
+ * @returns {{H: number, S: number, I: number, A: number, total: number, persenHadir: number}} - Totals
+ */
+function rekapKehadiranSiswa(rows) {
+    const totals = { H: 0, S: 0, I: 0, A: 0 };
+    rows.forEach(r => { totals[r.status]++; });
+    const total = rows.length;
+    return { ...totals, total, persenHadir: total ? Math.round((totals.H / total) * 100) : 0 };
+}
+
+/**
+ * Fill a period picker with the academic periods of the class, newest first
+ * Defaults to the running semester
+ * @param {string} kelas - The student's class
+ * @param {HTMLSelectElement} select - Picker to fill (the student view's or the parent portal's)
+ */
+function populateSiswaPeriode(kelas, select) {
+    const today = getTodayIso();
+    const current = `${getTahunAjaran(today)}|${getSemester(today)}`;
+    const periodes = new Set([current]);
+    jurnalData.filter(j => j.kelas === kelas).forEach(j => {
+        const periode = getJurnalPeriode(j);
+        periodes.add(`${periode.tahunAjaran}|${periode.semester}`);
+    });
+    // Genap comes after Ganjil within the same academic year
+    const order = value => value.replace('|Ganjil', '|1').replace('|Genap', '|2');
+    select.innerHTML = [...periodes]
+        .sort((a, b) => order(b).localeCompare(order(a)))
+        .map(value => `<option value="${value}">Semester ${value.split('|')[1]} ${value.split('|')[0]}</option>`)
+        .join('');
+    select.value = current;
+}
+
+/**
+ * Summary cards of a student's attendance (one per status, plus the percentage)
+ * @param {Object} rekap - Totals from rekapKehadiranSiswa()
+ * @returns {string} - HTML of the cards
+ */
+function renderRekapKehadiranCards(rekap) {
+    return [
+        ...Object.entries(ATTENDANCE_STATUS).map(([code, s]) => ({ label: s.label, value: rekap[code], badge: s.badge })),
+        { label: 'Persentase Hadir', value: `${rekap.persenHadir}%`, badge: 'bg-purple-100 text-purple-800' }
+    ].map(card => `
+        <div class="rounded-lg p-4 ${card.badge}">
+            <p class="text-xs font-medium">${card.label}</p>
+            <p class="text-2xl font-bold">${card.value}</p>
+        </div>`).join('');
+}
+
+/**
+ * The class's assignments, earliest due date first, with the student's own hand-in status
+ * @param {Array} journals - Journals of the student's class
+ * @param {number} studentId - Id of the logged-in student
+ * @returns {string} - HTML of the list
+ */
+function renderTugasSiswa(journals, studentId) {
+    const list = getTugasList(journals);
+    if (list.length === 0) return '<p class="text-sm text-gray-300 py-2">Belum ada tugas untuk kelasmu pada semester ini.</p>';
+    const today = getTodayIso();
+    return list.map(({ jurnal, tugas }) => {
+        const selesai = (tugas.mengumpulkan || []).includes(studentId);
+        const status = selesai
+            ? '<span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Sudah dikumpulkan</span>'
+            : tugas.tenggat < today
+                ? '<span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Lewat tenggat</span>'
+                : '<span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Belum dikumpulkan</span>';
+        return `
+            <div class="py-3 flex flex-col md:flex-row md:items-start justify-between gap-2">
+                <div>
+                    <div class="text-sm text-gray-200">
+                        <span class="font-semibold text-white">${escapeHtml(tugas.judul)}</span>
+                        · ${escapeHtml(jurnal.mapel || '-')} · diberikan ${formatDate(jurnal.tanggal)}
+                    </div>
+                    ${tugas.deskripsi ? `<div class="text-sm text-gray-100 mt-1">${escapeHtml(tugas.deskripsi)}</div>` : ''}
+                    ${tugas.lampiran ? `<button type="button" class="lampiran-thumb inline-flex items-center gap-2 mt-2 text-xs text-gray-100" data-jurnal-id="${jurnal.id}" data-lampiran-id="${tugas.lampiran.id}" title="${escapeHtml(tugas.lampiran.nama)}">${renderLampiranTile(tugas.lampiran)} ${escapeHtml(tugas.lampiran.nama)}</button>` : ''}
+                </div>
+                <div class="text-right whitespace-nowrap">
+                    <div class="text-sm font-medium text-white">Tenggat ${formatDate(tugas.tenggat)}</div>
+                    ${status}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Draw the student view for the picked period
+ */
+function renderSiswaView() {
+    const kelas = currentUser.kelasMengajar;
+    const [tahunAjaran, semester] = document.getElementById('siswaPeriode').value.split('|');
+    const journals = getJurnalKelasSiswa(kelas, tahunAjaran, semester);
+    const { rows, tanpaPresensi } = getKehadiranSiswa(journals, currentUser.id);
+    const rekap = rekapKehadiranSiswa(rows);
+
+    document.getElementById('siswaRingkasan').innerHTML = renderRekapKehadiranCards(rekap);
+    document.getElementById('siswaTugas').innerHTML = renderTugasSiswa(journals, currentUser.id);
+
+    document.getElementById('siswaMateri').innerHTML = journals.length === 0
+        ? '<p class="text-sm text-gray-300 py-2">Belum ada jurnal untuk kelasmu pada semester ini.</p>'
+        : journals.map(j => `
+            <div class="py-3">
+                <div class="text-sm text-gray-200">
+                    <span class="font-semibold text-white">${j.hari}, ${formatDate(j.tanggal)}</span>
+                    · Jam ke-${j.jamKe} · ${escapeHtml(j.mapel || '-')}${j.teacherName ? ` · ${escapeHtml(j.teacherName)}` : ''}
+                </div>
+                <div class="text-sm text-gray-100 mt-1">${escapeHtml(j.uraianMateri)}</div>
+                ${renderTpBadges(j)}
+                ${renderLampiranThumbs(j)}
+            </div>`).join('');
+
+    document.getElementById('siswaKehadiran').innerHTML = (rows.length === 0
+        ? '<p class="text-sm text-gray-300 py-2">Belum ada presensi per siswa yang mencatat namamu semester ini.</p>'
+        : rows.map(({ jurnal, status }) => `
+            <div class="flex items-center justify-between py-2 text-sm text-gray-100">
+                <span>${formatDate(jurnal.tanggal)} · Jam ke-${jurnal.jamKe} · ${escapeHtml(jurnal.mapel || '-')}</span>
+                <span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${ATTENDANCE_STATUS[status].badge}">${ATTENDANCE_STATUS[status].label}</span>
+            </div>`).join('')) +
+        (tanpaPresensi > 0
+            ? `<p class="text-xs text-gray-300 pt-2">${tanpaPresensi} pertemuan dicatat tanpa presensi per siswa dan tidak dihitung.</p>`
+            : '');
+}
+
+/**
+ * Wire up the student view (students only)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('siswaContainer');
+    if (!container || !currentUser || currentUser.role !== 'student') return;
+
+    container.style.display = 'block';
+    const kelas = currentUser.kelasMengajar;
+    document.getElementById('siswaKelas').textContent = kelas || '-';
+    if (!kelas) {
+        document.getElementById('siswaBody').innerHTML =
+            '<p class="text-sm text-gray-100">Kelasmu belum tercatat di akun ini. Hubungi admin untuk memperbaikinya.</p>';
+        return;
+    }
+
+    populateSiswaPeriode(kelas, document.getElementById('siswaPeriode'));
+    document.getElementById('siswaPeriode').addEventListener('change', renderSiswaView);
+    document.getElementById('siswaBody').addEventListener('click', (e) => {
+        const btn = e.target.closest('.lampiran-thumb');
+        if (!btn) return;
+        const jurnal = jurnalData.find(j => j.id === Number(btn.dataset.jurnalId));
+        const meta = jurnal && getSemuaLampiran(jurnal).find(l => l.id === btn.dataset.lampiranId);
+        if (meta) openLampiran(meta);
+    });
+    // Journals fetched from the API arrive through firestore-sync.js
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key === 'jurnalData') renderSiswaView();
+    });
+    renderSiswaView();
+});
+
+// Expose globally
+window.getJurnalKelasSiswa = getJurnalKelasSiswa;
+window.getKehadiranSiswa = getKehadiranSiswa;
+window.rekapKehadiranSiswa = rekapKehadiranSiswa;
+window.populateSiswaPeriode = populateSiswaPeriode;
+window.renderRekapKehadiranCards = renderRekapKehadiranCards;
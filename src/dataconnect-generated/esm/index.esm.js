@@ -0,0 +1,84 @@
+import { queryRef, executeQuery, mutationRef, executeMutation, validateArgs } from 'firebase/data-connect';
+
+export const connectorConfig = {
+  connector: 'jurnal',
+  service: 'el',
+  location: 'asia-southeast1'
+};
+
+export const listJournalsByClassMonthRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return queryRef(dcInstance, 'ListJournalsByClassMonth', inputVars);
+}
+listJournalsByClassMonthRef.operationName = 'ListJournalsByClassMonth';
+
+export function listJournalsByClassMonth(dcOrVars, vars) {
+  return executeQuery(listJournalsByClassMonthRef(dcOrVars, vars));
+}
+
+export const upsertTeacherRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertTeacher', inputVars);
+}
+upsertTeacherRef.operationName = 'UpsertTeacher';
+
+export function upsertTeacher(dcOrVars, vars) {
+  return executeMutation(upsertTeacherRef(dcOrVars, vars));
+}
+
+export const upsertSubjectRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertSubject', inputVars);
+}
+upsertSubjectRef.operationName = 'UpsertSubject';
+
+export function upsertSubject(dcOrVars, vars) {
+  return executeMutation(upsertSubjectRef(dcOrVars, vars));
+}
+
+export const upsertStudentRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertStudent', inputVars);
+}
+upsertStudentRef.operationName = 'UpsertStudent';
+
+export function upsertStudent(dcOrVars, vars) {
+  return executeMutation(upsertStudentRef(dcOrVars, vars));
+}
+
+export const upsertJournalEntryRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertJournalEntry', inputVars);
+}
+upsertJournalEntryRef.operationName = 'UpsertJournalEntry';
+
+export function upsertJournalEntry(dcOrVars, vars) {
+  return executeMutation(upsertJournalEntryRef(dcOrVars, vars));
+}
+
+export const recordAttendanceRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'RecordAttendance', inputVars);
+}
+recordAttendanceRef.operationName = 'RecordAttendance';
+
+export function recordAttendance(dcOrVars, vars) {
+  return executeMutation(recordAttendanceRef(dcOrVars, vars));
+}
+
+export const deleteJournalEntryRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'DeleteJournalEntry', inputVars);
+}
+deleteJournalEntryRef.operationName = 'DeleteJournalEntry';
+
+export function deleteJournalEntry(dcOrVars, vars) {
+  return executeMutation(deleteJournalEntryRef(dcOrVars, vars));
+}
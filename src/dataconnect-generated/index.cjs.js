@@ -0,0 +1,92 @@
+const { queryRef, executeQuery, mutationRef, executeMutation, validateArgs } = require('firebase/data-connect');
+
+const connectorConfig = {
+  connector: 'jurnal',
+  service: 'el',
+  location: 'asia-southeast1'
+};
+exports.connectorConfig = connectorConfig;
+
+const listJournalsByClassMonthRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return queryRef(dcInstance, 'ListJournalsByClassMonth', inputVars);
+}
+listJournalsByClassMonthRef.operationName = 'ListJournalsByClassMonth';
+exports.listJournalsByClassMonthRef = listJournalsByClassMonthRef;
+
+exports.listJournalsByClassMonth = function listJournalsByClassMonth(dcOrVars, vars) {
+  return executeQuery(listJournalsByClassMonthRef(dcOrVars, vars));
+};
+
+const upsertTeacherRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertTeacher', inputVars);
+}
+upsertTeacherRef.operationName = 'UpsertTeacher';
+exports.upsertTeacherRef = upsertTeacherRef;
+
+exports.upsertTeacher = function upsertTeacher(dcOrVars, vars) {
+  return executeMutation(upsertTeacherRef(dcOrVars, vars));
+};
+
+const upsertSubjectRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertSubject', inputVars);
+}
+upsertSubjectRef.operationName = 'UpsertSubject';
+exports.upsertSubjectRef = upsertSubjectRef;
+
+exports.upsertSubject = function upsertSubject(dcOrVars, vars) {
+  return executeMutation(upsertSubjectRef(dcOrVars, vars));
+};
+
+const upsertStudentRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertStudent', inputVars);
+}
+upsertStudentRef.operationName = 'UpsertStudent';
+exports.upsertStudentRef = upsertStudentRef;
+
+exports.upsertStudent = function upsertStudent(dcOrVars, vars) {
+  return executeMutation(upsertStudentRef(dcOrVars, vars));
+};
+
+const upsertJournalEntryRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'UpsertJournalEntry', inputVars);
+}
+upsertJournalEntryRef.operationName = 'UpsertJournalEntry';
+exports.upsertJournalEntryRef = upsertJournalEntryRef;
+
+exports.upsertJournalEntry = function upsertJournalEntry(dcOrVars, vars) {
+  return executeMutation(upsertJournalEntryRef(dcOrVars, vars));
+};
+
+const recordAttendanceRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'RecordAttendance', inputVars);
+}
+recordAttendanceRef.operationName = 'RecordAttendance';
+exports.recordAttendanceRef = recordAttendanceRef;
+
+exports.recordAttendance = function recordAttendance(dcOrVars, vars) {
+  return executeMutation(recordAttendanceRef(dcOrVars, vars));
+};
+
+const deleteJournalEntryRef = (dcOrVars, vars) => {
+  const { dc: dcInstance, vars: inputVars} = validateArgs(connectorConfig, dcOrVars, vars, true);
+  dcInstance._useGeneratedSdk();
+  return mutationRef(dcInstance, 'DeleteJournalEntry', inputVars);
+}
+deleteJournalEntryRef.operationName = 'DeleteJournalEntry';
+exports.deleteJournalEntryRef = deleteJournalEntryRef;
+
+exports.deleteJournalEntry = function deleteJournalEntry(dcOrVars, vars) {
+  return executeMutation(deleteJournalEntryRef(dcOrVars, vars));
+};
@@ -0,0 +1,235 @@
+import { ConnectorConfig, DataConnect, QueryRef, QueryPromise, MutationRef, MutationPromise } from 'firebase/data-connect';
+
+export const connectorConfig: ConnectorConfig;
+
+export type TimestampString = string;
+export type UUIDString = string;
+export type Int64String = string;
+export type DateString = string;
+
+export interface AttendanceRecord_Key {
+  journalEntryId: Int64String;
+  studentId: Int64String;
+  __typename?: 'AttendanceRecord_Key';
+}
+
+export interface AuthCode_Key {
+  code: string;
+  __typename?: 'AuthCode_Key';
+}
+
+export interface Class_Key {
+  name: string;
+  __typename?: 'Class_Key';
+}
+
+export interface DeleteJournalEntryData {
+  attendanceRecord_deleteMany: number;
+  journalEntry_delete?: JournalEntry_Key | null;
+}
+
+export interface DeleteJournalEntryVariables {
+  id: Int64String;
+}
+
+export interface JournalEntry_Key {
+  id: Int64String;
+  __typename?: 'JournalEntry_Key';
+}
+
+export interface ListJournalsByClassMonthData {
+  journalEntries: ({
+    id: Int64String;
+    date: DateString;
+    day: string;
+    period: string;
+    academicYear: string;
+    semester: string;
+    presentCount: number;
+    absentCount: number;
+    absentNames?: string | null;
+    material: string;
+    notes?: string | null;
+    subject?: {
+      name: string;
+    } & Subject_Key;
+    attendanceRecords_on_journalEntry: ({
+      status: string;
+      student: {
+        id: Int64String;
+        fullName: string;
+      } & Student_Key;
+    })[];
+  } & JournalEntry_Key)[];
+}
+
+export interface ListJournalsByClassMonthVariables {
+  teacherUsername: string;
+  className: string;
+  from: DateString;
+  to: DateString;
+}
+
+export interface RecordAttendanceData {
+  attendanceRecord_upsert: AttendanceRecord_Key;
+}
+
+export interface RecordAttendanceVariables {
+  journalEntryId: Int64String;
+  studentId: Int64String;
+  status: string;
+}
+
+export interface Student_Key {
+  id: Int64String;
+  __typename?: 'Student_Key';
+}
+
+export interface Subject_Key {
+  name: string;
+  __typename?: 'Subject_Key';
+}
+
+export interface Teacher_Key {
+  username: string;
+  __typename?: 'Teacher_Key';
+}
+
+export interface UpsertJournalEntryData {
+  class_upsert: Class_Key;
+  journalEntry_upsert: JournalEntry_Key;
+}
+
+export interface UpsertJournalEntryVariables {
+  id: Int64String;
+  teacherUsername: string;
+  className: string;
+  subjectName?: string | null;
+  date: DateString;
+  day: string;
+  period: string;
+  academicYear: string;
+  semester: string;
+  presentCount: number;
+  absentCount: number;
+  absentNames?: string | null;
+  material: string;
+  notes?: string | null;
+  createdAt: TimestampString;
+}
+
+export interface UpsertStudentData {
+  class_upsert: Class_Key;
+  student_upsert: Student_Key;
+}
+
+export interface UpsertStudentVariables {
+  id: Int64String;
+  fullName: string;
+  nisn?: string | null;
+  className: string;
+}
+
+export interface UpsertSubjectData {
+  subject_upsert: Subject_Key;
+}
+
+export interface UpsertSubjectVariables {
+  name: string;
+}
+
+export interface UpsertTeacherData {
+  teacher_upsert: Teacher_Key;
+}
+
+export interface UpsertTeacherVariables {
+  username: string;
+  fullName: string;
+  role: string;
+  email?: string | null;
+  subjectName?: string | null;
+}
+
+interface ListJournalsByClassMonthRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: ListJournalsByClassMonthVariables): QueryRef<ListJournalsByClassMonthData, ListJournalsByClassMonthVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: ListJournalsByClassMonthVariables): QueryRef<ListJournalsByClassMonthData, ListJournalsByClassMonthVariables>;
+  operationName: string;
+}
+export const listJournalsByClassMonthRef: ListJournalsByClassMonthRef;
+
+export function listJournalsByClassMonth(vars: ListJournalsByClassMonthVariables): QueryPromise<ListJournalsByClassMonthData, ListJournalsByClassMonthVariables>;
+export function listJournalsByClassMonth(dc: DataConnect, vars: ListJournalsByClassMonthVariables): QueryPromise<ListJournalsByClassMonthData, ListJournalsByClassMonthVariables>;
+
+interface UpsertTeacherRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: UpsertTeacherVariables): MutationRef<UpsertTeacherData, UpsertTeacherVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: UpsertTeacherVariables): MutationRef<UpsertTeacherData, UpsertTeacherVariables>;
+  operationName: string;
+}
+export const upsertTeacherRef: UpsertTeacherRef;
+
+export function upsertTeacher(vars: UpsertTeacherVariables): MutationPromise<UpsertTeacherData, UpsertTeacherVariables>;
+export function upsertTeacher(dc: DataConnect, vars: UpsertTeacherVariables): MutationPromise<UpsertTeacherData, UpsertTeacherVariables>;
+
+interface UpsertSubjectRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: UpsertSubjectVariables): MutationRef<UpsertSubjectData, UpsertSubjectVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: UpsertSubjectVariables): MutationRef<UpsertSubjectData, UpsertSubjectVariables>;
+  operationName: string;
+}
+export const upsertSubjectRef: UpsertSubjectRef;
+
+export function upsertSubject(vars: UpsertSubjectVariables): MutationPromise<UpsertSubjectData, UpsertSubjectVariables>;
+export function upsertSubject(dc: DataConnect, vars: UpsertSubjectVariables): MutationPromise<UpsertSubjectData, UpsertSubjectVariables>;
+
+interface UpsertStudentRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: UpsertStudentVariables): MutationRef<UpsertStudentData, UpsertStudentVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: UpsertStudentVariables): MutationRef<UpsertStudentData, UpsertStudentVariables>;
+  operationName: string;
+}
+export const upsertStudentRef: UpsertStudentRef;
+
+export function upsertStudent(vars: UpsertStudentVariables): MutationPromise<UpsertStudentData, UpsertStudentVariables>;
+export function upsertStudent(dc: DataConnect, vars: UpsertStudentVariables): MutationPromise<UpsertStudentData, UpsertStudentVariables>;
+
+interface UpsertJournalEntryRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: UpsertJournalEntryVariables): MutationRef<UpsertJournalEntryData, UpsertJournalEntryVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: UpsertJournalEntryVariables): MutationRef<UpsertJournalEntryData, UpsertJournalEntryVariables>;
+  operationName: string;
+}
+export const upsertJournalEntryRef: UpsertJournalEntryRef;
+
+export function upsertJournalEntry(vars: UpsertJournalEntryVariables): MutationPromise<UpsertJournalEntryData, UpsertJournalEntryVariables>;
+export function upsertJournalEntry(dc: DataConnect, vars: UpsertJournalEntryVariables): MutationPromise<UpsertJournalEntryData, UpsertJournalEntryVariables>;
+
+interface RecordAttendanceRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: RecordAttendanceVariables): MutationRef<RecordAttendanceData, RecordAttendanceVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: RecordAttendanceVariables): MutationRef<RecordAttendanceData, RecordAttendanceVariables>;
+  operationName: string;
+}
+export const recordAttendanceRef: RecordAttendanceRef;
+
+export function recordAttendance(vars: RecordAttendanceVariables): MutationPromise<RecordAttendanceData, RecordAttendanceVariables>;
+export function recordAttendance(dc: DataConnect, vars: RecordAttendanceVariables): MutationPromise<RecordAttendanceData, RecordAttendanceVariables>;
+
+interface DeleteJournalEntryRef {
+  /* Allow users to create refs without passing in DataConnect */
+  (vars: DeleteJournalEntryVariables): MutationRef<DeleteJournalEntryData, DeleteJournalEntryVariables>;
+  /* Allow users to pass in custom DataConnect instances */
+  (dc: DataConnect, vars: DeleteJournalEntryVariables): MutationRef<DeleteJournalEntryData, DeleteJournalEntryVariables>;
+  operationName: string;
+}
+export const deleteJournalEntryRef: DeleteJournalEntryRef;
+
+export function deleteJournalEntry(vars: DeleteJournalEntryVariables): MutationPromise<DeleteJournalEntryData, DeleteJournalEntryVariables>;
+export function deleteJournalEntry(dc: DataConnect, vars: DeleteJournalEntryVariables): MutationPromise<DeleteJournalEntryData, DeleteJournalEntryVariables>;
@@ -0,0 +1,445 @@
+/**
+ * ============================================================================
+ * SUPERVISI MODULE — PENGAJUAN, TINJAUAN & PERSETUJUAN JURNAL BULANAN
+ * ============================================================================
+ * Every month the principal (kepala sekolah) or the vice-principal for
+ * curriculum signs off on each teacher's journals. A teacher submits a
+ * month; it lands in the supervisor's review queue, where it is approved or
+ * returned with a comment per entry (plus a general note). A returned month
+ * can be fixed and submitted again. Approved months are locked: their
+ * journals can't be added, changed or deleted until a supervisor reopens
+ * the month. One record per teacher and month, synced like the journals.
+ * ============================================================================
+ */
+
+// LocalStorage key for the monthly review records
+const SUPERVISI_KEY = 'supervisiJurnal';
+
+// Review states → label and badge colours (journal table and review lists)
+const SUPERVISI_STATUS = {
+    diajukan: { label: 'Menunggu Tinjauan', badge: 'bg-yellow-100 text-yellow-800' },
+    dikembalikan: { label: 'Dikembalikan', badge: 'bg-red-100 text-red-800' },
+    disetujui: { label: 'Disetujui', badge: 'bg-green-100 text-green-800' }
+};
+
+/**
+ * Load every review record
+ * @returns {Array<{id: string, teacherId: (string|number), teacherName: string, bulan: string, status: string, komentar: Object, catatan: string, riwayat: Array}>} - Records
+ */
+function getSupervisi() {
+    const raw = localStorage.getItem(SUPERVISI_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Save every review record and let the Firestore sync push the change
+ * @param {Array} records - Every record
+ */
+function saveSupervisi(records) {
+    localStorage.setItem(SUPERVISI_KEY, JSON.stringify(records));
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: SUPERVISI_KEY } }));
+}
+
+/**
+ * Id of the record of one teacher's month
+ * @param {string|number} teacherId - Author id of the teacher
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {string} - Record id
+ */
+function getSupervisiId(teacherId, bulan) {
+    return `${teacherId}-${bulan}`;
+}
+
+/**
+ * Find the record of one teacher's month
+ * @param {string|number} teacherId - Author id of the teacher
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {Object|null} - The record, or null when never submitted
+ */
+function getSupervisiBulan(teacherId, bulan) {
+    return getSupervisi().find(r => r.id === getSupervisiId(teacherId, bulan)) || null;
+}
+
+/**
+ * Find the record covering a journal entry
+ * @param {Object} jurnal - Journal entry
+ * @returns {Object|null} - Record of the entry's teacher and month
+ */
+function getJurnalSupervisi(jurnal) {
+    if (!jurnal || !jurnal.tanggal) return null;
+    return getSupervisiBulan(jurnal.teacherId, jurnal.tanggal.substring(0, 7));
+}
+
+/**
+ * Check whether a teacher's month has been approved (and is therefore locked)
+ * @param {string|number} teacherId - Author id of the teacher
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {boolean} - True when locked
+ */
+function isBulanDisetujui(teacherId, bulan) {
+    const record = getSupervisiBulan(teacherId, bulan);
+    return !!record && record.status === 'disetujui';
+}
+
+/**
+ * Check whether a journal entry sits in an approved month
+ * @param {Object} jurnal - Journal entry
+ * @returns {boolean} - True when the entry is locked
+ */
+function isJurnalDisetujui(jurnal) {
+    const record = getJurnalSupervisi(jurnal);
+    return !!record && record.status === 'disetujui';
+}
+
+/**
+ * Readable month, e.g. "Oktober 2026"
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {string} - Month name and year
+ */
+function formatBulan(bulan) {
+    return new Date(`${bulan}-01T00:00:00`).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+}
+
+/**
+ * One teacher's journals of a month, in agenda order
+ * @param {string|number} teacherId - Author id of the teacher
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {Array} - Journal entries
+ */
+function getJurnalBulan(teacherId, bulan) {
+    return jurnalData
+        .filter(j => j.teacherId === teacherId && j.tanggal.substring(0, 7) === bulan)
+        .sort((a, b) => a.tanggal.localeCompare(b.tanggal) || (parseInt(a.jamKe, 10) || 0) - (parseInt(b.jamKe, 10) || 0));
+}
+
+/**
+ * Submit the logged-in teacher's journals of a month for review
+ * A returned month can be submitted again once it has been fixed
+ * @param {string} bulan - Month as YYYY-MM
+ * @returns {Object} - The saved record
+ */
+function ajukanSupervisi(bulan) {
+    if (!currentUser || currentUser.role !== 'teacher') throw new Error('Hanya guru yang bisa mengajukan jurnal.');
+    if (!/^\d{4}-\d{2}$/.test(bulan || '')) throw new Error('Pilih bulan yang akan diajukan.');
+
+    const teacherId = getCurrentAuthorId();
+    const jumlahJurnal = getJurnalBulan(teacherId, bulan).length;
+    if (jumlahJurnal === 0) throw new Error(`Belum ada jurnal pada ${formatBulan(bulan)}.`);
+
+    const records = getSupervisi();
+    let record = records.find(r => r.id === getSupervisiId(teacherId, bulan));
+    if (record && record.status === 'diajukan') throw new Error(`${formatBulan(bulan)} sudah diajukan dan menunggu tinjauan.`);
+    if (record && record.status === 'disetujui') throw new Error(`${formatBulan(bulan)} sudah disetujui.`);
+
+    const now = new Date().toISOString();
+    if (!record) {
+        record = {
+            id: getSupervisiId(teacherId, bulan),
+            teacherId,
+            username: currentUser.username,
+            teacherName: currentUser.fullName || currentUser.username,
+            mapel: currentUser.mapelMengajar || '',
+            bulan,
+            komentar: {},
+            catatan: '',
+            riwayat: []
+        };
+        records.push(record);
+    }
+    Object.assign(record, { status: 'diajukan', jumlahJurnal, diajukanAt: now });
+    record.riwayat.push({ status: 'diajukan', oleh: currentUser.username, at: now });
+    saveSupervisi(records);
+    return record;
+}
+
+/**
+ * Approve a submitted month, or return it with comments (supervisors only)
+ * @param {string} id - Record id
+ * @param {boolean} setuju - True to approve, false to return
+ * @param {{komentar: Object, catatan: string}} feedback - Comment per journal id, and a general note
+ * @returns {Object} - The saved record
+ */
+function tinjauSupervisi(id, setuju, { komentar = {}, catatan = '' } = {}) {
+    if (!currentUser || currentUser.role !== 'supervisor') throw new Error('Hanya supervisor yang bisa meninjau jurnal.');
+    const records = getSupervisi();
+    const record = records.find(r => r.id === id);
+    if (!record) throw new Error('Pengajuan tidak ditemukan.');
+    if (record.status !== 'diajukan') throw new Error('Pengajuan ini sudah ditinjau.');
+
+    const cleanKomentar = Object.fromEntries(
+        Object.entries(komentar).map(([jurnalId, text]) => [jurnalId, text.trim()]).filter(([, text]) => text)
+    );
+    if (!setuju && Object.keys(cleanKomentar).length === 0 && !catatan.trim()) {
+        throw new Error('Tulis komentar pada jurnal yang perlu diperbaiki sebelum mengembalikan.');
+    }
+
+    const now = new Date().toISOString();
+    const status = setuju ? 'disetujui' : 'dikembalikan';
+    Object.assign(record, {
+        status,
+        komentar: cleanKomentar,
+        catatan: catatan.trim(),
+        ditinjauAt: now,
+        ditinjauOleh: currentUser.fullName || currentUser.username
+    });
+    record.riwayat.push({ status, oleh: currentUser.username, at: now, catatan: record.catatan });
+    saveSupervisi(records);
+    return record;
+}
+
+/**
+ * Unlock an approved month so it can be corrected (supervisors and admins)
+ * @param {string} id - Record id
+ * @returns {Object} - The saved record
+ */
+function bukaSupervisi(id) {
+    if (!currentUser || !['supervisor', 'admin'].includes(currentUser.role)) {
+        throw new Error('Hanya supervisor atau admin yang bisa membuka persetujuan.');
+    }
+    const records = getSupervisi();
+    const record = records.find(r => r.id === id);
+    if (!record || record.status !== 'disetujui') throw new Error('Bulan ini belum disetujui.');
+
+    const now = new Date().toISOString();
+    record.status = 'dikembalikan';
+    record.komentar = {};
+    record.catatan = 'Persetujuan dibuka kembali untuk perbaikan.';
+    record.riwayat.push({ status: 'dibuka', oleh: currentUser.username, at: now });
+    saveSupervisi(records);
+    return record;
+}
+
+/**
+ * Submitted months waiting for a supervisor, oldest first
+ * @returns {Array} - Records with status "diajukan"
+ */
+function getAntreanTinjauan() {
+    return getSupervisi()
+        .filter(r => r.status === 'diajukan')
+        .sort((a, b) => a.diajukanAt.localeCompare(b.diajukanAt));
+}
+
+/**
+ * Status badge of a journal's month for the journal table
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - HTML (empty when the month was never submitted)
+ */
+function renderSupervisiBadge(jurnal) {
+    const record = getJurnalSupervisi(jurnal);
+    if (!record) return '';
+    const status = SUPERVISI_STATUS[record.status];
+    return `<span class="inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${status.badge}">${status.label}</span>`;
+}
+
+/**
+ * Supervisor comment on a journal of a returned month, for the journal table
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - HTML (empty when there is no comment)
+ */
+function renderSupervisiKomentar(jurnal) {
+    const record = getJurnalSupervisi(jurnal);
+    const komentar = record && record.status === 'dikembalikan' && record.komentar[jurnal.id];
+    return komentar
+        ? `<div class="text-xs text-red-700 bg-red-50 rounded px-2 py-1 mt-1">Komentar ${escapeHtml(record.ditinjauOleh || 'supervisor')}: ${escapeHtml(komentar)}</div>`
+        : '';
+}
+
+/**
+ * Label of a record with its status badge, for the review lists
+ * @param {Object} record - Review record
+ * @param {boolean} withTeacher - Also show the teacher's name
+ * @returns {string} - HTML
+ */
+function renderSupervisiLabel(record, withTeacher) {
+    const status = SUPERVISI_STATUS[record.status];
+    return `
+        <span class="font-semibold">${formatBulan(record.bulan)}</span>
+        ${withTeacher ? `· ${escapeHtml(record.teacherName)}${record.mapel ? ` (${escapeHtml(record.mapel)})` : ''}` : ''}
+        · ${record.jumlahJurnal} jurnal
+        <span class="inline-flex items-center ml-1 px-2 py-0.5 rounded-full text-xs font-medium ${status.badge}">${status.label}</span>`;
+}
+
+/**
+ * Draw the teacher's submission card: status of the picked month and earlier submissions
+ */
+function renderPengajuan() {
+    const bulan = document.getElementById('supervisiBulan').value;
+    const teacherId = getCurrentAuthorId();
+    const record = bulan ? getSupervisiBulan(teacherId, bulan) : null;
+    const jumlah = bulan ? getJurnalBulan(teacherId, bulan).length : 0;
+
+    document.getElementById('supervisiStatus').innerHTML = !bulan
+        ? 'Pilih bulan.'
+        : `${jumlah} jurnal pada ${formatBulan(bulan)} · ${record ? SUPERVISI_STATUS[record.status].label : 'belum diajukan'}`;
+    document.getElementById('supervisiAjukan').disabled = !bulan || jumlah === 0 ||
+        (!!record && record.status !== 'dikembalikan');
+
+    const own = getSupervisi()
+        .filter(r => r.teacherId === teacherId)
+        .sort((a, b) => b.bulan.localeCompare(a.bulan));
+    document.getElementById('supervisiList').innerHTML = own.length === 0
+        ? '<p class="text-sm text-gray-300">Belum ada bulan yang diajukan.</p>'
+        : own.map(r => `
+            <div class="text-sm text-gray-100 py-2">
+                ${renderSupervisiLabel(r, false)}
+                ${r.status === 'dikembalikan' ? `<div class="text-xs text-red-200 mt-1">
+                    ${r.catatan ? `${escapeHtml(r.catatan)} · ` : ''}${Object.keys(r.komentar).length} komentar pada jurnal — lihat di tabel, perbaiki, lalu ajukan lagi.
+                </div>` : ''}
+                ${r.status === 'disetujui' ? `<div class="text-xs text-green-200 mt-1">Disetujui ${escapeHtml(r.ditinjauOleh || '')} · ${formatDate(r.ditinjauAt.substring(0, 10))}. Jurnal bulan ini dikunci.</div>` : ''}
+            </div>`).join('');
+}
+
+/**
+ * Draw the supervisor's review queue and the approved months
+ */
+function renderAntreanTinjauan() {
+    const queue = getAntreanTinjauan();
+    document.getElementById('tinjauanCount').textContent = queue.length;
+    document.getElementById('tinjauanList').innerHTML = queue.length === 0
+        ? '<p class="text-sm text-green-200">Tidak ada jurnal yang menunggu tinjauan.</p>'
+        : queue.map(r => `
+            <div class="flex items-center justify-between py-2 text-sm text-gray-100">
+                <span>${renderSupervisiLabel(r, true)}</span>
+                <button type="button" data-supervisi-id="${r.id}" class="tinjau-btn px-3 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-xs">Tinjau</button>
+            </div>`).join('');
+
+    const approved = getSupervisi()
+        .filter(r => r.status === 'disetujui')
+        .sort((a, b) => b.bulan.localeCompare(a.bulan) || a.teacherName.localeCompare(b.teacherName));
+    document.getElementById('tinjauanSelesai').innerHTML = approved.length === 0
+        ? '<p class="text-sm text-gray-300">Belum ada bulan yang disetujui.</p>'
+        : approved.map(r => `
+            <div class="flex items-center justify-between py-2 text-sm text-gray-100">
+                <span>${renderSupervisiLabel(r, true)}</span>
+                <button type="button" data-supervisi-id="${r.id}" class="buka-btn text-xs text-red-300 hover:text-red-100">Buka Kembali</button>
+            </div>`).join('');
+}
+
+/**
+ * Open a submitted month in the review panel, one comment box per journal
+ * @param {string} id - Record id
+ */
+function openTinjauan(id) {
+    const record = getSupervisi().find(r => r.id === id);
+    const panel = document.getElementById('tinjauanPanel');
+    if (!record) return;
+
+    panel.dataset.supervisiId = id;
+    document.getElementById('tinjauanJudul').textContent = `${record.teacherName} · ${formatBulan(record.bulan)}`;
+    document.getElementById('tinjauanJurnal').innerHTML = getJurnalBulan(record.teacherId, record.bulan).map(j => `
+        <div class="py-3">
+            <div class="text-sm text-gray-100">
+                <span class="font-semibold">${j.hari}, ${formatDate(j.tanggal)}</span>
+                · Jam ke-${j.jamKe} · ${j.kelas} · ${j.siswaHadir} hadir, ${j.siswaTidakHadir} tidak hadir
+            </div>
+            <div class="text-sm text-gray-200 mt-1">${escapeHtml(j.uraianMateri)}</div>
+            ${j.catatan ? `<div class="text-xs text-gray-300 mt-1">Catatan: ${escapeHtml(j.catatan)}</div>` : ''}
+            <textarea data-jurnal-id="${j.id}" rows="1" class="komentar-input w-full mt-2 p-2 text-sm border border-purple-300 rounded-lg bg-white/80" placeholder="Komentar untuk jurnal ini (opsional)">${escapeHtml(record.komentar[j.id] || '')}</textarea>
+        </div>`).join('') || '<p class="text-sm text-gray-300">Jurnal bulan ini sudah tidak ada.</p>';
+    document.getElementById('tinjauanCatatan').value = '';
+    panel.style.display = 'block';
+    panel.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Approve or return the month open in the review panel
+ * @param {boolean} setuju - True to approve, false to return
+ */
+function submitTinjauan(setuju) {
+    const panel = document.getElementById('tinjauanPanel');
+    const komentar = {};
+    panel.querySelectorAll('.komentar-input').forEach(input => {
+        komentar[input.dataset.jurnalId] = input.value;
+    });
+    const catatan = document.getElementById('tinjauanCatatan').value;
+    if (setuju && Object.values(komentar).some(text => text.trim()) &&
+        !confirm('Ada komentar yang ditulis. Tetap setujui bulan ini?')) return;
+
+    try {
+        const record = tinjauSupervisi(panel.dataset.supervisiId, setuju, { komentar, catatan });
+        showNotification(setuju
+            ? `Jurnal ${record.teacherName} ${formatBulan(record.bulan)} disetujui.`
+            : `Jurnal ${record.teacherName} ${formatBulan(record.bulan)} dikembalikan.`, 'success');
+        panel.style.display = 'none';
+        renderAntreanTinjauan();
+        renderTable();
+    } catch (err) {
+        showNotification(err.message, 'error');
+    }
+}
+
+/**
+ * Wire up the submission card (teachers) and the review queue (supervisors)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const pengajuan = document.getElementById('supervisiContainer');
+    const tinjauan = document.getElementById('tinjauanContainer');
+    if (!pengajuan || !tinjauan || !currentUser) return;
+
+    if (currentUser.role === 'teacher') {
+        tinjauan.style.display = 'none';
+        const bulanInput = document.getElementById('supervisiBulan');
+        bulanInput.value = getTodayIso().substring(0, 7);
+        bulanInput.addEventListener('change', renderPengajuan);
+        document.getElementById('supervisiAjukan').addEventListener('click', () => {
+            if (!confirm(`Ajukan jurnal ${formatBulan(bulanInput.value)} untuk ditinjau?`)) return;
+            try {
+                ajukanSupervisi(bulanInput.value);
+                showNotification(`Jurnal ${formatBulan(bulanInput.value)} diajukan untuk ditinjau.`, 'success');
+                renderPengajuan();
+                renderTable();
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+        // New journals change the count of the picked month
+        form.addEventListener('submit', renderPengajuan);
+        renderPengajuan();
+    } else if (currentUser.role === 'supervisor') {
+        pengajuan.style.display = 'none';
+        tinjauan.open = true;
+        document.getElementById('tinjauanList').addEventListener('click', (e) => {
+            const btn = e.target.closest('.tinjau-btn');
+            if (btn) openTinjauan(btn.dataset.supervisiId);
+        });
+        document.getElementById('tinjauanSelesai').addEventListener('click', (e) => {
+            const btn = e.target.closest('.buka-btn');
+            if (!btn || !confirm('Buka kembali persetujuan bulan ini? Guru bisa mengubah jurnalnya lagi.')) return;
+            try {
+                bukaSupervisi(btn.dataset.supervisiId);
+                renderAntreanTinjauan();
+                renderTable();
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+        document.getElementById('tinjauanSetujui').addEventListener('click', () => submitTinjauan(true));
+        document.getElementById('tinjauanKembalikan').addEventListener('click', () => submitTinjauan(false));
+        document.getElementById('tinjauanBatal').addEventListener('click', () => {
+            document.getElementById('tinjauanPanel').style.display = 'none';
+        });
+        renderAntreanTinjauan();
+    } else {
+        pengajuan.style.display = 'none';
+        tinjauan.style.display = 'none';
+        return;
+    }
+
+    // Submissions and reviews made on another device arrive through the Firestore sync
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key !== SUPERVISI_KEY && e.detail.key !== 'jurnalData') return;
+        if (currentUser.role === 'teacher') renderPengajuan();
+        else renderAntreanTinjauan();
+        renderTable();
+    });
+});
+
+// Expose globally
+window.getSupervisi = getSupervisi;
+window.getJurnalSupervisi = getJurnalSupervisi;
+window.isBulanDisetujui = isBulanDisetujui;
+window.isJurnalDisetujui = isJurnalDisetujui;
+window.ajukanSupervisi = ajukanSupervisi;
+window.tinjauSupervisi = tinjauSupervisi;
+window.bukaSupervisi = bukaSupervisi;
+window.getAntreanTinjauan = getAntreanTinjauan;
@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER — APLIKASI TETAP TERBUKA TANPA INTERNET
+ * ============================================================================
+ * Caches every page, script, style and image of the app, plus the CDN files
+ * they load (Tailwind, SheetJS, Chart.js, the Firebase SDK and the font), so
+ * the app opens in a classroom without wifi. Everything is served from the
+ * cache first and refreshed in the background, so the next visit gets the
+ * newer copy. Firebase API calls are never cached; writes made offline wait
+ * in the sync queue of firestore-sync.js. Bump CACHE_VERSION when the file
+ * list changes so old caches are dropped.
+ * ============================================================================
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `jurnal-mengajar-${CACHE_VERSION}`;
+
+// The app's own files
+const APP_FILES = [
+    'index.html', 'login.html', 'register.html', 'analytics.html', 'kurikulum.html',
+    'logo-customizer.html', 'admin-authcodes.html', 'admin-masterdata.html',
+    'styles.css', 'manifest.webmanifest', 'icon-192.png', 'icon-512.png',
+    '513677524_122137605554750458_2873730744669412178_1.jpg', 'images (1).jpg',
+    'pwa.js', 'logo.js', 'masterdata.js', 'register.js', 'auth.js', 'presensi.js', 'tahunajaran.js',
+    'kurikulum.js', 'app.js', 'export.js', 'import.js', 'jadwal.js', 'kalender.js', 'validasi.js',
+    'pencarian.js', 'riwayat.js', 'lampiran.js', 'tugas.js', 'draf.js', 'salin.js', 'pengingat.js',
+    'supervisi.js', 'siswa.js', 'wali.js', 'dataconnect-jurnal.js', 'analytics.js',
+    'firebase-config.js', 'firestore-sync.js', 'dataconnect-sync.js',
+    'src/dataconnect-generated/esm/index.esm.js'
+];
+
+// Files the pages load from CDNs
+const CDN_FILES = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-analytics.js',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-auth.js',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-storage.js',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-firestore.js',
+    'https://www.gstatic.com/firebasejs/12.6.0/firebase-data-connect.js'
+];
+
+// Other hosts whose files may be cached (fonts, redirects of the CDN files)
+const CDN_HOSTS = [
+    'cdn.tailwindcss.com', 'cdn.sheetjs.com', 'cdn.jsdelivr.net',
+    'fonts.googleapis.com', 'fonts.gstatic.com', 'www.gstatic.com'
+];
+
+/**
+ * Fetch a CDN file for the cache
+ * CORS when the CDN allows it (module scripts need that); an opaque copy otherwise
+ * @param {string} url - File URL
+ * @returns {Promise<Response>} - Response to store
+ */
+function fetchCdn(url) {
+    return fetch(url, { mode: 'cors' }).catch(() => fetch(url, { mode: 'no-cors' }));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+        // A CDN that is down must not stop the app files from being cached
+        await Promise.allSettled(CDN_FILES.map(async url => {
+            const response = await fetchCdn(url);
+            if (response.ok || response.type === 'opaque') await cache.put(url, response);
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('jurnal-mengajar-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Answer from the cache and refresh the cached copy from the network
+ * Pages that were never cached fall back to the dashboard
+ * @param {FetchEvent} event - The fetch event
+ * @returns {Promise<Response>} - Response
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (err) {
+        const fallback = request.mode === 'navigate' ? await cache.match('index.html') : null;
+        return fallback || Response.error();
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Firestore, Auth, Storage, Data Connect and API calls go straight to the network
+    if (url.origin !== self.location.origin && !CDN_HOSTS.includes(url.host)) return;
+    event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * TAHUN AJARAN MODULE — TAHUN AJARAN, SEMESTER & ARSIP
+ * ============================================================================
+ * Ties every journal to an academic year (July–June, e.g. 2025/2026) and a
+ * semester (Ganjil: July–December, Genap: January–June), so November 2025
+ * and November 2026 no longer end up in the same pile. Admins can archive a
+ * finished year: its journals stay searchable and exportable, but become
+ * read-only.
+ * ============================================================================
+ */
+
+// LocalStorage key for the list of archived academic years
+const ARSIP_TAHUN_AJARAN_KEY = 'arsipTahunAjaran';
+
+/**
+ * Work out the academic year of a date
+ * @param {string} tanggal - ISO date (YYYY-MM-DD)
+ * @returns {string} - Academic year, e.g. "2025/2026" (empty if no date)
+ */
+function getTahunAjaran(tanggal) {
+    if (!tanggal) return '';
+    const year = Number(tanggal.substring(0, 4));
+    const month = Number(tanggal.substring(5, 7));
+    return month >= 7 ? `${year}/${year + 1}` : `${year - 1}/${year}`;
+}
+
+/**
+ * Work out the semester of a date
+ * @param {string} tanggal - ISO date (YYYY-MM-DD)
+ * @returns {string} - 'Ganjil' (July–December) or 'Genap' (January–June)
+ */
+function getSemester(tanggal) {
+    if (!tanggal) return '';
+    return Number(tanggal.substring(5, 7)) >= 7 ? 'Ganjil' : 'Genap';
+}
+
+/**
+ * Get the academic year and semester of a journal entry
+ * Older entries saved before this existed get them derived from their date
+ * @param {Object} jurnal - Journal entry
+ * @returns {{tahunAjaran: string, semester: string}} - Academic period
+ */
+function getJurnalPeriode(jurnal) {
+    return {
+        tahunAjaran: jurnal.tahunAjaran || getTahunAjaran(jurnal.tanggal),
+        semester: jurnal.semester || getSemester(jurnal.tanggal)
+    };
+}
+
+/**
+ * Get the first and last date of an academic year (optionally one semester)
+ * @param {string} tahunAjaran - Academic year, e.g. "2025/2026"
+ * @param {string} [semester] - 'Ganjil' or 'Genap'; both when omitted
+ * @returns {{mulai: string, selesai: string}} - Inclusive ISO date range
+ */
+function getPeriodeRange(tahunAjaran, semester) {
+    const [startYear, endYear] = tahunAjaran.split('/');
+    if (semester === 'Ganjil') return { mulai: `${startYear}-07-01`, selesai: `${startYear}-12-31` };
+    if (semester === 'Genap') return { mulai: `${endYear}-01-01`, selesai: `${endYear}-06-30` };
+    return { mulai: `${startYear}-07-01`, selesai: `${endYear}-06-30` };
+}
+
+/**
+ * Get the archived (read-only) academic years
+ * @returns {Array<{tahunAjaran: string, archivedAt: string, archivedBy: string}>} - Archived years
+ */
+function getArsipTahunAjaran() {
+    const raw = localStorage.getItem(ARSIP_TAHUN_AJARAN_KEY);
+    return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Check whether an academic year has been archived
+ * @param {string} tahunAjaran - Academic year
+ * @returns {boolean} - True if read-only
+ */
+function isTahunAjaranArchived(tahunAjaran) {
+    return getArsipTahunAjaran().some(a => a.tahunAjaran === tahunAjaran);
+}
+
+/**
+ * Check whether a journal entry belongs to an archived year
+ * @param {Object} jurnal - Journal entry
+ * @returns {boolean} - True if the entry is frozen
+ */
+function isJurnalArchived(jurnal) {
+    return isTahunAjaranArchived(getJurnalPeriode(jurnal).tahunAjaran);
+}
+
+/**
+ * Freeze an academic year (admins only)
+ * The running academic year can't be archived — teachers are still writing in it
+ * @param {string} tahunAjaran - Academic year to archive
+ * @param {string} archivedBy - Username of the admin
+ */
+function archiveTahunAjaran(tahunAjaran, archivedBy) {
+    if (!tahunAjaran) throw new Error('Pilih tahun ajaran yang akan diarsipkan.');
+    if (tahunAjaran === getTahunAjaran(getTodayIso())) {
+        throw new Error('Tahun ajaran yang sedang berjalan tidak bisa diarsipkan.');
+    }
+    if (isTahunAjaranArchived(tahunAjaran)) throw new Error(`Tahun ajaran ${tahunAjaran} sudah diarsipkan.`);
+
+    const arsip = getArsipTahunAjaran();
+    arsip.push({ tahunAjaran, archivedAt: new Date().toISOString(), archivedBy });
+    saveArsipTahunAjaran(arsip);
+}
+
+/**
+ * Save the archived years; they are synced so every device freezes them (firestore-sync.js)
+ * @param {Array} arsip - Archived years
+ */
+function saveArsipTahunAjaran(arsip) {
+    localStorage.setItem(ARSIP_TAHUN_AJARAN_KEY, JSON.stringify(arsip));
+    window.dispatchEvent(new CustomEvent('local-data-changed', { detail: { key: ARSIP_TAHUN_AJARAN_KEY } }));
+}
+
+/**
+ * Reopen an archived academic year (admins only, for mistakes)
+ * @param {string} tahunAjaran - Academic year to reopen
+ */
+function unarchiveTahunAjaran(tahunAjaran) {
+    saveArsipTahunAjaran(getArsipTahunAjaran().filter(a => a.tahunAjaran !== tahunAjaran));
+}
+
+/**
+ * List the academic years that have journals, plus the running one, newest first
+ * @param {Array} journals - Journal entries
+ * @returns {Array<string>} - Academic years
+ */
+function getTahunAjaranOptions(journals) {
+    const years = new Set(journals.map(j => getJurnalPeriode(j).tahunAjaran));
+    years.add(getTahunAjaran(getTodayIso()));
+    return [...years].filter(Boolean).sort().reverse();
+}
+
+// Expose globally
+window.getTahunAjaran = getTahunAjaran;
+window.getSemester = getSemester;
+window.getJurnalPeriode = getJurnalPeriode;
+window.getPeriodeRange = getPeriodeRange;
+window.isTahunAjaranArchived = isTahunAjaranArchived;
+window.isJurnalArchived = isJurnalArchived;
+window.archiveTahunAjaran = archiveTahunAjaran;
+window.unarchiveTahunAjaran = unarchiveTahunAjaran;
+window.getTahunAjaranOptions = getTahunAjaranOptions;
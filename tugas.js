@@ -0,0 +1,239 @@
+/**
+ * ============================================================================
+ * TUGAS MODULE — TUGAS / PR YANG DIBERIKAN DI AKHIR PELAJARAN
+ * ============================================================================
+ * A journal entry can carry one assignment: title, description, due date
+ * and an optional photo or PDF (stored like the other attachments, see
+ * lampiran.js). Students see it on their view, sorted by due date. The
+ * teacher ticks who handed it in; the table row shows how much of the
+ * class did. Stored on the entry as
+ * tugas = {judul, deskripsi, tenggat, lampiran, mengumpulkan: [studentId]}.
+ * ============================================================================
+ */
+
+// Attachment of the assignment in the form, and the file picked since it was opened (not saved yet)
+let formTugasLampiran = null;
+let unsavedTugasLampiran = null;
+
+// Journal whose submissions are open in the tick panel
+let pengumpulanJurnalId = null;
+
+/**
+ * Every assignment in a list of journals, earliest due date first
+ * @param {Array} journals - Journal entries
+ * @returns {Array<{jurnal: Object, tugas: Object}>} - Assignments with their journal
+ */
+function getTugasList(journals) {
+    return journals
+        .filter(j => j.tugas)
+        .map(j => ({ jurnal: j, tugas: j.tugas }))
+        .sort((a, b) => a.tugas.tenggat.localeCompare(b.tugas.tenggat) || a.jurnal.tanggal.localeCompare(b.jurnal.tanggal));
+}
+
+/**
+ * How much of the class handed an assignment in
+ * Counted against the class roster; without registered students only the ticks are known
+ * @param {Object} jurnal - Journal entry with a tugas
+ * @returns {{mengumpulkan: number, total: number, persen: (number|null)}} - Completion summary
+ */
+function getPengumpulanSummary(jurnal) {
+    const roster = getClassRoster(jurnal.kelas);
+    const ticked = new Set(jurnal.tugas.mengumpulkan || []);
+    const total = roster.length;
+    const mengumpulkan = total ? roster.filter(s => ticked.has(s.studentId)).length : ticked.size;
+    return { mengumpulkan, total, persen: total ? Math.round((mengumpulkan / total) * 100) : null };
+}
+
+/**
+ * Assignment line shown under the topic in a journal row
+ * @param {Object} jurnal - Journal entry
+ * @returns {string} - HTML (empty when the entry has no assignment)
+ */
+function renderTugasRingkas(jurnal) {
+    if (!jurnal.tugas) return '';
+    const { mengumpulkan, total, persen } = getPengumpulanSummary(jurnal);
+    const badge = persen === null ? 'bg-gray-100 text-gray-700'
+        : persen === 100 ? 'bg-green-100 text-green-800'
+        : persen >= 50 ? 'bg-yellow-100 text-yellow-800'
+        : 'bg-red-100 text-red-800';
+    return `<div class="mt-2 text-xs text-gray-600">
+        <span class="font-medium text-amber-700">Tugas: ${escapeHtml(jurnal.tugas.judul)}</span>
+        · tenggat ${formatDate(jurnal.tugas.tenggat)}
+        <span class="inline-flex px-2 py-0.5 rounded-full font-medium ${badge}">${total ? `${mengumpulkan}/${total} mengumpulkan (${persen}%)` : `${mengumpulkan} mengumpulkan`}</span>
+        ${canModifyJurnal(jurnal) ? `<button type="button" data-id="${jurnal.id}" class="tugas-btn text-indigo-600 hover:text-indigo-900 ml-1">Centang</button>` : ''}
+    </div>`;
+}
+
+/**
+ * Show the assignment's attachment in the form, with a remove button
+ */
+function renderFormTugasLampiran() {
+    const list = document.getElementById('tugasLampiranList');
+    if (!list) return;
+    const meta = formTugasLampiran;
+    list.innerHTML = meta ? `
+        <div class="flex items-center gap-2 bg-white/20 rounded-lg px-2 py-1 text-sm text-gray-100">
+            ${renderLampiranTile(meta)}
+            <span class="max-w-[10rem] truncate" title="${escapeHtml(meta.nama)}">${escapeHtml(meta.nama)}</span>
+            <span class="text-xs text-gray-300">${Math.ceil(meta.ukuran / 1024)} KB</span>
+            <button type="button" id="tugasLampiranRemove" class="text-red-200 hover:text-white">✕</button>
+        </div>` : '';
+}
+
+/**
+ * Load an entry's assignment into the form (null for none)
+ * @param {Object|null} tugas - Saved assignment
+ */
+function setFormTugas(tugas) {
+    document.getElementById('tugasJudul').value = tugas ? tugas.judul : '';
+    document.getElementById('tugasDeskripsi').value = tugas ? tugas.deskripsi : '';
+    document.getElementById('tugasTenggat').value = tugas ? tugas.tenggat : '';
+    document.getElementById('tugasSection').open = !!tugas;
+    formTugasLampiran = tugas && tugas.lampiran ? { ...tugas.lampiran } : null;
+    unsavedTugasLampiran = null;
+    renderFormTugasLampiran();
+}
+
+/**
+ * Assignment to store on the entry being saved (null when the section is empty)
+ * Ticks already given are kept; an attachment uploaded while the form was open keeps its uploaded metadata
+ * @returns {Object|null} - Assignment
+ */
+function collectFormTugas() {
+    const judul = document.getElementById('tugasJudul').value.trim();
+    const deskripsi = document.getElementById('tugasDeskripsi').value.trim();
+    const tenggat = document.getElementById('tugasTenggat').value;
+    if (!judul && !deskripsi && !tenggat && !formTugasLampiran) return null;
+
+    const saved = editingId ? (jurnalData.find(j => j.id === editingId) || {}).tugas : null;
+    const lampiran = formTugasLampiran && saved && saved.lampiran && saved.lampiran.id === formTugasLampiran.id
+        ? { ...saved.lampiran }
+        : formTugasLampiran;
+    return {
+        judul,
+        deskripsi,
+        tenggat,
+        lampiran,
+        mengumpulkan: saved ? saved.mengumpulkan || [] : []
+    };
+}
+
+/**
+ * After a save: drop a replaced or removed attachment file and upload the new one
+ * @param {Object|null} before - Assignment the entry had before the save
+ * @param {Object|null} after - Assignment saved on the entry
+ */
+function commitFormTugas(before, after) {
+    const old = before && before.lampiran;
+    if (old && !(after && after.lampiran && after.lampiran.id === old.id)) deleteLampiranFiles([old]);
+    unsavedTugasLampiran = null;
+    syncPendingLampiran();
+}
+
+/**
+ * Throw away an attachment picked in the form that was never saved (form cancelled)
+ */
+function discardFormTugas() {
+    if (unsavedTugasLampiran) deleteLampiranFiles([unsavedTugasLampiran]);
+    setFormTugas(null);
+}
+
+/**
+ * Open the tick panel of a journal's assignment
+ * @param {number} jurnalId - Journal id
+ */
+function openPengumpulan(jurnalId) {
+    const jurnal = jurnalData.find(j => j.id === jurnalId);
+    if (!jurnal || !jurnal.tugas) return;
+    if (!canModifyJurnal(jurnal)) {
+        showNotification(getLockedMessage(jurnal, 'diubah'), 'error');
+        return;
+    }
+
+    pengumpulanJurnalId = jurnalId;
+    const ticked = new Set(jurnal.tugas.mengumpulkan || []);
+    const roster = getClassRoster(jurnal.kelas);
+    document.getElementById('pengumpulanTitle').textContent =
+        `${jurnal.tugas.judul} · Kelas ${jurnal.kelas} · tenggat ${formatDate(jurnal.tugas.tenggat)}`;
+    document.getElementById('pengumpulanList').innerHTML = roster.length === 0
+        ? `<p class="text-sm text-gray-500">Belum ada siswa terdaftar di kelas ${escapeHtml(jurnal.kelas)}.</p>`
+        : roster.map(s => `
+            <label class="flex items-center gap-3 py-2 text-sm text-gray-800">
+                <input type="checkbox" value="${s.studentId}" class="w-4 h-4" ${ticked.has(s.studentId) ? 'checked' : ''}>
+                ${escapeHtml(s.nama)}
+            </label>`).join('');
+    document.getElementById('pengumpulanPanel').style.display = 'flex';
+}
+
+/**
+ * Save the ticks of the open panel
+ */
+function savePengumpulan() {
+    const index = jurnalData.findIndex(j => j.id === pengumpulanJurnalId);
+    const before = jurnalData[index];
+    if (!before || !canModifyJurnal(before)) {
+        showNotification(getLockedMessage(before, 'diubah'), 'error');
+        return;
+    }
+
+    const mengumpulkan = [...document.querySelectorAll('#pengumpulanList input:checked')].map(cb => Number(cb.value));
+    const after = { ...before, tugas: { ...before.tugas, mengumpulkan } };
+    recordRiwayat('update', before, after);
+    jurnalData[index] = after;
+    saveData();
+    renderTable();
+    document.getElementById('pengumpulanPanel').style.display = 'none';
+    showNotification('Pengumpulan tugas disimpan!', 'success');
+}
+
+/**
+ * Wire up the form section and the tick panel (the row button goes through handleTableClick)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('tugasLampiranInput');
+    if (input) {
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+            try {
+                const meta = await prepareLampiran(file);
+                // Picking another file replaces one that was never saved
+                if (unsavedTugasLampiran) deleteLampiranFiles([unsavedTugasLampiran]);
+                formTugasLampiran = meta;
+                unsavedTugasLampiran = meta;
+                renderFormTugasLampiran();
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+        document.getElementById('tugasLampiranList').addEventListener('click', e => {
+            if (!e.target.closest('#tugasLampiranRemove')) return;
+            // A file that was never saved can go right away; a saved one goes when the entry is saved
+            if (unsavedTugasLampiran) deleteLampiranFiles([unsavedTugasLampiran]);
+            formTugasLampiran = null;
+            unsavedTugasLampiran = null;
+            renderFormTugasLampiran();
+        });
+    }
+
+    const panel = document.getElementById('pengumpulanPanel');
+    if (panel) {
+        document.getElementById('pengumpulanClose').addEventListener('click', () => { panel.style.display = 'none'; });
+        panel.addEventListener('click', e => { if (e.target === panel) panel.style.display = 'none'; });
+        document.getElementById('pengumpulanSemua').addEventListener('click', () => {
+            document.querySelectorAll('#pengumpulanList input[type="checkbox"]').forEach(cb => { cb.checked = true; });
+        });
+        document.getElementById('pengumpulanSimpan').addEventListener('click', savePengumpulan);
+    }
+});
+
+// Expose globally
+window.getTugasList = getTugasList;
+window.getPengumpulanSummary = getPengumpulanSummary;
+window.renderTugasRingkas = renderTugasRingkas;
+window.setFormTugas = setFormTugas;
+window.collectFormTugas = collectFormTugas;
+window.commitFormTugas = commitFormTugas;
+window.discardFormTugas = discardFormTugas;
+window.openPengumpulan = openPengumpulan;
@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ * VALIDASI MODULE — ATURAN KONSISTENSI JURNAL
+ * ============================================================================
+ * The checks handleSubmit never had: the weekday must match the date (and
+ * must not fall in an archived academic year or an approved month), a
+ * lesson slot can't be claimed twice (one teacher in two classes, or two
+ * teachers in one class), and attendance can't add up to more students than
+ * the class has. Errors block saving; warnings only ask for confirmation.
+ * Messages are shown right under the field they are about.
+ * ============================================================================
+ */
+
+// Upper bound for attendance when a class has no registered students yet
+const DEFAULT_CLASS_SIZE = 40;
+
+/**
+ * Check a journal entry against the date, the other journals and the class size
+ * @param {Object} entry - Journal entry about to be saved (with teacherId)
+ * @param {number|null} ignoreId - Id of the entry being edited, so it doesn't clash with itself
+ * @returns {{errors: Object, warnings: Object}} - Messages keyed by form field id
+ */
+function validateJurnalEntry(entry, ignoreId) {
+    const errors = {};
+    const warnings = {};
+
+    // Weekday must agree with the date
+    if (entry.tanggal) {
+        const hariTanggal = getHariFromTanggal(entry.tanggal);
+        if (hariTanggal === 'Sabtu' || hariTanggal === 'Minggu') {
+            errors.tanggal = `Tanggal ${formatDate(entry.tanggal)} jatuh pada hari ${hariTanggal}, bukan hari sekolah.`;
+        } else if (entry.hari && entry.hari !== hariTanggal) {
+            errors.hari = `Tanggal ${formatDate(entry.tanggal)} jatuh pada hari ${hariTanggal}, bukan ${entry.hari}.`;
+        }
+    }
+
+    // Archived academic years are read-only
+    if (entry.tanggal && !errors.tanggal && isTahunAjaranArchived(getTahunAjaran(entry.tanggal))) {
+        errors.tanggal = `Tahun ajaran ${getTahunAjaran(entry.tanggal)} sudah diarsipkan — jurnal baru tidak bisa ditambahkan.`;
+    }
+
+    // Months the supervisor approved are locked
+    if (entry.tanggal && !errors.tanggal && isBulanDisetujui(entry.teacherId, entry.tanggal.substring(0, 7))) {
+        errors.tanggal = `Jurnal ${formatBulan(entry.tanggal.substring(0, 7))} sudah disetujui supervisor — tidak bisa ditambah atau dipindah ke bulan ini.`;
+    }
+
+    // Slot conflicts on the same date with overlapping periods
+    const range = parseJamRange(entry.jamKe);
+    const overlaps = j => {
+        const other = parseJamRange(j.jamKe);
+        return other.jamMulai <= range.jamSelesai && range.jamMulai <= other.jamSelesai;
+    };
+    const sameDay = jurnalData.filter(j => j.id !== ignoreId && j.tanggal === entry.tanggal && overlaps(j));
+
+    const sameSlot = sameDay.find(j => j.kelas === entry.kelas && j.teacherId === entry.teacherId);
+    const otherClass = sameDay.find(j => j.kelas !== entry.kelas && j.teacherId === entry.teacherId);
+    const otherTeacher = sameDay.find(j => j.kelas === entry.kelas && j.teacherId !== entry.teacherId);
+    if (sameSlot) {
+        errors.jamKe = `Jurnal kelas ${entry.kelas} jam ke-${sameSlot.jamKe} pada tanggal ini sudah ada.`;
+    } else if (otherClass) {
+        errors.jamKe = `Pada jam ke-${otherClass.jamKe} tanggal ini Anda sudah mengajar di kelas ${otherClass.kelas}.`;
+    } else if (otherTeacher) {
+        errors.kelas = `Kelas ${entry.kelas} jam ke-${otherTeacher.jamKe} tanggal ini sudah diisi oleh ${otherTeacher.teacherName || otherTeacher.username || 'guru lain'}.`;
+    }
+
+    // An assignment needs a title and a due date that isn't before the lesson
+    if (entry.tugas) {
+        if (!entry.tugas.judul) errors.tugasJudul = 'Judul tugas wajib diisi (kosongkan semua kolom tugas bila tidak ada tugas).';
+        if (!entry.tugas.tenggat) {
+            errors.tugasTenggat = 'Tenggat tugas wajib diisi.';
+        } else if (entry.tanggal && entry.tugas.tenggat < entry.tanggal) {
+            errors.tugasTenggat = `Tenggat tidak boleh sebelum tanggal pelajaran (${formatDate(entry.tanggal)}).`;
+        }
+    }
+
+    // Attendance must fit the class
+    const enrolled = getClassRoster(entry.kelas).length;
+    const total = entry.siswaHadir + entry.siswaTidakHadir;
+    const capacity = enrolled || DEFAULT_CLASS_SIZE;
+    if (total > capacity) {
+        errors.siswaTidakHadir = enrolled
+            ? `Hadir + tidak hadir (${total}) melebihi jumlah siswa terdaftar di kelas ${entry.kelas} (${enrolled}).`
+            : `Hadir + tidak hadir (${total}) melebihi kapasitas kelas (${DEFAULT_CLASS_SIZE}).`;
+    } else if (enrolled && total < enrolled) {
+        warnings.siswaTidakHadir = `Hadir + tidak hadir (${total}) kurang dari jumlah siswa terdaftar di kelas ${entry.kelas} (${enrolled}).`;
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Show validation messages under their form fields (and clear old ones)
+ * @param {Object} errors - Blocking messages keyed by field id
+ * @param {Object} [warnings] - Non-blocking messages keyed by field id
+ */
+function showFieldMessages(errors, warnings = {}) {
+    clearFieldMessages();
+    const show = (messages, className) => Object.entries(messages).forEach(([field, message]) => {
+        const input = document.getElementById(field);
+        if (!input) return;
+        const note = document.createElement('p');
+        note.className = `field-message mt-1 text-xs font-medium ${className}`;
+        note.textContent = message;
+        input.insertAdjacentElement('afterend', note);
+    });
+    show(errors, 'text-red-300');
+    show(warnings, 'text-yellow-200');
+}
+
+/**
+ * Remove every validation message from the form
+ */
+function clearFieldMessages() {
+    document.querySelectorAll('.field-message').forEach(el => el.remove());
+}
+
+/**
+ * Fill in the weekday as soon as a date is picked
+ */
+function syncHariWithTanggal() {
+    const hari = getHariFromTanggal(document.getElementById('tanggal').value);
+    const hariSelect = document.getElementById('hari');
+    if (hari && [...hariSelect.options].some(o => o.value === hari)) {
+        hariSelect.value = hari;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const tanggal = document.getElementById('tanggal');
+    if (tanggal) tanggal.addEventListener('change', syncHariWithTanggal);
+    if (form) form.addEventListener('reset', clearFieldMessages);
+});
+
+// Expose globally
+window.validateJurnalEntry = validateJurnalEntry;
+window.showFieldMessages = showFieldMessages;
+window.clearFieldMessages = clearFieldMessages;
@@ -0,0 +1,193 @@
+/**
+ * ============================================================================
+ * WALI MODULE — PORTAL ORANG TUA / WALI MURID
+ * ============================================================================
+ * Parents register with a link code made for one student (see
+ * createParentLinkCode in register.js) and get a read-only portal of that
+ * child: attendance per lesson, the topics taught in the child's class and
+ * the teachers' notes. The journals come from the api function
+ * (firestore-sync.js), trimmed like the student view's (only the child's
+ * own mark and tick, no classmates' names) but with the notes. When the
+ * child is marked alpa, a banner shows it until the parent marks it read,
+ * and the peringatanAlpa Cloud Function emails it (functions/alpa.js). Both
+ * can be switched off; the setting is stored on the parent's user record as
+ * peringatanAlpa = {aktif, dibaca}.
+ * ============================================================================
+ */
+
+/**
+ * The student the logged-in parent is linked to
+ * @returns {Object|null} - Registered student, or null when not (yet) synced
+ */
+function getAnakWali() {
+    return getRegisteredUsers().find(u => u.id === currentUser.studentId && u.role === 'student') || null;
+}
+
+/**
+ * The parent's alpa alert setting
+ * @returns {{aktif: boolean, dibaca: Array<number>}} - Setting, with defaults filled in
+ */
+function getPeringatanAlpaSetting() {
+    const user = getRegisteredUsers().find(u => u.id === currentUser.id);
+    const setting = (user && user.peringatanAlpa) || {};
+    return {
+        aktif: setting.aktif !== false,
+        dibaca: setting.dibaca || []
+    };
+}
+
+/**
+ * Save the parent's alpa alert setting on their user record
+ * @param {Object} changes - Fields of the setting to change
+ */
+function savePeringatanAlpaSetting(changes) {
+    updateRegisteredUser(currentUser.id, { peringatanAlpa: { ...getPeringatanAlpaSetting(), ...changes } });
+}
+
+/**
+ * Lessons of the running semester where the child was marked alpa and the
+ * parent hasn't marked the alert read yet
+ * @param {Object} anak - The linked student
+ * @returns {Array<Object>} - Journals, newest first
+ */
+function getAlpaBelumDibaca(anak) {
+    const setting = getPeringatanAlpaSetting();
+    if (!setting.aktif) return [];
+    const today = getTodayIso();
+    const journals = getJurnalKelasSiswa(anak.kelasMengajar, getTahunAjaran(today), getSemester(today));
+    return getKehadiranSiswa(journals, anak.id).rows
+        .filter(r => r.status === 'A' && !setting.dibaca.includes(r.jurnal.id))
+        .map(r => r.jurnal);
+}
+
+/**
+ * Draw the alpa alert banner
+ * @param {Object} anak - The linked student
+ */
+function renderPeringatanAlpa(anak) {
+    const banner = document.getElementById('waliPeringatan');
+    const alpa = getAlpaBelumDibaca(anak);
+    if (alpa.length === 0) {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+        return;
+    }
+    banner.style.display = 'block';
+    banner.innerHTML = `
+        <div class="flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <div class="text-sm text-red-50">
+                <p class="font-semibold">${escapeHtml(anak.fullName)} tercatat alpa (tanpa keterangan):</p>
+                <ul class="list-disc list-inside mt-1">
+                    ${alpa.map(j => `<li>${j.hari}, ${formatDate(j.tanggal)} · Jam ke-${j.jamKe} · ${escapeHtml(j.mapel || '-')}</li>`).join('')}
+                </ul>
+            </div>
+            <button type="button" id="waliPeringatanBaca" class="text-xs text-red-100 hover:text-white whitespace-nowrap">Tandai sudah dibaca</button>
+        </div>`;
+}
+
+/**
+ * Draw the portal for the picked period
+ * @param {Object} anak - The linked student
+ */
+function renderWaliView(anak) {
+    const [tahunAjaran, semester] = document.getElementById('waliPeriode').value.split('|');
+    const journals = getJurnalKelasSiswa(anak.kelasMengajar, tahunAjaran, semester);
+    const { rows, tanpaPresensi } = getKehadiranSiswa(journals, anak.id);
+
+    document.getElementById('waliRingkasan').innerHTML = renderRekapKehadiranCards(rekapKehadiranSiswa(rows));
+
+    document.getElementById('waliKehadiran').innerHTML = (rows.length === 0
+        ? '<p class="text-sm text-gray-300 py-2">Belum ada presensi per siswa yang mencatat anak Anda semester ini.</p>'
+        : rows.map(({ jurnal, status }) => `
+            <div class="flex items-center justify-between py-2 text-sm text-gray-100">
+                <span>${jurnal.hari}, ${formatDate(jurnal.tanggal)} · Jam ke-${jurnal.jamKe} · ${escapeHtml(jurnal.mapel || '-')}</span>
+                <span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${ATTENDANCE_STATUS[status].badge}">${ATTENDANCE_STATUS[status].label}</span>
+            </div>`).join('')) +
+        (tanpaPresensi > 0
+            ? `<p class="text-xs text-gray-300 pt-2">${tanpaPresensi} pertemuan dicatat tanpa presensi per siswa dan tidak dihitung.</p>`
+            : '');
+
+    document.getElementById('waliMateri').innerHTML = journals.length === 0
+        ? '<p class="text-sm text-gray-300 py-2">Belum ada jurnal untuk kelas anak Anda pada semester ini.</p>'
+        : journals.map(j => `
+            <div class="py-3">
+                <div class="text-sm text-gray-200">
+                    <span class="font-semibold text-white">${j.hari}, ${formatDate(j.tanggal)}</span>
+                    · Jam ke-${j.jamKe} · ${escapeHtml(j.mapel || '-')}${j.teacherName ? ` · ${escapeHtml(j.teacherName)}` : ''}
+                </div>
+                <div class="text-sm text-gray-100 mt-1">${escapeHtml(j.uraianMateri)}</div>
+                ${j.catatan ? `<div class="text-xs text-gray-300 mt-1">Catatan guru: ${escapeHtml(j.catatan)}</div>` : ''}
+            </div>`).join('');
+}
+
+/**
+ * Wire up the parent portal (parents only)
+ * On a first login the child's profile may not have synced yet; the portal
+ * waits for it and is set up once the child is known
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('waliContainer');
+    if (!container || !currentUser || currentUser.role !== 'parent') return;
+
+    container.style.display = 'block';
+    let anak = null;
+
+    // The handlers read the current child, so later profile updates count
+    function wireUp() {
+        document.getElementById('waliPeriode').addEventListener('change', () => renderWaliView(anak));
+
+        document.getElementById('waliPeringatan').addEventListener('click', (e) => {
+            if (!e.target.closest('#waliPeringatanBaca')) return;
+            const { dibaca } = getPeringatanAlpaSetting();
+            try {
+                savePeringatanAlpaSetting({ dibaca: [...dibaca, ...getAlpaBelumDibaca(anak).map(j => j.id)] });
+                renderPeringatanAlpa(anak);
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+
+        const aktif = document.getElementById('waliAlpaAktif');
+        aktif.checked = getPeringatanAlpaSetting().aktif;
+        document.getElementById('waliAlpaEmail').textContent = currentUser.email
+            ? `Peringatan juga dikirim ke ${currentUser.email}.`
+            : 'Akun ini belum punya email, jadi peringatan hanya muncul di halaman ini.';
+        aktif.addEventListener('change', () => {
+            try {
+                savePeringatanAlpaSetting({ aktif: aktif.checked });
+                renderPeringatanAlpa(anak);
+                showNotification('Pengaturan peringatan disimpan!', 'success');
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+    }
+
+    // Look the child up again and show what is known so far
+    function refresh() {
+        const found = getAnakWali();
+        if (found && found.kelasMengajar) {
+            if (!anak) wireUp();
+            if (!anak || anak.kelasMengajar !== found.kelasMengajar) {
+                populateSiswaPeriode(found.kelasMengajar, document.getElementById('waliPeriode'));
+            }
+            anak = found;
+        }
+        document.getElementById('waliBelumTersedia').style.display = anak ? 'none' : 'block';
+        document.getElementById('waliBody').style.display = anak ? 'block' : 'none';
+        if (!anak) return;
+        document.getElementById('waliAnak').textContent = `${anak.fullName} · Kelas ${anak.kelasMengajar}`;
+        renderWaliView(anak);
+        renderPeringatanAlpa(anak);
+    }
+
+    // New journals (from the API) and the child's profile arrive through firestore-sync.js
+    window.addEventListener('firestore-data-updated', e => {
+        if (e.detail.key === 'jurnalData' || e.detail.key === 'registeredUsers') refresh();
+    });
+    refresh();
+});
+
+// Expose globally
+window.getAnakWali = getAnakWali;
+window.getAlpaBelumDibaca = getAlpaBelumDibaca;